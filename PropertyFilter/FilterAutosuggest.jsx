@@ -11,7 +11,10 @@
  * - Keyboard navigation (arrow keys, Enter, Escape)
  * - Option selection with different behaviors (keepOpenOnSelect)
  * - Free text entry ("Use: text" option)
+ * - Custom content above the options (e.g. the date calendar)
  * - Loading and empty states
+ * - Async loading: onLoadItems on focus, on typing (debounced) and when
+ *   scrolled to the end of the list (next page)
  * 
  * OPTION TYPES:
  * -------------
@@ -20,6 +23,34 @@
  *   Used for property/operator selection where user continues typing
  * - isEnteredText: true - Marks option as free text entry
  *   Used for the "Use: text" option
+ * - checked: true/false - Renders a checkbox (multi-value 'in' / 'not in')
+ * 
+ * Typed text ranks the options within each group (see filterOptionGroups)
+ * and the matched characters of each label are highlighted.
+ * 
+ * LARGE OPTION SETS:
+ * ------------------
+ * - groupLimit caps the options shown per group; a "Show N more" row
+ *   (selectable like an option) reveals the rest of that group
+ * - Lists longer than WINDOWING_THRESHOLD rows render only the rows in
+ *   view, with spacers for the rest
+ * 
+ * Options can also carry display fields: icon (shown before the label),
+ * tags (badges on the right), description (line under the label) and
+ * count (number of matching items, right-aligned).
+ * renderOption / renderGroupHeader / renderEmpty replace the default
+ * markup of option rows, group headers and the empty state.
+ * 
+ * ASYNC LOADING (statusType):
+ * ---------------------------
+ * - 'pending': more options can be loaded - scrolling to the end of the
+ *   list calls onLoadItems({ firstPage: false, samePage: false })
+ * - 'loading': a "Loading..." row under the options
+ * - 'error': errorText with a retry link, which calls
+ *   onLoadItems({ firstPage: false, samePage: true })
+ * - 'finished': everything is loaded (finishedText, when given, ends the list)
+ *   - the default, so lists are only paginated when asked to be
+ * The older loading flag still replaces the whole list with a spinner.
  * 
  * KEYBOARD NAVIGATION:
  * --------------------
@@ -35,9 +66,42 @@
  * - Display: Modify the JSX in the render section
  */
 
-import React, { useState, useRef, useEffect, forwardRef, useImperativeHandle } from 'react';
+import React, { useState, useRef, useEffect, useMemo, forwardRef, useImperativeHandle } from 'react';
 import { Input, List, ListItem, Typography, Spinner } from '@material-tailwind/react';
 import { MagnifyingGlassIcon } from '@heroicons/react/24/outline';
+import { filterOptionGroups } from './controller';
+import { splitHighlightedText } from './utils';
+
+// Distance from the end of the list (px) at which the next page loads
+const SCROLL_LOAD_THRESHOLD = 40;
+
+// WINDOWED RENDERING - long lists only render the rows in view.
+// Rows are assumed to be ROW_HEIGHT tall for the spacers above and below.
+const ROW_HEIGHT = 36;           // Estimated row height (px)
+const DROPDOWN_HEIGHT = 320;     // Matches max-h-80
+const WINDOWING_THRESHOLD = 100; // Rows before windowing starts
+const WINDOW_OVERSCAN = 10;      // Extra rows rendered above and below the view
+
+/**
+ * Label with the characters that matched the typed text in bold.
+ * Screen readers get the label in one piece, not split at each match.
+ * Internal helper (not exported).
+ */
+function HighlightedLabel({ text, ranges }) {
+  if (!ranges?.length) return text;
+  return (
+    <>
+      <span className="sr-only">{text}</span>
+      <span aria-hidden="true">
+        {splitHighlightedText(text, ranges).map((part, index) => (
+          part.highlighted
+            ? <mark key={index} className="bg-transparent font-bold text-blue-700">{part.text}</mark>
+            : <React.Fragment key={index}>{part.text}</React.Fragment>
+        ))}
+      </span>
+    </>
+  );
+}
 
 /**
  * FilterAutosuggest - Autocomplete input for property filtering.
@@ -54,6 +118,21 @@ import { MagnifyingGlassIcon } from '@heroicons/react/24/outline';
  * @param {string} loadingText - Text shown during loading
  * @param {string} emptyText - Text shown when no options match
  * @param {Function} onLoadItems - Called to load options (async support)
+ * @param {string} statusType - Async status: 'pending' | 'loading' | 'error' | 'finished'
+ * @param {string} errorText - Text shown when loading failed
+ * @param {string} recoveryText - Label of the retry link after an error
+ * @param {string} finishedText - Text shown after the last page
+ * @param {number} debounceDelay - Milliseconds of typing pause before onLoadItems
+ * @param {number} groupLimit - Options shown per group before "Show N more" (0 for no limit)
+ * @param {Function} renderDropdownContent - Renders content above the options,
+ *   receives { closeDropdown }; return null to render nothing
+ * @param {Function} onKeyDown - Called first for every key press in the input;
+ *   call preventDefault() to skip the built-in handling
+ * @param {Function} renderOption - Called with (option, { highlighted }); returns
+ *   the row content, or null for the default
+ * @param {Function} renderGroupHeader - Called with the group; returns the header
+ *   content, or null for the default
+ * @param {Function} renderEmpty - Returns the empty state content (replaces emptyText)
  * @param {Object} i18nStrings - Localization strings
  */
 const FilterAutosuggest = forwardRef(function FilterAutosuggest({
@@ -69,6 +148,17 @@ const FilterAutosuggest = forwardRef(function FilterAutosuggest({
   loadingText = 'Loading...',
   emptyText = 'No matches found',
   onLoadItems,
+  statusType,
+  errorText = 'Error fetching results.',
+  recoveryText = 'Retry',
+  finishedText,
+  debounceDelay = 300,
+  groupLimit = 100,
+  renderDropdownContent,
+  onKeyDown,
+  renderOption,
+  renderGroupHeader,
+  renderEmpty,
   i18nStrings = {},
 }, ref) {
   // ==========================================================================
@@ -79,17 +169,34 @@ const FilterAutosuggest = forwardRef(function FilterAutosuggest({
   const [highlightedIndex, setHighlightedIndex] = useState(-1); // Keyboard nav index
   const inputRef = useRef(null);   // Reference to input container
   const dropdownRef = useRef(null); // Reference to dropdown for click-outside
+  const loadTimerRef = useRef(null); // Pending debounced onLoadItems call
+  const rowsRef = useRef(null);      // Option rows container, for windowing
+  const nextPageRequestedRef = useRef(false); // Next page asked for, status not changed since
+  const [expandedGroups, setExpandedGroups] = useState(() => new Set()); // Groups past groupLimit
+  const [scrollTop, setScrollTop] = useState(0); // Dropdown scroll position (windowing)
 
   /**
-   * Expose focus() method to parent via ref.
-   * Allows PropertyFilter to focus this input programmatically.
+   * Expose focus() and dropdown control to parent via ref.
+   * Allows PropertyFilter to focus this input and open or close the
+   * dropdown programmatically.
    */
   useImperativeHandle(ref, () => ({
     focus: () => inputRef.current?.focus?.(),
+    openDropdown: () => {
+      focusInput();
+      setIsOpen(true);
+    },
+    closeDropdown: () => {
+      setIsOpen(false);
+      setHighlightedIndex(-1);
+    },
   }), []);
 
   // Extract i18n string for free text option label
-  const { enteredTextLabel = (text) => `Use: "${text}"` } = i18nStrings;
+  const {
+    enteredTextLabel = (text) => `Use: "${text}"`,
+    showMoreOptionsLabel = (count) => `Show ${count} more`,
+  } = i18nStrings;
 
   // ==========================================================================
   // COMPUTED VALUES
@@ -100,18 +207,62 @@ const FilterAutosuggest = forwardRef(function FilterAutosuggest({
    * Only shows options whose label or value contains the search text.
    * Groups with no matching options are removed entirely.
    */
-  const filteredOptions = filterText
-    ? options.map(group => ({
-        ...group,
-        options: group.options?.filter(opt => {
-          const searchText = filterText.toLowerCase();
-          return (
-            opt.label?.toLowerCase().includes(searchText) ||
-            opt.value?.toLowerCase().includes(searchText)
-          );
-        }),
-      })).filter(group => group.options?.length > 0)
-    : options;
+  const filteredOptions = useMemo(() => filterOptionGroups(options, filterText), [options, filterText]);
+
+  /**
+   * Options shown per group: at most groupLimit, then a "Show N more" row,
+   * unless the group was expanded.
+   */
+  const visibleGroups = useMemo(() => filteredOptions.map((group, groupIndex) => {
+    const groupKey = group.label || groupIndex;
+    const groupOptions = group.options || [];
+    if (!groupLimit || groupOptions.length <= groupLimit || expandedGroups.has(groupKey)) {
+      return group;
+    }
+    const showMore = {
+      value: `show-more-${groupKey}`,
+      isShowMore: true,
+      groupKey,
+      hiddenCount: groupOptions.length - groupLimit,
+    };
+    return { ...group, options: [...groupOptions.slice(0, groupLimit), showMore] };
+  }), [filteredOptions, groupLimit, expandedGroups]);
+
+  // Options in display order, for keyboard navigation
+  const flatOptions = useMemo(
+    () => visibleGroups.flatMap(group => group.options || []),
+    [visibleGroups]
+  );
+
+  /**
+   * Dropdown rows: group headers and options, flattened so long lists can
+   * be windowed. Each option row knows its index in flatOptions.
+   */
+  const rows = useMemo(() => {
+    const result = [];
+    let optionIndex = 0;
+    visibleGroups.forEach((group, groupIndex) => {
+      if (group.label || renderGroupHeader) {
+        result.push({ type: 'header', group, key: `group-${groupIndex}` });
+      }
+      (group.options || []).forEach((option, index) => {
+        result.push({ type: 'option', option, index: optionIndex++, key: `${groupIndex}-${option.value || index}` });
+      });
+    });
+    return result;
+  }, [visibleGroups, renderGroupHeader]);
+
+  const isWindowed = rows.length > WINDOWING_THRESHOLD;
+
+  // The loading flag predates statusType and still works on its own.
+  // Without a status nothing is paginated: only 'pending' loads more.
+  const status = statusType ?? (loading ? 'loading' : 'finished');
+
+  // A new status (or more options) answers the last next-page request
+  const loadedOptionCount = options.reduce((count, group) => count + (group.options?.length || 0), 0);
+  useEffect(() => {
+    nextPageRequestedRef.current = false;
+  }, [status, loadedOptionCount]);
 
   // ==========================================================================
   // EVENT HANDLERS
@@ -126,6 +277,41 @@ const FilterAutosuggest = forwardRef(function FilterAutosuggest({
     onChange?.(newValue);
     setIsOpen(true);
     setHighlightedIndex(-1); // Reset highlight when typing
+    scheduleLoadItems(newValue);
+  };
+
+  /**
+   * Ask the parent for the first page of options once typing pauses.
+   * A newer call replaces the pending one, so each pause sends one request.
+   */
+  const scheduleLoadItems = (text) => {
+    if (!onLoadItems) return;
+    clearTimeout(loadTimerRef.current);
+    loadTimerRef.current = setTimeout(() => {
+      onLoadItems({ filteringText: text, firstPage: true, samePage: false });
+    }, debounceDelay);
+  };
+
+  /**
+   * Load the next page when the list is scrolled (almost) to the end.
+   * Asks once per page: further scroll events wait for the parent to
+   * change the status or the options.
+   */
+  const handleScroll = (e) => {
+    if (isWindowed) setScrollTop(e.currentTarget.scrollTop);
+    if (status !== 'pending' || !onLoadItems || nextPageRequestedRef.current) return;
+    const { scrollTop, clientHeight, scrollHeight } = e.currentTarget;
+    if (scrollTop + clientHeight >= scrollHeight - SCROLL_LOAD_THRESHOLD) {
+      nextPageRequestedRef.current = true;
+      onLoadItems({ filteringText: value, firstPage: false, samePage: false });
+    }
+  };
+
+  /**
+   * Retry the failed request (the retry link after an error).
+   */
+  const handleRetry = () => {
+    onLoadItems?.({ filteringText: value, firstPage: false, samePage: true });
   };
 
   /**
@@ -147,7 +333,13 @@ const FilterAutosuggest = forwardRef(function FilterAutosuggest({
    *   Used for value selection (filter is complete)
    */
   const handleOptionClick = (option, e) => {
-    if (option.keepOpenOnSelect) {
+    if (option.isShowMore) {
+      // "Show N more" - reveal the rest of the group, keep the dropdown open
+      e?.preventDefault();
+      e?.stopPropagation();
+      setExpandedGroups(prev => new Set(prev).add(option.groupKey));
+      setTimeout(focusInput, 10);
+    } else if (option.keepOpenOnSelect) {
       // Property/operator selection - update input but keep dropdown open
       e?.preventDefault();
       e?.stopPropagation(); // Prevent click from bubbling to document
@@ -155,6 +347,7 @@ const FilterAutosuggest = forwardRef(function FilterAutosuggest({
       // This prevents the pending selection from being cleared
       if (!option.nestedOptions) {
         onChange?.(option.value);
+        scheduleLoadItems(option.value);
       }
       onOptionSelect?.({ ...option, preventDefault: () => {} });
       // Don't refocus for nested options - it can cause issues
@@ -180,10 +373,9 @@ const FilterAutosuggest = forwardRef(function FilterAutosuggest({
    * - Tab: Close dropdown (default tab behavior continues)
    */
   const handleKeyDown = (e) => {
-    // Flatten grouped options for keyboard navigation
-    const flatOptions = filteredOptions.reduce((acc, group) => {
-      return [...acc, ...(group.options || [])];
-    }, []);
+    // The parent's shortcuts (e.g. undo) go first
+    onKeyDown?.(e);
+    if (e.defaultPrevented) return;
 
     switch (e.key) {
       case 'ArrowDown':
@@ -254,12 +446,40 @@ const FilterAutosuggest = forwardRef(function FilterAutosuggest({
     return () => document.removeEventListener('mousedown', handleClickOutside);
   }, []);
 
+  // Drop a pending debounced load when unmounting
+  useEffect(() => () => clearTimeout(loadTimerRef.current), []);
+
+  // New suggestions start collapsed again
+  useEffect(() => {
+    setExpandedGroups(new Set());
+  }, [options, filterText]);
+
+  /**
+   * Keep the highlighted option in view while windowing - it may not be
+   * rendered, so the browser can't scroll to it by itself.
+   */
+  useEffect(() => {
+    const dropdown = dropdownRef.current;
+    if (!isWindowed || highlightedIndex < 0 || !dropdown) return;
+    const rowIndex = rows.findIndex(row => row.type === 'option' && row.index === highlightedIndex);
+    const rowTop = (rowsRef.current?.offsetTop ?? 0) + rowIndex * ROW_HEIGHT;
+    const viewHeight = dropdown.clientHeight || DROPDOWN_HEIGHT;
+    if (rowTop < dropdown.scrollTop) {
+      dropdown.scrollTop = rowTop;
+    } else if (rowTop + ROW_HEIGHT > dropdown.scrollTop + viewHeight) {
+      dropdown.scrollTop = rowTop + ROW_HEIGHT - viewHeight;
+    }
+    setScrollTop(dropdown.scrollTop);
+  }, [highlightedIndex, isWindowed, rows]);
+
   /**
    * Handle input focus - open dropdown and trigger load.
    */
   const handleFocus = () => {
     setIsOpen(true);
-    // Notify parent to load options (for async loading)
+    // Notify parent to load options (for async loading) - right away, so
+    // any pending debounced load is no longer needed
+    clearTimeout(loadTimerRef.current);
     onLoadItems?.({ filteringText: value, firstPage: true, samePage: false });
   };
 
@@ -285,6 +505,30 @@ const FilterAutosuggest = forwardRef(function FilterAutosuggest({
   );
   const showEnteredTextOption = value.trim() && !disabled && !hasKeepOpenOptions;
 
+  // Loading and error rows show even when nothing matches (yet)
+  const showStatus = status === 'loading' || status === 'error';
+
+  /**
+   * Rows to render: all of them, or when windowing the ones in view plus
+   * WINDOW_OVERSCAN on each side. Rows start below the custom content and
+   * the "Use:" option (rowsRef's offset).
+   */
+  let windowStart = 0;
+  let windowEnd = rows.length;
+  if (isWindowed) {
+    const top = Math.max(0, scrollTop - (rowsRef.current?.offsetTop ?? 0));
+    windowStart = Math.max(0, Math.floor(top / ROW_HEIGHT) - WINDOW_OVERSCAN);
+    windowEnd = Math.min(rows.length, Math.ceil((top + DROPDOWN_HEIGHT) / ROW_HEIGHT) + WINDOW_OVERSCAN);
+  }
+
+  // Custom content (e.g. a date calendar) shown above the options
+  const dropdownContent = renderDropdownContent?.({
+    closeDropdown: () => {
+      setIsOpen(false);
+      setTimeout(focusInput, 10);
+    },
+  });
+
   // ==========================================================================
   // RENDER
   // ==========================================================================
@@ -294,6 +538,8 @@ const FilterAutosuggest = forwardRef(function FilterAutosuggest({
   // │ [🔍] [Input field.....................]  │
   // └─────────────────────────────────────────┘
   // ┌─────────────────────────────────────────┐
+  // │ (custom content, e.g. date calendar)    │  ← renderDropdownContent
+  // ├─────────────────────────────────────────┤
   // │ Use: "typed text"                       │  ← Free text option
   // ├─────────────────────────────────────────┤
   // │ PROPERTIES                              │  ← Group header
@@ -303,6 +549,8 @@ const FilterAutosuggest = forwardRef(function FilterAutosuggest({
   // │ VALUES                                  │  ← Group header
   // │   Status = active                       │
   // │   Status = inactive                     │
+  // ├─────────────────────────────────────────┤
+  // │ ⟳ Loading... / Error. Retry             │  ← statusType row
   // └─────────────────────────────────────────┘
 
   return (
@@ -329,12 +577,13 @@ const FilterAutosuggest = forwardRef(function FilterAutosuggest({
       </div>
 
       {/* Dropdown */}
-      {isOpen && !disabled && (hasOptions || showEnteredTextOption || !value.trim()) && (
+      {isOpen && !disabled && (hasOptions || showEnteredTextOption || dropdownContent || showStatus || !value.trim()) && (
         <div
           ref={dropdownRef}
           className="absolute z-50 w-full mt-1 bg-white border border-gray-200 rounded-lg shadow-lg 
                      max-h-80 overflow-y-auto"
           role="listbox"
+          onScroll={handleScroll}
         >
           {loading ? (
             <div className="flex items-center justify-center py-4 gap-2">
@@ -343,6 +592,8 @@ const FilterAutosuggest = forwardRef(function FilterAutosuggest({
             </div>
           ) : (
             <>
+              {dropdownContent}
+
               {/* Entered text option - for free text filtering */}
               {showEnteredTextOption && (
                 <ListItem
@@ -358,61 +609,159 @@ const FilterAutosuggest = forwardRef(function FilterAutosuggest({
                 </ListItem>
               )}
 
-              {/* Grouped options */}
-              {filteredOptions.map((group, groupIndex) => (
-                <div key={group.label || groupIndex}>
-                  {group.label && (
-                    <div className="px-3 py-2 bg-gray-50 border-b border-gray-100">
-                      <Typography variant="small" className="font-semibold text-gray-600 uppercase text-xs">
-                        {group.label}
-                      </Typography>
-                    </div>
+              {/* Grouped options - only the rows in view when the list is long */}
+              <div ref={rowsRef}>
+                <List className="p-0">
+                  {windowStart > 0 && (
+                    <div aria-hidden="true" style={{ height: windowStart * ROW_HEIGHT }} />
                   )}
-                  <List className="p-0">
-                    {group.options?.map((option, optionIndex) => {
-                      const flatIndex = filteredOptions
-                        .slice(0, groupIndex)
-                        .reduce((acc, g) => acc + (g.options?.length || 0), 0) + optionIndex;
+                  {rows.slice(windowStart, windowEnd).map(row => {
+                    if (row.type === 'header') {
+                      return (
+                        <div key={row.key} className="px-3 py-2 bg-gray-50 border-b border-gray-100">
+                          {renderGroupHeader?.(row.group) ?? (
+                            <Typography variant="small" className="font-semibold text-gray-600 uppercase text-xs">
+                              {row.group.label}
+                            </Typography>
+                          )}
+                        </div>
+                      );
+                    }
 
+                    const { option, index } = row;
+                    const highlighted = highlightedIndex === index;
+                    const rowProps = {
+                      onClick: (e) => handleOptionClick(option, e),
+                      role: 'option',
+                      'aria-selected': highlighted,
+                      // Windowed lists tell assistive technology the full size
+                      'aria-setsize': isWindowed ? flatOptions.length : undefined,
+                      'aria-posinset': isWindowed ? index + 1 : undefined,
+                    };
+
+                    // "Show N more" row of a capped group
+                    if (option.isShowMore) {
                       return (
                         <ListItem
-                          key={option.value || optionIndex}
+                          key={row.key}
+                          {...rowProps}
                           className={`py-2 px-3 cursor-pointer transition-colors
-                            ${highlightedIndex === flatIndex ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
-                          onClick={(e) => handleOptionClick(option, e)}
-                          role="option"
-                          aria-selected={highlightedIndex === flatIndex}
+                            ${highlighted ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
                         >
-                          <div className="flex flex-col">
-                            <div className="flex items-center gap-1">
-                              {option.labelPrefix && (
-                                <Typography variant="small" className="text-gray-500">
-                                  {option.labelPrefix}
+                          <Typography variant="small" className="font-medium text-blue-600">
+                            {showMoreOptionsLabel(option.hiddenCount)}
+                          </Typography>
+                        </ListItem>
+                      );
+                    }
+
+                    return (
+                      <ListItem
+                        key={row.key}
+                        {...rowProps}
+                        className={`py-2 px-3 cursor-pointer transition-colors
+                          ${highlighted ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+                        aria-checked={typeof option.checked === 'boolean' ? option.checked : undefined}
+                      >
+                        {renderOption?.(option, { highlighted }) ?? (
+                          <>
+                            {/* Checkbox for multi-value selection */}
+                            {typeof option.checked === 'boolean' && (
+                              <input
+                                type="checkbox"
+                                checked={option.checked}
+                                readOnly
+                                tabIndex={-1}
+                                aria-hidden="true"
+                                className="mr-2 h-4 w-4 accent-blue-600 pointer-events-none"
+                              />
+                            )}
+                            {/* Icon, e.g. a status dot */}
+                            {option.icon && (
+                              <span className="mr-2 flex items-center" aria-hidden="true">{option.icon}</span>
+                            )}
+                            <div className="flex flex-col">
+                              <div className="flex items-center gap-1">
+                                {option.labelPrefix && (
+                                  <Typography variant="small" className="text-gray-500">
+                                    {option.labelPrefix}
+                                  </Typography>
+                                )}
+                                <Typography variant="small" className="font-medium text-gray-900">
+                                  <HighlightedLabel text={option.label || option.value} ranges={option.matchRanges} />
+                                </Typography>
+                              </div>
+                              {option.description && (
+                                <Typography variant="small" className="text-gray-500 text-xs">
+                                  {option.description}
                                 </Typography>
                               )}
-                              <Typography variant="small" className="font-medium text-gray-900">
-                                {option.label || option.value}
-                              </Typography>
                             </div>
-                            {option.description && (
-                              <Typography variant="small" className="text-gray-500 text-xs">
-                                {option.description}
-                              </Typography>
+                            {/* Tags as badges and the value count on the right */}
+                            {(option.tags?.length > 0 || typeof option.count === 'number') && (
+                              <div className="ml-auto flex items-center gap-1 pl-2">
+                                {option.tags?.map(tag => (
+                                  <span key={tag} className="rounded bg-gray-100 px-1.5 py-0.5 text-xs text-gray-600">
+                                    {tag}
+                                  </span>
+                                ))}
+                                {typeof option.count === 'number' && (
+                                  <span className="text-xs text-gray-500 tabular-nums">
+                                    {option.count.toLocaleString()}
+                                  </span>
+                                )}
+                              </div>
                             )}
-                          </div>
-                        </ListItem>
-                      );
-                    })}
-                  </List>
+                          </>
+                        )}
+                      </ListItem>
+                    );
+                  })}
+                  {windowEnd < rows.length && (
+                    <div aria-hidden="true" style={{ height: (rows.length - windowEnd) * ROW_HEIGHT }} />
+                  )}
+                </List>
+              </div>
+
+              {/* Async status after the loaded options */}
+              {status === 'loading' && (
+                <div className="flex items-center justify-center py-3 gap-2" role="status">
+                  <Spinner className="h-4 w-4" />
+                  <span className="text-gray-500 text-sm">{loadingText}</span>
+                </div>
+              )}
+              {status === 'error' && (
+                <div className="flex items-center justify-center py-3 gap-2" role="alert">
+                  <Typography variant="small" className="text-red-600">
+                    {errorText}
+                  </Typography>
+                  <button
+                    type="button"
+                    className="text-sm font-medium text-blue-600 hover:underline"
+                    // Keep focus in the input - refocusing would load the first page again
+                    onMouseDown={(e) => e.preventDefault()}
+                    onClick={handleRetry}
+                  >
+                    {recoveryText}
+                  </button>
+                </div>
+              )}
+              {status === 'finished' && finishedText && hasOptions && (
+                <div className="py-2 px-3 text-center">
+                  <Typography variant="small" className="text-gray-500 text-xs">
+                    {finishedText}
+                  </Typography>
                 </div>
-              ))}
+              )}
 
               {/* Empty state - only show when no value typed (not for free text filtering) */}
-              {!hasOptions && !value.trim() && (
+              {!hasOptions && !value.trim() && !dropdownContent && !showStatus && (
                 <div className="py-4 px-3 text-center">
-                  <Typography variant="small" className="text-gray-500">
-                    {emptyText}
-                  </Typography>
+                  {renderEmpty ? renderEmpty() : (
+                    <Typography variant="small" className="text-gray-500">
+                      {emptyText}
+                    </Typography>
+                  )}
                 </div>
               )}
             </>
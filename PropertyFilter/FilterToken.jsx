@@ -29,6 +29,9 @@
  * - AND/OR operation selector (dropdown or read-only text)
  * - Property label + operator + value display
  * - Remove button (X) to delete the token
+ * - Click the chip to edit it in a popover (when onUpdate is provided)
+ * - Custom chip content via renderToken (the chip, editor and remove
+ *   button stay); the value's option icon is shown by default
  * - Disabled state support
  * - Customizable via i18nStrings
  * 
@@ -39,21 +42,101 @@
  * - Colors: Change text-blue-600, bg-gray-100, etc.
  */
 
-import React from 'react';
-import { Chip, IconButton, Menu, MenuHandler, MenuList, MenuItem } from '@material-tailwind/react';
+import React, { useState } from 'react';
+import {
+  Chip,
+  IconButton,
+  Menu,
+  MenuHandler,
+  MenuList,
+  MenuItem,
+  Popover,
+  PopoverHandler,
+  PopoverContent,
+} from '@material-tailwind/react';
 import { XMarkIcon, ChevronDownIcon } from '@heroicons/react/24/outline';
+import TokenEditor from './TokenEditor';
+import { isValuelessOperator } from './utils';
+
+/**
+ * OperationSelector - AND/OR selector shown before a token or group.
+ * 
+ * Shared by FilterToken and FilterTokenGroup so both render the join
+ * between entries the same way.
+ * 
+ * @param {string} operation - Current operation: 'and' or 'or'
+ * @param {Function} onChange - Called with new operation when changed
+ * @param {boolean} disabled - Disable interactions
+ * @param {boolean} readOnly - Show operation as text, not dropdown
+ * @param {Object} i18nStrings - Localization strings
+ */
+export function OperationSelector({
+  operation = 'and',
+  onChange,
+  disabled = false,
+  readOnly = false,
+  i18nStrings = {},
+}) {
+  const { operationAndText = 'and', operationOrText = 'or' } = i18nStrings;
+
+  return (
+    <div className="mr-1">
+      {readOnly ? (
+        // READ-ONLY: Just display the operation text
+        <span className="text-xs font-medium text-gray-500 uppercase px-2">
+          {operation === 'and' ? operationAndText : operationOrText}
+        </span>
+      ) : (
+        // INTERACTIVE: Dropdown to change operation
+        <Menu placement="bottom-start">
+          <MenuHandler>
+            <button
+              className="flex items-center gap-1 text-xs font-medium text-gray-600 hover:text-gray-900 
+                         bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded transition-colors uppercase"
+              disabled={disabled}
+            >
+              {operation === 'and' ? operationAndText : operationOrText}
+              <ChevronDownIcon className="h-3 w-3" />
+            </button>
+          </MenuHandler>
+          <MenuList className="min-w-[80px]">
+            <MenuItem
+              onClick={() => onChange?.('and')}
+              className={operation === 'and' ? 'bg-blue-50' : ''}
+            >
+              {operationAndText.toUpperCase()}
+            </MenuItem>
+            <MenuItem
+              onClick={() => onChange?.('or')}
+              className={operation === 'or' ? 'bg-blue-50' : ''}
+            >
+              {operationOrText.toUpperCase()}
+            </MenuItem>
+          </MenuList>
+        </Menu>
+      )}
+    </div>
+  );
+}
 
 /**
  * FilterToken - Displays a single filter as a removable chip.
  * 
  * @param {Object} token - Token data { propertyLabel, operator, value }
- * @param {number} index - Token's position in the array (for removal)
+ * @param {number|Array} index - Token's position (index, or path inside a group) for removal
  * @param {boolean} showOperation - Show AND/OR selector (false for first token)
  * @param {string} operation - Current operation: 'and' or 'or'
  * @param {Function} onRemove - Called with index when remove button clicked
  * @param {Function} onOperationChange - Called with new operation when changed
  * @param {boolean} disabled - Disable interactions
  * @param {boolean} readOnlyOperations - Show operation as text, not dropdown
+ * @param {Function} onUpdate - Called with (index, token) after editing; enables the editor
+ * @param {Array} filteringProperties - Internal properties offered in the editor
+ * @param {Array} filteringOptions - Internal options for the editor's value suggestions
+ * @param {Object} freeTextFiltering - Free text config { disabled, operators } for the editor
+ * @param {Array} customOperators - The filter's custom operators (see getOperator)
+ * @param {Function} renderToken - Called with the formatted token (see formatToken);
+ *   returns the chip content, or null for the default
  * @param {Object} i18nStrings - Localization strings
  */
 export default function FilterToken({
@@ -65,17 +148,28 @@ export default function FilterToken({
   onOperationChange,
   disabled = false,
   readOnlyOperations = false,
+  onUpdate,
+  filteringProperties = [],
+  filteringOptions = [],
+  freeTextFiltering,
+  customOperators,
+  renderToken,
   i18nStrings = {},
 }) {
   // Extract localized strings with defaults
   const {
-    operationAndText = 'and',
-    operationOrText = 'or',
     removeTokenAriaLabel = 'Remove filter',
+    editTokenAriaLabel = 'Edit filter',
   } = i18nStrings;
 
+  // Whether the edit popover is open
+  const [isEditing, setIsEditing] = useState(false);
+  const isEditable = !!onUpdate && !disabled;
+
   // Destructure token data
   const { propertyLabel, operator, value, formattedText } = token;
+  // Word operators read better as text: "Status is one of Active, Pending"
+  const operatorLabel = token.operatorLabel || operator;
 
   // ==========================================================================
   // DISPLAY LOGIC
@@ -86,15 +180,42 @@ export default function FilterToken({
    * - Property filter: "Status = active"
    * - Free text contains: "searchterm" (hide the : operator)
    * - Free text other: "!: searchterm"
+   * - Valueless operator: "Owner exists"
    */
   const isAllProperties = !propertyLabel;  // No property = free text search
   const isFreeTextContains = operator === ':' && isAllProperties;
+  const hasValue = !isValuelessOperator(operator, customOperators); // "Owner exists" has no value
   
   // For free text "contains", hide the operator for cleaner display
-  const operatorText = isFreeTextContains ? '' : `${operator} `;
+  const operatorText = isFreeTextContains ? '' : `${operatorLabel} `;
   const displayText = isAllProperties
     ? `${operatorText}${value}`
-    : `${propertyLabel} ${operator} ${value}`;
+    : hasValue
+      ? `${propertyLabel} ${operatorLabel} ${value}`
+      : `${propertyLabel} ${operatorLabel}`;
+
+  /**
+   * Chip contents: property label, operator, value (with the value option's
+   * icon), unless renderToken provides its own.
+   * Wrapped in a popover trigger when the token is editable.
+   */
+  const tokenContent = renderToken?.(token) ?? (
+    <span className="flex items-center gap-1">
+      {/* Property label (hidden for free text) */}
+      {!isAllProperties && (
+        <span className="font-medium">{propertyLabel}</span>
+      )}
+      {/* Operator (hidden for free text "contains") */}
+      {!isFreeTextContains && (
+        <span className="text-blue-600 font-semibold">{operatorLabel}</span>
+      )}
+      {/* Value (none for valueless operators) */}
+      {hasValue && token.option?.icon && (
+        <span className="flex items-center" aria-hidden="true">{token.option.icon}</span>
+      )}
+      {hasValue && <span>{value}</span>}
+    </span>
+  );
 
   // ==========================================================================
   // RENDER
@@ -107,42 +228,13 @@ export default function FilterToken({
           Shown between tokens (not on first token)
           ================================================================ */}
       {showOperation && (
-        <div className="mr-1">
-          {readOnlyOperations ? (
-            // READ-ONLY: Just display the operation text
-            <span className="text-xs font-medium text-gray-500 uppercase px-2">
-              {operation === 'and' ? operationAndText : operationOrText}
-            </span>
-          ) : (
-            // INTERACTIVE: Dropdown to change operation
-            <Menu placement="bottom-start">
-              <MenuHandler>
-                <button
-                  className="flex items-center gap-1 text-xs font-medium text-gray-600 hover:text-gray-900 
-                             bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded transition-colors uppercase"
-                  disabled={disabled}
-                >
-                  {operation === 'and' ? operationAndText : operationOrText}
-                  <ChevronDownIcon className="h-3 w-3" />
-                </button>
-              </MenuHandler>
-              <MenuList className="min-w-[80px]">
-                <MenuItem
-                  onClick={() => onOperationChange?.('and')}
-                  className={operation === 'and' ? 'bg-blue-50' : ''}
-                >
-                  {operationAndText.toUpperCase()}
-                </MenuItem>
-                <MenuItem
-                  onClick={() => onOperationChange?.('or')}
-                  className={operation === 'or' ? 'bg-blue-50' : ''}
-                >
-                  {operationOrText.toUpperCase()}
-                </MenuItem>
-              </MenuList>
-            </Menu>
-          )}
-        </div>
+        <OperationSelector
+          operation={operation}
+          onChange={onOperationChange}
+          disabled={disabled}
+          readOnly={readOnlyOperations}
+          i18nStrings={i18nStrings}
+        />
       )}
 
       {/* ================================================================
@@ -151,18 +243,38 @@ export default function FilterToken({
           ================================================================ */}
       <Chip
         value={
-          <span className="flex items-center gap-1">
-            {/* Property label (hidden for free text) */}
-            {!isAllProperties && (
-              <span className="font-medium">{propertyLabel}</span>
-            )}
-            {/* Operator (hidden for free text "contains") */}
-            {!isFreeTextContains && (
-              <span className="text-blue-600 font-semibold">{operator}</span>
-            )}
-            {/* Value */}
-            <span>{value}</span>
-          </span>
+          isEditable ? (
+            // EDITABLE: Clicking the chip contents opens the token editor
+            <Popover open={isEditing} handler={setIsEditing} placement="bottom-start">
+              <PopoverHandler>
+                <button
+                  type="button"
+                  className="flex items-center cursor-pointer hover:text-gray-900"
+                  aria-label={`${editTokenAriaLabel}: ${displayText}`}
+                  aria-expanded={isEditing}
+                >
+                  {tokenContent}
+                </button>
+              </PopoverHandler>
+              <PopoverContent className="z-50 p-4">
+                <TokenEditor
+                  token={token}
+                  filteringProperties={filteringProperties}
+                  filteringOptions={filteringOptions}
+                  freeTextFiltering={freeTextFiltering}
+                  customOperators={customOperators}
+                  onSubmit={(updatedToken) => {
+                    onUpdate(index, updatedToken);
+                    setIsEditing(false);
+                  }}
+                  onCancel={() => setIsEditing(false)}
+                  i18nStrings={i18nStrings}
+                />
+              </PopoverContent>
+            </Popover>
+          ) : (
+            tokenContent
+          )
         }
         variant="outlined"
         className="rounded-full border-gray-300 bg-white py-1.5 px-3 text-sm font-normal text-gray-700
@@ -0,0 +1,203 @@
+/**
+ * =============================================================================
+ * asyncOptions.js - Loading Filtering Options from a Server
+ * =============================================================================
+ *
+ * PropertyFilter reports what the user is filtering through onLoadItems and
+ * shows whatever filteringOptions / filteringStatusType it gets back. This
+ * file provides the state between the two, for options fetched page by page:
+ *
+ *   const asyncProps = useAsyncFilteringOptions({
+ *     fetchOptions: async ({ filteringProperty, filteringValue, page, signal }) => {
+ *       const res = await fetch(`/api/values?key=${filteringProperty?.key}&q=${filteringValue}&page=${page}`, { signal });
+ *       const body = await res.json();
+ *       return { options: body.items, hasMore: body.hasMore };
+ *     },
+ *   });
+ *   <PropertyFilter {...asyncProps} filteringProperties={...} query={query} onChange={setQuery} />
+ *
+ * LOAD REQUESTS (onLoadItems detail):
+ * -----------------------------------
+ *   firstPage: true               → new text (debounced) or focus: page 1
+ *   firstPage: false, samePage: false → scrolled to the end: next page
+ *   samePage: true                → "Retry" after an error: the failed page
+ *
+ * STATUS (filteringStatusType):
+ * -----------------------------
+ *   'pending'  → more pages can be loaded
+ *   'loading'  → a request is in flight
+ *   'error'    → the last request failed (the dropdown offers a retry)
+ *   'finished' → every page is loaded
+ *
+ * A newer request aborts the one in flight (its signal fires), so results
+ * for old text never replace newer ones. Loaded pages are kept in an LRU
+ * cache keyed by property + filter text: typing back to earlier text shows
+ * its options without a request.
+ */
+
+import { useState, useRef, useCallback, useEffect } from 'react';
+
+// Number of property + text results kept by default
+const DEFAULT_CACHE_SIZE = 50;
+
+/**
+ * Creates a least-recently-used cache.
+ *
+ * Reading or writing an entry makes it the most recent; writing beyond
+ * maxSize evicts the least recent one.
+ *
+ * @param {number} maxSize - Maximum number of entries
+ * @returns {Object} Cache { get, set, has, delete, clear, values, size }
+ *
+ * @example
+ * const cache = createLruCache(2);
+ * cache.set('a', 1);
+ * cache.set('b', 2);
+ * cache.get('a');    // 1 - 'a' is now the most recent
+ * cache.set('c', 3); // evicts 'b'
+ */
+export function createLruCache(maxSize = DEFAULT_CACHE_SIZE) {
+  // Map iterates in insertion order - the first key is the least recent
+  const entries = new Map();
+
+  return {
+    get(key) {
+      if (!entries.has(key)) return undefined;
+      const value = entries.get(key);
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    },
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, value);
+      if (entries.size > maxSize) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    has(key) {
+      return entries.has(key);
+    },
+    delete(key) {
+      return entries.delete(key);
+    },
+    clear() {
+      entries.clear();
+    },
+    // Least recent first; reading them doesn't change the order
+    values() {
+      return [...entries.values()];
+    },
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+/**
+ * Builds the cache key of a load request.
+ * Internal helper (not exported).
+ */
+function getCacheKey(detail) {
+  return `${detail.filteringProperty?.key ?? ''}\u0000${detail.filteringValue ?? detail.filteringText ?? ''}`;
+}
+
+// Cache entry for text with nothing loaded yet
+const EMPTY_ENTRY = { options: [], nextPage: 1, hasMore: true };
+
+/**
+ * useAsyncFilteringOptions - Paginated, cancellable, cached option loading.
+ *
+ * @param {Object} options - {
+ *     fetchOptions,  // async ({ filteringText, filteringValue, filteringProperty,
+ *                    //   filteringOperator, page, signal }) →
+ *                    //   { options, hasMore } or an options array (a single page);
+ *                    //   options are filteringOptions ({ propertyKey, value, label })
+ *     cacheSize = 50,
+ *   }
+ * @returns {Object} { filteringOptions, filteringStatusType, onLoadItems } -
+ *   pass them to PropertyFilter (concatenate static options into
+ *   filteringOptions if you have any)
+ */
+export function useAsyncFilteringOptions({ fetchOptions, cacheSize = DEFAULT_CACHE_SIZE } = {}) {
+  const [state, setState] = useState({ options: [], statusType: 'pending' });
+  const cacheRef = useRef(null);
+  if (!cacheRef.current) cacheRef.current = createLruCache(cacheSize);
+
+  // The request in flight: { key, controller }
+  const requestRef = useRef(null);
+  // Key and detail of the latest request, for next pages and retries
+  const currentRef = useRef(null);
+
+  // Always call the latest fetchOptions, so callers can pass an inline function
+  const fetchOptionsRef = useRef(fetchOptions);
+  fetchOptionsRef.current = fetchOptions;
+
+  // Abort whatever is in flight when unmounting
+  useEffect(() => () => requestRef.current?.controller.abort(), []);
+
+  const fetchPage = useCallback(async (key, detail, entry) => {
+    requestRef.current?.controller.abort();
+    const controller = new AbortController();
+    requestRef.current = { key, controller };
+    setState({ options: entry.options, statusType: 'loading' });
+
+    try {
+      const result = await fetchOptionsRef.current({
+        filteringText: detail.filteringText,
+        filteringValue: detail.filteringValue,
+        filteringProperty: detail.filteringProperty,
+        filteringOperator: detail.filteringOperator,
+        page: entry.nextPage,
+        signal: controller.signal,
+      });
+      if (controller.signal.aborted) return;
+
+      const { options = [], hasMore = false } = Array.isArray(result) ? { options: result } : (result ?? {});
+      const next = {
+        options: [...entry.options, ...options],
+        nextPage: entry.nextPage + 1,
+        hasMore: Boolean(hasMore),
+      };
+      cacheRef.current.set(key, next);
+      requestRef.current = null;
+      setState({ options: next.options, statusType: next.hasMore ? 'pending' : 'finished' });
+    } catch (error) {
+      // Aborted by a newer request - that one owns the state now
+      if (controller.signal.aborted) return;
+      requestRef.current = null;
+      setState({ options: entry.options, statusType: 'error' });
+    }
+  }, []);
+
+  const onLoadItems = useCallback((detail) => {
+    if (!fetchOptionsRef.current) return;
+
+    if (detail.firstPage) {
+      const key = getCacheKey(detail);
+      currentRef.current = { key, detail };
+      const cached = cacheRef.current.get(key);
+      if (cached) {
+        requestRef.current?.controller.abort();
+        requestRef.current = null;
+        setState({ options: cached.options, statusType: cached.hasMore ? 'pending' : 'finished' });
+        return;
+      }
+      fetchPage(key, detail, EMPTY_ENTRY);
+      return;
+    }
+
+    // Next page or retry - continues the latest request's text
+    const current = currentRef.current;
+    if (!current || requestRef.current?.key === current.key) return;
+    const entry = cacheRef.current.get(current.key) ?? EMPTY_ENTRY;
+    if (!detail.samePage && !entry.hasMore) return;
+    fetchPage(current.key, current.detail, entry);
+  }, [fetchPage]);
+
+  return {
+    filteringOptions: state.options,
+    filteringStatusType: state.statusType,
+    onLoadItems,
+  };
+}
@@ -35,9 +35,19 @@
 
 export { default } from './PropertyFilter';
 export { default as PropertyFilter } from './PropertyFilter';
-export { default as FilterToken } from './FilterToken';
+export { default as FilterToken, OperationSelector } from './FilterToken';
+export { default as FilterTokenGroup } from './FilterTokenGroup';
+export { default as TokenEditor } from './TokenEditor';
 export { default as FilterAutosuggest } from './FilterAutosuggest';
+export { default as DateCalendar } from './DateCalendar';
+export { SavedFiltersMenu, SaveFilterButton } from './SavedFilters';
+export { usePropertyFilter } from './usePropertyFilter';
 
 // Export utilities
 export * from './utils';
 export * from './controller';
+export * from './queryString';
+export * from './urlState';
+export * from './savedFilterStorage';
+export * from './asyncOptions';
+export * from './deriveFilteringConfig';
@@ -0,0 +1,132 @@
+/**
+ * =============================================================================
+ * savedFilterStorage.js - Storage for Saved Filter Presets
+ * =============================================================================
+ *
+ * PropertyFilter only shows saved filters (savedFilters prop) and reports
+ * saves and deletes (onSaveFilter / onDeleteFilter). This file provides the
+ * state behind those props, persisted through a storage adapter:
+ *
+ *   const savedFilterProps = useSavedFilters({
+ *     storage: createLocalStorageAdapter('users-table-filters'),
+ *   });
+ *   <PropertyFilter {...savedFilterProps} query={query} onChange={setQuery} />
+ *
+ * STORAGE ADAPTERS:
+ * -----------------
+ * Any object with two synchronous methods:
+ *   load()        → the stored array (an empty array if nothing is stored)
+ *   save(entries) → stores the array
+ *
+ * createLocalStorageAdapter() keeps presets in localStorage, so they persist
+ * between sessions; createMemoryStorageAdapter() keeps them until the page
+ * is reloaded. Write your own adapter to keep them elsewhere (e.g. a user
+ * profile cached in memory and synced to a server).
+ *
+ * The same adapters persist PropertyFilter's recently / frequently used
+ * filters (filterUsageStorage prop).
+ *
+ * A saved filter is { id, name, query } with query in API format.
+ */
+
+import { useState, useCallback } from 'react';
+
+/**
+ * Creates a storage adapter backed by localStorage (or another Web Storage
+ * object).
+ *
+ * Unreadable entries load as an empty array, and failed writes (storage
+ * full or blocked) are ignored - presets then last for the session only.
+ *
+ * @param {string} key - Storage key
+ * @param {Storage} storage - Web Storage to use (defaults to localStorage)
+ * @returns {Object} Adapter { load, save }
+ *
+ * @example
+ * const storage = createLocalStorageAdapter('users-table-filters');
+ * storage.save([{ id: '1', name: 'Active', query }]);
+ * storage.load(); // [{ id: '1', name: 'Active', query }]
+ */
+export function createLocalStorageAdapter(key, storage = globalThis.localStorage) {
+  return {
+    load() {
+      try {
+        const entries = JSON.parse(storage?.getItem(key) ?? '[]');
+        return Array.isArray(entries) ? entries : [];
+      } catch (error) {
+        return [];
+      }
+    },
+    save(entries) {
+      try {
+        storage?.setItem(key, JSON.stringify(entries));
+      } catch (error) {
+        // Storage full or blocked (e.g. some private browsing modes)
+      }
+    },
+  };
+}
+
+/**
+ * Creates a storage adapter that keeps entries in memory, for the session.
+ *
+ * @param {Array} entries - Initial entries
+ * @returns {Object} Adapter { load, save }
+ *
+ * @example
+ * <PropertyFilter filterUsageStorage={useMemo(() => createMemoryStorageAdapter(), [])} ... />
+ */
+export function createMemoryStorageAdapter(entries = []) {
+  let stored = entries;
+  return {
+    load: () => stored,
+    save(newEntries) {
+      stored = newEntries;
+    },
+  };
+}
+
+/**
+ * Creates an id for a new saved filter.
+ * Internal helper (not exported).
+ */
+function createId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * useSavedFilters - Saved filter state, persisted through a storage adapter.
+ *
+ * Saving under an existing name replaces that preset's query.
+ *
+ * @param {Object} options - { storage } adapter (see above); without one,
+ *   presets last until the page is reloaded
+ * @returns {Object} { savedFilters, onSaveFilter, onDeleteFilter } - the
+ *   PropertyFilter props of the same names
+ *
+ * @example
+ * const { savedFilters, onSaveFilter, onDeleteFilter } = useSavedFilters({
+ *   storage: createLocalStorageAdapter('users-table-filters'),
+ * });
+ */
+export function useSavedFilters({ storage } = {}) {
+  const [savedFilters, setSavedFilters] = useState(() => storage?.load() ?? []);
+
+  const update = useCallback((entries) => {
+    setSavedFilters(entries);
+    storage?.save(entries);
+  }, [storage]);
+
+  const onSaveFilter = useCallback(({ name, query }) => {
+    const existing = savedFilters.find(savedFilter => savedFilter.name === name);
+    update(existing
+      ? savedFilters.map(savedFilter => (savedFilter === existing ? { ...existing, query } : savedFilter))
+      : [...savedFilters, { id: createId(), name, query }]);
+  }, [savedFilters, update]);
+
+  const onDeleteFilter = useCallback((deleted) => {
+    update(savedFilters.filter(savedFilter => savedFilter.id !== deleted.id));
+  }, [savedFilters, update]);
+
+  return { savedFilters, onSaveFilter, onDeleteFilter };
+}
@@ -1,6 +1,6 @@
 import React, { useState, useMemo } from 'react';
 import { Card, Typography } from '@material-tailwind/react';
-import PropertyFilter from '../PropertyFilter';
+import PropertyFilter, { evaluateQuery } from '../PropertyFilter';
 
 /**
  * Example data for demonstration
@@ -66,78 +66,21 @@ const FILTERING_OPTIONS = [
   { propertyKey: 'department', value: 'Support', label: 'Support' },
 ];
 
-/**
- * Apply filters to data
- */
-function applyFilters(data, query) {
-  if (!query.tokens || query.tokens.length === 0) {
-    return data;
-  }
-
-  return data.filter(item => {
-    const tokenResults = query.tokens.map(token => {
-      const { propertyKey, operator, value } = token;
-
-      // Free text search (no property specified)
-      if (!propertyKey) {
-        const searchValue = String(value).toLowerCase();
-        return Object.values(item).some(val =>
-          String(val).toLowerCase().includes(searchValue)
-        );
-      }
-
-      const itemValue = String(item[propertyKey] || '').toLowerCase();
-      const filterValue = String(value).toLowerCase();
-
-      switch (operator) {
-        case '=':
-          return itemValue === filterValue;
-        case '!=':
-          return itemValue !== filterValue;
-        case ':':
-          return itemValue.includes(filterValue);
-        case '!:':
-          return !itemValue.includes(filterValue);
-        case '^':
-          return itemValue.startsWith(filterValue);
-        case '!^':
-          return !itemValue.startsWith(filterValue);
-        case '>':
-          return itemValue > filterValue;
-        case '<':
-          return itemValue < filterValue;
-        case '>=':
-          return itemValue >= filterValue;
-        case '<=':
-          return itemValue <= filterValue;
-        default:
-          return true;
-      }
-    });
-
-    // Apply AND/OR logic
-    if (query.operation === 'and') {
-      return tokenResults.every(Boolean);
-    } else {
-      return tokenResults.some(Boolean);
-    }
-  });
-}
-
 /**
  * Example component demonstrating PropertyFilter usage
  */
 export default function ExampleUsage() {
+  // Query in API format, as emitted by onChange
   const [query, setQuery] = useState({
-    tokens: [],
-    operation: 'and',
+    filter: { and: [], or: [] },
   });
 
-  // Apply filters to data
+  // Apply filters to data with the same operator semantics the component uses
   const filteredData = useMemo(
-    () => applyFilters(SAMPLE_DATA, query),
+    () => evaluateQuery(SAMPLE_DATA, query, FILTERING_PROPERTIES),
     [query]
   );
+  const hasFilters = query.filter.and.length > 0 || query.filter.or.length > 0;
 
   // Generate count text
   const countText = useMemo(() => {
@@ -168,7 +111,7 @@ export default function ExampleUsage() {
           filteringOptions={FILTERING_OPTIONS}
           query={query}
           onChange={setQuery}
-          countText={query.tokens.length > 0 ? countText : undefined}
+          countText={hasFilters ? countText : undefined}
           filteringPlaceholder="Filter users by property or value..."
           i18nStrings={{
             clearFiltersText: 'Clear all',
@@ -1,6 +1,7 @@
 import React, { useState, useMemo } from 'react';
 import { Card, Typography, Chip } from '@material-tailwind/react';
 import PropertyFilter from './components/PropertyFilter';
+import { evaluateQuery } from './components/utils';
 
 // Sample data to filter
 const USERS = [
@@ -27,28 +28,28 @@ const FILTERING_PROPERTIES = [
     key: 'email',
     propertyLabel: 'Email',
     groupValuesLabel: 'Email values',
-    operators: ['=', '!=', ':', '!:', '^'],
+    operators: ['=', '!=', ':', '!:', '^', '~', '!~', 'like'],
     defaultOperator: ':',
   },
   {
     key: 'status',
     propertyLabel: 'Status',
     groupValuesLabel: 'Status values',
-    operators: ['=', '!='],
+    operators: ['=', '!=', 'in', 'not in'],
     defaultOperator: '=',
   },
   {
     key: 'role',
     propertyLabel: 'Role',
     groupValuesLabel: 'Role values',
-    operators: ['=', '!='],
+    operators: ['=', '!=', 'in', 'not in'],
     defaultOperator: '=',
   },
   {
     key: 'department',
     propertyLabel: 'Department',
     groupValuesLabel: 'Department values',
-    operators: ['=', '!=', ':'],
+    operators: ['=', '!=', ':', 'exists', 'not exists'],
     defaultOperator: '=',
   },
   {
@@ -125,66 +126,6 @@ const FILTERING_OPTIONS = [
   },
 ];
 
-// Map API operator names to filter functions
-const operatorFunctions = {
-  'equals': (itemValue, filterValue) => itemValue === filterValue,
-  'does-not-equal': (itemValue, filterValue) => itemValue !== filterValue,
-  'contains': (itemValue, filterValue) => itemValue.includes(filterValue),
-  'does-not-contain': (itemValue, filterValue) => !itemValue.includes(filterValue),
-  'starts-with': (itemValue, filterValue) => itemValue.startsWith(filterValue),
-  'does-not-start-with': (itemValue, filterValue) => !itemValue.startsWith(filterValue),
-  'greater-than': (itemValue, filterValue) => parseFloat(itemValue) > parseFloat(filterValue),
-  'less-than': (itemValue, filterValue) => parseFloat(itemValue) < parseFloat(filterValue),
-  'greater-than-or-equal': (itemValue, filterValue) => parseFloat(itemValue) >= parseFloat(filterValue),
-  'less-than-or-equal': (itemValue, filterValue) => parseFloat(itemValue) <= parseFloat(filterValue),
-};
-
-// Apply filters to data (using new API format)
-function applyFilters(data, query) {
-  const { filter = {} } = query;
-  const { and = [], or = [] } = filter;
-  
-  // Determine which filters to apply
-  const hasAndFilters = and.length > 0;
-  const hasOrFilters = or.length > 0;
-  
-  if (!hasAndFilters && !hasOrFilters) {
-    return data;
-  }
-
-  return data.filter(item => {
-    const evaluateFilter = (filterItem) => {
-      const { field, op, value } = filterItem;
-
-      // Free text search (no field specified)
-      if (!field) {
-        const searchValue = String(value).toLowerCase();
-        return Object.values(item).some(val =>
-          String(val).toLowerCase().includes(searchValue)
-        );
-      }
-
-      const itemValue = String(item[field] || '').toLowerCase();
-      const filterValue = String(value).toLowerCase();
-
-      const operatorFn = operatorFunctions[op];
-      return operatorFn ? operatorFn(itemValue, filterValue) : true;
-    };
-
-    // Apply AND logic
-    if (hasAndFilters) {
-      return and.every(evaluateFilter);
-    }
-    
-    // Apply OR logic
-    if (hasOrFilters) {
-      return or.some(evaluateFilter);
-    }
-
-    return true;
-  });
-}
-
 function App() {
   const [query, setQuery] = useState({
     filter: {
@@ -193,8 +134,11 @@ function App() {
     },
   });
 
-  // Apply filters
-  const filteredUsers = useMemo(() => applyFilters(USERS, query), [query]);
+  // Apply filters with the same operator semantics the component uses
+  const filteredUsers = useMemo(
+    () => evaluateQuery(USERS, query, FILTERING_PROPERTIES),
+    [query]
+  );
 
   // Count text
   const countText = useMemo(() => {
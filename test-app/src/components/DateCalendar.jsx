@@ -0,0 +1,152 @@
+/**
+ * =============================================================================
+ * DateCalendar.jsx - Month Calendar for Picking a Date Value
+ * =============================================================================
+ *
+ * This component is shown at the top of the FilterAutosuggest dropdown when
+ * the user is entering a value for a 'date' or 'datetime' property
+ * (e.g. after typing "Created > "). Clicking a day completes the filter.
+ *
+ * VISUAL STRUCTURE:
+ * -----------------
+ * ┌─────────────────────────────────┐
+ * │  [‹]     October 2026      [›]  │
+ * │  Mo  Tu  We  Th  Fr  Sa  Su     │
+ * │            1   2   3   4        │
+ * │   5   6   7   8   9  10  11     │
+ * │  ...                            │
+ * └─────────────────────────────────┘
+ *
+ * Days are reported as "YYYY-MM-DD" strings; relative expressions and ranges
+ * are typed or picked from the suggestions below the calendar.
+ *
+ * TO CUSTOMIZE:
+ * -------------
+ * - Labels: Pass calendar* keys in i18nStrings
+ * - Week start: Weeks start on Monday, matching parseDateExpression()
+ */
+
+import React, { useState, useEffect } from 'react';
+import { IconButton, Typography } from '@material-tailwind/react';
+import { ChevronLeftIcon, ChevronRightIcon } from '@heroicons/react/24/outline';
+
+/**
+ * Formats a Date as a local "YYYY-MM-DD" string.
+ */
+function toIsoDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Reads a "YYYY-MM-DD" string as a local date, or returns null.
+ */
+function fromIsoDate(value) {
+  const match = String(value ?? '').trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+}
+
+/**
+ * DateCalendar - Month grid that reports the clicked day.
+ *
+ * @param {string} value - Selected date "YYYY-MM-DD" (optional, highlighted)
+ * @param {Function} onSelect - Called with the clicked day as "YYYY-MM-DD"
+ * @param {Object} i18nStrings - Localization strings
+ */
+export default function DateCalendar({ value, onSelect, i18nStrings = {} }) {
+  const {
+    calendarAriaLabel = 'Choose date',
+    calendarPreviousMonthAriaLabel = 'Previous month',
+    calendarNextMonthAriaLabel = 'Next month',
+    calendarWeekdays = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'],
+  } = i18nStrings;
+
+  const selectedDate = fromIsoDate(value);
+  const selectedIsoDate = selectedDate ? toIsoDate(selectedDate) : null;
+  const today = toIsoDate(new Date());
+
+  // Month being shown - starts at the selected date, else the current month
+  const [visibleMonth, setVisibleMonth] = useState(() => {
+    const start = selectedDate || new Date();
+    return new Date(start.getFullYear(), start.getMonth(), 1);
+  });
+
+  // Follow dates typed while the calendar is open
+  useEffect(() => {
+    const date = fromIsoDate(selectedIsoDate);
+    if (date) {
+      setVisibleMonth(new Date(date.getFullYear(), date.getMonth(), 1));
+    }
+  }, [selectedIsoDate]);
+
+  const showMonth = (offset) => {
+    setVisibleMonth(month => new Date(month.getFullYear(), month.getMonth() + offset, 1));
+  };
+
+  // Blank cells before the 1st so columns line up with Monday-first weekdays
+  const leadingBlanks = (visibleMonth.getDay() + 6) % 7;
+  const daysInMonth = new Date(visibleMonth.getFullYear(), visibleMonth.getMonth() + 1, 0).getDate();
+  const days = Array.from({ length: daysInMonth }, (_, index) =>
+    new Date(visibleMonth.getFullYear(), visibleMonth.getMonth(), index + 1)
+  );
+
+  const monthTitle = visibleMonth.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+
+  return (
+    <div className="p-3 border-b border-gray-100" role="group" aria-label={calendarAriaLabel}>
+      {/* HEADER - month navigation */}
+      <div className="flex items-center justify-between mb-2">
+        <IconButton
+          variant="text"
+          size="sm"
+          onClick={() => showMonth(-1)}
+          aria-label={calendarPreviousMonthAriaLabel}
+        >
+          <ChevronLeftIcon className="h-4 w-4" />
+        </IconButton>
+        <Typography variant="small" className="font-semibold text-gray-700">
+          {monthTitle}
+        </Typography>
+        <IconButton
+          variant="text"
+          size="sm"
+          onClick={() => showMonth(1)}
+          aria-label={calendarNextMonthAriaLabel}
+        >
+          <ChevronRightIcon className="h-4 w-4" />
+        </IconButton>
+      </div>
+
+      {/* DAY GRID */}
+      <div className="grid grid-cols-7 gap-1 text-center">
+        {calendarWeekdays.map(weekday => (
+          <Typography key={weekday} variant="small" className="text-xs font-medium text-gray-500">
+            {weekday}
+          </Typography>
+        ))}
+        {Array.from({ length: leadingBlanks }, (_, index) => (
+          <span key={`blank-${index}`} />
+        ))}
+        {days.map(day => {
+          const isoDate = toIsoDate(day);
+          const isSelected = isoDate === selectedIsoDate;
+          return (
+            <button
+              key={isoDate}
+              type="button"
+              aria-label={isoDate}
+              aria-pressed={isSelected}
+              onClick={() => onSelect?.(isoDate)}
+              className={`rounded-md py-1 text-sm transition-colors
+                ${isSelected ? 'bg-blue-600 text-white' : 'text-gray-700 hover:bg-blue-50'}
+                ${isoDate === today && !isSelected ? 'font-semibold text-blue-600' : ''}`}
+            >
+              {day.getDate()}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,131 @@
+/**
+ * =============================================================================
+ * FilterTokenGroup.jsx - Parenthesised Group of Filter Tokens
+ * =============================================================================
+ *
+ * This component renders a nested token group - a set of tokens joined by
+ * their own AND/OR operation, e.g. "(Role = admin OR Role = manager)".
+ *
+ * VISUAL STRUCTURE:
+ * -----------------
+ * ┌─────┐ ┌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌┐
+ * │ AND │ ┆ [Role = admin]  [OR]  [Role = manager]  ┆
+ * └─────┘ └╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌╌┘
+ *    ↑                      ↑
+ *    │                      └─ Group operation (joins tokens inside the group)
+ *    └─ Parent operation (joins the group to the previous entry)
+ *
+ * Groups can contain further groups; they are rendered recursively.
+ *
+ * TOKEN ADDRESSING:
+ * -----------------
+ * Each group receives its `path` (indices from the top level). Tokens
+ * inside are passed [...path, index] so onRemove can target them directly
+ * via getQueryActions().removeToken(path).
+ */
+
+import React from 'react';
+import FilterToken, { OperationSelector } from './FilterToken';
+
+/**
+ * FilterTokenGroup - Displays a token group with a group-level AND/OR selector.
+ *
+ * @param {Object} group - Formatted group { operation, tokens: [...] }
+ * @param {Array} path - Group's position, e.g. [2] or [2, 0]
+ * @param {boolean} showOperation - Show parent AND/OR selector before the group
+ * @param {string} operation - Parent operation joining this group: 'and' or 'or'
+ * @param {Function} onRemove - Called with a token path when a token is removed
+ * @param {Function} onOperationChange - Called with new parent operation
+ * @param {Function} onGroupOperationChange - Called with (groupPath, operation)
+ * @param {boolean} hideOperations - Hide AND/OR selectors
+ * @param {boolean} disabled - Disable interactions
+ * @param {boolean} readOnlyOperations - Show operations as text, not dropdown
+ * @param {Function} onUpdate - Called with (tokenPath, token) after editing a token
+ * @param {Array} filteringProperties - Internal properties for the token editor
+ * @param {Array} filteringOptions - Internal options for the token editor
+ * @param {Object} freeTextFiltering - Free text config for the token editor
+ * @param {Array} customOperators - The filter's custom operators, for the tokens inside
+ * @param {Function} renderToken - Custom chip content for the tokens inside
+ * @param {Object} i18nStrings - Localization strings
+ */
+export default function FilterTokenGroup({
+  group,
+  path,
+  showOperation = false,
+  operation = 'and',
+  onRemove,
+  onOperationChange,
+  onGroupOperationChange,
+  hideOperations = false,
+  disabled = false,
+  readOnlyOperations = false,
+  onUpdate,
+  filteringProperties,
+  filteringOptions,
+  freeTextFiltering,
+  customOperators,
+  renderToken,
+  i18nStrings = {},
+}) {
+  const { tokenGroupAriaLabel = 'Filter group' } = i18nStrings;
+
+  return (
+    <div className="flex items-center gap-1">
+      {/* Parent operation - joins this group to the previous entry */}
+      {showOperation && (
+        <OperationSelector
+          operation={operation}
+          onChange={onOperationChange}
+          disabled={disabled}
+          readOnly={readOnlyOperations}
+          i18nStrings={i18nStrings}
+        />
+      )}
+
+      {/* Group contents - tokens and nested groups joined by the group operation */}
+      <div
+        role="group"
+        aria-label={tokenGroupAriaLabel}
+        className="flex flex-wrap items-center gap-2 rounded-lg border border-dashed border-gray-300
+                   bg-gray-50 px-2 py-1"
+      >
+        {group.tokens.map((tokenOrGroup, index) => {
+          const tokenPath = [...path, index];
+          const sharedProps = {
+            showOperation: index > 0 && !hideOperations,
+            operation: group.operation,
+            onRemove,
+            onOperationChange: (newOperation) => onGroupOperationChange?.(path, newOperation),
+            disabled,
+            readOnlyOperations,
+            onUpdate,
+            filteringProperties,
+            filteringOptions,
+            freeTextFiltering,
+            customOperators,
+            renderToken,
+            i18nStrings,
+          };
+
+          return tokenOrGroup.tokens ? (
+            <FilterTokenGroup
+              key={`group-${tokenPath.join('.')}`}
+              group={tokenOrGroup}
+              path={tokenPath}
+              onGroupOperationChange={onGroupOperationChange}
+              hideOperations={hideOperations}
+              {...sharedProps}
+            />
+          ) : (
+            <FilterToken
+              key={`${tokenOrGroup.propertyKey || 'free'}-${tokenOrGroup.operator}-${tokenOrGroup.value}-${tokenPath.join('.')}`}
+              token={tokenOrGroup}
+              index={tokenPath}
+              {...sharedProps}
+            />
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -22,6 +22,10 @@
  * 3. QUERY OUTPUT: Tokens are converted to API format
  *    - Internal format: { tokens: [...], operation: 'and'|'or' }
  *    - API format: { filter: { and: [...], or: [...] } }
+ *    - Nested groups: { tokens, operation } internally, { and } / { or } in API
+ * 
+ * The state and behavior behind these stages live in the headless
+ * usePropertyFilter() hook (usePropertyFilter.js); this file renders them.
  * 
  * DATA FLOW:
  * ----------
@@ -38,6 +42,7 @@
  *   propertyLabel: 'My Field', // Display label
  *   operators: ['=', '!=', ':'], // Supported operators
  *   defaultOperator: '=',
+ *   type: 'number' | 'date' | 'datetime' | 'boolean' | 'enum', // Optional data type
  *   validationType: 'ip' | 'port' | undefined, // Optional validation
  * }
  * 
@@ -55,41 +60,33 @@ import { XMarkIcon } from '@heroicons/react/24/outline';
 // Child components
 import FilterAutosuggest from './FilterAutosuggest'; // Input with dropdown suggestions
 import FilterToken from './FilterToken';             // Individual filter chip/tag
+import FilterTokenGroup from './FilterTokenGroup';   // Parenthesised group of tokens
+import DateCalendar from './DateCalendar';           // Calendar for date property values
+import { SavedFiltersMenu, SaveFilterButton } from './SavedFilters'; // Named query presets
+
+// State and behavior (parsing, suggestions, validation, query actions)
+import { usePropertyFilter } from './usePropertyFilter';
 
-// Controller functions handle parsing and suggestion generation
-import { getQueryActions, parseText, getAutosuggestOptions, formatToken } from './controller';
+// Utility functions for format conversion
+import {
+  queryToApiFormat,
+  isRangeOperator,
+  isValuelessOperator,
+} from './utils';
 
-// Utility functions for validation and format conversion
-import { validateTokenValue, apiToQueryFormat } from './utils';
 
 /**
- * Default internationalization strings.
- * Override any of these by passing i18nStrings prop.
- * 
- * TO ADD A NEW STRING:
- * Add the key here with default value, then use i18nStrings.yourKey in the component.
+ * How long the "Filters cleared - Undo" notice stays, in milliseconds.
  */
-const defaultI18nStrings = {
-  filteringAriaLabel: 'Filter',
-  filteringPlaceholder: 'Filter by property or value',
-  groupPropertiesText: 'Properties',      // Dropdown group header for properties
-  groupValuesText: 'Values',              // Dropdown group header for values
-  operatorsText: 'Operators',             // Dropdown group header for operators
-  operationAndText: 'and',                // Text shown between tokens for AND
-  operationOrText: 'or',                  // Text shown between tokens for OR
-  clearFiltersText: 'Clear filters',      // Clear all button text
-  removeTokenAriaLabel: 'Remove filter',  // Accessibility label for remove button
-  tokenLimitShowMore: 'Show more',        // Show more tokens button
-  tokenLimitShowFewer: 'Show fewer',      // Show fewer tokens button
-  enteredTextLabel: (text) => `Use: "${text}"`, // Free text option in dropdown
-  allPropertiesLabel: 'All properties',   // Label for searching all properties
-};
+const CLEARED_NOTICE_DURATION = 5000;
+
 
 /**
  * PropertyFilter component - A powerful filtering component for tables and lists
  * 
  * @param {Object} props - Component props
- * @param {Array} props.filteringProperties - Array of filterable properties
+ * @param {Array} props.filteringProperties - Array of filterable properties (a property's
+ *   loadOptions(filterText, { signal }) loads its values while they are typed)
  * @param {Array} props.filteringOptions - Array of available filter options
  * @param {Object} props.query - Current query state { tokens: [], operation: 'and' | 'or' }
  * @param {Function} props.onChange - Query change handler
@@ -109,6 +106,24 @@ const defaultI18nStrings = {
  * @param {string} props.filteringLoadingText - Loading text
  * @param {React.ReactNode} props.filteringConstraintText - Constraint text below input
  * @param {Function} props.onLoadItems - Load items handler for async options
+ * @param {string} props.filteringStatusType - Async status: 'pending' | 'loading' | 'error' | 'finished'
+ * @param {string} props.filteringErrorText - Text shown when loading options failed
+ * @param {string} props.filteringRecoveryText - Label of the retry link after an error
+ * @param {string} props.filteringFinishedText - Text shown after the last page of options
+ * @param {number} props.filteringDebounceDelay - Typing pause (ms) before onLoadItems is called
+ * @param {number} props.filteringGroupLimit - Options shown per dropdown group before a "Show N more" row (default 100)
+ * @param {Object} props.filterUsageStorage - Storage adapter { load, save } for the "Recent filters" /
+ *   "Frequently used" suggestions; without one they aren't shown
+ * @param {Function} props.getValueCounts - (propertyKey, query) → { [value]: count } shown next to values
+ * @param {boolean} props.sortValuesByCount - List a property's values by count, most first
+ * @param {boolean} props.hideZeroCountValues - Hide values with a count of 0
+ * @param {Array} props.savedFilters - Saved filter presets [{ id, name, query }]
+ * @param {Function} props.onSaveFilter - Called with { name, query } to save the current query
+ * @param {Function} props.onDeleteFilter - Called with the preset to delete
+ * @param {Function} props.renderToken - Custom chip content, called with the formatted token
+ * @param {Function} props.renderOption - Custom option row content, called with (option, { highlighted })
+ * @param {Function} props.renderGroupHeader - Custom dropdown group header, called with the group
+ * @param {Function} props.renderEmpty - Custom empty state of the dropdown
  * @param {string} props.className - Additional CSS classes
  */
 const PropertyFilter = forwardRef(function PropertyFilter(
@@ -168,62 +183,91 @@ const PropertyFilter = forwardRef(function PropertyFilter(
     filteringEmpty,                       // Empty state content
     filteringLoadingText,                 // Loading state text
     filteringConstraintText,              // Help text below input
+    customOperators,                      // Operator definitions for this filter only (see getOperator)
+    savedFilters,                         // Saved filter presets, listed in a dropdown
+    onSaveFilter,                         // Enables "Save current filter"
+    onDeleteFilter,                       // Enables deleting presets from the dropdown
+    renderToken,                          // Custom chip content (icons, badges)
+    renderOption,                         // Custom dropdown option content
+    renderGroupHeader,                    // Custom dropdown group header
+    renderEmpty,                          // Custom dropdown empty state
     onLoadItems,                          // Async loading callback
+    filteringStatusType,                  // 'pending' | 'loading' | 'error' | 'finished'
+    filteringErrorText,                   // Error text for failed loads
+    filteringRecoveryText,                // Retry link label
+    filteringFinishedText,                // Text after the last page
+    filteringDebounceDelay,               // Typing pause before onLoadItems (ms)
+    filteringGroupLimit,                  // Options shown per group before "Show N more"
+    filterUsageStorage,                   // Storage adapter for recently / frequently used filters
+    getValueCounts,                       // Value counts given the current query
+    sortValuesByCount,                    // Sort a property's values by count
+    hideZeroCountValues,                  // Hide values with a count of 0
     className = '',                       // Additional CSS classes
     ...rest                               // Pass through to root div
   },
   ref
 ) {
   // ==========================================================================
-  // LOCAL STATE
-  // ==========================================================================
-  
-  const inputRef = useRef(null);                           // Reference to FilterAutosuggest
-  const [filteringText, setFilteringText] = useState('');  // Current input text
-  const [showAllTokens, setShowAllTokens] = useState(false); // Token limit toggle
-  const [validationError, setValidationError] = useState(null); // Validation error message
-  
-  /**
-   * PENDING NESTED SELECTION - Tracks when user selects an option with nested sub-options.
-   * 
-   * When user selects an option that has nestedOptions (e.g., ICMP protocol),
-   * we store the parent option here and show the nested options in the dropdown.
-   * When user selects a nested option, we create multiple tokens.
-   * 
-   * Structure: { parentOption, property, operator } or null
-   */
-  const [pendingNestedSelection, setPendingNestedSelection] = useState(null);
-
-  // ==========================================================================
-  // MEMOIZED VALUES - Computed values that update when dependencies change
+  // STATE AND BEHAVIOR - see usePropertyFilter.js
   // ==========================================================================
-  // 
-  // WHY useMemo?
-  // These computations can be expensive and we don't want to re-run them on
-  // every render. useMemo caches the result and only recomputes when the
-  // dependencies (items in the array) change.
   //
-  // DEPENDENCY ARRAYS:
-  // The second argument to useMemo is the dependency array. The memoized
-  // value will only be recalculated when one of these values changes.
+  // The hook owns the input text, parsing, suggestions, token creation and
+  // the query actions; this component adds Material Tailwind rendering and
+  // purely visual state (token limit, "Filters cleared" notice).
   // ==========================================================================
 
-  /**
-   * Merge user-provided i18n strings with defaults.
-   * User strings override defaults, allowing partial customization.
-   */
-  const i18nStrings = useMemo(
-    () => ({ ...defaultI18nStrings, ...userI18nStrings }),
-    [userI18nStrings]
-  );
+  const {
+    filteringText,
+    parsedText,
+    validationError,
+    pendingNestedSelection,
+    i18nStrings,
+    suggestionGroups,
+    optionsStatusType,
+    query: internalQuery,
+    tokens: formattedTokens,
+    filteringProperties: internalProperties,
+    filteringOptions: internalOptions,
+    freeTextFiltering,
+    actions,
+    handleHistoryKeyDown,
+  } = usePropertyFilter({
+    filteringProperties,
+    filteringOptions,
+    query,
+    onChange,
+    disabled,
+    disableFreeTextFiltering,
+    customOperators,
+    onLoadItems,
+    filteringDebounceDelay,
+    filterUsageStorage,
+    getValueCounts,
+    sortValuesByCount,
+    hideZeroCountValues,
+    i18nStrings: userI18nStrings,
+  });
+  const {
+    updateToken,
+    removeToken,
+    setOperation,
+    setGroupOperation,
+    clear,
+    undo,
+    replaceQuery,
+    setInputText,
+    createToken,
+    selectOption,
+    loadItems,
+  } = actions;
 
-  /**
-   * Expose focus() method to parent components via ref.
-   * Usage: const filterRef = useRef(); filterRef.current.focus();
-   */
-  useImperativeHandle(ref, () => ({
-    focus: () => inputRef.current?.focus?.(),
-  }), []);
+  // ==========================================================================
+  // LOCAL STATE
+  // ==========================================================================
+
+  const inputRef = useRef(null);                           // Reference to FilterAutosuggest
+  const [showAllTokens, setShowAllTokens] = useState(false); // Token limit toggle
+  const [showClearedNotice, setShowClearedNotice] = useState(false); // "Filters cleared - Undo"
 
   /**
    * Auto-focus the input when component mounts (if not disabled).
@@ -236,400 +280,99 @@ const PropertyFilter = forwardRef(function PropertyFilter(
   }, [disabled]);
 
   /**
-   * INTERNAL PROPERTIES - Normalized property definitions.
-   * 
-   * Transforms the user-provided filteringProperties into a consistent internal
-   * format with defaults applied. This ensures all properties have the expected
-   * shape regardless of what the user provided.
-   * 
-   * Each property gets:
-   * - key: Unique identifier (matches field name in data)
-   * - propertyLabel: Display name (falls back to key)
-   * - groupValuesLabel: Header text for values dropdown group
-   * - operators: Array of operator strings (extracts from objects if needed)
-   * - defaultOperator: Operator to use when none specified
-   * - getValueFormatter: Function to format values for display
-   * 
-   * TO MODIFY: Add new fields here if properties need additional metadata.
-   */
-  const internalProperties = useMemo(() => {
-    return filteringProperties.map(property => ({
-      ...property,
-      key: property.key,
-      propertyLabel: property.propertyLabel || property.key,
-      groupValuesLabel: property.groupValuesLabel || i18nStrings.groupValuesText,
-      // Operators can be strings or objects with {operator, format}
-      // Extract just the operator string for matching
-      operators: (property.operators || ['=', '!=']).map(op =>
-        typeof op === 'string' ? op : op.operator
-      ),
-      defaultOperator: property.defaultOperator || '=',
-      // Returns a formatter function for a specific operator, if defined
-      getValueFormatter: (operator) => {
-        const extOp = (property.operators || []).find(
-          op => typeof op === 'object' && op.operator === operator
-        );
-        return extOp?.format || null;
-      },
-    }));
-  }, [filteringProperties, i18nStrings.groupValuesText]);
-
-  /**
-   * INTERNAL OPTIONS - Filter values with property references.
-   * 
-   * Links each filter option to its parent property object.
-   * This allows quick access to property metadata when displaying options.
-   * 
-   * TO MODIFY: Add computed fields here if options need additional processing.
-   */
-  const internalOptions = useMemo(() => {
-    return filteringOptions.map(option => ({
-      ...option,
-      // Find the property this option belongs to
-      property: internalProperties.find(p => p.key === option.propertyKey) || null,
-      label: option.label || option.value || '',
-    }));
-  }, [filteringOptions, internalProperties]);
-
-  /**
-   * FREE TEXT FILTERING CONFIG
-   * 
-   * Configuration for free-text search (searching without selecting a property).
-   * Uses 'contains' (:) and 'does not contain' (!:) operators.
-   * 
-   * TO MODIFY: Change operators array to support different free-text operators.
-   */
-  const freeTextFiltering = useMemo(() => ({
-    disabled: disableFreeTextFiltering,
-    operators: [':', '!:'],      // Supported operators for free text
-    defaultOperator: ':',         // Default to 'contains'
-  }), [disableFreeTextFiltering]);
-
-  /**
-   * INTERNAL QUERY - Converted from API format with property references.
-   * 
-   * The external API uses: { filter: { and: [...], or: [...] } }
-   * Internally we use: { tokens: [...], operation: 'and'|'or' }
-   * 
-   * This conversion:
-   * 1. Calls apiToQueryFormat() to convert structure
-   * 2. Attaches property object references to each token
-   * 
-   * Property references allow quick access to property metadata
-   * (label, operators, validation) without repeated lookups.
-   */
-  const internalQuery = useMemo(() => {
-    // Convert from API format {filter: {and: [], or: []}} to internal format
-    const converted = apiToQueryFormat(query);
-    
-    return {
-      operation: converted.operation || 'and',
-      tokens: (converted.tokens || []).map(token => ({
-        ...token,
-        // Attach property reference for easy access to property metadata
-        property: token.propertyKey
-          ? internalProperties.find(p => p.key === token.propertyKey) || null
-          : null,
-      })),
-    };
-  }, [query, internalProperties]);
-
-  /**
-   * QUERY ACTIONS - Functions to modify the query.
-   * 
-   * Returns an object with action functions:
-   * - addToken(token): Add a new filter token
-   * - updateToken(index, token): Update existing token
-   * - updateOperation(op): Change AND/OR operation
-   * - removeToken(index): Remove a specific token
-   * - removeAllTokens(): Clear all tokens
-   * 
-   * These functions handle the conversion back to API format
-   * and call onChange() with the new query.
-   * 
-   * NOTE: This returns NEW function references when dependencies change,
-   * which is why we memoize it - to avoid unnecessary re-renders.
-   */
-  const { addToken, addTokens, updateToken, updateOperation, removeToken, removeAllTokens } = useMemo(
-    () => getQueryActions({
-      query: internalQuery,
-      onChange: (newQuery) => onChange?.(newQuery),
-      filteringOptions: internalOptions,
-    }),
-    [internalQuery, onChange, internalOptions]
-  );
-
-  /**
-   * PARSED TEXT - Analyzes current input to determine filter step.
-   * 
-   * As the user types, this determines what "step" they're at:
-   * - 'property': User has typed a property name + operator + partial value
-   *   Example: "Status = act" → { step: 'property', property: {...}, operator: '=', value: 'act' }
-   * 
-   * - 'operator': User has typed a property name, now selecting operator
-   *   Example: "Status " → { step: 'operator', property: {...}, operatorPrefix: '' }
-   * 
-   * - 'free-text': User is typing free text (no property match)
-   *   Example: "hello" → { step: 'free-text', value: 'hello' }
-   * 
-   * This parsed result drives what suggestions are shown in the dropdown.
-   */
-  const parsedText = useMemo(
-    () => parseText(filteringText, internalProperties, freeTextFiltering),
-    [filteringText, internalProperties, freeTextFiltering]
-  );
-
-  /**
-   * AUTOSUGGEST OPTIONS - Dropdown suggestions based on current input.
+   * Expose methods to parent components via ref.
+   * Usage: const filterRef = useRef(); filterRef.current.addToken('Status = active');
    * 
-   * Generates grouped options for the dropdown based on parsedText:
-   * - If at 'property' step: Show matching values for that property
-   * - If at 'operator' step: Show available operators
-   * - If at 'free-text' step: Show properties and matching values
-   * - If pendingNestedSelection: Show nested options for the parent selection
+   * - focus(): Focus the input
+   * - addToken(textOrToken, groupPath?): Add "Status = active" or
+   *   { propertyKey, operator, value }; returns { valid, error? } and adds
+   *   nothing when invalid (see resolveToken)
+   * - addTokens(textsOrTokens, groupPath?): Same for several, all or none
+   * - removeToken(indexOrPath), setOperation('and'|'or'), clear()
+   * - replaceQuery(query): Replace the whole query (API format), checked like
+   *   addTokens; undo() brings the old one back
+   * - undo() / redo(): Step through query changes; return whether there was one
+   * - setInputText(text), openDropdown(), closeDropdown()
+   * - getQuery(): Current query in API format
+   * - getParsedInput(): parseText() result for the input text
    * 
-   * Returns: { filterText: string, options: Array<{label, options}> }
+   * These are the hook's actions (see usePropertyFilter), except that the
+   * dropdown is FilterAutosuggest's.
    */
-  const autosuggestOptions = useMemo(() => {
-    // If there's a pending nested selection, show nested options instead
-    if (pendingNestedSelection) {
-      const { parentOption, property, operator } = pendingNestedSelection;
-      const nestedOpts = parentOption.nestedOptions;
-      
-      const result = {
-        filterText: '',
-        options: [
-          {
-            label: nestedOpts.groupLabel || 'Select option',
-            options: nestedOpts.options.map(opt => ({
-              value: opt.value,
-              label: opt.label || opt.value,
-              isNestedOption: true, // Mark as nested for handleOptionSelect
-              parentOption: parentOption,
-              nestedConfig: nestedOpts,
-              // Include property and operator directly so we don't need to read from state
-              nestedProperty: property,
-              nestedOperator: operator,
-            })),
-          },
-        ],
-      };
-      return result;
-    }
-    
-    // Normal autosuggest options
-    return getAutosuggestOptions(parsedText, internalProperties, internalOptions, i18nStrings);
-  }, [parsedText, internalProperties, internalOptions, i18nStrings, pendingNestedSelection]);
-
-  // ==========================================================================
-  // CALLBACKS - Event handlers wrapped in useCallback for performance
-  // ==========================================================================
-  //
-  // WHY useCallback?
-  // Without useCallback, these functions would be recreated on every render,
-  // causing child components to re-render unnecessarily. useCallback memoizes
-  // the function and only creates a new one when dependencies change.
-  // ==========================================================================
-
-  /**
-   * CREATE TOKEN - Converts input text into a filter token.
-   * 
-   * This is the core function that transforms user input into a structured
-   * filter token. It's called when:
-   * - User presses Enter
-   * - User clicks on a value suggestion
-   * - User clicks "Use: text" option
-   * 
-   * FLOW:
-   * 1. Parse the text to determine what type of filter it is
-   * 2. Create token object based on parsed step (property, free-text, operator)
-   * 3. Validate the value if property has validationType
-   * 4. Apply normalization if needed (e.g., IP → IP/32)
-   * 5. Add token to query and clear input
-   * 
-   * @param {string} currentText - The full text to parse into a token
-   */
-  const createToken = useCallback((currentText) => {
-    // Parse the text to understand what the user entered
-    const parsed = parseText(currentText, internalProperties, freeTextFiltering);
-    let newToken;
-    let propertyForValidation = null;
-
-    // Build token based on what step the parser detected
-    switch (parsed.step) {
-      // PROPERTY FILTER: "Status = active" → property-based filter
-      case 'property':
-        propertyForValidation = parsed.property; // May have validationType
-        newToken = {
-          property: parsed.property,
-          propertyKey: parsed.property.key,
-          operator: parsed.operator,
-          value: parsed.value,
-        };
-        break;
-
-      // FREE TEXT: "hello" → search across all fields
-      case 'free-text':
-        if (freeTextFiltering.disabled) return; // Bail if free text disabled
-        newToken = {
-          property: null,
-          propertyKey: undefined,
-          operator: parsed.operator || freeTextFiltering.defaultOperator,
-          value: parsed.value,
-        };
-        break;
-
-      // OPERATOR STEP: User typed property but incomplete operator
-      // Treat as free text search
-      case 'operator':
-        if (freeTextFiltering.disabled) return;
-        newToken = {
-          property: null,
-          propertyKey: undefined,
-          operator: freeTextFiltering.defaultOperator,
-          value: currentText,
-        };
-        break;
-
-      default:
-        return; // Unknown step, do nothing
-    }
-
-    // Only create token if there's actual content
-    if (newToken.value?.trim()) {
-      // VALIDATION: Check if property has validation rules (e.g., IP format)
-      if (propertyForValidation) {
-        const validation = validateTokenValue(newToken.value, propertyForValidation);
-        if (!validation.valid) {
-          // Show error and don't create token
-          setValidationError(validation.error);
-          return;
-        }
-        // NORMALIZATION: Use normalized value if provided
-        // Example: "1.2.3.4" becomes "1.2.3.4/32" for IP addresses
-        if (validation.normalizedValue) {
-          newToken.value = validation.normalizedValue;
-        }
-      }
-      
-      // Success! Clear error, add token, reset input
-      setValidationError(null);
-      addToken(newToken);
-      setFilteringText('');
-    }
-  }, [internalProperties, freeTextFiltering, addToken]);
+  useImperativeHandle(ref, () => ({
+    focus: () => inputRef.current?.focus?.(),
+    addToken: actions.addToken,
+    addTokens: actions.addTokens,
+    removeToken: actions.removeToken,
+    setOperation: actions.setOperation,
+    clear: actions.clear,
+    replaceQuery: actions.replaceQuery,
+    undo: actions.undo,
+    redo: actions.redo,
+    setInputText: actions.setInputText,
+    openDropdown: () => inputRef.current?.openDropdown?.(),
+    closeDropdown: () => inputRef.current?.closeDropdown?.(),
+    getQuery: actions.getQuery,
+    getParsedInput: actions.getParsedInput,
+  }), [actions]);
 
   /**
-   * HANDLE OPTION SELECT - Called when user clicks/selects a dropdown option.
-   * 
-   * Different options have different behaviors:
-   * - isNestedOption: User clicked a nested sub-option → create multiple tokens
-   * - hasNestedOptions: User clicked option with sub-options → show nested options
-   * - isEnteredText: User clicked "Use: text" → create free text token
-   * - keepOpenOnSelect: User clicked property/operator → update input, keep dropdown
-   * - Regular option: User clicked value → create token, close dropdown
-   * 
-   * @param {Object} option - The selected option from dropdown
+   * CLEARED NOTICE - "Filters cleared - Undo" after Clear filters.
+   * Hides itself after a few seconds, or once the query has tokens again.
    */
-  const handleOptionSelect = useCallback((option) => {
-    if (!option.value && !option.isNestedOption) return; // Ignore empty options
-
-    // NESTED OPTION SELECTED - Create multiple tokens
-    // This happens when user selects from the nested options dropdown (e.g., ICMP type)
-    if (option.isNestedOption) {
-      const { parentOption, nestedConfig, nestedProperty, nestedOperator } = option;
-      
-      // Create the parent token (e.g., protocol = icmp)
-      const parentToken = {
-        property: nestedProperty,
-        propertyKey: nestedProperty.key,
-        operator: nestedOperator,
-        value: parentOption.value,
-      };
-      
-      // Create the additional token (e.g., types-and-codes = echo-and-echo-reply)
-      const additionalToken = {
-        property: null, // This is a related field, not a defined property
-        propertyKey: nestedConfig.additionalTokenField,
-        operator: '=',
-        value: option.value,
-      };
-      
-      // Add both tokens at once (using addTokens to avoid state batching issues)
-      setValidationError(null);
-      addTokens([parentToken, additionalToken]);
-      setFilteringText('');
-      setPendingNestedSelection(null);
-      return;
-    }
-
-    // "Use: text" option - create free text token
-    if (option.isEnteredText) {
-      createToken(option.value);
-      return;
-    }
+  useEffect(() => {
+    if (!showClearedNotice) return undefined;
+    const timeout = setTimeout(() => setShowClearedNotice(false), CLEARED_NOTICE_DURATION);
+    return () => clearTimeout(timeout);
+  }, [showClearedNotice]);
 
-    // Property or operator selection - update input but keep typing
-    // This allows: click "Status" → input becomes "Status" → show operators
-    if (option.keepOpenOnSelect) {
-      // Check if this option has nested options (e.g., ICMP protocol)
-      if (option.nestedOptions && option.originalOption) {
-        const parsed = parseText(option.value, internalProperties, freeTextFiltering);
-        
-        // Store pending selection and show nested options
-        setPendingNestedSelection({
-          parentOption: option.originalOption,
-          property: parsed.property,
-          operator: parsed.operator,
-        });
-        // Set a placeholder text to indicate nested selection is in progress
-        const newText = `${parsed.property.propertyLabel} ${parsed.operator} ${option.originalOption.label} → `;
-        setFilteringText(newText);
-        return;
-      }
-      
-      // Regular keepOpenOnSelect (property/operator selection)
-      setFilteringText(option.value);
-      return;
-    }
+  useEffect(() => {
+    if (internalQuery.tokens.length > 0) setShowClearedNotice(false);
+  }, [internalQuery.tokens.length]);
 
-    // Regular value selection - create the token
-    createToken(option.value);
-  }, [createToken, addTokens, internalProperties, freeTextFiltering]);
 
   /**
-   * HANDLE LOAD ITEMS - Called for async/paginated option loading.
+   * DATE CALENDAR - Shown in the dropdown at the value step of date properties.
    * 
-   * Passes context to parent's onLoadItems callback so it can fetch
-   * appropriate data based on what the user is filtering.
+   * Clicking a day completes the filter with that date, e.g. "Created > 2026-01-31".
+   * For range operators ('between') the first click fills in the start of the range and the
+   * second completes it. Relative expressions ("-7d", "this month") are typed
+   * or picked from the suggestions listed below the calendar.
    * 
-   * @param {Object} detail - Load request details from FilterAutosuggest
+   * @param {Object} dropdown - { closeDropdown } from FilterAutosuggest
    */
-  const handleLoadItems = useCallback((detail) => {
-    const parsed = parseText(detail.filteringText, internalProperties, freeTextFiltering);
-    const loadDetail = {
-      filteringText: detail.filteringText,
-      // Include property/operator context if user is filtering a specific property
-      filteringProperty: parsed.step === 'property' ? parsed.property : undefined,
-      filteringOperator: parsed.step === 'property' ? parsed.operator : undefined,
-      firstPage: detail.firstPage,
-      samePage: detail.samePage,
-    };
-    onLoadItems?.(loadDetail);
-  }, [internalProperties, freeTextFiltering, onLoadItems]);
+  const renderDateCalendar = useCallback(({ closeDropdown }) => {
+    const isDateValueStep = parsedText.step === 'property' &&
+      ['date', 'datetime'].includes(parsedText.property.type) &&
+      !isValuelessOperator(parsedText.operator, customOperators);
+    if (!isDateValueStep || pendingNestedSelection) return null;
+
+    const { property, operator, value } = parsedText;
+    return (
+      <DateCalendar
+        value={value.trim()}
+        onSelect={(isoDate) => {
+          if (isRangeOperator(operator, customOperators)) {
+            const rangeStart = value.match(/^\s*(\S+)\s+and\s*$/i)?.[1];
+            if (!rangeStart) {
+              setInputText(`${property.propertyLabel} ${operator} ${isoDate} and `);
+              return;
+            }
+            createToken(`${property.propertyLabel} ${operator} ${rangeStart} and ${isoDate}`);
+          } else {
+            createToken(`${property.propertyLabel} ${operator} ${isoDate}`);
+          }
+          closeDropdown();
+        }}
+        i18nStrings={i18nStrings}
+      />
+    );
+  }, [parsedText, pendingNestedSelection, createToken, setInputText, i18nStrings, customOperators]);
 
   // ==========================================================================
   // DISPLAY HELPERS - Computed values for rendering
   // ==========================================================================
 
-  /**
-   * Format tokens for display in the UI.
-   * Converts internal token format to display format with labels.
-   */
-  const formattedTokens = useMemo(() => {
-    return internalQuery.tokens.map(token => formatToken(token, internalProperties));
-  }, [internalQuery.tokens, internalProperties]);
-
   /**
    * Apply token limit - only show first N tokens if limit is set.
    * User can click "Show more" to see all tokens.
@@ -649,11 +392,13 @@ const PropertyFilter = forwardRef(function PropertyFilter(
   //
   // LAYOUT STRUCTURE:
   // ┌─────────────────────────────────────────────────────────────────────────┐
-  // │ [Custom Control] [═══════════ Filter Input ═══════════] [Count Text]   │
+  // │ [Custom Control] [Saved filters ▾] [═══ Filter Input ═══] [Count Text]  │
   // ├─────────────────────────────────────────────────────────────────────────┤
   // │ Validation Error / Constraint Text                                      │
   // ├─────────────────────────────────────────────────────────────────────────┤
-  // │ [Token 1] AND [Token 2] AND [Token 3] [Show more] [Clear filters]      │
+  // │ [Token 1] AND [Token 2] [Show more] [Save current filter] [Clear]       │
+  // ├─────────────────────────────────────────────────────────────────────────┤
+  // │ Filters cleared — Undo  (after Clear filters)                           │
   // └─────────────────────────────────────────────────────────────────────────┘
   //
   // TO MODIFY LAYOUT: Edit the JSX below. Each section is clearly marked.
@@ -671,6 +416,19 @@ const PropertyFilter = forwardRef(function PropertyFilter(
           <div className="flex-shrink-0">{customControl}</div>
         )}
 
+        {/* SAVED FILTERS - Picking a preset replaces the whole query */}
+        {savedFilters && (
+          <div className="flex-shrink-0">
+            <SavedFiltersMenu
+              savedFilters={savedFilters}
+              onApply={(savedFilter) => replaceQuery(savedFilter.query)}
+              onDelete={onDeleteFilter}
+              disabled={disabled}
+              i18nStrings={i18nStrings}
+            />
+          </div>
+        )}
+
         {/* INPUT WRAPPER - Contains FilterAutosuggest and count overlay */}
         <div className="flex-1 relative">
           {/* 
@@ -680,25 +438,30 @@ const PropertyFilter = forwardRef(function PropertyFilter(
           <FilterAutosuggest
             ref={inputRef}
             value={filteringText}
-            onChange={(text) => {
-              setFilteringText(text);
-              // Clear validation error when user starts typing again
-              if (validationError) setValidationError(null);
-              // Clear pending nested selection if user modifies the text
-              if (pendingNestedSelection && !text.includes('→')) {
-                setPendingNestedSelection(null);
-              }
-            }}
-            onOptionSelect={handleOptionSelect}
-            options={autosuggestOptions.options}
-            filterText={autosuggestOptions.filterText}
+            // Typing clears the validation error and a pending nested selection
+            onChange={setInputText}
+            onOptionSelect={selectOption}
+            // Already narrowed to the input text by the hook
+            options={suggestionGroups}
             placeholder={filteringPlaceholder || i18nStrings.filteringPlaceholder}
             ariaLabel={filteringAriaLabel || i18nStrings.filteringAriaLabel}
             disabled={disabled}
             loading={loading}
             loadingText={filteringLoadingText}
             emptyText={filteringEmpty}
-            onLoadItems={handleLoadItems}
+            onLoadItems={loadItems}
+            // A property's own loadOptions status wins while its values are shown
+            statusType={optionsStatusType ?? filteringStatusType}
+            errorText={filteringErrorText}
+            recoveryText={filteringRecoveryText}
+            finishedText={filteringFinishedText}
+            debounceDelay={filteringDebounceDelay}
+            groupLimit={filteringGroupLimit}
+            renderDropdownContent={renderDateCalendar}
+            onKeyDown={handleHistoryKeyDown}
+            renderOption={renderOption}
+            renderGroupHeader={renderGroupHeader}
+            renderEmpty={renderEmpty}
             i18nStrings={i18nStrings}
           />
 
@@ -742,22 +505,53 @@ const PropertyFilter = forwardRef(function PropertyFilter(
           ================================================================ */}
       {internalQuery.tokens.length > 0 && (
         <div className="flex flex-wrap items-center gap-2 mt-3">
-          {/* TOKENS - Each FilterToken shows one active filter */}
+          {/* TOKENS - Each FilterToken shows one active filter,
+              each FilterTokenGroup a parenthesised group of them */}
           {visibleTokens.map((token, index) => (
-            <FilterToken
-              // Key includes all token data to ensure proper re-rendering
-              key={`${token.propertyKey || 'free'}-${token.operator}-${token.value}-${index}`}
-              token={token}
-              index={index}
-              // Show AND/OR selector for all tokens except the first
-              showOperation={index > 0 && !hideOperations}
-              operation={internalQuery.operation}
-              onRemove={removeToken}
-              onOperationChange={updateOperation}
-              disabled={disabled}
-              readOnlyOperations={readOnlyOperations}
-              i18nStrings={i18nStrings}
-            />
+            token.tokens ? (
+              <FilterTokenGroup
+                key={`group-${index}`}
+                group={token}
+                path={[index]}
+                showOperation={index > 0 && !hideOperations}
+                operation={internalQuery.operation}
+                onRemove={removeToken}
+                onOperationChange={setOperation}
+                onGroupOperationChange={setGroupOperation}
+                hideOperations={hideOperations}
+                disabled={disabled}
+                readOnlyOperations={readOnlyOperations}
+                onUpdate={updateToken}
+                filteringProperties={internalProperties}
+                filteringOptions={internalOptions}
+                freeTextFiltering={freeTextFiltering}
+                customOperators={customOperators}
+                renderToken={renderToken}
+                i18nStrings={i18nStrings}
+              />
+            ) : (
+              <FilterToken
+                // Key includes all token data to ensure proper re-rendering
+                key={`${token.propertyKey || 'free'}-${token.operator}-${token.value}-${index}`}
+                token={token}
+                index={index}
+                // Show AND/OR selector for all tokens except the first
+                showOperation={index > 0 && !hideOperations}
+                operation={internalQuery.operation}
+                onRemove={removeToken}
+                onOperationChange={setOperation}
+                disabled={disabled}
+                readOnlyOperations={readOnlyOperations}
+                // Clicking the chip opens the token editor
+                onUpdate={updateToken}
+                filteringProperties={internalProperties}
+                filteringOptions={internalOptions}
+                freeTextFiltering={freeTextFiltering}
+                customOperators={customOperators}
+                renderToken={renderToken}
+                i18nStrings={i18nStrings}
+              />
+            )
           ))}
 
           {/* SHOW MORE/FEWER - Toggle to expand/collapse token list */}
@@ -774,6 +568,18 @@ const PropertyFilter = forwardRef(function PropertyFilter(
             </Button>
           )}
 
+          {/* SAVE CURRENT FILTER - Names the query as a preset */}
+          {onSaveFilter && (
+            <SaveFilterButton
+              onSave={(name) => onSaveFilter({
+                name,
+                query: queryToApiFormat(internalQuery, { operators: customOperators }),
+              })}
+              disabled={disabled}
+              i18nStrings={i18nStrings}
+            />
+          )}
+
           {/* CLEAR FILTERS - Button to remove all tokens (or custom actions) */}
           {customFilterActions || (
             <Button
@@ -782,7 +588,8 @@ const PropertyFilter = forwardRef(function PropertyFilter(
               className="text-gray-600 hover:text-gray-900 px-2 py-1 normal-case font-medium
                          flex items-center gap-1"
               onClick={() => {
-                removeAllTokens();
+                clear();
+                setShowClearedNotice(true);
                 inputRef.current?.focus?.(); // Return focus to input
               }}
               disabled={disabled}
@@ -793,6 +600,30 @@ const PropertyFilter = forwardRef(function PropertyFilter(
           )}
         </div>
       )}
+
+      {/* ================================================================
+          CLEARED NOTICE - Undo for Clear filters (see CLEARED_NOTICE_DURATION)
+          ================================================================ */}
+      {showClearedNotice && internalQuery.tokens.length === 0 && (
+        <div className="flex items-center gap-1 mt-3" role="status">
+          <Typography variant="small" className="text-gray-600">
+            {i18nStrings.filtersClearedText}
+          </Typography>
+          <span className="text-gray-400" aria-hidden="true">—</span>
+          <Button
+            variant="text"
+            size="sm"
+            className="text-blue-600 hover:text-blue-800 px-2 py-1 normal-case font-medium"
+            onClick={() => {
+              undo();
+              setShowClearedNotice(false);
+              inputRef.current?.focus?.();
+            }}
+          >
+            {i18nStrings.undoText}
+          </Button>
+        </div>
+      )}
     </div>
   );
 });
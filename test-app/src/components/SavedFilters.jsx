@@ -0,0 +1,191 @@
+/**
+ * =============================================================================
+ * SavedFilters.jsx - Saved Filter Menu and "Save current filter" Action
+ * =============================================================================
+ *
+ * Named presets of a whole query, so users don't rebuild the same filters
+ * every day. PropertyFilter renders both parts when it gets the savedFilters
+ * / onSaveFilter props; storage is up to the parent (see
+ * savedFilterStorage.js for a localStorage-backed hook).
+ *
+ * VISUAL STRUCTURE:
+ * -----------------
+ * SavedFiltersMenu (in the customControl area):
+ * [🔖 Saved filters ▾]
+ * ┌─────────────────────────────┐
+ * │ Open incidents          [🗑] │  ← Click the name to apply the preset
+ * │ My team                 [🗑] │
+ * └─────────────────────────────┘
+ *
+ * SaveFilterButton (next to Clear filters):
+ * [🔖 Save current filter]
+ * ┌─────────────────────────────┐
+ * │ Filter name [............]  │
+ * │            [Cancel] [Save]  │
+ * └─────────────────────────────┘
+ *
+ * TO CUSTOMIZE:
+ * -------------
+ * - Labels: Pass savedFilters* / saveFilter* keys in i18nStrings
+ */
+
+import React, { useState } from 'react';
+import {
+  Button,
+  IconButton,
+  Typography,
+  Popover,
+  PopoverHandler,
+  PopoverContent,
+} from '@material-tailwind/react';
+import { BookmarkIcon, ChevronDownIcon, TrashIcon } from '@heroicons/react/24/outline';
+
+/**
+ * SavedFiltersMenu - Dropdown listing saved filters.
+ *
+ * @param {Array} savedFilters - Presets [{ id, name, query }]
+ * @param {Function} onApply - Called with the preset whose name was clicked
+ * @param {Function} onDelete - Called with the preset to delete; hides the
+ *   delete buttons when not provided
+ * @param {boolean} disabled - Disable interactions
+ * @param {Object} i18nStrings - Localization strings
+ */
+export function SavedFiltersMenu({
+  savedFilters = [],
+  onApply,
+  onDelete,
+  disabled = false,
+  i18nStrings = {},
+}) {
+  const {
+    savedFiltersText = 'Saved filters',
+    savedFiltersEmptyText = 'No saved filters',
+    deleteSavedFilterAriaLabel = 'Delete saved filter',
+  } = i18nStrings;
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <Popover open={isOpen} handler={setIsOpen} placement="bottom-start">
+      <PopoverHandler>
+        <button
+          type="button"
+          className="flex items-center gap-1 rounded-md border border-gray-300 bg-white px-3 py-2 text-sm
+                     text-gray-700 hover:border-gray-400 disabled:opacity-50"
+          disabled={disabled}
+          aria-expanded={isOpen}
+        >
+          <BookmarkIcon className="h-4 w-4" />
+          {savedFiltersText}
+          <ChevronDownIcon className="h-3 w-3" />
+        </button>
+      </PopoverHandler>
+      <PopoverContent className="z-50 min-w-[14rem] p-1">
+        {savedFilters.length === 0 ? (
+          <Typography variant="small" className="px-3 py-2 text-gray-500">
+            {savedFiltersEmptyText}
+          </Typography>
+        ) : (
+          <ul aria-label={savedFiltersText}>
+            {savedFilters.map(savedFilter => (
+              <li key={savedFilter.id ?? savedFilter.name} className="flex items-center gap-1">
+                <button
+                  type="button"
+                  className="flex-1 rounded px-3 py-1.5 text-left text-sm text-gray-700 hover:bg-gray-100"
+                  onClick={() => {
+                    onApply?.(savedFilter);
+                    setIsOpen(false);
+                  }}
+                >
+                  {savedFilter.name}
+                </button>
+                {onDelete && (
+                  <IconButton
+                    variant="text"
+                    size="sm"
+                    className="h-7 w-7 rounded-full"
+                    onClick={() => onDelete(savedFilter)}
+                    aria-label={`${deleteSavedFilterAriaLabel}: ${savedFilter.name}`}
+                  >
+                    <TrashIcon className="h-4 w-4 text-gray-500" />
+                  </IconButton>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </PopoverContent>
+    </Popover>
+  );
+}
+
+/**
+ * SaveFilterButton - "Save current filter" action with a name form.
+ *
+ * @param {Function} onSave - Called with the entered name (trimmed)
+ * @param {boolean} disabled - Disable interactions
+ * @param {Object} i18nStrings - Localization strings
+ */
+export function SaveFilterButton({ onSave, disabled = false, i18nStrings = {} }) {
+  const {
+    saveFilterText = 'Save current filter',
+    saveFilterNameLabel = 'Filter name',
+    saveFilterSubmitText = 'Save',
+    saveFilterCancelText = 'Cancel',
+  } = i18nStrings;
+  const [isOpen, setIsOpen] = useState(false);
+  const [name, setName] = useState('');
+
+  const close = () => {
+    setIsOpen(false);
+    setName('');
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onSave?.(name.trim());
+    close();
+  };
+
+  return (
+    <Popover open={isOpen} handler={open => (open ? setIsOpen(true) : close())} placement="bottom-end">
+      <PopoverHandler>
+        <Button
+          variant="text"
+          size="sm"
+          className="text-gray-600 hover:text-gray-900 px-2 py-1 normal-case font-medium
+                     flex items-center gap-1"
+          disabled={disabled}
+        >
+          <BookmarkIcon className="h-4 w-4" />
+          {saveFilterText}
+        </Button>
+      </PopoverHandler>
+      <PopoverContent className="z-50 p-4">
+        <form className="flex flex-col gap-3 w-64" onSubmit={handleSubmit}>
+          <label className="flex flex-col gap-1">
+            <Typography variant="small" className="font-medium text-gray-700">
+              {saveFilterNameLabel}
+            </Typography>
+            <input
+              className="w-full rounded-md border border-gray-300 px-2 py-1.5 text-sm text-gray-700
+                         focus:border-blue-500 focus:outline-none"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              aria-label={saveFilterNameLabel}
+              autoFocus
+            />
+          </label>
+          <div className="flex justify-end gap-2">
+            <Button type="button" variant="text" size="sm" className="normal-case" onClick={close}>
+              {saveFilterCancelText}
+            </Button>
+            <Button type="submit" size="sm" className="normal-case" disabled={!name.trim()}>
+              {saveFilterSubmitText}
+            </Button>
+          </div>
+        </form>
+      </PopoverContent>
+    </Popover>
+  );
+}
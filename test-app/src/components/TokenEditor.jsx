@@ -0,0 +1,280 @@
+/**
+ * =============================================================================
+ * TokenEditor.jsx - Edit Form for an Existing Filter Token
+ * =============================================================================
+ *
+ * This component is shown in a popover when the user clicks a token chip.
+ * It lets the user change the token's property, operator, and value without
+ * deleting and retyping the filter.
+ *
+ * VISUAL STRUCTURE:
+ * -----------------
+ * ┌─────────────────────────────────────┐
+ * │ Property  [Status            ▾]     │
+ * │ Operator  [=  Equals         ▾]     │
+ * │ Value     [🔍 active..........]     │  ← Autosuggest from filteringOptions
+ * │ Error message (if validation fails) │
+ * │                   [Cancel] [Apply]  │
+ * └─────────────────────────────────────┘
+ *
+ * VALIDATION:
+ * -----------
+ * On submit the edited token goes through validateToken() (the same pipeline
+ * used when creating tokens), so IP/port validation, normalization and
+ * type parsing apply.
+ *
+ * TO CUSTOMIZE:
+ * -------------
+ * - Labels: Pass tokenEditor* keys in i18nStrings
+ * - Operators: Follow getAllowedOperators() for the selected property;
+ *   valueless ones ('exists', 'is empty') hide the value field
+ */
+
+import React, { useState, useMemo } from 'react';
+import { Button, Typography } from '@material-tailwind/react';
+import FilterAutosuggest from './FilterAutosuggest';
+import { validateToken } from './controller';
+import {
+  getAllowedOperators,
+  getOperator,
+  isRangeValue,
+  isValuelessOperator,
+  quoteValue,
+  unquoteValue,
+} from './utils';
+
+/**
+ * TokenEditor - Form for editing a single token.
+ *
+ * @param {Object} token - Formatted token { propertyKey, operator, rawValue, value }
+ * @param {Array} filteringProperties - Internal property definitions
+ * @param {Array} filteringOptions - Internal options (with property references)
+ * @param {Object} freeTextFiltering - Config { disabled, operators }
+ * @param {Array} customOperators - The filter's custom operators (see getOperator)
+ * @param {Function} onSubmit - Called with the validated token
+ * @param {Function} onCancel - Called when user cancels editing
+ * @param {Object} i18nStrings - Localization strings
+ */
+export default function TokenEditor({
+  token,
+  filteringProperties = [],
+  filteringOptions = [],
+  freeTextFiltering = { disabled: false, operators: [':', '!:'] },
+  customOperators,
+  onSubmit,
+  onCancel,
+  i18nStrings = {},
+}) {
+  const {
+    allPropertiesLabel = 'All properties',
+    groupValuesText = 'Values',
+    tokenEditorPropertyLabel = 'Property',
+    tokenEditorOperatorLabel = 'Operator',
+    tokenEditorValueLabel = 'Value',
+    tokenEditorApplyText = 'Apply',
+    tokenEditorCancelText = 'Cancel',
+  } = i18nStrings;
+
+  // ==========================================================================
+  // LOCAL STATE - Draft token being edited
+  // ==========================================================================
+
+  const [propertyKey, setPropertyKey] = useState(token.propertyKey || '');
+  const [operator, setOperator] = useState(token.operator);
+  // Typed values and ranges start from their display format (which parses
+  // back); other values from the raw value, since custom formatters may not
+  const initialProperty = filteringProperties.find(p => p.key === token.propertyKey);
+  // Lists start from all their raw values - the chip may show only some
+  const startsFromDisplay = initialProperty?.type || isRangeValue(token.rawValue);
+  const [value, setValue] = useState(() => {
+    if (Array.isArray(token.rawValue)) return token.rawValue.map(quoteValue).join(', ');
+    // Chip values are quoted where needed (see formatToken) - the editor shows them plain
+    return startsFromDisplay ? unquoteValue(token.value) : String(token.rawValue ?? token.value ?? '');
+  });
+  const [error, setError] = useState(null);
+  // "exists" / "is empty" take no value - the value field is hidden
+  const isValueless = isValuelessOperator(operator, customOperators);
+
+  // Empty key means free text ("All properties")
+  const property = filteringProperties.find(p => p.key === propertyKey) || null;
+
+  /**
+   * Properties the token can be switched to.
+   * Hidden properties are only listed if the token already uses one.
+   */
+  const selectableProperties = filteringProperties.filter(
+    p => !p.hidden || p.key === token.propertyKey
+  );
+
+  // Operators allowed for the selected property (or free text)
+  const allowedOperators = property
+    ? getAllowedOperators(property, customOperators)
+    : freeTextFiltering.operators;
+
+  /**
+   * Value suggestions - the selected property's filteringOptions.
+   * Shaped as a single group for FilterAutosuggest.
+   */
+  const valueOptions = useMemo(() => {
+    if (!property) return [];
+    const options = filteringOptions
+      .filter(option => option.property?.key === property.key)
+      .map(option => ({ value: option.value, label: option.label || option.value }));
+    return options.length > 0
+      ? [{ label: property.groupValuesLabel || groupValuesText, options }]
+      : [];
+  }, [property, filteringOptions, groupValuesText]);
+
+  // ==========================================================================
+  // EVENT HANDLERS
+  // ==========================================================================
+
+  /**
+   * Switch property. Keeps the operator if the new property allows it,
+   * otherwise falls back to the property's default operator.
+   */
+  const handlePropertyChange = (e) => {
+    const newKey = e.target.value;
+    const newProperty = filteringProperties.find(p => p.key === newKey) || null;
+    const newOperators = newProperty
+      ? getAllowedOperators(newProperty, customOperators)
+      : freeTextFiltering.operators;
+
+    setPropertyKey(newKey);
+    setError(null);
+    if (!newOperators.includes(operator)) {
+      setOperator(newProperty ? newProperty.defaultOperator || newOperators[0] : newOperators[0]);
+    }
+  };
+
+  /**
+   * Validate and submit the edited token.
+   * Errors are shown inline and keep the editor open.
+   */
+  const handleSubmit = (e) => {
+    e?.preventDefault?.();
+    if (!isValueless && !value.trim()) return;
+
+    const validation = validateToken({
+      property,
+      propertyKey: property?.key,
+      operator,
+      value,
+    }, filteringOptions, customOperators);
+
+    if (!validation.valid) {
+      setError(validation.error);
+      return;
+    }
+
+    setError(null);
+    onSubmit?.(validation.token);
+  };
+
+  // ==========================================================================
+  // RENDER
+  // ==========================================================================
+
+  const selectClassName = 'w-full rounded-md border border-gray-300 bg-white px-2 py-1.5 text-sm text-gray-700 ' +
+    'focus:border-blue-500 focus:outline-none';
+
+  return (
+    <form className="flex flex-col gap-3 w-72" onSubmit={handleSubmit}>
+      {/* PROPERTY */}
+      <label className="flex flex-col gap-1">
+        <Typography variant="small" className="font-medium text-gray-700">
+          {tokenEditorPropertyLabel}
+        </Typography>
+        <select
+          className={selectClassName}
+          value={propertyKey}
+          onChange={handlePropertyChange}
+          aria-label={tokenEditorPropertyLabel}
+        >
+          {(!freeTextFiltering.disabled || !token.propertyKey) && (
+            <option value="">{allPropertiesLabel}</option>
+          )}
+          {selectableProperties.map(p => (
+            <option key={p.key} value={p.key}>{p.propertyLabel}</option>
+          ))}
+        </select>
+      </label>
+
+      {/* OPERATOR - limited to what the property allows */}
+      <label className="flex flex-col gap-1">
+        <Typography variant="small" className="font-medium text-gray-700">
+          {tokenEditorOperatorLabel}
+        </Typography>
+        <select
+          className={selectClassName}
+          value={operator}
+          onChange={(e) => setOperator(e.target.value)}
+          aria-label={tokenEditorOperatorLabel}
+        >
+          {allowedOperators.map(op => (
+            <option key={op} value={op}>
+              {op} {getOperator(op, customOperators)?.description || ''}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {/* VALUE - autosuggest from the property's filteringOptions */}
+      {!isValueless && (
+        <div className="flex flex-col gap-1">
+          <Typography variant="small" className="font-medium text-gray-700">
+            {tokenEditorValueLabel}
+          </Typography>
+          <FilterAutosuggest
+            value={value}
+            onChange={(text) => {
+              setValue(text);
+              if (error) setError(null);
+            }}
+            onOptionSelect={(option) => {
+              // Enter without a highlighted option submits the form
+              if (option.isEnteredText) {
+                handleSubmit();
+                return;
+              }
+              setValue(String(option.value));
+              if (error) setError(null);
+            }}
+            options={valueOptions}
+            filterText={value}
+            placeholder=""
+            ariaLabel={tokenEditorValueLabel}
+          />
+        </div>
+      )}
+
+      {/* VALIDATION ERROR */}
+      {error && (
+        <Typography variant="small" className="text-red-500 font-medium">
+          {error}
+        </Typography>
+      )}
+
+      {/* ACTIONS */}
+      <div className="flex justify-end gap-2">
+        <Button
+          type="button"
+          variant="text"
+          size="sm"
+          className="normal-case"
+          onClick={() => onCancel?.()}
+        >
+          {tokenEditorCancelText}
+        </Button>
+        <Button
+          type="submit"
+          size="sm"
+          className="normal-case"
+          disabled={!isValueless && !value.trim()}
+        >
+          {tokenEditorApplyText}
+        </Button>
+      </div>
+    </form>
+  );
+}
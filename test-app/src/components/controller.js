@@ -10,7 +10,9 @@
  * 1. QUERY ACTIONS - Functions to add/remove/update tokens
  * 2. TEXT PARSING - Analyze user input to determine current step
  * 3. SUGGESTION GENERATION - Build dropdown options based on context
- * 4. TOKEN FORMATTING - Convert tokens to display format
+ * 4. TOKEN VALIDATION - Shared validation pipeline for new and edited tokens
+ *    (and tokens added through the ref API - see resolveToken())
+ * 5. TOKEN FORMATTING - Convert tokens to display format
  * 
  * PARSING FLOW:
  * -------------
@@ -25,43 +27,57 @@
  * 
  * TO ADD NEW FUNCTIONALITY:
  * -------------------------
- * - New operator: Add to operatorDescriptions below
+ * - New operator: Call registerOperator() in utils.js (descriptions, chip
+ *   labels and value shapes all come from the operator registry)
  * - New suggestion type: Modify getAutosuggestOptions()
+ * - Values from a server: give the property loadOptions (see
+ *   getPropertyLoadRequest() / loadPropertyOptions())
  * - New parsing behavior: Modify parseText()
  */
 
 import {
-  matchFilteringProperty,
+  matchFilteringPropertyText,
   matchOperator,
   matchOperatorPrefix,
+  matchFreeTextOperator,
   matchTokenValue,
   trimStart,
   removeOperator,
-  tokenGroupToTokens,
+  unquoteValue,
+  quoteValue,
+  isTokenGroup,
   getAllowedOperators,
+  getOperator,
   operatorToApi,
   queryToApiFormat,
+  validateTokenValue,
+  parsePropertyValue,
+  formatPropertyValue,
+  isRangeValue,
+  splitRangeText,
+  splitListText,
+  isMultiValueOperator,
+  isRangeOperator,
+  isValuelessOperator,
+  fuzzyMatch,
 } from './utils';
 
 /**
- * Human-readable descriptions for each operator.
- * Shown in the operator selection dropdown.
- * 
- * TO ADD A NEW OPERATOR:
- * Add entry here, then also update operatorToApiMap in utils.js
+ * Number of values listed on a multi-value chip before "(+N)".
+ */
+const MAX_CHIP_VALUES = 2;
+
+/**
+ * Number of query changes createQueryHistory() remembers by default.
  */
-const operatorDescriptions = {
-  '=': 'Equals',               // Exact match
-  '!=': 'Does not equal',      // Not equal
-  ':': 'Contains',             // Substring match
-  '!:': 'Does not contain',    // Does not contain substring
-  '^': 'Starts with',          // Prefix match
-  '!^': 'Does not start with', // Does not start with prefix
-  '>=': 'Greater than or equal', // Numeric comparison
-  '<=': 'Less than or equal',
-  '>': 'Greater than',
-  '<': 'Less than',
-};
+const MAX_HISTORY_LENGTH = 50;
+
+/**
+ * Number of used filters createFilterUsage() remembers by default, and
+ * number listed in each of the "Recent filters" / "Frequently used" groups.
+ */
+const MAX_FILTER_USAGE_LENGTH = 50;
+const FILTER_USAGE_SUGGESTIONS = 5;
 
 // =============================================================================
 // QUERY ACTIONS
@@ -69,6 +85,216 @@ const operatorDescriptions = {
 // These functions modify the query state. They're returned as an object
 // so PropertyFilter can destructure and use them: { addToken, removeToken, ... }
 
+/**
+ * Applies an update to the token list of the group at groupPath.
+ * An empty path addresses the top-level tokens array.
+ * 
+ * @param {Array} tokens - Top-level tokens (may contain groups)
+ * @param {Array} groupPath - Indices leading to the target group, e.g. [2] or [2, 0]
+ * @param {Function} updater - Receives the group's tokens, returns the new tokens
+ * @returns {Array} New top-level tokens array
+ */
+function updateGroupTokens(tokens, groupPath, updater) {
+  if (groupPath.length === 0) {
+    return updater(tokens);
+  }
+  const [groupIndex, ...restPath] = groupPath;
+  return tokens.map((tokenOrGroup, index) =>
+    index === groupIndex && isTokenGroup(tokenOrGroup)
+      ? { ...tokenOrGroup, tokens: updateGroupTokens(tokenOrGroup.tokens, restPath, updater) }
+      : tokenOrGroup
+  );
+}
+
+/**
+ * Gets the token list of the group at groupPath.
+ * 
+ * @param {Array} tokens - Top-level tokens (may contain groups)
+ * @param {Array} groupPath - Indices leading to the group ([] for the top level)
+ * @returns {Array|null} The group's tokens, or null if the path doesn't lead to a group
+ */
+function getGroupTokens(tokens, groupPath) {
+  return groupPath.reduce(
+    (groupTokens, index) => (isTokenGroup(groupTokens?.[index]) ? groupTokens[index].tokens : null),
+    tokens
+  );
+}
+
+/**
+ * Removes groups that no longer contain any tokens (e.g. after their last
+ * token was removed or moved out).
+ * 
+ * @param {Array} tokens - Tokens and groups
+ * @returns {Array} Tokens without empty groups
+ */
+function removeEmptyGroups(tokens) {
+  return tokens
+    .map(tokenOrGroup =>
+      isTokenGroup(tokenOrGroup)
+        ? { ...tokenOrGroup, tokens: removeEmptyGroups(tokenOrGroup.tokens) }
+        : tokenOrGroup
+    )
+    .filter(tokenOrGroup => !isTokenGroup(tokenOrGroup) || tokenOrGroup.tokens.length > 0);
+}
+
+/**
+ * Splits typed text into the value shape an operator expects:
+ * ranges ("10 and 20") for range operators ('between'), lists ("a, b") for
+ * multi-value operators ('in' / 'not in').
+ * Other operators and already-split values are returned unchanged.
+ * 
+ * @param {string} operator - Token operator
+ * @param {*} value - Token value
+ * @param {Array} operators - Custom operator definitions (optional)
+ * @returns {*} { from, to } or an array where applicable, else value
+ */
+function toOperatorValue(operator, value, operators) {
+  if (isMultiValueOperator(operator, operators)) {
+    return Array.isArray(value) ? value : splitListText(value);
+  }
+  if (!isRangeOperator(operator, operators) || isRangeValue(value)) return value;
+  return splitRangeText(value) || value;
+}
+
+/**
+ * Normalizes a token address. Top-level tokens can be addressed by a plain
+ * index (as before groups existed); nested tokens need a path of indices.
+ * 
+ * @param {number|Array} indexOrPath - 3 or [3] or [2, 1]
+ * @returns {Array} Path of indices
+ */
+function toTokenPath(indexOrPath) {
+  return Array.isArray(indexOrPath) ? indexOrPath : [indexOrPath];
+}
+
+/**
+ * Creates an undo/redo history of queries (in API format).
+ * 
+ * getQueryActions() records the query before each change; undo() and redo()
+ * swap the current query with the previous / next one. Recording a change
+ * drops the redo entries, and only the last `limit` queries are kept.
+ * 
+ * The history is plain mutable state, so it outlives the actions object
+ * (which is rebuilt on every query change) - PropertyFilter keeps one in a ref.
+ * 
+ * @param {number} limit - Maximum number of undo steps
+ * @returns {Object} { record, undo, redo, canUndo, canRedo }
+ * 
+ * @example
+ * const history = createQueryHistory();
+ * history.record(queryBefore);        // Then apply the change
+ * history.undo(queryAfter);           // Returns queryBefore
+ * history.redo(queryBefore);          // Returns queryAfter
+ */
+export function createQueryHistory(limit = MAX_HISTORY_LENGTH) {
+  const past = [];
+  const future = [];
+
+  return {
+    /**
+     * Remembers the query a change is about to replace.
+     * @param {Object} query - Current query (API format)
+     */
+    record(query) {
+      past.push(query);
+      if (past.length > limit) past.shift();
+      future.length = 0;
+    },
+
+    /**
+     * Steps back.
+     * @param {Object} query - Current query, kept for redo()
+     * @returns {Object|null} The previous query, or null if there is none
+     */
+    undo(query) {
+      if (past.length === 0) return null;
+      future.push(query);
+      return past.pop();
+    },
+
+    /**
+     * Steps forward again after undo().
+     * @param {Object} query - Current query, kept for undo()
+     * @returns {Object|null} The next query, or null if there is none
+     */
+    redo(query) {
+      if (future.length === 0) return null;
+      past.push(query);
+      return future.pop();
+    },
+
+    canUndo: () => past.length > 0,
+    canRedo: () => future.length > 0,
+  };
+}
+
+/**
+ * Creates a record of the filters the user has added, for the "Recent
+ * filters" and "Frequently used" suggestion groups.
+ * 
+ * getQueryActions() records every token added through addToken() /
+ * addTokens() (tokens inside added groups included). Adding the same
+ * filter again moves it to the front and counts it; only the last `limit`
+ * distinct filters are kept.
+ * 
+ * Entries are { propertyKey, operator, value, count }, most recent first,
+ * with values as they'd be typed (e.g. '-7d', not the date it stands for).
+ * They are loaded from and saved to a storage adapter - any { load, save }
+ * object, e.g. createLocalStorageAdapter() from savedFilterStorage.js.
+ * 
+ * Like createQueryHistory(), this is plain mutable state that outlives the
+ * actions object; entries() returns a new array after each change.
+ * 
+ * @param {Object} options - { storage, limit = 50 }
+ * @returns {Object} { record, entries }
+ * 
+ * @example
+ * const usage = createFilterUsage({ storage: createLocalStorageAdapter('hosts-filter-usage') });
+ * usage.record([{ propertyKey: 'status', operator: '=', value: 'active' }]);
+ * usage.entries(); // [{ propertyKey: 'status', operator: '=', value: 'active', count: 1 }]
+ */
+export function createFilterUsage({ storage, limit = MAX_FILTER_USAGE_LENGTH } = {}) {
+  let entries = (storage?.load() ?? []).filter(entry => entry && typeof entry.operator === 'string');
+  const getKey = entry => JSON.stringify([entry.propertyKey ?? null, entry.operator, entry.value]);
+
+  return {
+    /**
+     * Remembers added tokens.
+     * @param {Array} tokens - Internal tokens (not groups)
+     */
+    record(tokens) {
+      const used = tokens.map(token => ({
+        propertyKey: token.property?.key ?? token.propertyKey,
+        operator: token.operator,
+        value: token.expression ?? token.value,
+      }));
+      if (used.length === 0) return;
+
+      let next = entries;
+      used.forEach(entry => {
+        const key = getKey(entry);
+        const existing = next.find(other => getKey(other) === key);
+        next = [
+          { ...entry, count: (existing?.count ?? 0) + 1 },
+          ...next.filter(other => other !== existing),
+        ];
+      });
+      entries = next.slice(0, limit);
+      storage?.save(entries);
+    },
+
+    entries: () => entries,
+  };
+}
+
+/**
+ * The simple tokens of a token list, with those inside groups.
+ * Internal helper (not exported).
+ */
+function flattenTokens(tokens) {
+  return tokens.flatMap(token => (isTokenGroup(token) ? flattenTokens(token.tokens) : [token]));
+}
+
 /**
  * Creates action handlers for modifying the query.
  * 
@@ -83,12 +309,30 @@ const operatorDescriptions = {
  * The actions need access to the current query, onChange, and filteringOptions.
  * By creating them in a factory, we can close over these values.
  * 
+ * NESTED GROUPS:
+ * Tokens inside groups are addressed by a path of indices: [2, 1] is the
+ * second token of the group at top-level index 2. Actions that take an
+ * index also accept a path; actions that take a groupPath default to the
+ * top level ([]). Groups left empty by an action are removed.
+ * 
+ * UNDO / REDO:
+ * With a history from createQueryHistory(), every change is recorded and
+ * undo() / redo() step through it. Without one they do nothing.
+ * 
+ * FILTER USAGE:
+ * With a usage record from createFilterUsage(), tokens added through
+ * addToken() / addTokens() are remembered for the suggestions.
+ * 
  * @param {Object} params.query - Current internal query state
  * @param {Function} params.onChange - Callback to notify parent of changes
  * @param {Array} params.filteringOptions - Available filter options (for value matching)
+ * @param {Object} params.history - Optional history from createQueryHistory()
+ * @param {Object} params.usage - Optional usage record from createFilterUsage()
+ * @param {Array} params.operators - The filter's custom operator definitions
+ *   (optional, see getOperator in utils.js)
  * @returns {Object} Object containing action functions
  */
-export function getQueryActions({ query, onChange, filteringOptions }) {
+export function getQueryActions({ query, onChange, filteringOptions, history, usage, operators }) {
   /**
    * Internal helper to update the query.
    * Handles token transformation and format conversion.
@@ -102,31 +346,66 @@ export function getQueryActions({ query, onChange, filteringOptions }) {
     const transformToken = (token) => {
       // Simple token (has operator, not a group)
       if ('operator' in token && !('operation' in token)) {
-        return matchTokenValue(token, filteringOptions);
+        const matchedToken = matchTokenValue(token, filteringOptions);
+        // Valueless operators ("Owner exists") carry no value
+        if (isValuelessOperator(token.operator, operators)) {
+          return { ...matchedToken, value: null };
+        }
+        // Patterns ('~', 'like') are emitted as typed
+        if (getOperator(token.operator, operators)?.patternValue) {
+          return { ...matchedToken, value: token.value };
+        }
+        // Typed properties emit typed values (numbers, ISO dates, booleans)
+        const parsed = parsePropertyValue(
+          toOperatorValue(token.operator, matchedToken.value, operators),
+          token.property,
+          filteringOptions
+        );
+        if (!parsed.valid) return matchedToken;
+        // Relative date expressions ("-7d") are kept for display
+        const expression = parsed.expression || token.expression;
+        return expression
+          ? { ...matchedToken, value: parsed.value, expression }
+          : { ...matchedToken, value: parsed.value };
       }
       // Token group - recursively transform nested tokens
       return { ...token, tokens: token.tokens.map(transformToken) };
     };
 
-    // Transform all tokens
-    const tokens = newQuery.tokens.map(transformToken);
-    
-    // Flatten any token groups into a simple array
+    // Transform all tokens, keeping groups intact
     const internalQuery = {
-      tokens: tokenGroupToTokens(tokens),
+      tokens: removeEmptyGroups(newQuery.tokens.map(transformToken)),
       operation: newQuery.operation,
     };
     
-    // Convert to API format and notify parent
-    onChange(queryToApiFormat(internalQuery));
+    // Convert to API format, remember what it replaces, and notify parent
+    const apiQuery = queryToApiFormat(internalQuery, { operators });
+    const currentApiQuery = queryToApiFormat(query, { operators });
+    if (history && JSON.stringify(apiQuery) !== JSON.stringify(currentApiQuery)) {
+      history.record(currentApiQuery);
+    }
+    onChange(apiQuery);
+  };
+
+  /**
+   * Remembers added tokens (and the tokens of added groups) as used, with
+   * labels matched to option values like the query gets them.
+   */
+  const recordUsage = (newTokens) => {
+    usage?.record(flattenTokens(newTokens).map(token => matchTokenValue(token, filteringOptions)));
   };
 
   /**
-   * Adds a new token to the end of the query.
+   * Adds a new token to the end of the query, or of a group.
    * @param {Object} token - Token to add { property, operator, value }
+   * @param {Array} groupPath - Group to add to (defaults to top level)
    */
-  const addToken = (token) => {
-    setQuery({ ...query, tokens: [...query.tokens, token] });
+  const addToken = (token, groupPath = []) => {
+    recordUsage([token]);
+    setQuery({
+      ...query,
+      tokens: updateGroupTokens(query.tokens, groupPath, tokens => [...tokens, token]),
+    });
   };
 
   /**
@@ -138,6 +417,7 @@ export function getQueryActions({ query, onChange, filteringOptions }) {
    * would use stale state and overwrite the first token.
    * 
    * @param {Array} newTokens - Array of tokens to add
+   * @param {Array} groupPath - Group to add to (defaults to top level)
    * 
    * @example
    * // When user selects "ICMP > Echo", creates two tokens:
@@ -146,36 +426,102 @@ export function getQueryActions({ query, onChange, filteringOptions }) {
    *   { propertyKey: 'types-and-codes', operator: '=', value: 'echo' }
    * ]);
    */
-  const addTokens = (newTokens) => {
+  const addTokens = (newTokens, groupPath = []) => {
+    recordUsage(newTokens);
     setQuery({
       ...query,
-      tokens: [...query.tokens, ...newTokens],
+      tokens: updateGroupTokens(query.tokens, groupPath, tokens => [...tokens, ...newTokens]),
     });
   };
 
+  /**
+   * Adds a new group of tokens, e.g. "(Role = admin OR Role = manager)".
+   * @param {Array} groupTokens - Tokens (or groups) inside the new group
+   * @param {string} operation - 'and' or 'or' between the group's tokens
+   * @param {Array} groupPath - Group to add to (defaults to top level)
+   */
+  const addGroup = (groupTokens, operation = 'and', groupPath = []) => {
+    addToken({ operation, tokens: groupTokens }, groupPath);
+  };
+
   /**
    * Updates an existing token at a specific index.
-   * @param {number} updateIndex - Index of token to update
+   * @param {number|Array} updateIndex - Index (top level) or path of token to update
    * @param {Object} updatedToken - New token data
    */
   const updateToken = (updateIndex, updatedToken) => {
-    const tokens = query.tokens.map((token, index) =>
-      index === updateIndex ? updatedToken : token
-    );
-    setQuery({ ...query, tokens });
+    const path = toTokenPath(updateIndex);
+    const tokenIndex = path[path.length - 1];
+    setQuery({
+      ...query,
+      tokens: updateGroupTokens(query.tokens, path.slice(0, -1), tokens =>
+        tokens.map((token, index) => (index === tokenIndex ? updatedToken : token))
+      ),
+    });
   };
 
   /**
    * Removes a token at a specific index.
-   * @param {number} removeIndex - Index of token to remove
+   * @param {number|Array} removeIndex - Index (top level) or path of token to remove
    */
   const removeToken = (removeIndex) => {
+    const path = toTokenPath(removeIndex);
+    const tokenIndex = path[path.length - 1];
     setQuery({
       ...query,
-      tokens: query.tokens.filter((_, index) => index !== removeIndex),
+      tokens: updateGroupTokens(query.tokens, path.slice(0, -1), tokens =>
+        tokens.filter((_, index) => index !== tokenIndex)
+      ),
     });
   };
 
+  /**
+   * Moves a token (or group) into another group, or out to the top level.
+   * Does nothing (and doesn't call onChange) when toGroupPath isn't a group,
+   * or is the moved group itself or one inside it.
+   * @param {number|Array} fromIndex - Index (top level) or path of token to move
+   * @param {Array} toGroupPath - Destination group ([] for top level)
+   * @param {number} toIndex - Position in the destination (defaults to the end)
+   */
+  const moveToken = (fromIndex, toGroupPath = [], toIndex) => {
+    const fromPath = toTokenPath(fromIndex);
+    const fromTokenIndex = fromPath[fromPath.length - 1];
+    const intoItself = toGroupPath.length >= fromPath.length &&
+      fromPath.every((index, depth) => toGroupPath[depth] === index);
+    if (intoItself || !getGroupTokens(query.tokens, toGroupPath)) return;
+    let movedToken = null;
+
+    // Leave a placeholder at the old position so indices in toGroupPath stay valid
+    const withPlaceholder = updateGroupTokens(query.tokens, fromPath.slice(0, -1), tokens =>
+      tokens.map((token, index) => {
+        if (index !== fromTokenIndex) return token;
+        movedToken = token;
+        return null;
+      })
+    );
+    if (!movedToken) return;
+
+    const withMovedToken = updateGroupTokens(withPlaceholder, toGroupPath, tokens => {
+      const insertAt = toIndex ?? tokens.length;
+      return [...tokens.slice(0, insertAt), movedToken, ...tokens.slice(insertAt)];
+    });
+
+    const removePlaceholder = tokens => tokens
+      .filter(token => token !== null)
+      .map(token => (isTokenGroup(token) ? { ...token, tokens: removePlaceholder(token.tokens) } : token));
+
+    setQuery({ ...query, tokens: removePlaceholder(withMovedToken) });
+  };
+
+  /**
+   * Replaces the whole query, e.g. with a saved filter. Recorded for undo
+   * like any other change, so the query it replaces can be restored.
+   * @param {Object} newQuery - Internal query { tokens, operation }
+   */
+  const replaceQuery = (newQuery) => {
+    setQuery({ tokens: newQuery.tokens || [], operation: newQuery.operation || 'and' });
+  };
+
   /**
    * Removes all tokens, clearing the filter.
    */
@@ -191,7 +537,59 @@ export function getQueryActions({ query, onChange, filteringOptions }) {
     setQuery({ ...query, operation });
   };
 
-  return { addToken, addTokens, updateToken, updateOperation, removeToken, removeAllTokens };
+  /**
+   * Changes the operation (AND/OR) between the tokens of one group.
+   * @param {Array} groupPath - Path of the group, e.g. [2]
+   * @param {string} operation - 'and' or 'or'
+   */
+  const updateGroupOperation = (groupPath, operation) => {
+    const groupIndex = groupPath[groupPath.length - 1];
+    setQuery({
+      ...query,
+      tokens: updateGroupTokens(query.tokens, groupPath.slice(0, -1), tokens =>
+        tokens.map((token, index) =>
+          index === groupIndex && isTokenGroup(token) ? { ...token, operation } : token
+        )
+      ),
+    });
+  };
+
+  /**
+   * Restores the query before the last change (see createQueryHistory).
+   * @returns {boolean} Whether there was a change to undo
+   */
+  const undo = () => {
+    const previousQuery = history?.undo(queryToApiFormat(query, { operators }));
+    if (!previousQuery) return false;
+    onChange(previousQuery);
+    return true;
+  };
+
+  /**
+   * Re-applies the last undone change.
+   * @returns {boolean} Whether there was a change to redo
+   */
+  const redo = () => {
+    const nextQuery = history?.redo(queryToApiFormat(query, { operators }));
+    if (!nextQuery) return false;
+    onChange(nextQuery);
+    return true;
+  };
+
+  return {
+    addToken,
+    addTokens,
+    addGroup,
+    updateToken,
+    updateOperation,
+    updateGroupOperation,
+    moveToken,
+    removeToken,
+    removeAllTokens,
+    replaceQuery,
+    undo,
+    redo,
+  };
 }
 
 // =============================================================================
@@ -219,9 +617,17 @@ export function getQueryActions({ query, onChange, filteringOptions }) {
  * - 'free-text': User is typing free text (no property match)
  *   Returns: { step: 'free-text', value, operator? }
  * 
+ * QUOTING:
+ * Values can be quoted and escaped (see unquoteValue()), so '"Status report"'
+ * is free text and 'Name = "a = b"' has the value 'a = b'. Lists and ranges
+ * keep their text for splitListText() / splitRangeText(), and pattern values
+ * ('~', 'like') are taken as typed, backslashes included.
+ * 
  * @param {string} filteringText - Current text in the input
  * @param {Array} filteringProperties - Available property definitions
  * @param {Object} freeTextFiltering - Config { disabled, operators, defaultOperator }
+ * @param {Array} operators - Custom operator definitions (optional, see
+ *   getOperator in utils.js)
  * @returns {Object} Parsed result with step and relevant data
  * 
  * @example
@@ -231,26 +637,22 @@ export function getQueryActions({ query, onChange, filteringOptions }) {
  * parseText('hello world', properties, config)
  * // Returns: { step: 'free-text', value: 'hello world' }
  */
-export function parseText(filteringText, filteringProperties, freeTextFiltering) {
-  // STEP 1: Try to match a property name
-  const property = matchFilteringProperty(filteringProperties, filteringText);
+export function parseText(filteringText, filteringProperties, freeTextFiltering, operators) {
+  // STEP 1: Try to match a property name (or an abbreviation: "dept = ")
+  const propertyMatch = matchFilteringPropertyText(filteringProperties, filteringText);
+  const property = propertyMatch?.property;
 
   // NO PROPERTY MATCH - treat as free text
   if (!property) {
     // Check if free text starts with an operator (e.g., ": searchterm")
     if (!freeTextFiltering.disabled) {
-      // Support "!" as shorthand for "!:" (does not contain)
-      const freeTextOperators =
-        freeTextFiltering.operators.indexOf('!:') >= 0
-          ? ['!', ...freeTextFiltering.operators]
-          : freeTextFiltering.operators;
-
-      const operator = matchOperator(freeTextOperators, filteringText);
-      if (operator) {
+      // Registered aliases count too, e.g. "!" as shorthand for "!:"
+      const match = matchFreeTextOperator(freeTextFiltering.operators, filteringText, operators);
+      if (match) {
         return {
           step: 'free-text',
-          operator: operator === '!' ? '!:' : operator, // Expand "!" to "!:"
-          value: removeOperator(filteringText, operator),
+          operator: match.operator,
+          value: readValue(removeOperator(filteringText, match.matchedText), match.operator, operators),
         };
       }
     }
@@ -258,22 +660,27 @@ export function parseText(filteringText, filteringProperties, freeTextFiltering)
     // Plain free text without operator
     return {
       step: 'free-text',
-      value: filteringText,
+      value: readValue(filteringText, freeTextFiltering.defaultOperator, operators),
     };
   }
 
   // PROPERTY MATCHED - look for operator
-  const allowedOps = getAllowedOperators(property);
-  const textWithoutProperty = filteringText.substring(property.propertyLabel.length);
+  const allowedOps = getAllowedOperators(property, operators);
+  const textWithoutProperty = filteringText.substring(propertyMatch.text.length);
   const operator = matchOperator(allowedOps, trimStart(textWithoutProperty));
 
   // OPERATOR FOUND - we have property + operator + value
   if (operator) {
+    const valueText = removeOperator(textWithoutProperty, operator);
+    // "Size = 10..20" is shorthand for "Size between 10 and 20" ('"10..20"' isn't)
+    const isRangeShorthand = operator === '=' && allowedOps.includes('between') &&
+      valueText.includes('..') && !trimStart(valueText).startsWith('"') && !!splitRangeText(valueText);
+    const valueOperator = isRangeShorthand ? 'between' : operator;
     return {
       step: 'property',
       property,
-      operator,
-      value: removeOperator(textWithoutProperty, operator),
+      operator: valueOperator,
+      value: readValue(valueText, valueOperator, operators),
     };
   }
 
@@ -288,10 +695,25 @@ export function parseText(filteringText, filteringProperties, freeTextFiltering)
   // This handles cases like "Status xyz" where "xyz" isn't a valid operator
   return {
     step: 'free-text',
-    value: filteringText,
+    value: readValue(filteringText, freeTextFiltering.defaultOperator, operators),
   };
 }
 
+/**
+ * Unquotes value text for parseText(), except where the text is read later
+ * (lists, ranges) or taken as typed (patterns).
+ * 
+ * @param {string} text - Value text after the operator
+ * @param {string} operator - Operator the value is for
+ * @param {Array} operators - Custom operator definitions (optional)
+ * @returns {string} Value
+ */
+function readValue(text, operator, operators) {
+  const keepsText = isMultiValueOperator(operator, operators) || isRangeOperator(operator, operators) ||
+    !!getOperator(operator, operators)?.patternValue;
+  return keepsText ? text : unquoteValue(text);
+}
+
 // =============================================================================
 // SUGGESTION GENERATION
 // =============================================================================
@@ -308,6 +730,8 @@ export function parseText(filteringText, filteringProperties, freeTextFiltering)
  * 'property' step (user has typed "Status = "):
  * - Show values for that specific property
  * - Each option completes the filter: "Status = active"
+ * - For 'in' / 'not in' each option is a checkbox that toggles the value
+ *   in the list: "Status in active, pending, "
  * 
  * 'operator' step (user has typed "Status "):
  * - Show available operators for that property
@@ -317,6 +741,8 @@ export function parseText(filteringText, filteringProperties, freeTextFiltering)
  * 'free-text' step (user is typing without property):
  * - Show all properties (so they can select one)
  * - Show matching values across all properties
+ * - While the input is empty, show recently and frequently used filters
+ *   first (usageEntries from createFilterUsage())
  * 
  * RETURN FORMAT:
  * {
@@ -330,49 +756,99 @@ export function parseText(filteringText, filteringProperties, freeTextFiltering)
  * @param {Array} filteringProperties - Available properties
  * @param {Array} filteringOptions - Available filter values
  * @param {Object} i18nStrings - Localized strings for group labels
+ * @param {Array} usageEntries - Used filters from createFilterUsage().entries()
+ * @param {Array} operators - Custom operator definitions (optional, see
+ *   getOperator in utils.js)
  * @returns {Object} { filterText, options }
  */
 export function getAutosuggestOptions(
   parsedText,
   filteringProperties,
   filteringOptions,
-  i18nStrings = {}
+  i18nStrings = {},
+  usageEntries = [],
+  operators
 ) {
   // Extract localized group labels with defaults
   const {
     groupPropertiesText = 'Properties',
     groupValuesText = 'Values',
     operatorsText = 'Operators',
+    recentFiltersText = 'Recent filters',
+    frequentFiltersText = 'Frequently used',
   } = i18nStrings;
 
   switch (parsedText.step) {
     // USER HAS SELECTED PROPERTY + OPERATOR, NOW TYPING VALUE
     // Show values for this specific property
     case 'property': {
-      const { propertyLabel, groupValuesLabel } = parsedText.property;
+      const { propertyLabel, groupValuesLabel, type } = parsedText.property;
+      // Valueless operators ("Owner exists") have no value step - offer the finished filter
+      if (isValuelessOperator(parsedText.operator, operators)) {
+        return {
+          filterText: '',
+          options: [
+            {
+              label: operatorsText,
+              options: [getOperatorSuggestion(parsedText.property, parsedText.operator, operators)],
+            },
+          ],
+        };
+      }
+      // Typing the value doesn't change these lists - they are cached per
+      // options array so large option sets aren't walked on every keystroke
+      const cacheKey = `${parsedText.property.key}\u0000${propertyLabel}`;
       // Filter options to only those belonging to this property
-      const options = filteringOptions.filter(o => o.property === parsedText.property);
+      const options = getCachedSuggestions(filteringOptions, `property-options\u0000${cacheKey}`, () => {
+        const propertyOptions = filteringOptions.filter(o => o.property === parsedText.property);
+        // Boolean properties always offer their two values,
+        // date properties common relative expressions
+        if (propertyOptions.length === 0 && type === 'boolean') {
+          return [{ value: 'true' }, { value: 'false' }];
+        } else if (propertyOptions.length === 0 && (type === 'date' || type === 'datetime')) {
+          return dateExpressionSuggestions.map(expression => ({ value: expression }));
+        }
+        return propertyOptions;
+      });
+
+      // 'in' / 'not in' pick several values with checkboxes
+      if (isMultiValueOperator(parsedText.operator, operators)) {
+        return getMultiValueSuggestions(parsedText, options, groupValuesLabel || groupValuesText);
+      }
       
+      const valueOptions = getCachedSuggestions(
+        filteringOptions,
+        `property-values\u0000${cacheKey}\u0000${parsedText.operator}`,
+        () => options.map((opt) => {
+          const value = `${propertyLabel} ${parsedText.operator} ${quoteValue(opt.value)}`;
+          return {
+            // Full value that will be used to create token
+            value,
+            label: opt.label || opt.value,
+            // Prefix shown in gray before the value
+            labelPrefix: `${propertyLabel} ${parsedText.operator}`,
+            // The option's own value, for value counts (see applyValueCounts)
+            rawValue: opt.value,
+            ...getOptionDisplay(opt),
+            ...getSearchIndex(opt, value),
+            // NESTED OPTIONS SUPPORT:
+            // Some options (e.g., ICMP protocol) have sub-options that create multiple tokens.
+            // We preserve the nestedOptions config and original option data so PropertyFilter
+            // can show the nested dropdown and create the appropriate tokens.
+            nestedOptions: opt.nestedOptions,
+            originalOption: opt.nestedOptions ? opt : undefined,
+            // Keep dropdown open for options with nested selections so user can pick sub-option
+            keepOpenOnSelect: !!opt.nestedOptions,
+          };
+        })
+      );
+
       return {
         filterText: parsedText.value, // Filter by what user typed after operator
         options: [
           {
             label: groupValuesLabel || groupValuesText,
-            options: options.map((opt) => ({
-                // Full value that will be used to create token
-                value: `${propertyLabel} ${parsedText.operator} ${opt.value}`,
-                label: opt.label || opt.value,
-                // Prefix shown in gray before the value
-                labelPrefix: `${propertyLabel} ${parsedText.operator}`,
-                // NESTED OPTIONS SUPPORT:
-                // Some options (e.g., ICMP protocol) have sub-options that create multiple tokens.
-                // We preserve the nestedOptions config and original option data so PropertyFilter
-                // can show the nested dropdown and create the appropriate tokens.
-                nestedOptions: opt.nestedOptions,
-                originalOption: opt.nestedOptions ? opt : undefined,
-                // Keep dropdown open for options with nested selections so user can pick sub-option
-                keepOpenOnSelect: !!opt.nestedOptions,
-            })),
+            options: valueOptions,
           },
         ],
       };
@@ -385,12 +861,9 @@ export function getAutosuggestOptions(
       const propertyOptions = getPropertySuggestions(filteringProperties, groupPropertiesText);
       
       // Show operators for the current property
-      const operatorOptions = getAllowedOperators(parsedText.property).map(op => ({
-        value: `${parsedText.property.propertyLabel} ${op} `, // Note trailing space
-        label: `${parsedText.property.propertyLabel} ${op}`,
-        description: operatorDescriptions[op] || op, // "Equals", "Contains", etc.
-        keepOpenOnSelect: true, // Don't close dropdown, user still needs to type value
-      }));
+      const operatorOptions = getAllowedOperators(parsedText.property, operators).map(op =>
+        getOperatorSuggestion(parsedText.property, op, operators)
+      );
 
       return {
         filterText: `${parsedText.property.propertyLabel} ${parsedText.operatorPrefix}`,
@@ -408,11 +881,19 @@ export function getAutosuggestOptions(
     // Show properties and matching values
     case 'free-text': {
       const needsValueSuggestions = !!parsedText.value; // Only if they've typed something
-      // Don't show properties if user explicitly chose "does not contain" operator
-      const needsPropertySuggestions = !(parsedText.step === 'free-text' && parsedText.operator === '!:');
+      // Don't show properties if user explicitly chose a negated operator ("does not contain")
+      const needsPropertySuggestions = !getOperator(parsedText.operator, operators)?.negationOf;
 
       const options = [];
 
+      // Add used filters while the input is empty (one click re-applies them)
+      if (!parsedText.value && !parsedText.operator) {
+        options.push(...getFilterUsageSuggestions(usageEntries, filteringProperties, filteringOptions, {
+          recent: recentFiltersText,
+          frequent: frequentFiltersText,
+        }, operators));
+      }
+
       // Add property suggestions (so user can select a property)
       if (needsPropertySuggestions) {
         options.push(...getPropertySuggestions(filteringProperties, groupPropertiesText));
@@ -420,7 +901,7 @@ export function getAutosuggestOptions(
 
       // Add value suggestions (matching values across all properties)
       if (needsValueSuggestions) {
-        options.push(...getAllValueSuggestions(filteringOptions, parsedText.operator, groupValuesText));
+        options.push(...getAllValueSuggestions(filteringOptions, parsedText.operator, groupValuesText, operators));
       }
 
       return {
@@ -434,10 +915,288 @@ export function getAutosuggestOptions(
   }
 }
 
+/**
+ * Narrows suggestion groups to the options matching filterText (from
+ * getAutosuggestOptions()) and ranks them, best match first within each
+ * group. Labels are scored with fuzzyMatch() (prefix, word start,
+ * substring, subsequence, typo); values only count when they contain the
+ * text. Groups left empty are dropped.
+ * 
+ * Each kept option gets matchRanges, the matched character ranges of its
+ * label, for highlighting (see splitHighlightedText()). Options built from
+ * filtering options carry searchLabel / searchValue, their text already
+ * lowercased.
+ * 
+ * @param {Array} groups - Grouped options [{ label, options }]
+ * @param {string} filterText - Text to match, case-insensitively
+ * @returns {Array} Matching groups (the same array when filterText is empty)
+ * 
+ * @example
+ * filterOptionGroups([{ label: 'Values', options: [{ value: 'active', label: 'Active' }] }], 'act')
+ * // Returns: [{ label: 'Values', options: [{ value: 'active', label: 'Active', matchRanges: [[0, 3]] }] }]
+ */
+export function filterOptionGroups(groups, filterText) {
+  if (!filterText) return groups;
+  return groups
+    .map(group => ({
+      ...group,
+      options: (group.options || [])
+        .map((option, index) => {
+          // searchLabel / searchValue: lowercased ahead of time for large option sets
+          const labelMatch = option.label
+            ? fuzzyMatch(option.label, filterText, { lowerText: option.searchLabel })
+            : null;
+          const valueMatch = typeof option.value === 'string'
+            ? fuzzyMatch(option.value, filterText, { fuzzy: false, lowerText: option.searchValue })
+            : null;
+          const score = Math.max(labelMatch?.score ?? -1, valueMatch?.score ?? -1);
+          return { option, index, score, matchRanges: labelMatch?.ranges ?? [] };
+        })
+        .filter(entry => entry.score >= 0)
+        // Best score first; equal scores keep their original order
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .map(({ option, matchRanges }) => ({ ...option, matchRanges })),
+    }))
+    .filter(group => group.options.length > 0);
+}
+
+/**
+ * Applies value counts to the value suggestions of a property (the
+ * 'property' step of getAutosuggestOptions()): "Active 124".
+ * 
+ * Counts come from the filtering options' own count, or from counts by
+ * value (e.g. from PropertyFilter's getValueCounts), where values that
+ * aren't listed count 0. Suggestions can then be sorted by count, most
+ * first (typed text still ranks matches first; counts break ties - see
+ * filterOptionGroups()), and values without matches hidden. Checked
+ * values of a list stay, so they can still be unchecked.
+ * 
+ * @param {Object} suggestions - { filterText, options } from getAutosuggestOptions()
+ * @param {Object} options - { counts, sortByCount, hideZeroCounts }; counts
+ *   is an object of count by value ({ active: 124, inactive: 17 })
+ * @returns {Object} { filterText, options } (the same object when there
+ *   is nothing to do)
+ * 
+ * @example
+ * applyValueCounts(suggestions, { counts: { active: 124, inactive: 0 }, hideZeroCounts: true })
+ * // Returns: { filterText, options: [{ label: 'Values', options: [{ label: 'Active', count: 124, ... }] }] }
+ */
+export function applyValueCounts(suggestions, { counts, sortByCount = false, hideZeroCounts = false } = {}) {
+  if (!counts && !sortByCount && !hideZeroCounts) return suggestions;
+
+  const options = suggestions.options
+    .map(group => {
+      let groupOptions = (group.options || []).map(option =>
+        counts && option.rawValue !== undefined
+          ? { ...option, count: counts[option.rawValue] ?? 0 }
+          : option
+      );
+      if (hideZeroCounts) {
+        groupOptions = groupOptions.filter(option => option.count !== 0 || option.checked);
+      }
+      if (sortByCount) {
+        // Options without a count go last; equal counts keep their order
+        groupOptions = [...groupOptions].sort((a, b) => (b.count ?? -1) - (a.count ?? -1));
+      }
+      return { ...group, options: groupOptions };
+    })
+    .filter(group => group.options.length > 0);
+
+  return { ...suggestions, options };
+}
+
+// =============================================================================
+// PROPERTY OPTION PROVIDERS
+// =============================================================================
+//
+// A property can load its values itself instead of listing them in
+// filteringOptions:
+//
+//   { key: 'owner', propertyLabel: 'Owner',
+//     loadOptions: async (filterText, { signal }) => fetchUsers(filterText, signal) }
+//
+// loadOptions returns values or filtering options ({ value, label, ... });
+// propertyKey is filled in. The hook calls it at the 'property' step and
+// merges the results into the options getAutosuggestOptions() gets.
+
+/**
+ * Tells what to load for the parsed input: the property whose value is
+ * being typed, if it has loadOptions, and the text to search for (the last
+ * entry of a list).
+ * 
+ * @param {Object} parsedText - Result from parseText()
+ * @param {Array} operators - Custom operator definitions (optional)
+ * @returns {Object|null} { property, filterText }, or null when there is
+ *   nothing to load
+ * 
+ * @example
+ * getPropertyLoadRequest({ step: 'property', property: owner, operator: '=', value: 'ali' })
+ * // Returns: { property: owner, filterText: 'ali' }
+ */
+export function getPropertyLoadRequest(parsedText, operators) {
+  const { step, property, operator, value = '' } = parsedText;
+  if (step !== 'property' || !property?.loadOptions || isValuelessOperator(operator, operators)) {
+    return null;
+  }
+  if (isMultiValueOperator(operator, operators)) {
+    // "Owner in alice, bo" searches for the entry being typed
+    const entries = splitListText(value);
+    return { property, filterText: /,\s*$/.test(value) ? '' : entries[entries.length - 1] ?? '' };
+  }
+  return { property, filterText: value };
+}
+
+/**
+ * Calls a property's loadOptions and normalises what it returns to
+ * filtering options of that property.
+ * 
+ * @param {Object} property - Property with loadOptions
+ * @param {string} filterText - Text to search for
+ * @param {Object} options - { signal } AbortSignal passed on to loadOptions
+ * @returns {Promise<Array>} Filtering options { propertyKey, value, label, ... }
+ */
+export async function loadPropertyOptions(property, filterText, { signal } = {}) {
+  const results = await property.loadOptions(filterText, { signal });
+  return (results ?? []).map(result => (
+    result !== null && typeof result === 'object'
+      ? { ...result, propertyKey: property.key }
+      : { propertyKey: property.key, value: String(result) }
+  ));
+}
+
+/**
+ * Adds options to a list of filtering options, skipping values the list
+ * already has for the same property.
+ * 
+ * @param {Array} filteringOptions - Existing options (kept first)
+ * @param {Array} newOptions - Options to add
+ * @returns {Array} Merged options (the same array when nothing is added)
+ */
+export function mergeFilteringOptions(filteringOptions, newOptions) {
+  const keyOf = option => `${option.property?.key ?? option.propertyKey}\u0000${option.value}`;
+  const known = new Set(filteringOptions.map(keyOf));
+  const added = newOptions.filter(option => {
+    const key = keyOf(option);
+    if (known.has(key)) return false;
+    known.add(key);
+    return true;
+  });
+  return added.length > 0 ? [...filteringOptions, ...added] : filteringOptions;
+}
+
+/**
+ * Lists the values a query's filters use, by property: one entry per value
+ * of a list; none for ranges, valueless operators or free text.
+ * 
+ * @param {Array} tokens - Internal tokens (groups are walked)
+ * @returns {Array} { propertyKey, value } entries
+ * 
+ * @example
+ * getTokenValues([{ propertyKey: 'owner', operator: 'in', value: ['u1', 'u2'] }])
+ * // Returns: [{ propertyKey: 'owner', value: 'u1' }, { propertyKey: 'owner', value: 'u2' }]
+ */
+export function getTokenValues(tokens) {
+  return tokens.flatMap(token => {
+    if (isTokenGroup(token)) return getTokenValues(token.tokens);
+    const { propertyKey, value } = token;
+    if (!propertyKey || value === null || value === undefined || isRangeValue(value)) return [];
+    return (Array.isArray(value) ? value : [value]).map(entry => ({ propertyKey, value: entry }));
+  });
+}
+
 // =============================================================================
 // HELPER FUNCTIONS
 // =============================================================================
 
+/**
+ * Suggestions built from a filtering options array, by cache key.
+ * Entries go away with the array (internalOptions is rebuilt whenever the
+ * options or properties change), so nothing is ever stale.
+ */
+const suggestionCache = new WeakMap();
+
+/**
+ * Returns the cached result of build() for filteringOptions and key,
+ * building it on first use.
+ * Internal helper (not exported).
+ */
+function getCachedSuggestions(filteringOptions, key, build) {
+  let cache = suggestionCache.get(filteringOptions);
+  if (!cache) {
+    cache = new Map();
+    suggestionCache.set(filteringOptions, cache);
+  }
+  if (!cache.has(key)) {
+    cache.set(key, build());
+  }
+  return cache.get(key);
+}
+
+/**
+ * Lowercased search text of a suggestion (see filterOptionGroups()):
+ * the option's precomputed searchLabel when it has one (internalOptions),
+ * and the suggestion value.
+ * Internal helper (not exported).
+ */
+function getSearchIndex(filteringOption, suggestionValue) {
+  return {
+    searchLabel: filteringOption.searchLabel ?? String(filteringOption.label || filteringOption.value || '').toLowerCase(),
+    searchValue: suggestionValue.toLowerCase(),
+  };
+}
+
+/**
+ * Display fields a filtering option passes on to its suggestions:
+ * icon (a React node shown before the label), tags (short strings shown
+ * as badges), description (a line under the label) and count (the number
+ * of matching items, shown on the right).
+ * Internal helper (not exported).
+ */
+function getOptionDisplay(filteringOption) {
+  return {
+    icon: filteringOption.icon,
+    tags: filteringOption.tags,
+    description: filteringOption.description,
+    count: filteringOption.count,
+  };
+}
+
+/**
+ * Relative expressions suggested at the value step of date properties.
+ * Any expression parseDateExpression() understands can also be typed.
+ */
+const dateExpressionSuggestions = [
+  'today',
+  'yesterday',
+  'last 7 days',
+  'last 30 days',
+  'this week',
+  'this month',
+  'last month',
+  'this year',
+];
+
+/**
+ * Builds the dropdown option for one operator of a property.
+ * Selecting it continues to the value step ("Status = "), except for
+ * valueless operators, which complete the filter ("Owner exists").
+ * 
+ * @param {Object} property - Property definition
+ * @param {string} operator - Operator symbol
+ * @param {Array} operators - Custom operator definitions (optional)
+ * @returns {Object} Option { value, label, description, keepOpenOnSelect }
+ */
+function getOperatorSuggestion(property, operator, operators) {
+  const isValueless = isValuelessOperator(operator, operators);
+  return {
+    // Trailing space so the user can type the value straight away
+    value: isValueless ? `${property.propertyLabel} ${operator}` : `${property.propertyLabel} ${operator} `,
+    label: `${property.propertyLabel} ${operator}`,
+    description: getOperator(operator, operators)?.description || operator, // "Equals", "Contains", etc.
+    keepOpenOnSelect: !isValueless, // Don't close dropdown, user still needs to type value
+  };
+}
+
 /**
  * Generates property suggestions for the dropdown.
  * Each property option has keepOpenOnSelect so the dropdown stays open
@@ -468,6 +1227,91 @@ function getPropertySuggestions(filteringProperties, groupLabel) {
     : [];
 }
 
+/**
+ * Generates the "Recent filters" and "Frequently used" groups shown while
+ * the input is empty, from createFilterUsage() entries.
+ * 
+ * Recent filters are the last FILTER_USAGE_SUGGESTIONS used; frequently
+ * used ones were added at least twice, most often first, and aren't
+ * already listed as recent. Entries of properties that no longer exist
+ * are skipped. Selecting an option adds its usageToken.
+ * 
+ * @param {Array} entries - Usage entries, most recent first
+ * @param {Array} filteringProperties - Available properties
+ * @param {Array} filteringOptions - Available filter values (for labels)
+ * @param {Object} groupLabels - { recent, frequent }
+ * @param {Array} operators - Custom operator definitions (optional)
+ * @returns {Array} Up to two groups
+ */
+function getFilterUsageSuggestions(entries, filteringProperties, filteringOptions, groupLabels, operators) {
+  const available = entries.filter(entry =>
+    !entry.propertyKey || filteringProperties.some(property => property.key === entry.propertyKey && !property.hidden)
+  );
+  const recent = available.slice(0, FILTER_USAGE_SUGGESTIONS);
+  const frequent = available
+    .filter(entry => entry.count > 1 && !recent.includes(entry))
+    .sort((a, b) => b.count - a.count) // Stable: ties stay most recent first
+    .slice(0, FILTER_USAGE_SUGGESTIONS);
+
+  const toOption = (entry) => {
+    const usageToken = { propertyKey: entry.propertyKey, operator: entry.operator, value: entry.value };
+    const { formattedText } = formatToken(usageToken, filteringProperties, filteringOptions, operators);
+    return { value: formattedText, label: formattedText, usageToken };
+  };
+
+  return [
+    { label: groupLabels.recent, options: recent.map(toOption) },
+    { label: groupLabels.frequent, options: frequent.map(toOption) },
+  ].filter(group => group.options.length > 0);
+}
+
+/**
+ * Generates checkbox suggestions for multi-value operators ('in', 'not in').
+ * 
+ * Each option's value is the input text with that value toggled, so
+ * selecting it (keepOpenOnSelect) updates the list and keeps the dropdown
+ * open for picking more. Enter creates the token from the list.
+ * 
+ * @param {Object} parsedText - Parsed 'property' step with a multi-value operator
+ * @param {Array} propertyOptions - The property's filtering options
+ * @param {string} groupLabel - Label for the group header
+ * @returns {Object} { filterText, options }
+ */
+function getMultiValueSuggestions(parsedText, propertyOptions, groupLabel) {
+  const { property, operator, value } = parsedText;
+  const matches = (option, entry) => {
+    const lower = entry.toLowerCase();
+    return String(option.value).toLowerCase() === lower || String(option.label ?? '').toLowerCase() === lower;
+  };
+
+  // The last entry may still be being typed ("active, pen") - it filters the options
+  const entries = splitListText(value);
+  const lastEntry = entries[entries.length - 1];
+  const isTyping = !!lastEntry && !/,\s*$/.test(value) &&
+    !propertyOptions.some(option => matches(option, lastEntry));
+  const selected = isTyping ? entries.slice(0, -1) : entries;
+
+  const options = propertyOptions.map(option => {
+    const checked = selected.some(entry => matches(option, entry));
+    const nextValues = checked
+      ? selected.filter(entry => !matches(option, entry))
+      : [...selected, String(option.value)];
+    return {
+      value: `${property.propertyLabel} ${operator} ${nextValues.map(entry => `${quoteValue(entry)}, `).join('')}`,
+      label: option.label || option.value,
+      rawValue: option.value,
+      ...getOptionDisplay(option),
+      checked,
+      keepOpenOnSelect: true,
+    };
+  });
+
+  return {
+    filterText: isTyping ? lastEntry : '',
+    options: options.length > 0 ? [{ label: groupLabel, options }] : [],
+  };
+}
+
 /**
  * Generates value suggestions across all properties.
  * Used in free-text mode to show all possible values the user might want.
@@ -478,33 +1322,208 @@ function getPropertySuggestions(filteringProperties, groupLabel) {
  * @param {Array} filteringOptions - All available filter options
  * @param {string} operator - Preferred operator (falls back to '=')
  * @param {string} groupLabel - Label for the group header
+ * @param {Array} operators - Custom operator definitions (optional)
  * @returns {Array} Array with single group object, or empty array
  */
-function getAllValueSuggestions(filteringOptions, operator = '=', groupLabel) {
-  const options = [];
+function getAllValueSuggestions(filteringOptions, operator = '=', groupLabel, operators) {
+  // Every option of every property - built once per options array
+  return getCachedSuggestions(filteringOptions, `all-values\u0000${operator}\u0000${groupLabel}`, () => {
+    const options = [];
 
-  filteringOptions.forEach(filteringOption => {
-    const property = filteringOption.property;
-    if (!property) return; // Skip options without property reference
+    filteringOptions.forEach(filteringOption => {
+      const property = filteringOption.property;
+      if (!property) return; // Skip options without property reference
 
-    // Check if this property supports the current operator
-    const allowedOps = getAllowedOperators(property);
-    if (allowedOps.indexOf(operator) === -1 && allowedOps.indexOf('=') === -1) return;
+      // Check if this property supports the current operator
+      const allowedOps = getAllowedOperators(property, operators);
+      if (allowedOps.indexOf(operator) === -1 && allowedOps.indexOf('=') === -1) return;
 
-    // Use requested operator if allowed, otherwise fall back to '='
-    const op = allowedOps.includes(operator) ? operator : '=';
-    
-    options.push({
-      // Full filter string for token creation
-      value: `${property.propertyLabel} ${op} ${filteringOption.value}`,
-      label: filteringOption.label || filteringOption.value,
-      labelPrefix: `${property.propertyLabel} ${op}`, // Shown in gray
+      // Use requested operator if allowed, otherwise fall back to '='
+      const op = allowedOps.includes(operator) ? operator : '=';
+      const value = `${property.propertyLabel} ${op} ${quoteValue(filteringOption.value)}`;
+
+      options.push({
+        // Full filter string for token creation
+        value,
+        label: filteringOption.label || filteringOption.value,
+        labelPrefix: `${property.propertyLabel} ${op}`, // Shown in gray
+        ...getOptionDisplay(filteringOption),
+        ...getSearchIndex(filteringOption, value),
+      });
     });
+
+    return options.length > 0
+      ? [{ label: groupLabel, options }]
+      : [];
   });
+}
 
-  return options.length > 0
-    ? [{ label: groupLabel, options }]
-    : [];
+// =============================================================================
+// TOKEN VALIDATION
+// =============================================================================
+
+/**
+ * Runs a token through the validation pipeline before it enters the query.
+ * 
+ * Used both when creating a token from the input and when editing an
+ * existing token, so both paths accept and normalize values the same way.
+ * 
+ * PIPELINE:
+ * 0. Valueless operators ('exists', 'is empty') are accepted with value null
+ * 1. Free-text tokens (no property) and patterns ('~', 'like') only have
+ *    their operator's value syntax checked (e.g. the regex compiles)
+ * 2. validateTokenValue() checks the value against property.validationType
+ * 3. normalizedValue, if returned, replaces the value (e.g. IP → IP/32)
+ * 4. parsePropertyValue() converts the value to the property's type
+ *    (e.g. "42" → 42 for type 'number'), rejecting values that don't parse.
+ *    Relative dates ("-7d") also set token.expression for display.
+ * 5. 'between' values are split into { from, to } and must have from ≤ to;
+ *    'in' / 'not in' values into an array, each value checked on its own
+ * 
+ * @param {Object} token - Token { property, propertyKey, operator, value }
+ * @param {Array} filteringOptions - Options (used to check enum values)
+ * @param {Array} operators - Custom operator definitions (optional, see
+ *   getOperator in utils.js)
+ * @returns {{ valid: boolean, error?: string, token?: Object }}
+ * 
+ * @example
+ * validateToken({ property: ipProperty, operator: '=', value: '1.2.3.4' })
+ * // Returns: { valid: true, token: { ..., value: '1.2.3.4/32' } }
+ */
+export function validateToken(token, filteringOptions = [], operators) {
+  // Valueless operators ("Owner exists") have nothing to check
+  if (isValuelessOperator(token.operator, operators)) {
+    return { valid: true, token: { ...token, value: null } };
+  }
+
+  const checkValue = (value) => {
+    const validation = validateTokenValue(value, token.property, token.operator, operators);
+    return validation.valid
+      ? { valid: true, value: validation.normalizedValue ?? value }
+      : { valid: false, error: validation.error };
+  };
+
+  // Free text and patterns ('~', 'like') only need their value checked
+  if (!token.property || getOperator(token.operator, operators)?.patternValue) {
+    const checked = checkValue(token.value);
+    return checked.valid ? { valid: true, token } : { valid: false, error: checked.error };
+  }
+
+  let value;
+  if (isMultiValueOperator(token.operator, operators)) {
+    // Lists are split first so each value is checked on its own
+    const values = toOperatorValue(token.operator, token.value, operators);
+    if (values.length === 0) {
+      return { valid: false, error: 'Enter one or more values, separated by commas' };
+    }
+    const checked = values.map(checkValue);
+    const invalid = checked.find(result => !result.valid);
+    if (invalid) {
+      return { valid: false, error: invalid.error };
+    }
+    value = checked.map(result => result.value);
+  } else {
+    const checked = checkValue(token.value);
+    if (!checked.valid) {
+      return { valid: false, error: checked.error };
+    }
+    value = toOperatorValue(token.operator, checked.value, operators);
+  }
+
+  const parsed = parsePropertyValue(value, token.property, filteringOptions);
+  if (!parsed.valid) {
+    return { valid: false, error: parsed.error };
+  }
+  // Range operators ('between') need two bounds, or a period such as "last month"
+  if (isRangeOperator(token.operator, operators) && !isRangeValue(parsed.value)) {
+    return { valid: false, error: 'Enter a range, e.g. 10 and 20' };
+  }
+
+  return {
+    valid: true,
+    token: parsed.expression
+      ? { ...token, value: parsed.value, expression: parsed.expression }
+      : { ...token, value: parsed.value },
+  };
+}
+
+/**
+ * Builds a validated token from filter text or a token object, for tokens
+ * added from outside the input (e.g. PropertyFilter's ref API).
+ * 
+ * Text is read with parseText() like typed input ("Status = active",
+ * "timeout"); objects name their property by key. Either way the operator
+ * must be allowed for the property (or for free text) and the token then
+ * goes through validateToken().
+ * 
+ * @param {string|Object} input - Filter text, or { propertyKey, operator, value }
+ *   (operator defaults to the property's default operator; no propertyKey
+ *   means free text)
+ * @param {Array} filteringProperties - Property definitions
+ * @param {Object} options - { filteringOptions, freeTextFiltering, operators }
+ *   (operators: custom operator definitions, see getOperator in utils.js)
+ * @returns {{ valid: boolean, error?: string, token?: Object }}
+ * 
+ * @example
+ * resolveToken({ propertyKey: 'size', operator: '>', value: '10' }, properties)
+ * // Returns: { valid: true, token: { property, propertyKey: 'size', operator: '>', value: 10 } }
+ * 
+ * resolveToken('Size > lots', properties)
+ * // Returns: { valid: false, error: 'Enter a number' }
+ */
+export function resolveToken(input, filteringProperties, options = {}) {
+  const {
+    filteringOptions = [],
+    freeTextFiltering = { disabled: false, operators: [':', '!:'], defaultOperator: ':' },
+    operators,
+  } = options;
+
+  let token;
+  if (typeof input === 'string') {
+    const parsed = parseText(input, filteringProperties, freeTextFiltering, operators);
+    token = parsed.step === 'property'
+      ? { property: parsed.property, propertyKey: parsed.property.key, operator: parsed.operator, value: parsed.value }
+      : {
+          property: null,
+          propertyKey: undefined,
+          operator: parsed.operator || freeTextFiltering.defaultOperator,
+          // "Status" alone (no operator yet) is searched for as text
+          value: parsed.step === 'operator' ? input : parsed.value,
+        };
+  } else {
+    const property = input.propertyKey
+      ? filteringProperties.find(p => p.key === input.propertyKey)
+      : null;
+    if (input.propertyKey && !property) {
+      return { valid: false, error: `Unknown property "${input.propertyKey}"` };
+    }
+    token = {
+      property,
+      propertyKey: property?.key,
+      operator: input.operator || (property ? property.defaultOperator || '=' : freeTextFiltering.defaultOperator),
+      value: input.value,
+    };
+  }
+
+  if (token.property) {
+    const allowedOperators = getAllowedOperators({
+      ...token.property,
+      operators: token.property.operators?.map(op => (typeof op === 'string' ? op : op.operator)),
+    }, operators);
+    if (!allowedOperators.includes(token.operator)) {
+      return { valid: false, error: `${token.property.propertyLabel || token.property.key}: "${token.operator}" isn't allowed` };
+    }
+  } else if (freeTextFiltering.disabled || !freeTextFiltering.operators.includes(token.operator)) {
+    return { valid: false, error: `Free text: "${token.operator}" isn't allowed` };
+  }
+
+  const isEmpty = token.value === null || token.value === undefined ||
+    (Array.isArray(token.value) ? token.value.length === 0 : String(token.value).trim() === '');
+  if (!isValuelessOperator(token.operator, operators) && isEmpty) {
+    return { valid: false, error: 'Enter a value' };
+  }
+
+  return validateToken(token, filteringOptions, operators);
 }
 
 // =============================================================================
@@ -516,11 +1535,18 @@ function getAllValueSuggestions(filteringOptions, operator = '=', groupLabel) {
  * 
  * Converts internal token format to display format with:
  * - Property label (human-readable name)
- * - Formatted value (using property's formatter if defined)
+ * - Formatted value (property's formatter if defined, else the relative
+ *   date expression if any, else by property type)
  * - Full formatted text for display
  * 
- * @param {Object} token - Internal token { propertyKey, operator, value }
+ * Token groups are formatted recursively and returned as
+ * { operation, tokens: [formatted tokens] }.
+ * 
+ * @param {Object} token - Internal token { propertyKey, operator, value } or group
  * @param {Array} filteringProperties - Property definitions for lookup
+ * @param {Array} filteringOptions - Options (used for enum labels)
+ * @param {Array} operators - Custom operator definitions (optional, see
+ *   getOperator in utils.js)
  * @returns {Object} Formatted token for display
  * 
  * @example
@@ -533,23 +1559,93 @@ function getAllValueSuggestions(filteringOptions, operator = '=', groupLabel) {
  * //   formattedText: 'Status = active'
  * // }
  */
-export function formatToken(token, filteringProperties) {
+export function formatToken(token, filteringProperties, filteringOptions = [], operators) {
+  // Groups keep their structure; each nested token is formatted in turn
+  if (isTokenGroup(token)) {
+    return {
+      operation: token.operation || 'and',
+      tokens: token.tokens.map(nestedToken =>
+        formatToken(nestedToken, filteringProperties, filteringOptions, operators)
+      ),
+    };
+  }
+
   // Find property definition (may be attached to token or need lookup)
   const property = token.property || filteringProperties.find(p => p.key === token.propertyKey);
   const propertyLabel = property?.propertyLabel || '';
   
-  // Apply value formatter if property defines one for this operator
+  // Apply value formatter if property defines one for this operator,
+  // otherwise format according to the property's type
+  // Relative date expressions are shown as typed ("Created > -7d"),
+  // 'between' ranges as "10 and 20", lists as "Active, Pending (+2)"
   const valueFormatter = property?.getValueFormatter?.(token.operator);
-  const formattedValue = valueFormatter ? valueFormatter(token.value) : String(token.value ?? '');
+  const formatValue = value => formatPropertyValue(value, property, filteringOptions);
+  let formattedValue;
+  const isValueless = isValuelessOperator(token.operator, operators);
+  if (isValueless) {
+    formattedValue = '';
+  } else if (valueFormatter) {
+    formattedValue = valueFormatter(token.value);
+  } else if (token.expression) {
+    formattedValue = token.expression;
+  } else if (isRangeOperator(token.operator, operators) && isRangeValue(token.value)) {
+    formattedValue = `${formatValue(token.value.from)} and ${formatValue(token.value.to)}`;
+  } else if (Array.isArray(token.value)) {
+    const labels = token.value.map(value => {
+      const option = filteringOptions.find(
+        o => (o.property?.key ?? o.propertyKey) === property?.key && o.value === value
+      );
+      return option?.label || formatValue(value);
+    });
+    const hiddenCount = labels.length - MAX_CHIP_VALUES;
+    formattedValue = labels.slice(0, MAX_CHIP_VALUES).join(', ') +
+      (hiddenCount > 0 ? ` (+${hiddenCount})` : '');
+  } else {
+    formattedValue = quoteTokenValue(formatValue(token.value), token.operator, property, filteringProperties, operators);
+  }
+  const operatorLabel = getOperator(token.operator, operators)?.label || token.operator;
+  // The filtering option of a single value, for its icon in the chip
+  const valueOption = property && !isValueless && !Array.isArray(token.value)
+    ? filteringOptions.find(o => (o.property?.key ?? o.propertyKey) === property.key && o.value === token.value)
+    : undefined;
 
   return {
     propertyKey: token.propertyKey || property?.key,
     propertyLabel,
     operator: token.operator,
+    operatorLabel, // Chip text for the operator: "is one of" for 'in'
     value: formattedValue,
+    rawValue: token.value, // Unformatted value, used when editing the token
+    option: valueOption,   // Matching filtering option (icon, tags), if any
     // Full display text: "Status = active" or ": searchterm" for free text
-    formattedText: propertyLabel
-      ? `${propertyLabel} ${token.operator} ${formattedValue}`
-      : `${token.operator} ${formattedValue}`,
+    // ("Owner exists" for valueless operators)
+    formattedText: isValueless
+      ? `${propertyLabel} ${operatorLabel}`
+      : propertyLabel
+        ? `${propertyLabel} ${operatorLabel} ${formattedValue}`
+        : `${operatorLabel} ${formattedValue}`,
   };
 }
+
+/**
+ * Quotes a chip value where typing it back wouldn't give the same token
+ * (see quoteValue()). Free text "contains" chips show only the value, so it
+ * is also quoted if it would read as a filter: "Status = active", ": x".
+ * Pattern values are shown as typed.
+ * 
+ * @param {string} text - Formatted value
+ * @param {string} operator - Token operator
+ * @param {Object|null} property - Token property (null for free text)
+ * @param {Array} filteringProperties - Property definitions
+ * @param {Array} operators - Custom operator definitions (optional)
+ * @returns {string} Value as it can be typed
+ */
+function quoteTokenValue(text, operator, property, filteringProperties, operators) {
+  if (getOperator(operator, operators)?.patternValue) return text;
+
+  const quoted = quoteValue(text);
+  if (quoted !== text || property || operator !== ':') return quoted;
+
+  const parsed = parseText(text, filteringProperties, { disabled: false, operators: [':', '!:'] }, operators);
+  return parsed.step === 'free-text' && !parsed.operator ? text : `"${text}"`;
+}
@@ -0,0 +1,213 @@
+/**
+ * =============================================================================
+ * deriveFilteringConfig.js - Filtering Properties and Options from Data
+ * =============================================================================
+ *
+ * For pages where writing filteringProperties / filteringOptions by hand
+ * isn't worth it (internal admin pages, prototypes), this file infers them
+ * from the rows being filtered:
+ *
+ *   const config = useMemo(() => deriveFilteringConfig(rows, { exclude: ['id'] }), [rows]);
+ *   <PropertyFilter {...config} query={query} onChange={setQuery} />
+ *   const visibleRows = evaluateQuery(rows, query, config.filteringProperties);
+ *
+ * WHAT IS INFERRED:
+ * -----------------
+ * - Keys: every field with scalar values (strings, numbers, booleans,
+ *   dates) or lists of them, in the order they first appear; fields
+ *   holding objects are skipped
+ * - Labels: from the key ("createdAt" / "created_at" → "Created at",
+ *   "ip" → "IP")
+ * - Types: 'boolean', 'number', 'date' ("YYYY-MM-DD") or 'datetime' (ISO
+ *   timestamps, Date objects) when every value has that type; otherwise
+ *   text
+ * - Listed fields: fields with at most maxDistinctValues distinct values,
+ *   some of them repeated (a field unique to each row, like a name, isn't
+ *   worth listing). Booleans and dates aren't listed - they have their
+ *   own suggestions.
+ * - Operators: a typed property gets its type's default operators; listed
+ *   text is picked from a list (=, !=, in, not in), other text is searched
+ *   (contains by default). Fields some rows lack also get exists / not
+ *   exists.
+ * - Options: the distinct values of listed fields, sorted
+ *
+ * The result is a starting point: spread it, then adjust single properties
+ * (labels, operators) where the guess isn't right.
+ */
+
+import { getDefaultOperators } from './utils';
+
+// Distinct values up to which a field gets filteringOptions
+const DEFAULT_MAX_DISTINCT_VALUES = 25;
+
+// Operators of text properties, by whether their values are listed
+const LISTED_TEXT_OPERATORS = ['=', '!=', 'in', 'not in'];
+const SEARCHED_TEXT_OPERATORS = ['=', '!=', ':', '!:', '^', '!^'];
+const EXISTENCE_OPERATORS = ['exists', 'not exists'];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_DATETIME = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/;
+
+/**
+ * Turns a field key into a label: "createdAt" → "Created at",
+ * "first_name" → "First name", "ip" → "IP".
+ * Internal helper (not exported).
+ */
+function toPropertyLabel(key) {
+  const words = String(key)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[\s_-]+/)
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+  if (words.length === 1 && words[0].length <= 2) return words[0].toUpperCase();
+  const label = words.join(' ');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+/**
+ * Tells the type of a single value: 'boolean', 'number', 'date',
+ * 'datetime', 'string', or null for values that can't be filtered
+ * (objects).
+ * Internal helper (not exported).
+ */
+function getValueType(value) {
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'number') return Number.isFinite(value) ? 'number' : null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : 'datetime';
+  if (typeof value === 'string') {
+    if (ISO_DATE.test(value)) return 'date';
+    if (ISO_DATETIME.test(value) && !isNaN(Date.parse(value))) return 'datetime';
+    return 'string';
+  }
+  return null;
+}
+
+/**
+ * Combines the types seen in a field into the property type: one type,
+ * dates with datetimes as 'datetime', anything else mixed as text.
+ * Internal helper (not exported).
+ */
+function getFieldType(types) {
+  if (types.size === 1) return [...types][0];
+  if (types.size === 2 && types.has('date') && types.has('datetime')) return 'datetime';
+  return 'string';
+}
+
+/**
+ * Sorts option values: numbers numerically, text naturally ("item 2"
+ * before "item 10").
+ * Internal helper (not exported).
+ */
+function compareOptionValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+/**
+ * Infers filteringProperties and filteringOptions from data items.
+ *
+ * @param {Array} items - Data objects (e.g. table rows)
+ * @param {Object} options - {
+ *     include,                // Keys to use, in this order (default: all)
+ *     exclude,                // Keys to leave out (e.g. ['id'])
+ *     maxDistinctValues = 25, // Fields with more distinct values get no options
+ *   }
+ * @returns {Object} { filteringProperties, filteringOptions }
+ *
+ * @example
+ * deriveFilteringConfig([
+ *   { id: 1, name: 'John', status: 'active', age: 31 },
+ *   { id: 2, name: 'Jane', status: 'active', age: 28 },
+ *   { id: 3, name: 'Bob', status: 'inactive' },
+ * ], { exclude: ['id'] })
+ * // Returns: {
+ * //   filteringProperties: [
+ * //     { key: 'name', propertyLabel: 'Name', operators: ['=', '!=', ':', '!:', '^', '!^'], defaultOperator: ':', ... },
+ * //     { key: 'status', propertyLabel: 'Status', operators: ['=', '!=', 'in', 'not in'], defaultOperator: '=', ... },
+ * //     { key: 'age', propertyLabel: 'Age', type: 'number', operators: [...number operators, 'exists', 'not exists'], ... },
+ * //   ],
+ * //   filteringOptions: [
+ * //     { propertyKey: 'status', value: 'active', label: 'active' },
+ * //     { propertyKey: 'status', value: 'inactive', label: 'inactive' },
+ * //   ],
+ * // }
+ */
+export function deriveFilteringConfig(items = [], { include, exclude = [], maxDistinctValues = DEFAULT_MAX_DISTINCT_VALUES } = {}) {
+  const excluded = new Set(exclude);
+  const keys = include
+    ? include.filter(key => !excluded.has(key))
+    : [...new Set(items.flatMap(item => (item && typeof item === 'object' ? Object.keys(item) : [])))]
+      .filter(key => !excluded.has(key));
+
+  // What each field holds: the types seen, how many values, its distinct
+  // values (until there are too many to list) and whether some items lack it
+  const fields = new Map(keys.map(key => [
+    key,
+    { types: new Set(), count: 0, values: new Set(), tooMany: false, missing: false },
+  ]));
+
+  fields.forEach((field, key) => {
+    items.forEach(item => {
+      const value = item?.[key];
+      // A list matches when one of its values does (see evaluateQuery)
+      const values = Array.isArray(value) ? value : [value];
+      const present = values.filter(element => element !== null && element !== undefined && element !== '');
+      if (present.length === 0) {
+        field.missing = true;
+        return;
+      }
+      present.forEach(element => {
+        field.types.add(getValueType(element));
+        field.count += 1;
+        if (field.tooMany) return;
+        field.values.add(element);
+        if (field.values.size > maxDistinctValues) field.tooMany = true;
+      });
+    });
+  });
+
+  const filteringProperties = [];
+  const filteringOptions = [];
+
+  fields.forEach((field, key) => {
+    // Objects can't be filtered; fields with no values tell nothing
+    if (field.types.size === 0 || field.types.has(null)) return;
+
+    const type = getFieldType(field.types);
+    const propertyLabel = toPropertyLabel(key);
+    const listed = !field.tooMany && field.values.size < field.count &&
+      type !== 'boolean' && type !== 'date' && type !== 'datetime';
+    const existence = field.missing ? EXISTENCE_OPERATORS : [];
+
+    let operators;
+    let defaultOperator;
+    if (type !== 'string') {
+      // Typed properties use their type's operators (listed only when adding existence)
+      operators = field.missing ? [...getDefaultOperators(type), ...existence] : undefined;
+      defaultOperator = '=';
+    } else if (listed) {
+      operators = [...LISTED_TEXT_OPERATORS, ...existence];
+      defaultOperator = '=';
+    } else {
+      operators = [...SEARCHED_TEXT_OPERATORS, ...existence];
+      defaultOperator = ':';
+    }
+
+    filteringProperties.push({
+      key,
+      propertyLabel,
+      groupValuesLabel: `${propertyLabel} values`,
+      ...(type !== 'string' && { type }),
+      ...(operators && { operators }),
+      defaultOperator,
+    });
+
+    if (listed) {
+      [...field.values].sort(compareOptionValues).forEach(value => {
+        filteringOptions.push({ propertyKey: key, value, label: String(value) });
+      });
+    }
+  });
+
+  return { filteringProperties, filteringOptions };
+}
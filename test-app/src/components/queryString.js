@@ -0,0 +1,520 @@
+/**
+ * =============================================================================
+ * queryString.js - Text Query Language for PropertyFilter
+ * =============================================================================
+ *
+ * parseText() (controller.js) reads ONE filter as the user types it. This file
+ * reads and prints a WHOLE query as text, so power users can paste
+ * an expression and get tokens, and queries can be shown or shared as text:
+ *
+ *   Status = active and (Role = admin or Name ^ "Jo")
+ *
+ * GRAMMAR:
+ * --------
+ *   expression := term ( 'or' term )*
+ *   term       := factor ( 'and' factor )*
+ *   factor     := 'not' factor | '(' expression ')' | filter
+ *   filter     := Property operator value      "Status = active"
+ *               | Property valueless-operator  "Owner exists"
+ *               | [free-text operator] value   ": error", "timeout"
+ *
+ * Keywords (and, or, not) are case-insensitive. 'and' binds tighter than
+ * 'or', as usual.
+ *
+ * VALUES:
+ * -------
+ * - Unquoted values run until " and ", " or ", ")" or the end: Name : john doe
+ * - "Quoted values" can contain anything; \" and \\ escape inside quotes
+ * - A backslash escapes the next character in unquoted values too: a\)b
+ * - Ranges:  Size between 10 and 20      (each bound may be quoted)
+ * - Lists:   Status in active, "on hold" (comma-separated)
+ *
+ * NEGATION:
+ * ---------
+ * There is no NOT in the query format, so 'not' is applied while parsing:
+ * "not Status = active" becomes "Status != active" (using the operator
+ * registry's negationOf), and "not (a or b)" becomes "(not a and not b)".
+ * Operators without a negated form (e.g. '>') can't follow 'not'.
+ *
+ * TO ADD A NEW KEYWORD:
+ * Add it to KEYWORD_PATTERN and handle it in parseFactor() or parseTerm().
+ */
+
+import {
+  matchFilteringPropertyText,
+  matchOperator,
+  matchFreeTextOperator,
+  getAllowedOperators,
+  getDefaultOperators,
+  getOperator,
+  getRegisteredOperators,
+  isValuelessOperator,
+  isRangeOperator,
+  isMultiValueOperator,
+  isRangeValue,
+  isTokenGroup,
+  queryToApiFormat,
+  apiToQueryFormat,
+} from './utils';
+import { validateToken } from './controller';
+
+/**
+ * Keywords that end an unquoted value when they follow whitespace.
+ */
+const VALUE_END_PATTERN = /^\s+(and|or)(?=[\s(]|$)/i;
+
+/**
+ * Keywords at the current position ("and", "or", "not").
+ */
+const KEYWORD_PATTERN = /^(and|or|not)(?=[\s(]|$)/i;
+
+/**
+ * Free-text settings used when none are passed (same as PropertyFilter's).
+ */
+const defaultFreeTextFiltering = { disabled: false, operators: [':', '!:'], defaultOperator: ':' };
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+/**
+ * A syntax error with the text that should be shown to the user.
+ * Internal - thrown inside the parser and turned into { valid: false, error }.
+ */
+class QuerySyntaxError extends Error {}
+
+/**
+ * Applies the defaults PropertyFilter gives its properties (labels and
+ * operators), so raw filteringProperties can be passed in.
+ * Internal helper (not exported).
+ */
+function normalizeProperties(filteringProperties, operators) {
+  return filteringProperties.map(property => ({
+    ...property,
+    propertyLabel: property.propertyLabel || property.key,
+    operators: (property.operators || getDefaultOperators(property.type, operators)).map(op =>
+      typeof op === 'string' ? op : op.operator
+    ),
+  }));
+}
+
+/**
+ * Creates the parser for one piece of text. Returns functions sharing a
+ * cursor (pos) over the text; parseExpression() is the entry point.
+ * Internal helper (not exported).
+ */
+function createParser(text, filteringProperties, freeTextFiltering, operators) {
+  let pos = 0;
+  // Whether and/or/not/parentheses were used, and whether any free text was
+  // typed without quotes or an operator - see parseQueryTokens()
+  const usage = { keywords: false, bareFreeText: false };
+
+  const rest = () => text.slice(pos);
+  const skipSpaces = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+  const readKeyword = () => {
+    skipSpaces();
+    return rest().match(KEYWORD_PATTERN)?.[1].toLowerCase() || null;
+  };
+  const consume = (length) => {
+    pos += length;
+  };
+  const describePosition = () => (pos < text.length ? `"${rest().trim().slice(0, 20)}"` : 'the end');
+
+  /**
+   * Reads a "quoted" string; the cursor is on the opening quote.
+   */
+  const readQuoted = () => {
+    let value = '';
+    for (pos++; pos < text.length; pos++) {
+      const char = text[pos];
+      if (char === '\\' && pos + 1 < text.length) {
+        value += text[++pos];
+      } else if (char === '"') {
+        pos++;
+        return value;
+      } else {
+        value += char;
+      }
+    }
+    throw new QuerySyntaxError('Missing closing quote');
+  };
+
+  /**
+   * Reads one value: quoted, or unquoted up to " and " / " or " / ")" / end
+   * (and "," inside lists).
+   */
+  const readValue = ({ inList = false } = {}) => {
+    skipSpaces();
+    if (text[pos] === '"') {
+      return { value: readQuoted(), quoted: true };
+    }
+    let value = '';
+    while (pos < text.length) {
+      const char = text[pos];
+      if (char === '\\' && pos + 1 < text.length) {
+        value += text[pos + 1];
+        pos += 2;
+        continue;
+      }
+      if (char === ')' || (inList && char === ',')) break;
+      if (/\s/.test(char) && VALUE_END_PATTERN.test(rest())) break;
+      value += char;
+      pos++;
+    }
+    return { value: value.trim(), quoted: false };
+  };
+
+  /**
+   * Reads the value for an operator: null, a range { from, to }, a list, or a string.
+   */
+  const readOperatorValue = (operator) => {
+    if (isValuelessOperator(operator, operators)) return null;
+
+    if (isMultiValueOperator(operator, operators)) {
+      const values = [readValue({ inList: true }).value];
+      skipSpaces();
+      while (text[pos] === ',') {
+        consume(1);
+        values.push(readValue({ inList: true }).value);
+        skipSpaces();
+      }
+      return values.filter(value => value !== '');
+    }
+
+    const { value } = readValue();
+    // "between 10 and 20" - the 'and' belongs to the range, not the query
+    if (isRangeOperator(operator, operators) && readKeyword() === 'and') {
+      consume(3);
+      return { from: value, to: readValue().value };
+    }
+    return value;
+  };
+
+  /**
+   * filter := Property operator value | [free-text operator] value
+   */
+  const parseFilter = () => {
+    skipSpaces();
+    const start = pos;
+
+    // Quoted text is always free text, even if it starts with a property label
+    const propertyMatch = text[pos] === '"' ? null : matchFilteringPropertyText(filteringProperties, rest());
+    const property = propertyMatch?.property;
+    if (property) {
+      consume(propertyMatch.text.length);
+      skipSpaces();
+      const operator = matchOperator(getAllowedOperators(property, operators), rest());
+      if (operator) {
+        consume(operator.length);
+        return {
+          property,
+          propertyKey: property.key,
+          operator,
+          value: readOperatorValue(operator),
+        };
+      }
+      // "Status report" - a label without an operator is free text
+      pos = start;
+    }
+
+    if (freeTextFiltering.disabled) {
+      throw new QuerySyntaxError(`Start each filter with a property, e.g. ${filteringProperties[0]?.propertyLabel || 'Name'} = value`);
+    }
+    const match = matchFreeTextOperator(freeTextFiltering.operators, rest(), operators);
+    if (match) consume(match.matchedText.length);
+    const { value, quoted } = readValue();
+    if (!value) {
+      throw new QuerySyntaxError(`Expected a filter at ${describePosition()}`);
+    }
+    if (!match && !quoted) usage.bareFreeText = true;
+    return {
+      property: null,
+      propertyKey: undefined,
+      operator: match ? match.operator : freeTextFiltering.defaultOperator,
+      value,
+    };
+  };
+
+  /**
+   * factor := 'not' factor | '(' expression ')' | filter
+   */
+  const parseFactor = () => {
+    const keyword = readKeyword();
+    if (keyword === 'not') {
+      usage.keywords = true;
+      consume(3);
+      return negate(parseFactor(), operators);
+    }
+    if (keyword) {
+      throw new QuerySyntaxError(`Expected a filter before "${keyword}"`);
+    }
+    if (text[pos] === '(') {
+      usage.keywords = true;
+      consume(1);
+      const node = parseExpression();
+      skipSpaces();
+      if (text[pos] !== ')') {
+        throw new QuerySyntaxError('Missing closing parenthesis');
+      }
+      consume(1);
+      return node;
+    }
+    if (text[pos] === ')') {
+      throw new QuerySyntaxError('Unexpected ")"');
+    }
+    if (pos >= text.length) {
+      throw new QuerySyntaxError('Expected a filter at the end');
+    }
+    return parseFilter();
+  };
+
+  /**
+   * Parses operands joined by one keyword, e.g. term := factor ('and' factor)*
+   */
+  const parseJoined = (operation, parseOperand) => {
+    const operands = [parseOperand()];
+    while (readKeyword() === operation) {
+      usage.keywords = true;
+      consume(operation.length);
+      operands.push(parseOperand());
+    }
+    return joinNodes(operation, operands);
+  };
+
+  const parseTerm = () => parseJoined('and', parseFactor);
+  const parseExpression = () => parseJoined('or', parseTerm);
+
+  /**
+   * Parses the whole text; anything left over is an error.
+   */
+  const parse = () => {
+    skipSpaces();
+    if (pos >= text.length) {
+      throw new QuerySyntaxError('Enter a filter');
+    }
+    const node = parseExpression();
+    skipSpaces();
+    if (pos < text.length) {
+      throw new QuerySyntaxError(
+        text[pos] === ')' ? 'Unexpected ")"' : `Expected "and" or "or" at ${describePosition()}`
+      );
+    }
+    return node;
+  };
+
+  return { parse, usage };
+}
+
+/**
+ * Joins nodes with an operation. Nested groups with the same operation are
+ * flattened ("a and (b and c)" is "a and b and c"); one node stays as is.
+ * Internal helper (not exported).
+ */
+function joinNodes(operation, nodes) {
+  if (nodes.length === 1) return nodes[0];
+  const tokens = nodes.flatMap(node =>
+    isTokenGroup(node) && node.operation === operation ? node.tokens : [node]
+  );
+  return { operation, tokens };
+}
+
+/**
+ * Negates a token (via its operator's negated form) or a group (De Morgan).
+ * Internal helper (not exported).
+ */
+function negate(node, operators) {
+  if (isTokenGroup(node)) {
+    return joinNodes(
+      node.operation === 'and' ? 'or' : 'and',
+      node.tokens.map(token => negate(token, operators))
+    );
+  }
+  const negationOf = getOperator(node.operator, operators)?.negationOf;
+  const negated = negationOf ||
+    getRegisteredOperators(operators).find(operator => operator.negationOf === node.operator)?.symbol;
+  if (!negated) {
+    throw new QuerySyntaxError(`"not" can't be used with the "${node.operator}" operator`);
+  }
+  return { ...node, operator: negated };
+}
+
+/**
+ * Parses a text query into validated internal tokens.
+ *
+ * Each filter goes through validateToken(), so typed values are parsed
+ * (e.g. "42" → 42) and invalid ones reported, exactly as when typed one by one.
+ *
+ * @param {string} text - Query text, e.g. 'Status = active and Role = admin'
+ * @param {Array} filteringProperties - Property definitions
+ * @param {Object} options - { filteringOptions, freeTextFiltering, operators }
+ *   (operators: custom operator definitions, see getOperator in utils.js)
+ * @returns {Object} { valid: true, tokens, operation, isExpression } or
+ *   { valid: false, error, isExpression }. isExpression is true when the text
+ *   uses and/or/not/parentheses and all free text is quoted or has an
+ *   operator - i.e. it is clearly a query rather than one filter value
+ *   such as "rock and roll".
+ *
+ * @example
+ * parseQueryTokens('Status = active or Status = pending', properties)
+ * // { valid: true, operation: 'or', isExpression: true, tokens: [
+ * //   { property, propertyKey: 'status', operator: '=', value: 'active' },
+ * //   { property, propertyKey: 'status', operator: '=', value: 'pending' } ] }
+ */
+export function parseQueryTokens(text, filteringProperties = [], options = {}) {
+  const { filteringOptions = [], freeTextFiltering = defaultFreeTextFiltering, operators } = options;
+  const parser = createParser(
+    String(text ?? ''),
+    normalizeProperties(filteringProperties, operators),
+    freeTextFiltering,
+    operators
+  );
+  const isExpression = () => parser.usage.keywords && !parser.usage.bareFreeText;
+
+  let node;
+  try {
+    node = parser.parse();
+  } catch (error) {
+    if (!(error instanceof QuerySyntaxError)) throw error;
+    return { valid: false, error: error.message, isExpression: isExpression() };
+  }
+
+  // Validate every token, keeping the group structure
+  let error = null;
+  const validateNode = (tokenOrGroup) => {
+    if (isTokenGroup(tokenOrGroup)) {
+      return { ...tokenOrGroup, tokens: tokenOrGroup.tokens.map(validateNode) };
+    }
+    const validation = validateToken(tokenOrGroup, filteringOptions, operators);
+    if (!validation.valid) {
+      const label = tokenOrGroup.property?.propertyLabel;
+      error = error || (label ? `${label}: ${validation.error}` : validation.error);
+      return tokenOrGroup;
+    }
+    return validation.token;
+  };
+  const validated = validateNode(node);
+  if (error) {
+    return { valid: false, error, isExpression: isExpression() };
+  }
+
+  return isTokenGroup(validated)
+    ? { valid: true, tokens: validated.tokens, operation: validated.operation, isExpression: isExpression() }
+    : { valid: true, tokens: [validated], operation: 'and', isExpression: isExpression() };
+}
+
+/**
+ * Parses a text query into the API format.
+ *
+ * @param {string} text - Query text, e.g. 'Status = active and (Role = admin or Name ^ "Jo")'
+ * @param {Array} filteringProperties - Property definitions
+ * @param {Object} options - { filteringOptions, freeTextFiltering, operators }
+ *   (optional, see parseQueryTokens())
+ * @returns {Object} { valid: true, query } with query in API format
+ *   { filter: { and, or } }, or { valid: false, error }
+ *
+ * @example
+ * parseQueryString('Status = active and Role != guest', properties)
+ * // { valid: true, query: { filter: { and: [
+ * //   { field: 'status', op: 'equals', value: 'active' },
+ * //   { field: 'role', op: 'does-not-equal', value: 'guest' } ], or: [] } } }
+ */
+export function parseQueryString(text, filteringProperties = [], options = {}) {
+  const result = parseQueryTokens(text, filteringProperties, options);
+  if (!result.valid) {
+    return { valid: false, error: result.error };
+  }
+  const query = { tokens: result.tokens, operation: result.operation };
+  return { valid: true, query: queryToApiFormat(query, { operators: options.operators }) };
+}
+
+// =============================================================================
+// PRINTING
+// =============================================================================
+
+/**
+ * Quotes a value when it would not read back as-is: empty, padded, or
+ * containing quotes, backslashes, parentheses, commas or and/or keywords.
+ *
+ * @param {*} value - Value to print
+ * @returns {string} The value, quoted and escaped if needed
+ *
+ * @example
+ * quoteQueryValue('active')      // 'active'
+ * quoteQueryValue('rock and roll') // '"rock and roll"'
+ */
+export function quoteQueryValue(value) {
+  const text = String(value ?? '');
+  const needsQuotes = text === '' ||
+    text !== text.trim() ||
+    /["\\(),]/.test(text) ||
+    /\s(and|or)(\s|$)/i.test(text);
+  return needsQuotes ? `"${text.replace(/["\\]/g, '\\$&')}"` : text;
+}
+
+/**
+ * Prints one token as query text.
+ * Internal helper (not exported).
+ */
+function tokenToString(token, propertiesByKey, operators) {
+  const property = propertiesByKey.get(token.propertyKey);
+  const { operator, value, expression } = token;
+
+  // Free text: plain "contains" prints as just the (quoted) value
+  if (!token.propertyKey) {
+    const quoted = `"${String(value ?? '').replace(/["\\]/g, '\\$&')}"`;
+    return operator === ':' ? quoted : `${operator} ${quoted}`;
+  }
+
+  const label = property?.propertyLabel || token.propertyKey;
+  if (isValuelessOperator(operator, operators)) {
+    return `${label} ${operator}`;
+  }
+
+  let valueText;
+  if (expression && isRangeOperator(operator, operators) && / and /i.test(expression)) {
+    // Relative ranges print as typed: "Created between -7d and today"
+    valueText = expression.split(/ and /i).map(quoteQueryValue).join(' and ');
+  } else if (expression) {
+    // Relative dates re-resolve when read back: "Created > -7d"
+    valueText = quoteQueryValue(expression);
+  } else if (isRangeValue(value)) {
+    valueText = `${quoteQueryValue(value.from)} and ${quoteQueryValue(value.to)}`;
+  } else if (Array.isArray(value)) {
+    valueText = value.map(quoteQueryValue).join(', ');
+  } else {
+    valueText = quoteQueryValue(value);
+  }
+  return `${label} ${operator} ${valueText}`;
+}
+
+/**
+ * Prints an API-format query as text that parseQueryString() reads back.
+ *
+ * @param {Object} apiQuery - API format { filter: { and, or } }
+ * @param {Array} filteringProperties - Property definitions (for labels)
+ * @param {Object} options - { operators } custom operator definitions
+ *   (optional, see getOperator in utils.js)
+ * @returns {string} Query text
+ *
+ * @example
+ * queryToString({ filter: { and: [
+ *   { field: 'status', op: 'equals', value: 'active' },
+ *   { or: [{ field: 'role', op: 'equals', value: 'admin' }, { field: 'name', op: 'starts-with', value: 'Jo' }] },
+ * ], or: [] } }, properties)
+ * // 'Status = active and (Role = admin or Name ^ Jo)'
+ */
+export function queryToString(apiQuery, filteringProperties = [], { operators } = {}) {
+  const propertiesByKey = new Map(normalizeProperties(filteringProperties, operators).map(p => [p.key, p]));
+  const { tokens, operation } = apiToQueryFormat(apiQuery || {}, { operators });
+
+  const nodesToString = (nodes, nodesOperation) =>
+    nodes
+      .map(node => (isTokenGroup(node)
+        ? `(${nodesToString(node.tokens, node.operation || 'and')})`
+        : tokenToString(node, propertiesByKey, operators)))
+      .join(` ${nodesOperation} `);
+
+  return nodesToString(tokens, operation);
+}
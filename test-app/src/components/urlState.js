@@ -0,0 +1,455 @@
+/**
+ * =============================================================================
+ * urlState.js - Keeping a PropertyFilter Query in the URL
+ * =============================================================================
+ *
+ * Encodes the API-format query ({ filter: { and, or } }) as compact,
+ * readable search params, reads it back, and keeps it in sync with the
+ * address bar:
+ *
+ *   ?f=status:eq:active,role:ne:user&op=and
+ *
+ * ENCODING:
+ * ---------
+ *   filters    := item ( ',' item )*
+ *   item       := field ':' op [ ':' value ( '|' value )* ]
+ *               | ( 'and' | 'or' ) '(' filters ')'    nested group
+ *
+ * - field is the property key, empty for free text (":co:timeout")
+ * - op is a short code (eq, ne, co, in, bt, ...), or the API name for
+ *   operators without one (custom operators)
+ * - Lists ('in') and ranges ('between') separate their values with '|';
+ *   valueless operators ('exists') have no value part
+ * - Relative dates are written as typed ("created:gt:-7d")
+ * - A backslash escapes , : | ( ) and itself inside values
+ * - 'op' holds the top-level AND/OR
+ *
+ * READING:
+ * --------
+ * URLs are user input: they are edited by hand, bookmarked, and outlive
+ * property renames. searchParamsToQuery() checks every filter like a typed
+ * one (known field, allowed operator, validateToken()) and drops the ones
+ * that fail, reporting why, instead of passing them on to apiToQueryFormat().
+ *
+ * TO ADD A SHORT CODE:
+ * Add the operator's API name to URL_OPERATOR_CODES.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  getAllowedOperators,
+  getRegisteredOperators,
+  operatorToApi,
+  apiToOperator,
+  isValuelessOperator,
+  isMultiValueOperator,
+  isRangeOperator,
+  isRangeValue,
+} from './utils';
+import { validateToken } from './controller';
+
+/**
+ * Short codes for built-in operators, by API name.
+ * Operators not listed are written with their API name.
+ */
+const URL_OPERATOR_CODES = {
+  'equals': 'eq',
+  'does-not-equal': 'ne',
+  'contains': 'co',
+  'does-not-contain': 'nco',
+  'starts-with': 'sw',
+  'does-not-start-with': 'nsw',
+  'greater-than': 'gt',
+  'greater-than-or-equal': 'ge',
+  'less-than': 'lt',
+  'less-than-or-equal': 'le',
+  'between': 'bt',
+  'in': 'in',
+  'not-in': 'nin',
+  'matches': 're',
+  'does-not-match': 'nre',
+  'like': 'like',
+  'exists': 'ex',
+  'not-exists': 'nex',
+  'is-empty': 'em',
+  'is-not-empty': 'nem',
+};
+
+/**
+ * Characters with a meaning in the encoding, escaped inside values.
+ */
+const SPECIAL_CHARACTERS = /[\\,:|()]/g;
+
+/**
+ * Free-text settings used when none are passed (same as PropertyFilter's).
+ */
+const defaultFreeTextFiltering = { disabled: false, operators: [':', '!:'] };
+
+// =============================================================================
+// ENCODING
+// =============================================================================
+
+/**
+ * Writes one value, escaping the encoding's special characters.
+ * Internal helper (not exported).
+ */
+function encodeValue(value) {
+  return String(value ?? '').replace(SPECIAL_CHARACTERS, '\\$&');
+}
+
+/**
+ * Writes one API item or group.
+ * Internal helper (not exported).
+ */
+function encodeItem(item, operators) {
+  if (Array.isArray(item.and) || Array.isArray(item.or)) {
+    const operation = Array.isArray(item.or) ? 'or' : 'and';
+    return `${operation}(${item[operation].map(nested => encodeItem(nested, operators)).join(',')})`;
+  }
+
+  const code = URL_OPERATOR_CODES[item.op] || item.op;
+  const head = `${encodeValue(item.field ?? '')}:${encodeValue(code)}`;
+  if (isValuelessOperator(apiToOperator(item.op, operators), operators)) return head;
+
+  let values;
+  if (item.expression) {
+    values = [item.expression];
+  } else if (isRangeValue(item.value)) {
+    values = [item.value.from, item.value.to];
+  } else {
+    values = Array.isArray(item.value) ? item.value : [item.value];
+  }
+  return `${head}:${values.map(encodeValue).join('|')}`;
+}
+
+/**
+ * Writes a query into search params.
+ *
+ * Other params are kept; an empty query removes the filter params.
+ *
+ * @param {Object} query - API format { filter: { and, or } }
+ * @param {Object} options - {
+ *     paramName = 'f',             // Param holding the filters
+ *     operationParamName = 'op',   // Param holding the top-level and/or
+ *     searchParams,                // Existing params to update (not modified)
+ *     operators,                   // Custom operator definitions (see getOperator in utils.js)
+ *   }
+ * @returns {URLSearchParams} Updated params
+ *
+ * @example
+ * queryToSearchParams({ filter: { and: [
+ *   { field: 'status', op: 'equals', value: 'active' },
+ *   { field: 'role', op: 'does-not-equal', value: 'user' },
+ * ], or: [] } }).get('f')
+ * // 'status:eq:active,role:ne:user'
+ */
+export function queryToSearchParams(query, options = {}) {
+  const { paramName = 'f', operationParamName = 'op', searchParams, operators } = options;
+  const params = new URLSearchParams(searchParams);
+  const { and = [], or = [] } = query?.filter || {};
+  const operation = or.length > 0 ? 'or' : 'and';
+  const items = operation === 'or' ? or : and;
+
+  if (items.length === 0) {
+    params.delete(paramName);
+    params.delete(operationParamName);
+    return params;
+  }
+
+  params.set(paramName, items.map(item => encodeItem(item, operators)).join(','));
+  params.set(operationParamName, operation);
+  return params;
+}
+
+/**
+ * Writes search params as a query string, leaving the encoding's separators
+ * unescaped so the URL stays readable ("f=status:eq:active" rather than
+ * "f=status%3Aeq%3Aactive"). Escaped characters in values keep their
+ * backslash, so this doesn't change how the params read back.
+ *
+ * @param {URLSearchParams} searchParams - Params to write
+ * @returns {string} Query string without the leading "?"
+ */
+export function searchParamsToString(searchParams) {
+  return searchParams.toString().replace(/%(3A|2C|7C|28|29)/gi, (match) => decodeURIComponent(match));
+}
+
+// =============================================================================
+// DECODING
+// =============================================================================
+
+/**
+ * Error for malformed filter params.
+ * Internal (not exported) - searchParamsToQuery reports it as an error.
+ */
+class UrlSyntaxError extends Error {}
+
+/**
+ * Reads the filters param into raw items { field, code, values } and
+ * groups { operation, items }. Checks syntax only.
+ * Internal helper (not exported).
+ */
+function parseItems(text) {
+  let pos = 0;
+
+  // Reads up to an unescaped stop character, unescaping as it goes
+  const readPart = (stops) => {
+    let part = '';
+    while (pos < text.length && !stops.includes(text[pos])) {
+      if (text[pos] === '\\' && pos + 1 < text.length) pos++;
+      part += text[pos++];
+    }
+    return part;
+  };
+
+  const parseList = (closing) => {
+    const items = [];
+    for (;;) {
+      items.push(parseItem());
+      if (text[pos] !== ',') break;
+      pos++;
+    }
+    if (closing && text[pos] !== ')') throw new UrlSyntaxError('Missing closing parenthesis');
+    if (!closing && pos < text.length) throw new UrlSyntaxError(`Unexpected "${text[pos]}"`);
+    pos++;
+    return items;
+  };
+
+  const parseItem = () => {
+    const group = /^(and|or)\(/.exec(text.slice(pos));
+    if (group) {
+      pos += group[0].length;
+      return { operation: group[1], items: parseList(true) };
+    }
+
+    const field = readPart(':,|()');
+    if (text[pos] !== ':') throw new UrlSyntaxError(`Missing operator after "${field}"`);
+    pos++;
+    const code = readPart(':,|()');
+    const values = [];
+    if (text[pos] === ':') {
+      pos++;
+      values.push(readPart(',|()'));
+      while (text[pos] === '|') {
+        pos++;
+        values.push(readPart(',|()'));
+      }
+    }
+    return { field, code, values };
+  };
+
+  return parseList(false);
+}
+
+/**
+ * Finds the operator for a short code or API name.
+ * Internal helper (not exported).
+ */
+function codeToOperator(code, operators) {
+  const apiName = Object.keys(URL_OPERATOR_CODES).find(name => URL_OPERATOR_CODES[name] === code) || code;
+  return getRegisteredOperators(operators).find(operator => operator.apiName === apiName)?.symbol || null;
+}
+
+/**
+ * Turns a raw item into an API item, or an error message.
+ * Internal helper (not exported).
+ */
+function itemToApiItem(item, filteringProperties, filteringOptions, freeTextFiltering, operators) {
+  const operator = codeToOperator(item.code, operators);
+  if (!operator) return { error: `Unknown operator "${item.code}"` };
+
+  let property = null;
+  if (item.field) {
+    property = filteringProperties.find(p => p.key === item.field);
+    if (!property) return { error: `Unknown property "${item.field}"` };
+    const allowedOperators = getAllowedOperators({
+      ...property,
+      operators: property.operators?.map(op => (typeof op === 'string' ? op : op.operator)),
+    }, operators);
+    if (!allowedOperators.includes(operator)) {
+      return { error: `${property.propertyLabel || property.key}: "${operator}" isn't allowed` };
+    }
+  } else if (freeTextFiltering.disabled || !freeTextFiltering.operators.includes(operator)) {
+    return { error: `Free text: "${operator}" isn't allowed` };
+  }
+
+  const label = property ? property.propertyLabel || property.key : 'Free text';
+  if (!isValuelessOperator(operator, operators) && item.values.every(value => value.trim() === '')) {
+    return { error: `${label}: Missing value` };
+  }
+
+  let value;
+  if (isValuelessOperator(operator, operators)) {
+    value = null;
+  } else if (isMultiValueOperator(operator, operators)) {
+    value = item.values;
+  } else if (isRangeOperator(operator, operators) && item.values.length === 2) {
+    value = { from: item.values[0], to: item.values[1] };
+  } else {
+    value = item.values.join('|');
+  }
+
+  const validation = validateToken(
+    { property, propertyKey: property?.key, operator, value },
+    filteringOptions,
+    operators
+  );
+  if (!validation.valid) {
+    return { error: `${label}: ${validation.error}` };
+  }
+
+  const { token } = validation;
+  const apiItem = { field: property?.key ?? null, op: operatorToApi(operator, operators), value: token.value };
+  if (token.expression) {
+    apiItem.expression = token.expression;
+  }
+  return { item: apiItem };
+}
+
+/**
+ * Reads a query from search params.
+ *
+ * Every filter is checked: unknown fields and operators, operators the
+ * property doesn't allow, and values that don't validate are dropped and
+ * listed in errors. Malformed params give an empty query.
+ *
+ * @param {URLSearchParams|string} searchParams - e.g. window.location.search
+ * @param {Array} filteringProperties - Property definitions
+ * @param {Object} options - {
+ *     paramName = 'f',
+ *     operationParamName = 'op',
+ *     filteringOptions,   // Used to check enum values
+ *     freeTextFiltering,  // { disabled, operators } for free-text filters
+ *     operators,          // Custom operator definitions (see getOperator in utils.js)
+ *   }
+ * @returns {Object} { query, errors } with query in API format and errors
+ *   as messages (empty when everything was read)
+ *
+ * @example
+ * searchParamsToQuery('?f=status:eq:active,size:gt:lots&op=and', properties)
+ * // { query: { filter: { and: [{ field: 'status', op: 'equals', value: 'active' }], or: [] } },
+ * //   errors: ['Size: Enter a number'] }
+ */
+export function searchParamsToQuery(searchParams, filteringProperties = [], options = {}) {
+  const {
+    paramName = 'f',
+    operationParamName = 'op',
+    filteringOptions = [],
+    freeTextFiltering = defaultFreeTextFiltering,
+    operators,
+  } = options;
+  const params = searchParams instanceof URLSearchParams ? searchParams : new URLSearchParams(searchParams);
+  const text = params.get(paramName);
+  const operation = params.get(operationParamName) === 'or' ? 'or' : 'and';
+  const emptyQuery = { filter: { and: [], or: [] } };
+
+  if (!text) return { query: emptyQuery, errors: [] };
+
+  let rawItems;
+  try {
+    rawItems = parseItems(text);
+  } catch (error) {
+    if (!(error instanceof UrlSyntaxError)) throw error;
+    return { query: emptyQuery, errors: [error.message] };
+  }
+
+  const errors = [];
+  const toApiItems = (items) => items.flatMap(item => {
+    if (item.items) {
+      const nested = toApiItems(item.items);
+      return nested.length > 0 ? [{ [item.operation]: nested }] : [];
+    }
+    const result = itemToApiItem(item, filteringProperties, filteringOptions, freeTextFiltering, operators);
+    if (result.error) {
+      errors.push(result.error);
+      return [];
+    }
+    return [result.item];
+  });
+
+  const items = toApiItems(rawItems);
+  return {
+    query: { filter: { and: operation === 'and' ? items : [], or: operation === 'or' ? items : [] } },
+    errors,
+  };
+}
+
+// =============================================================================
+// HOOK
+// =============================================================================
+
+/**
+ * Reads the current URL's query. Empty outside the browser.
+ * Internal helper (not exported).
+ */
+function readLocation(filteringProperties, options) {
+  if (typeof window === 'undefined') {
+    return { query: { filter: { and: [], or: [] } }, errors: [] };
+  }
+  return searchParamsToQuery(window.location.search, filteringProperties, options);
+}
+
+/**
+ * usePropertyFilterUrlState - Keeps a PropertyFilter query in the URL.
+ *
+ * The query is read from the URL on mount and on back/forward navigation,
+ * and written to it (history.replaceState, or pushState with
+ * history: 'push') whenever setQuery is called. Other params and the hash
+ * are kept.
+ *
+ * @param {Object} options - {
+ *     paramName = 'f',
+ *     operationParamName = 'op',
+ *     filteringProperties,
+ *     filteringOptions,
+ *     freeTextFiltering,
+ *     operators,            // The filter's customOperators, so their tokens survive the URL
+ *     history = 'replace',  // 'push' adds a history entry per change
+ *   }
+ * @returns {Object} { query, setQuery, errors } - pass query and setQuery
+ *   to PropertyFilter as query and onChange; errors lists filters dropped
+ *   from the URL (see searchParamsToQuery())
+ *
+ * @example
+ * const { query, setQuery } = usePropertyFilterUrlState({ filteringProperties });
+ * <PropertyFilter filteringProperties={filteringProperties} query={query} onChange={setQuery} />
+ */
+export function usePropertyFilterUrlState({
+  paramName = 'f',
+  operationParamName = 'op',
+  filteringProperties = [],
+  filteringOptions = [],
+  freeTextFiltering = defaultFreeTextFiltering,
+  operators,
+  history = 'replace',
+} = {}) {
+  const readOptions = { paramName, operationParamName, filteringOptions, freeTextFiltering, operators };
+  const [state, setState] = useState(() => readLocation(filteringProperties, readOptions));
+
+  // Back/forward restore the query of that history entry
+  useEffect(() => {
+    const handlePopState = () => setState(readLocation(filteringProperties, readOptions));
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+    // readOptions is rebuilt each render - its parts are the dependencies
+  }, [filteringProperties, filteringOptions, freeTextFiltering, operators, paramName, operationParamName]);
+
+  const setQuery = useCallback((query) => {
+    setState({ query, errors: [] });
+    const params = queryToSearchParams(query, {
+      paramName,
+      operationParamName,
+      searchParams: window.location.search,
+      operators,
+    });
+    const search = searchParamsToString(params);
+    const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+    if (history === 'push') {
+      window.history.pushState(window.history.state, '', url);
+    } else {
+      window.history.replaceState(window.history.state, '', url);
+    }
+  }, [paramName, operationParamName, operators, history]);
+
+  return { query: state.query, setQuery, errors: state.errors };
+}
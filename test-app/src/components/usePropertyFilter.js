@@ -0,0 +1,1127 @@
+/**
+ * =============================================================================
+ * usePropertyFilter.js - Headless PropertyFilter State and Behavior
+ * =============================================================================
+ *
+ * Everything PropertyFilter does apart from rendering: the input text and
+ * how it parses, suggestions, token creation and validation, query actions
+ * and undo history. PropertyFilter renders it with Material Tailwind; teams
+ * on another design system call the hook and render their own markup.
+ *
+ * WHAT THE HOOK RETURNS:
+ * ----------------------
+ * - State: filteringText, parsedText, validationError, isOpen,
+ *   highlightedIndex, pendingNestedSelection
+ * - Suggestions: suggestionGroups (already narrowed to the input) and
+ *   enteredTextOption (the "Use: text" option, or null)
+ * - Tokens: tokens (formatted for display, groups nested) and query
+ *   (internal format with property references)
+ * - actions: addToken, createToken, selectOption, undo, ... (see below)
+ * - optionsStatusType: status of a property's loadOptions call
+ *   ('loading' | 'error' | 'finished'), undefined when nothing is loaded
+ * - Prop-getters: getInputProps, getListboxProps, getOptionProps,
+ *   getTokenProps, getRemoveTokenProps - spread them on your elements to
+ *   get the combobox behavior (keyboard navigation, ARIA attributes)
+ *
+ * EXAMPLE:
+ * --------
+ * const filter = usePropertyFilter({ filteringProperties, query, onChange });
+ *
+ * <input {...filter.getInputProps({ className: 'my-input' })} />
+ * {filter.isOpen && (
+ *   <ul {...filter.getListboxProps()}>
+ *     {filter.suggestionGroups.flatMap(group => group.options).map(option => (
+ *       <li key={option.value} {...filter.getOptionProps({ option })}>{option.label}</li>
+ *     ))}
+ *   </ul>
+ * )}
+ * {filter.tokens.map((token, index) => (
+ *   <span key={index} {...filter.getTokenProps({ token })}>
+ *     {token.formattedText}
+ *     <button {...filter.getRemoveTokenProps({ token, path: index })}>×</button>
+ *   </span>
+ * ))}
+ *
+ * TO ADD NEW BEHAVIOR:
+ * --------------------
+ * - Anything both PropertyFilter and custom UIs need goes here; rendering
+ *   and purely visual state (token limit, notices) stay in the component
+ */
+
+import { useState, useRef, useMemo, useCallback, useEffect, useId } from 'react';
+
+import {
+  getQueryActions,
+  createQueryHistory,
+  parseText,
+  getAutosuggestOptions,
+  applyValueCounts,
+  createFilterUsage,
+  filterOptionGroups,
+  formatToken,
+  validateToken,
+  resolveToken,
+  getPropertyLoadRequest,
+  loadPropertyOptions,
+  mergeFilteringOptions,
+  getTokenValues,
+} from './controller';
+import { createLruCache } from './asyncOptions';
+import { parseQueryTokens } from './queryString'; // Whole pasted expressions
+import {
+  apiToQueryFormat,
+  queryToApiFormat,
+  isTokenGroup,
+  getDefaultOperators,
+  isValuelessOperator,
+} from './utils';
+
+/**
+ * Default internationalization strings.
+ * Override any of these by passing i18nStrings prop.
+ *
+ * TO ADD A NEW STRING:
+ * Add the key here with default value, then use i18nStrings.yourKey in the component.
+ */
+const defaultI18nStrings = {
+  filteringAriaLabel: 'Filter',
+  filteringPlaceholder: 'Filter by property or value',
+  groupPropertiesText: 'Properties',      // Dropdown group header for properties
+  groupValuesText: 'Values',              // Dropdown group header for values
+  operatorsText: 'Operators',             // Dropdown group header for operators
+  operationAndText: 'and',                // Text shown between tokens for AND
+  operationOrText: 'or',                  // Text shown between tokens for OR
+  clearFiltersText: 'Clear filters',      // Clear all button text
+  removeTokenAriaLabel: 'Remove filter',  // Accessibility label for remove button
+  tokenLimitShowMore: 'Show more',        // Show more tokens button
+  tokenLimitShowFewer: 'Show fewer',      // Show fewer tokens button
+  enteredTextLabel: (text) => `Use: "${text}"`, // Free text option in dropdown
+  showMoreOptionsLabel: (count) => `Show ${count} more`, // Last row of a capped dropdown group
+  recentFiltersText: 'Recent filters',    // Dropdown group header for recently used filters
+  frequentFiltersText: 'Frequently used', // Dropdown group header for often used filters
+  allPropertiesLabel: 'All properties',   // Label for searching all properties
+  tokenGroupAriaLabel: 'Filter group',    // Accessibility label for nested token groups
+  editTokenAriaLabel: 'Edit filter',      // Accessibility label for opening the token editor
+  tokenEditorPropertyLabel: 'Property',   // Token editor: property field label
+  tokenEditorOperatorLabel: 'Operator',   // Token editor: operator field label
+  tokenEditorValueLabel: 'Value',         // Token editor: value field label
+  tokenEditorApplyText: 'Apply',          // Token editor: submit button
+  tokenEditorCancelText: 'Cancel',        // Token editor: cancel button
+  calendarAriaLabel: 'Choose date',       // Date calendar shown for date properties
+  calendarPreviousMonthAriaLabel: 'Previous month',
+  calendarNextMonthAriaLabel: 'Next month',
+  savedFiltersText: 'Saved filters',      // Saved filters dropdown button
+  savedFiltersEmptyText: 'No saved filters',
+  deleteSavedFilterAriaLabel: 'Delete saved filter',
+  saveFilterText: 'Save current filter',  // Button next to Clear filters
+  saveFilterNameLabel: 'Filter name',     // Save form: name field label
+  saveFilterSubmitText: 'Save',           // Save form: submit button
+  saveFilterCancelText: 'Cancel',         // Save form: cancel button
+  filtersClearedText: 'Filters cleared',  // Notice shown after Clear filters
+  undoText: 'Undo',                       // Notice action restoring the filters
+};
+
+/**
+ * Calls the caller's handler, then ours unless the caller prevented it.
+ * Internal helper (not exported).
+ */
+function callAll(theirs, ours) {
+  return (event) => {
+    theirs?.(event);
+    if (!event?.defaultPrevented) ours(event);
+  };
+}
+
+/**
+ * usePropertyFilter - Headless state and behavior of a property filter.
+ *
+ * @param {Object} props - The PropertyFilter props the behavior depends on:
+ *   filteringProperties, filteringOptions, query (API format), onChange,
+ *   disabled, disableFreeTextFiltering, customOperators, onLoadItems,
+ *   filteringDebounceDelay (typing pause before loadOptions is called),
+ *   filterUsageStorage (storage adapter for recently / frequently used
+ *   filters; read once), getValueCounts, sortValuesByCount,
+ *   hideZeroCountValues (value counts, see applyValueCounts), i18nStrings
+ *   (merged with the defaults)
+ * @returns {Object} State, suggestions, tokens, actions and prop-getters
+ *   (see the file header)
+ */
+export function usePropertyFilter({
+  filteringProperties = [],
+  filteringOptions = [],
+  query = { tokens: [], operation: 'and' },
+  onChange,
+  disabled = false,
+  disableFreeTextFiltering = false,
+  customOperators,
+  onLoadItems,
+  filteringDebounceDelay = 300,
+  filterUsageStorage,
+  getValueCounts,
+  sortValuesByCount = false,
+  hideZeroCountValues = false,
+  i18nStrings: userI18nStrings = {},
+} = {}) {
+  // ==========================================================================
+  // LOCAL STATE
+  // ==========================================================================
+
+  const listboxId = useId();
+  const [filteringText, setFilteringText] = useState('');  // Current input text
+  const [validationError, setValidationError] = useState(null); // Validation error message
+  const [isOpen, setIsOpen] = useState(false);             // Dropdown visibility (prop-getters)
+  const [highlightedIndex, setHighlightedIndex] = useState(-1); // Keyboard nav index (prop-getters)
+
+  /**
+   * PENDING NESTED SELECTION - Tracks when user selects an option with nested sub-options.
+   *
+   * When user selects an option that has nestedOptions (e.g., ICMP protocol),
+   * we store the parent option here and show the nested options in the dropdown.
+   * When user selects a nested option, we create multiple tokens.
+   *
+   * Structure: { parentOption, property, operator } or null
+   */
+  const [pendingNestedSelection, setPendingNestedSelection] = useState(null);
+
+  /**
+   * LOADED OPTIONS - Values returned by properties' loadOptions.
+   *
+   * The LRU cache holds each property + text search's options; the merge of
+   * the searches still cached is kept (not replaced per search). Evicted
+   * searches drop their options, except values the query's tokens use (see
+   * TOKEN OPTIONS). loadedVersion bumps when the cache is written;
+   * reloadCount retries a failed search.
+   */
+  const [loadedVersion, setLoadedVersion] = useState(0);
+  const [optionsStatusType, setOptionsStatusType] = useState(undefined);
+  const [reloadCount, setReloadCount] = useState(0);
+  const loadCacheRef = useRef(null);
+  if (!loadCacheRef.current) {
+    loadCacheRef.current = createLruCache();
+  }
+  const loadedOptions = useMemo(
+    () => loadCacheRef.current.values().reduce(mergeFilteringOptions, []),
+    [loadedVersion]
+  );
+
+  /**
+   * QUERY HISTORY - Undo/redo stack for query changes (see createQueryHistory).
+   * Kept in a ref: it must survive the query actions being rebuilt.
+   */
+  const historyRef = useRef(null);
+  if (!historyRef.current) {
+    historyRef.current = createQueryHistory();
+  }
+
+  /**
+   * FILTER USAGE - Filters added so far, for the "Recent filters" and
+   * "Frequently used" suggestions (see createFilterUsage). Only tracked
+   * with a storage adapter.
+   */
+  const usageRef = useRef(null);
+  if (!usageRef.current && filterUsageStorage) {
+    const usage = createFilterUsage({ storage: filterUsageStorage });
+    usageRef.current = {
+      ...usage,
+      // Suggestions update even when the query prop stays the same
+      record: (tokens) => {
+        usage.record(tokens);
+        setUsageEntries(usage.entries());
+      },
+    };
+  }
+  const [usageEntries, setUsageEntries] = useState(() => usageRef.current?.entries());
+
+  /**
+   * LATEST QUERY / TEXT - What the actions read and build on.
+   * Actions update these straight away, so several calls in one handler
+   * (e.g. clear() then addToken()) build on each other before the parent
+   * re-renders with the new query. Each render resets them to the props/state.
+   */
+  const latestQueryRef = useRef(query);
+  const latestTextRef = useRef(filteringText);
+  latestQueryRef.current = query;
+  latestTextRef.current = filteringText;
+
+  // ==========================================================================
+  // MEMOIZED VALUES - Computed values that update when dependencies change
+  // ==========================================================================
+
+  /**
+   * Merge user-provided i18n strings with defaults.
+   * User strings override defaults, allowing partial customization.
+   */
+  const i18nStrings = useMemo(
+    () => ({ ...defaultI18nStrings, ...userI18nStrings }),
+    [userI18nStrings]
+  );
+
+  /**
+   * INTERNAL PROPERTIES - Normalized property definitions.
+   *
+   * Transforms the user-provided filteringProperties into a consistent internal
+   * format with defaults applied. This ensures all properties have the expected
+   * shape regardless of what the user provided.
+   *
+   * Each property gets:
+   * - key: Unique identifier (matches field name in data)
+   * - propertyLabel: Display name (falls back to key)
+   * - groupValuesLabel: Header text for values dropdown group
+   * - operators: Array of operator strings (extracts from objects if needed,
+   *   defaults by type - see getDefaultOperators)
+   * - defaultOperator: Operator to use when none specified
+   * - getValueFormatter: Function to format values for display
+   *
+   * CUSTOM OPERATORS - Definitions passed in customOperators apply to this
+   * filter only: everything here that parses, suggests, validates or
+   * converts is given them as its operators argument (see getOperator in
+   * utils.js). Other filters on the page never see them.
+   *
+   * TO MODIFY: Add new fields here if properties need additional metadata.
+   */
+  const internalProperties = useMemo(() => {
+    return filteringProperties.map(property => ({
+      ...property,
+      key: property.key,
+      propertyLabel: property.propertyLabel || property.key,
+      groupValuesLabel: property.groupValuesLabel || i18nStrings.groupValuesText,
+      // Operators can be strings or objects with {operator, format}
+      // Extract just the operator string for matching.
+      // Without explicit operators, the property's type picks the defaults.
+      operators: (property.operators || getDefaultOperators(property.type, customOperators)).map(op =>
+        typeof op === 'string' ? op : op.operator
+      ),
+      defaultOperator: property.defaultOperator || '=',
+      // Returns a formatter function for a specific operator, if defined
+      getValueFormatter: (operator) => {
+        const extOp = (property.operators || []).find(
+          op => typeof op === 'object' && op.operator === operator
+        );
+        return extOp?.format || null;
+      },
+    }));
+  }, [filteringProperties, i18nStrings.groupValuesText, customOperators]);
+
+  /**
+   * FREE TEXT FILTERING CONFIG
+   *
+   * Configuration for free-text search (searching without selecting a property).
+   * Uses 'contains' (:) and 'does not contain' (!:) operators.
+   *
+   * TO MODIFY: Change operators array to support different free-text operators.
+   */
+  const freeTextFiltering = useMemo(() => ({
+    disabled: disableFreeTextFiltering,
+    operators: [':', '!:'],      // Supported operators for free text
+    defaultOperator: ':',         // Default to 'contains'
+  }), [disableFreeTextFiltering]);
+
+  /**
+   * INTERNAL QUERY - Converted from API format with property references.
+   *
+   * The external API uses: { filter: { and: [...], or: [...] } }
+   * Internally we use: { tokens: [...], operation: 'and'|'or' }
+   *
+   * This conversion:
+   * 1. Calls apiToQueryFormat() to convert structure
+   * 2. Attaches property object references to each token (inside groups too)
+   *
+   * Property references allow quick access to property metadata
+   * (label, operators, validation) without repeated lookups.
+   */
+  const toInternalQuery = useCallback((apiQuery) => {
+    // Convert from API format {filter: {and: [], or: []}} to internal format
+    const converted = apiToQueryFormat(apiQuery, { operators: customOperators });
+
+    const attachProperty = (tokenOrGroup) => {
+      if (isTokenGroup(tokenOrGroup)) {
+        return { ...tokenOrGroup, tokens: tokenOrGroup.tokens.map(attachProperty) };
+      }
+      return {
+        ...tokenOrGroup,
+        // Attach property reference for easy access to property metadata
+        property: tokenOrGroup.propertyKey
+          ? internalProperties.find(p => p.key === tokenOrGroup.propertyKey) || null
+          : null,
+      };
+    };
+
+    return {
+      operation: converted.operation || 'and',
+      tokens: (converted.tokens || []).map(attachProperty),
+    };
+  }, [internalProperties, customOperators]);
+
+  const internalQuery = useMemo(() => toInternalQuery(query), [query, toInternalQuery]);
+
+  /**
+   * TOKEN OPTIONS - The loaded options of values the query's tokens use.
+   *
+   * Kept apart from the LRU cache, so chips keep their labels after the
+   * search that found their value is evicted. Values no token uses any more
+   * are let go when the query changes.
+   */
+  const tokenOptionsRef = useRef([]);
+  const tokenOptions = useMemo(() => {
+    const usedValues = new Set(
+      getTokenValues(internalQuery.tokens).map(({ propertyKey, value }) => `${propertyKey}\u0000${value}`)
+    );
+    tokenOptionsRef.current = mergeFilteringOptions(tokenOptionsRef.current, loadedOptions)
+      .filter(option => usedValues.has(`${option.propertyKey}\u0000${option.value}`));
+    return tokenOptionsRef.current;
+  }, [internalQuery.tokens, loadedOptions]);
+
+  /**
+   * INTERNAL OPTIONS - Filter values with property references.
+   *
+   * Links each filter option to its parent property object.
+   * This allows quick access to property metadata when displaying options.
+   * searchLabel is the label lowercased once here, not on every keystroke
+   * (see filterOptionGroups).
+   *
+   * TO MODIFY: Add computed fields here if options need additional processing.
+   */
+  const internalOptions = useMemo(() => {
+    const propertiesByKey = new Map(internalProperties.map(property => [property.key, property]));
+    const options = mergeFilteringOptions(mergeFilteringOptions(filteringOptions, loadedOptions), tokenOptions);
+    return options.map(option => {
+      const label = option.label || option.value || '';
+      return {
+        ...option,
+        // Find the property this option belongs to
+        property: propertiesByKey.get(option.propertyKey) || null,
+        label,
+        searchLabel: String(label).toLowerCase(),
+      };
+    });
+  }, [filteringOptions, loadedOptions, tokenOptions, internalProperties]);
+
+  /**
+   * PARSED TEXT - Analyzes current input to determine filter step.
+   *
+   * As the user types, this determines what "step" they're at:
+   * - 'property': User has typed a property name + operator + partial value
+   *   Example: "Status = act" → { step: 'property', property: {...}, operator: '=', value: 'act' }
+   *
+   * - 'operator': User has typed a property name, now selecting operator
+   *   Example: "Status " → { step: 'operator', property: {...}, operatorPrefix: '' }
+   *
+   * - 'free-text': User is typing free text (no property match)
+   *   Example: "hello" → { step: 'free-text', value: 'hello' }
+   *
+   * This parsed result drives what suggestions are shown in the dropdown.
+   */
+  const parsedText = useMemo(
+    () => parseText(filteringText, internalProperties, freeTextFiltering, customOperators),
+    [filteringText, internalProperties, freeTextFiltering, customOperators]
+  );
+
+  /**
+   * PROPERTY OPTION LOADING - Calls the loadOptions of the property whose
+   * value is being typed, once typing pauses. Newer text aborts the
+   * request in flight (its signal fires); searches that already ran come
+   * from the cache. Cached results are merged into internalOptions.
+   */
+  const loadRequest = useMemo(
+    () => getPropertyLoadRequest(parsedText, customOperators),
+    [parsedText, customOperators]
+  );
+  const loadKey = loadRequest ? `${loadRequest.property.key}\u0000${loadRequest.filterText}` : null;
+
+  useEffect(() => {
+    if (!loadRequest) {
+      setOptionsStatusType(undefined);
+      return undefined;
+    }
+    // Reading the entry also marks the search as recently used
+    if (loadCacheRef.current.get(loadKey) !== undefined) {
+      setOptionsStatusType('finished');
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    setOptionsStatusType('loading');
+    const timer = setTimeout(() => {
+      loadPropertyOptions(loadRequest.property, loadRequest.filterText, { signal: controller.signal })
+        .then((options) => {
+          if (controller.signal.aborted) return;
+          loadCacheRef.current.set(loadKey, options);
+          setLoadedVersion(version => version + 1);
+          setOptionsStatusType('finished');
+        })
+        .catch(() => {
+          // Aborted by newer text - that request owns the status now
+          if (!controller.signal.aborted) setOptionsStatusType('error');
+        });
+    }, filteringDebounceDelay);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+    // loadRequest is rebuilt with parsedText - loadKey identifies the search
+  }, [loadKey, reloadCount, filteringDebounceDelay]);
+
+  /**
+   * TOKEN VALUE LOOKUP - Values in the query that no option knows (e.g. a
+   * query restored from the URL or a saved filter) are searched for once
+   * through their property's loadOptions, with the value as the text. The
+   * results are cached like a typed search, so the chips get their labels.
+   */
+  const valueLookupsRef = useRef(new Map()); // Value key → AbortController
+  useEffect(() => () => valueLookupsRef.current.forEach(controller => controller.abort()), []);
+
+  useEffect(() => {
+    const knownValues = new Set(internalOptions.map(option => `${option.propertyKey}\u0000${option.value}`));
+    getTokenValues(internalQuery.tokens).forEach(({ propertyKey, value }) => {
+      const key = `${propertyKey}\u0000${value}`;
+      const property = internalProperties.find(p => p.key === propertyKey);
+      if (!property?.loadOptions || knownValues.has(key) || valueLookupsRef.current.has(key)) return;
+
+      const controller = new AbortController();
+      valueLookupsRef.current.set(key, controller);
+      loadPropertyOptions(property, String(value), { signal: controller.signal })
+        .then((options) => {
+          if (controller.signal.aborted) return;
+          loadCacheRef.current.set(key, options);
+          setLoadedVersion(version => version + 1);
+        })
+        .catch(() => {
+          // Failed lookups aren't repeated; aborted ones are (on remount)
+          if (controller.signal.aborted) valueLookupsRef.current.delete(key);
+        });
+    });
+  }, [internalQuery.tokens, internalOptions, internalProperties]);
+
+  /**
+   * VALUE COUNTS - Counts by value of the property whose value is being
+   * typed, from getValueCounts(propertyKey, query) given the current query
+   * (API format). Only asked for again when the property or query changes.
+   */
+  const countedPropertyKey = parsedText.step === 'property' ? parsedText.property.key : null;
+  const valueCounts = useMemo(
+    () => (getValueCounts && countedPropertyKey !== null ? getValueCounts(countedPropertyKey, query) : undefined),
+    [getValueCounts, countedPropertyKey, query]
+  );
+
+  /**
+   * AUTOSUGGEST OPTIONS - Dropdown suggestions based on current input.
+   *
+   * Generates grouped options for the dropdown based on parsedText:
+   * - If at 'property' step: Show matching values for that property
+   * - If at 'operator' step: Show available operators
+   * - If at 'free-text' step: Show properties and matching values
+   * - If pendingNestedSelection: Show nested options for the parent selection
+   *
+   * Returns: { filterText: string, options: Array<{label, options}> }
+   */
+  const autosuggestOptions = useMemo(() => {
+    // If there's a pending nested selection, show nested options instead
+    if (pendingNestedSelection) {
+      const { parentOption, property, operator } = pendingNestedSelection;
+      const nestedOpts = parentOption.nestedOptions;
+
+      const result = {
+        filterText: '',
+        options: [
+          {
+            label: nestedOpts.groupLabel || 'Select option',
+            options: nestedOpts.options.map(opt => ({
+              value: opt.value,
+              label: opt.label || opt.value,
+              isNestedOption: true, // Mark as nested for selectOption
+              parentOption: parentOption,
+              nestedConfig: nestedOpts,
+              // Include property and operator directly so we don't need to read from state
+              nestedProperty: property,
+              nestedOperator: operator,
+            })),
+          },
+        ],
+      };
+      return result;
+    }
+
+    // Normal autosuggest options
+    const result = getAutosuggestOptions(
+      parsedText,
+      internalProperties,
+      internalOptions,
+      i18nStrings,
+      usageEntries,
+      customOperators
+    );
+    if (parsedText.step !== 'property') return result;
+    // Values of one property: "Active 124"
+    return applyValueCounts(result, {
+      counts: valueCounts,
+      sortByCount: sortValuesByCount,
+      hideZeroCounts: hideZeroCountValues,
+    });
+  }, [
+    parsedText,
+    internalProperties,
+    internalOptions,
+    i18nStrings,
+    usageEntries,
+    pendingNestedSelection,
+    valueCounts,
+    sortValuesByCount,
+    hideZeroCountValues,
+    customOperators,
+  ]);
+
+  /**
+   * SUGGESTION GROUPS - autosuggestOptions narrowed to the input, plus the
+   * "Use: text" option when the input holds text that isn't a property or
+   * operator being picked. Flattened for keyboard navigation.
+   */
+  const suggestionGroups = useMemo(
+    () => filterOptionGroups(autosuggestOptions.options, autosuggestOptions.filterText),
+    [autosuggestOptions]
+  );
+  const flatOptions = useMemo(
+    () => suggestionGroups.flatMap(group => group.options || []),
+    [suggestionGroups]
+  );
+  const enteredTextOption = useMemo(() => {
+    const text = filteringText.trim();
+    if (!text || disabled || flatOptions.some(option => option.keepOpenOnSelect)) return null;
+    return { value: text, label: i18nStrings.enteredTextLabel(text), isEnteredText: true };
+  }, [filteringText, disabled, flatOptions, i18nStrings]);
+
+  /**
+   * Format tokens for display in the UI.
+   * Converts internal token format to display format with labels.
+   * Groups stay nested: { operation, tokens: [formatted tokens] }.
+   */
+  const tokens = useMemo(() => {
+    return internalQuery.tokens.map(token =>
+      formatToken(token, internalProperties, internalOptions, customOperators)
+    );
+  }, [internalQuery.tokens, internalProperties, internalOptions, customOperators]);
+
+  // ==========================================================================
+  // ACTIONS
+  // ==========================================================================
+
+  /**
+   * QUERY ACTIONS - getQueryActions() on the latest query (see above), so
+   * they can be called several times in a row. Rebuilt per call: cheap, and
+   * it keeps the callbacks below stable.
+   */
+  const getLatestQueryActions = useCallback(() => getQueryActions({
+    query: toInternalQuery(latestQueryRef.current),
+    onChange: (newQuery) => {
+      latestQueryRef.current = newQuery;
+      onChange?.(newQuery);
+    },
+    filteringOptions: internalOptions,
+    history: historyRef.current,
+    usage: usageRef.current,
+    operators: customOperators,
+  }), [toInternalQuery, onChange, internalOptions, customOperators]);
+
+  /**
+   * INPUT TEXT - Replaces the text, dropping the validation error and a
+   * pending nested selection the text no longer shows.
+   */
+  const setInputText = useCallback((text) => {
+    latestTextRef.current = text;
+    setFilteringText(text);
+    setValidationError(null);
+    // Clear pending nested selection if user modifies the text
+    if (!text.includes('→')) {
+      setPendingNestedSelection(null);
+    }
+  }, []);
+
+  /**
+   * CREATE TOKEN - Converts input text into a filter token.
+   *
+   * This is the core function that transforms user input into a structured
+   * filter token. It's called when:
+   * - User presses Enter
+   * - User clicks on a value suggestion
+   * - User clicks "Use: text" option
+   *
+   * FLOW:
+   * 0. A whole expression ("Status = active and (Role = admin or ...)")
+   *    becomes several tokens at once - see parseQueryTokens()
+   * 1. Parse the text to determine what type of filter it is
+   * 2. Create token object based on parsed step (property, free-text, operator)
+   * 3. Validate the value if property has validationType
+   * 4. Apply normalization if needed (e.g., IP → IP/32)
+   * 5. Add token to query and clear input
+   *
+   * @param {string} currentText - The full text to parse into a token
+   */
+  const createToken = useCallback((currentText) => {
+    // PASTED EXPRESSION: and/or/not/parentheses → several tokens (or a group)
+    const expression = parseQueryTokens(currentText, internalProperties, {
+      filteringOptions: internalOptions,
+      freeTextFiltering,
+      operators: customOperators,
+    });
+    if (expression.isExpression) {
+      if (!expression.valid) {
+        setValidationError(expression.error);
+        return;
+      }
+      // Tokens join the query directly if they share its AND/OR, else as a group
+      const joinsDirectly = expression.tokens.length === 1 ||
+        expression.operation === toInternalQuery(latestQueryRef.current).operation;
+      setValidationError(null);
+      getLatestQueryActions().addTokens(joinsDirectly
+        ? expression.tokens
+        : [{ operation: expression.operation, tokens: expression.tokens }]);
+      setFilteringText('');
+      return;
+    }
+
+    // Parse the text to understand what the user entered
+    const parsed = parseText(currentText, internalProperties, freeTextFiltering, customOperators);
+    let newToken;
+
+    // Build token based on what step the parser detected
+    switch (parsed.step) {
+      // PROPERTY FILTER: "Status = active" → property-based filter
+      case 'property':
+        newToken = {
+          property: parsed.property,
+          propertyKey: parsed.property.key,
+          operator: parsed.operator,
+          value: parsed.value,
+        };
+        break;
+
+      // FREE TEXT: "hello" → search across all fields
+      case 'free-text':
+        if (freeTextFiltering.disabled) return; // Bail if free text disabled
+        newToken = {
+          property: null,
+          propertyKey: undefined,
+          operator: parsed.operator || freeTextFiltering.defaultOperator,
+          value: parsed.value,
+        };
+        break;
+
+      // OPERATOR STEP: User typed property but incomplete operator
+      // Treat as free text search
+      case 'operator':
+        if (freeTextFiltering.disabled) return;
+        newToken = {
+          property: null,
+          propertyKey: undefined,
+          operator: freeTextFiltering.defaultOperator,
+          value: currentText,
+        };
+        break;
+
+      default:
+        return; // Unknown step, do nothing
+    }
+
+    // Only create token if there's actual content
+    // (valueless operators such as "Owner exists" need none)
+    if (isValuelessOperator(newToken.operator, customOperators) || newToken.value?.trim()) {
+      // VALIDATION + NORMALIZATION: Check property validation rules (e.g., IP format)
+      // Example: "1.2.3.4" becomes "1.2.3.4/32" for IP addresses
+      const validation = validateToken(newToken, internalOptions, customOperators);
+      if (!validation.valid) {
+        // Show error and don't create token
+        setValidationError(validation.error);
+        return;
+      }
+
+      // Success! Clear error, add token, reset input
+      setValidationError(null);
+      getLatestQueryActions().addToken(validation.token);
+      setFilteringText('');
+    }
+  }, [
+    internalProperties,
+    internalOptions,
+    freeTextFiltering,
+    customOperators,
+    toInternalQuery,
+    getLatestQueryActions,
+  ]);
+
+  /**
+   * SELECT OPTION - Called when user clicks/selects a dropdown option.
+   *
+   * Different options have different behaviors:
+   * - isNestedOption: User clicked a nested sub-option → create multiple tokens
+   * - hasNestedOptions: User clicked option with sub-options → show nested options
+   * - isEnteredText: User clicked "Use: text" → create free text token
+   * - keepOpenOnSelect: User clicked property/operator → update input, keep dropdown
+   * - usageToken: User clicked a recent / frequently used filter → add it
+   * - Regular option: User clicked value → create token, close dropdown
+   *
+   * @param {Object} option - The selected option from dropdown
+   */
+  const selectOption = useCallback((option) => {
+    if (!option.value && !option.isNestedOption) return; // Ignore empty options
+    setHighlightedIndex(-1);
+    if (!option.keepOpenOnSelect) setIsOpen(false);
+
+    // NESTED OPTION SELECTED - Create multiple tokens
+    // This happens when user selects from the nested options dropdown (e.g., ICMP type)
+    if (option.isNestedOption) {
+      const { parentOption, nestedConfig, nestedProperty, nestedOperator } = option;
+
+      // Create the parent token (e.g., protocol = icmp)
+      const parentToken = {
+        property: nestedProperty,
+        propertyKey: nestedProperty.key,
+        operator: nestedOperator,
+        value: parentOption.value,
+      };
+
+      // Create the additional token (e.g., types-and-codes = echo-and-echo-reply)
+      const additionalToken = {
+        property: null, // This is a related field, not a defined property
+        propertyKey: nestedConfig.additionalTokenField,
+        operator: '=',
+        value: option.value,
+      };
+
+      // Add both tokens at once (using addTokens to avoid state batching issues)
+      setValidationError(null);
+      getLatestQueryActions().addTokens([parentToken, additionalToken]);
+      setFilteringText('');
+      setPendingNestedSelection(null);
+      return;
+    }
+
+    // Recent / frequently used filter - add it as it was
+    if (option.usageToken) {
+      const result = resolveToken(option.usageToken, internalProperties, {
+        filteringOptions: internalOptions,
+        freeTextFiltering,
+        operators: customOperators,
+      });
+      setValidationError(result.valid ? null : result.error);
+      if (result.valid) {
+        getLatestQueryActions().addToken(result.token);
+        setFilteringText('');
+      }
+      return;
+    }
+
+    // "Use: text" option - create free text token
+    if (option.isEnteredText) {
+      createToken(option.value);
+      return;
+    }
+
+    // Property or operator selection - update input but keep typing
+    // This allows: click "Status" → input becomes "Status" → show operators
+    if (option.keepOpenOnSelect) {
+      // Check if this option has nested options (e.g., ICMP protocol)
+      if (option.nestedOptions && option.originalOption) {
+        const parsed = parseText(option.value, internalProperties, freeTextFiltering, customOperators);
+
+        // Store pending selection and show nested options
+        setPendingNestedSelection({
+          parentOption: option.originalOption,
+          property: parsed.property,
+          operator: parsed.operator,
+        });
+        // Set a placeholder text to indicate nested selection is in progress
+        const newText = `${parsed.property.propertyLabel} ${parsed.operator} ${option.originalOption.label} → `;
+        setFilteringText(newText);
+        return;
+      }
+
+      // Regular keepOpenOnSelect (property/operator selection)
+      setFilteringText(option.value);
+      return;
+    }
+
+    // Regular value selection - create the token
+    createToken(option.value);
+  }, [createToken, getLatestQueryActions, internalProperties, internalOptions, freeTextFiltering, customOperators]);
+
+  /**
+   * LOAD ITEMS - Called for async/paginated option loading.
+   *
+   * Passes context to parent's onLoadItems callback so it can fetch
+   * appropriate data based on what the user is filtering.
+   *
+   * @param {Object} detail - { filteringText, firstPage, samePage }
+   */
+  const loadItems = useCallback((detail) => {
+    const parsed = parseText(detail.filteringText, internalProperties, freeTextFiltering, customOperators);
+    // Retry link after a failed loadOptions call
+    if (detail.samePage && getPropertyLoadRequest(parsed, customOperators)) {
+      setReloadCount(count => count + 1);
+    }
+    const loadDetail = {
+      filteringText: detail.filteringText,
+      // The text to search for: the value after the operator, or the free text
+      filteringValue: parsed.step === 'operator' ? '' : parsed.value,
+      // Include property/operator context if user is filtering a specific property
+      filteringProperty: parsed.step === 'property' ? parsed.property : undefined,
+      filteringOperator: parsed.step === 'property' ? parsed.operator : undefined,
+      firstPage: detail.firstPage,
+      samePage: detail.samePage,
+    };
+    onLoadItems?.(loadDetail);
+  }, [internalProperties, freeTextFiltering, customOperators, onLoadItems]);
+
+  /**
+   * ACTIONS - Everything a UI (or PropertyFilter's ref) does to the filter.
+   *
+   * Query changes go through getQueryActions(), so values are normalised
+   * (matchTokenValue) and recorded for undo. addToken/addTokens take filter
+   * text or { propertyKey, operator, value } and return { valid, error? },
+   * adding nothing when invalid (see resolveToken).
+   */
+  const actions = useMemo(() => {
+    const resolve = (input) => resolveToken(input, internalProperties, {
+      filteringOptions: internalOptions,
+      freeTextFiltering,
+      operators: customOperators,
+    });
+
+    return {
+      addToken: (input, groupPath) => {
+        const result = resolve(input);
+        if (!result.valid) return { valid: false, error: result.error };
+        getLatestQueryActions().addToken(result.token, groupPath);
+        return { valid: true };
+      },
+      addTokens: (inputs, groupPath) => {
+        const results = inputs.map(resolve);
+        const invalid = results.find(result => !result.valid);
+        if (invalid) return { valid: false, error: invalid.error };
+        getLatestQueryActions().addTokens(results.map(result => result.token), groupPath);
+        return { valid: true };
+      },
+      // A whole query in API format (e.g. a saved filter), checked token by
+      // token against the current properties. All or nothing; an invalid
+      // query also shows its error under the input.
+      replaceQuery: (apiQuery) => {
+        let error = null;
+        const resolveTokens = (tokens) => tokens.map((tokenOrGroup) => {
+          if (isTokenGroup(tokenOrGroup)) {
+            return { ...tokenOrGroup, tokens: resolveTokens(tokenOrGroup.tokens) };
+          }
+          const result = resolve({
+            propertyKey: tokenOrGroup.propertyKey,
+            operator: tokenOrGroup.operator,
+            // Relative dates ("-7d") are resolved again from now
+            value: tokenOrGroup.expression ?? tokenOrGroup.value,
+          });
+          if (!result.valid) error = error || result.error;
+          return result.token;
+        });
+        const converted = apiToQueryFormat(apiQuery, { operators: customOperators });
+        const tokens = resolveTokens(converted.tokens || []);
+        setValidationError(error);
+        if (error) return { valid: false, error };
+        getLatestQueryActions().replaceQuery({ tokens, operation: converted.operation });
+        return { valid: true };
+      },
+      // Edits from the token editor, already validated there
+      updateToken: (indexOrPath, token) => getLatestQueryActions().updateToken(indexOrPath, token),
+      removeToken: (indexOrPath) => getLatestQueryActions().removeToken(indexOrPath),
+      setOperation: (operation) => getLatestQueryActions().updateOperation(operation),
+      setGroupOperation: (groupPath, operation) =>
+        getLatestQueryActions().updateGroupOperation(groupPath, operation),
+      clear: () => getLatestQueryActions().removeAllTokens(),
+      undo: () => getLatestQueryActions().undo(),
+      redo: () => getLatestQueryActions().redo(),
+      setInputText,
+      createToken,
+      selectOption,
+      loadItems,
+      openDropdown: () => setIsOpen(true),
+      closeDropdown: () => {
+        setIsOpen(false);
+        setHighlightedIndex(-1);
+      },
+      getQuery: () => queryToApiFormat(toInternalQuery(latestQueryRef.current), { operators: customOperators }),
+      getParsedInput: () =>
+        parseText(latestTextRef.current, internalProperties, freeTextFiltering, customOperators),
+    };
+  }, [
+    internalProperties,
+    internalOptions,
+    freeTextFiltering,
+    toInternalQuery,
+    getLatestQueryActions,
+    setInputText,
+    createToken,
+    selectOption,
+    loadItems,
+    customOperators,
+  ]);
+
+  /**
+   * UNDO SHORTCUTS - Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) in the input.
+   * Only while the input is empty, so undoing typed text works as usual.
+   */
+  const handleHistoryKeyDown = useCallback((e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z' || filteringText) return;
+    e.preventDefault();
+    if (e.shiftKey) {
+      actions.redo();
+    } else {
+      actions.undo();
+    }
+  }, [filteringText, actions]);
+
+  // ==========================================================================
+  // PROP-GETTERS - Spread onto your own elements; pass your own props in and
+  // your handlers run first (call preventDefault() to skip ours)
+  // ==========================================================================
+
+  const getOptionId = (index) => `${listboxId}-option-${index}`;
+
+  /**
+   * Props for the text input: value, combobox ARIA attributes, and keyboard
+   * navigation (ArrowUp/Down, Enter, Escape, Tab, undo shortcuts).
+   */
+  const getInputProps = (props = {}) => ({
+    type: 'text',
+    placeholder: i18nStrings.filteringPlaceholder,
+    'aria-label': i18nStrings.filteringAriaLabel,
+    ...props,
+    role: 'combobox',
+    value: filteringText,
+    disabled,
+    'aria-expanded': isOpen,
+    'aria-controls': listboxId,
+    'aria-autocomplete': 'list',
+    'aria-activedescendant': highlightedIndex >= 0 ? getOptionId(highlightedIndex) : undefined,
+    onChange: callAll(props.onChange, (e) => {
+      setInputText(e.target.value);
+      setIsOpen(true);
+      setHighlightedIndex(-1); // Reset highlight when typing
+    }),
+    onFocus: callAll(props.onFocus, () => {
+      setIsOpen(true);
+      actions.loadItems({ filteringText, firstPage: true, samePage: false });
+    }),
+    onBlur: callAll(props.onBlur, () => setIsOpen(false)),
+    onKeyDown: callAll(props.onKeyDown, (e) => {
+      handleHistoryKeyDown(e);
+      if (e.defaultPrevented) return;
+
+      switch (e.key) {
+        case 'ArrowDown':
+          e.preventDefault();
+          setIsOpen(true);
+          // Move down, wrap to top if at end
+          setHighlightedIndex(prev => (prev < flatOptions.length - 1 ? prev + 1 : 0));
+          break;
+        case 'ArrowUp':
+          e.preventDefault();
+          // Move up, wrap to bottom if at start
+          setHighlightedIndex(prev => (prev > 0 ? prev - 1 : flatOptions.length - 1));
+          break;
+        case 'Enter':
+          e.preventDefault();
+          if (highlightedIndex >= 0 && flatOptions[highlightedIndex]) {
+            actions.selectOption(flatOptions[highlightedIndex]);
+          } else if (filteringText.trim()) {
+            // No option highlighted - submit as free text
+            actions.selectOption({ value: filteringText.trim(), isEnteredText: true });
+          }
+          break;
+        case 'Escape':
+        case 'Tab':
+          actions.closeDropdown();
+          break;
+        default:
+          break;
+      }
+    }),
+  });
+
+  /**
+   * Props for the element holding the options.
+   */
+  const getListboxProps = (props = {}) => ({
+    'aria-label': i18nStrings.filteringAriaLabel,
+    ...props,
+    id: listboxId,
+    role: 'listbox',
+  });
+
+  /**
+   * Props for one option (from suggestionGroups, or enteredTextOption).
+   * Selecting doesn't blur the input, so the dropdown stays usable.
+   */
+  const getOptionProps = ({ option, ...props }) => {
+    const index = flatOptions.indexOf(option);
+    return {
+      ...props,
+      id: index >= 0 ? getOptionId(index) : `${listboxId}-entered-text`,
+      role: 'option',
+      'aria-selected': index >= 0 && index === highlightedIndex,
+      'aria-checked': typeof option.checked === 'boolean' ? option.checked : undefined,
+      onMouseDown: callAll(props.onMouseDown, e => e.preventDefault()),
+      onMouseEnter: callAll(props.onMouseEnter, () => {
+        if (index >= 0) setHighlightedIndex(index);
+      }),
+      onClick: callAll(props.onClick, () => actions.selectOption(option)),
+    };
+  };
+
+  /**
+   * Props for a token's element (formatted token from tokens).
+   */
+  const getTokenProps = ({ token, ...props }) => ({
+    'aria-label': isTokenGroup(token) ? i18nStrings.tokenGroupAriaLabel : token.formattedText,
+    ...props,
+    role: 'group',
+  });
+
+  /**
+   * Props for a token's remove button.
+   * @param {number|Array} path - Index (top level) or path of the token
+   */
+  const getRemoveTokenProps = ({ token, path, ...props }) => ({
+    type: 'button',
+    'aria-label': isTokenGroup(token)
+      ? `${i18nStrings.removeTokenAriaLabel}: ${i18nStrings.tokenGroupAriaLabel}`
+      : `${i18nStrings.removeTokenAriaLabel}: ${token.formattedText}`,
+    ...props,
+    disabled,
+    onClick: callAll(props.onClick, () => actions.removeToken(path)),
+  });
+
+  return {
+    // State
+    filteringText,
+    parsedText,
+    validationError,
+    isOpen,
+    highlightedIndex,
+    pendingNestedSelection,
+    i18nStrings,
+    // Suggestions
+    autosuggestOptions,
+    suggestionGroups,
+    enteredTextOption,
+    optionsStatusType,
+    // Tokens
+    query: internalQuery,
+    tokens,
+    filteringProperties: internalProperties,
+    filteringOptions: internalOptions,
+    freeTextFiltering,
+    // Behavior
+    actions,
+    handleHistoryKeyDown,
+    getInputProps,
+    getListboxProps,
+    getOptionProps,
+    getTokenProps,
+    getRemoveTokenProps,
+  };
+}
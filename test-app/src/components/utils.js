@@ -6,20 +6,24 @@
  * This file contains pure utility functions used throughout the PropertyFilter
  * component. These functions handle:
  * 
- * 1. TEXT PARSING - Matching user input to properties and operators
+ * 1. TEXT PARSING - Matching user input to properties and operators, and
+ *    scoring text against a search (fuzzyMatch) for suggestions
  * 2. STRING MANIPULATION - Trimming, removing operators from text
- * 3. TOKEN HANDLING - Converting between formats, flattening groups
- * 4. OPERATOR MAPPING - Converting between internal symbols and API names
- * 5. FORMAT CONVERSION - Converting between internal and API query formats
- * 6. VALIDATION - IP address, port number, and extensible validation
+ * 3. TOKEN HANDLING - Detecting and flattening nested token groups
+ * 4. PROPERTY TYPES - Default operators, parsing and formatting per data type
+ * 5. OPERATOR REGISTRY - Operator definitions, internal symbols ↔ API names
+ * 6. FORMAT CONVERSION - Converting between internal and API query formats
+ * 7. QUERY EVALUATION - Matching data items against an API-format query
+ * 8. VALIDATION - IP address, port number, and extensible validation
  * 
  * ADDING NEW FUNCTIONALITY:
  * -------------------------
  * - New validation type: Add case in validateTokenValue() and create validator
- * - New operator: Add to operatorToApiMap and apiToOperatorMap
+ * - New operator: Call registerOperator() (see OPERATOR REGISTRY)
  * - New string utility: Add function and export it
  * 
- * All functions are pure (no side effects) and can be unit tested independently.
+ * All functions are pure (no side effects) and can be unit tested independently,
+ * apart from registerOperator(), which adds to the shared operator registry.
  */
 
 // =============================================================================
@@ -29,7 +33,187 @@
 // (property name, operator, value, or free text)
 
 /**
- * Finds the longest property that the filtering text starts with.
+ * Match tiers of fuzzyMatch(), best first. A match's score is its tier
+ * plus a bonus below the next tier (shorter texts / earlier matches first).
+ */
+const MATCH_TIERS = {
+  exact: 6000,
+  prefix: 5000,
+  wordStart: 4000,
+  substring: 3000,
+  subsequence: 2000,
+  typo: 1000,
+};
+
+/**
+ * Scores how well text matches a search, for ranking suggestions.
+ * 
+ * TIERS (best first, case-insensitive):
+ * - prefix:      "eng" → "Engineering"
+ * - word start:  "ops" → "Cloud Ops"
+ * - substring:   "gin" → "Engineering"
+ * - subsequence: "dept" → "Department" (starting at a word)
+ * - typo:        "stauts" → "Status" (one edit - two from 8 characters -
+ *                for searches of 4+ characters; the word has to start with
+ *                the first or second searched character, which keeps the
+ *                check cheap on large option sets)
+ * 
+ * @param {string} text - Text to search in (e.g. an option label)
+ * @param {string} search - What the user typed
+ * @param {Object} options - { fuzzy = true, lowerText } fuzzy: false stops
+ *   after the substring tier; lowerText is text already lowercased (e.g. a
+ *   precomputed search index), saving the conversion
+ * @returns {Object|null} { score, tier, ranges } where ranges are the
+ *   matched [start, end) character ranges of text, or null if no match
+ * 
+ * @example
+ * fuzzyMatch('Department', 'dept')
+ * // Returns: { score: 2997, tier: 'subsequence', ranges: [[0, 3], [5, 6]] }
+ */
+export function fuzzyMatch(text, search, { fuzzy = true, lowerText: precomputedText } = {}) {
+  const source = String(text ?? '');
+  const lowerText = precomputedText ?? source.toLowerCase();
+  const lowerSearch = String(search ?? '').toLowerCase();
+  if (!lowerSearch) return { score: MATCH_TIERS.exact, tier: 'exact', ranges: [] };
+
+  const result = (tier, bonus, ranges) => ({
+    score: MATCH_TIERS[tier] + Math.max(0, Math.min(999, bonus)),
+    tier,
+    ranges,
+  });
+
+  if (lowerText === lowerSearch) {
+    return result('exact', 0, [[0, source.length]]);
+  }
+  if (lowerText.startsWith(lowerSearch)) {
+    return result('prefix', 999 - (source.length - lowerSearch.length), [[0, lowerSearch.length]]);
+  }
+
+  const wordStarts = getWordStarts(lowerText);
+  const wordIndex = wordStarts.find(index => lowerText.startsWith(lowerSearch, index));
+  if (wordIndex !== undefined) {
+    return result('wordStart', 999 - wordIndex, [[wordIndex, wordIndex + lowerSearch.length]]);
+  }
+
+  const index = lowerText.indexOf(lowerSearch);
+  if (index !== -1) {
+    return result('substring', 999 - index, [[index, index + lowerSearch.length]]);
+  }
+
+  if (!fuzzy) return null;
+
+  // Subsequence from a word start: every searched character, in order
+  for (const start of wordStarts) {
+    if (lowerText[start] !== lowerSearch[0]) continue;
+    const positions = [start];
+    for (let i = 1, from = start + 1; i < lowerSearch.length; i++) {
+      const position = lowerText.indexOf(lowerSearch[i], from);
+      if (position === -1) break;
+      positions.push(position);
+      from = position + 1;
+    }
+    if (positions.length === lowerSearch.length) {
+      const spread = positions[positions.length - 1] - start + 1 - lowerSearch.length;
+      return result('subsequence', 999 - spread, toRanges(positions));
+    }
+  }
+
+  // Typo: a word (or the text) at most maxEdits edits from the search
+  if (lowerSearch.length >= 4) {
+    const maxEdits = lowerSearch.length >= 8 ? 2 : 1;
+    for (const start of wordStarts) {
+      if (lowerText[start] !== lowerSearch[0] && lowerText[start] !== lowerSearch[1]) continue;
+      for (let length = lowerSearch.length - maxEdits; length <= lowerSearch.length + maxEdits; length++) {
+        if (start + length > lowerText.length) break;
+        const distance = editDistance(lowerText.slice(start, start + length), lowerSearch);
+        if (distance <= maxEdits) {
+          return result('typo', 999 - distance * 100 - start, [[start, start + length]]);
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Splits text into the parts inside and outside match ranges (from
+ * fuzzyMatch()), for rendering highlighted matches.
+ * 
+ * @param {string} text - Text to split
+ * @param {Array} ranges - [start, end) ranges, sorted and non-overlapping
+ * @returns {Array} Parts [{ text, highlighted }]
+ * 
+ * @example
+ * splitHighlightedText('Department', [[0, 3], [5, 6]])
+ * // Returns: [{ text: 'Dep', highlighted: true }, { text: 'ar', highlighted: false },
+ * //           { text: 't', highlighted: true }, { text: 'ment', highlighted: false }]
+ */
+export function splitHighlightedText(text, ranges = []) {
+  const source = String(text ?? '');
+  const parts = [];
+  let position = 0;
+  for (const [start, end] of ranges) {
+    if (start > position) parts.push({ text: source.slice(position, start), highlighted: false });
+    if (end > start) parts.push({ text: source.slice(start, end), highlighted: true });
+    position = Math.max(position, end);
+  }
+  if (position < source.length) parts.push({ text: source.slice(position), highlighted: false });
+  return parts;
+}
+
+/**
+ * Indexes where words start: the text start and after a separator.
+ * Internal helper (not exported).
+ */
+function getWordStarts(lowerText) {
+  const starts = [];
+  for (let i = 0; i < lowerText.length; i++) {
+    if (i === 0 || /[\s\-_./:()]/.test(lowerText[i - 1])) starts.push(i);
+  }
+  return starts;
+}
+
+/**
+ * Merges sorted character positions into [start, end) ranges.
+ * Internal helper (not exported).
+ */
+function toRanges(positions) {
+  const ranges = [];
+  for (const position of positions) {
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === position) {
+      last[1] = position + 1;
+    } else {
+      ranges.push([position, position + 1]);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swaps
+ * of neighbouring characters (optimal string alignment).
+ * Internal helper (not exported).
+ */
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+/**
+ * Finds the property the filtering text starts with, and the text that
+ * named it.
  * 
  * WHY LONGEST MATCH?
  * If you have properties "Status" and "Status Code", and user types
@@ -39,15 +223,21 @@
  * First tries exact case match, then falls back to case-insensitive.
  * This allows "status" to match "Status" property.
  * 
+ * ABBREVIATIONS:
+ * Without a full label, a finished first word ("dept " or "dept=") is
+ * matched against the labels with fuzzyMatch() ("dept" → "Department",
+ * not typos). The best scoring label wins.
+ * 
  * @param {Array} filteringProperties - Array of property definitions
  * @param {string} filteringText - Current text in the filter input
- * @returns {Object|null} The matched property object, or null if no match
+ * @returns {Object|null} { property, text } where text is the part of
+ *   filteringText naming the property, or null if no match
  * 
  * @example
- * // Returns the Status property object
- * matchFilteringProperty([{propertyLabel: 'Status'}], 'Status = active')
+ * matchFilteringPropertyText([{ propertyLabel: 'Department' }], 'dept = Sales')
+ * // Returns: { property: { propertyLabel: 'Department' }, text: 'dept' }
  */
-export function matchFilteringProperty(filteringProperties, filteringText) {
+export function matchFilteringPropertyText(filteringProperties, filteringText) {
   let maxLength = 0;
   let matchedProperty = null;
 
@@ -63,7 +253,40 @@ export function matchFilteringProperty(filteringProperties, filteringText) {
     }
   }
 
-  return matchedProperty;
+  if (matchedProperty) {
+    return { property: matchedProperty, text: filteringText.slice(0, maxLength) };
+  }
+
+  // Abbreviated label - the word must be followed by a space or an operator
+  const word = /^([^\s=!<>:~^"]+)(?=[\s=!<>:~^])/.exec(filteringText)?.[1];
+  if (!word) return null;
+  let bestScore = 0;
+  for (const property of filteringProperties) {
+    const match = fuzzyMatch(property.propertyLabel || '', word);
+    if (match && match.tier !== 'typo' && match.score > bestScore) {
+      bestScore = match.score;
+      matchedProperty = property;
+    }
+  }
+  return matchedProperty ? { property: matchedProperty, text: word } : null;
+}
+
+/**
+ * Finds the property that the filtering text starts with - its full label
+ * (longest match) or an abbreviation (see matchFilteringPropertyText()).
+ * 
+ * @param {Array} filteringProperties - Array of property definitions
+ * @param {string} filteringText - Current text in the filter input
+ * @returns {Object|null} The matched property object, or null if no match
+ * 
+ * @example
+ * // Returns the Status property object
+ * matchFilteringProperty([{propertyLabel: 'Status'}], 'Status = active')
+ * // Returns the Department property object
+ * matchFilteringProperty([{propertyLabel: 'Department'}], 'dept = Sales')
+ */
+export function matchFilteringProperty(filteringProperties, filteringText) {
+  return matchFilteringPropertyText(filteringProperties, filteringText)?.property ?? null;
 }
 
 /**
@@ -80,6 +303,7 @@ export function matchFilteringProperty(filteringProperties, filteringText) {
  * @example
  * matchOperator(['=', '!=', ':'], '!= active') // Returns '!='
  * matchOperator(['=', '!=', ':'], 'active')    // Returns null
+ * matchOperator(['=', 'in'], 'inactive')       // Returns null (word operators end the word)
  */
 export function matchOperator(allowedOperators, filteringText) {
   const text = filteringText.toLowerCase();
@@ -88,6 +312,11 @@ export function matchOperator(allowedOperators, filteringText) {
   let matchedOperator = null;
 
   for (const operator of allowedOperators) {
+    // Word operators ("in", "between") must end the word: "inactive" isn't "in"
+    const isWordOperator = /[a-z]$/i.test(operator);
+    const nextChar = text[operator.length];
+    if (isWordOperator && nextChar !== undefined && /\w/.test(nextChar)) continue;
+
     if (operator.length > maxLength && startsWith(text, operator.toLowerCase())) {
       maxLength = operator.length;
       matchedOperator = operator;
@@ -124,6 +353,33 @@ export function matchOperatorPrefix(allowedOperators, filteringText) {
   return null;
 }
 
+/**
+ * Finds the free-text operator the text starts with, including registered
+ * aliases ("!" for "!:").
+ * 
+ * @param {Array} freeTextOperators - Free-text operator symbols
+ * @param {string} filteringText - Text to check
+ * @param {Array} operators - Custom operator definitions (optional, see getOperator)
+ * @returns {{ operator: string, matchedText: string }|null} The operator, and
+ *   the text that matched it (to remove with removeOperator), or null
+ * 
+ * @example
+ * matchFreeTextOperator([':', '!:'], '! error')  // { operator: '!:', matchedText: '!' }
+ */
+export function matchFreeTextOperator(freeTextOperators, filteringText, operators) {
+  const aliases = new Map();
+  freeTextOperators.forEach(op =>
+    (getOperator(op, operators)?.aliases || []).forEach(alias => aliases.set(alias, op))
+  );
+
+  const matchedText = matchOperator([...aliases.keys(), ...freeTextOperators], filteringText);
+  if (!matchedText) return null;
+  return {
+    operator: freeTextOperators.includes(matchedText) ? matchedText : aliases.get(matchedText),
+    matchedText,
+  };
+}
+
 /**
  * Matches a token's value against available filtering options.
  * 
@@ -136,6 +392,8 @@ export function matchOperatorPrefix(allowedOperators, filteringText) {
  * 2. Exact value match (case-sensitive)
  * 3. Case-insensitive label/value match
  * 
+ * Array values (from 'in' / 'not in') have each element matched.
+ * 
  * @param {Object} token - Token with property, operator, value
  * @param {Array} filteringOptions - Available options with {property, value, label}
  * @returns {Object} Token with potentially corrected value
@@ -145,22 +403,34 @@ export function matchOperatorPrefix(allowedOperators, filteringText) {
  * matchTokenValue({value: 'Active'}, options) // Returns {value: 'active'}
  */
 export function matchTokenValue({ property, propertyKey, operator, value }, filteringOptions) {
-  const propertyOptions = filteringOptions.filter(option => option.property === property);
   // Use existing propertyKey if provided, otherwise derive from property
   const resolvedPropertyKey = propertyKey || property?.key;
-  const bestMatch = { propertyKey: resolvedPropertyKey, operator, value };
+  // Options carry their property, or only its key (e.g. options returned by
+  // a property's loadOptions)
+  const propertyOptions = resolvedPropertyKey === undefined
+    ? []
+    : filteringOptions.filter(option => (option.property?.key ?? option.propertyKey) === resolvedPropertyKey);
 
-  for (const option of propertyOptions) {
-    if ((option.label && option.label === value) || (!option.label && option.value === value)) {
-      return { propertyKey: resolvedPropertyKey, operator, value: option.value };
-    }
+  const matchValue = (entry) => {
+    let bestMatch = entry;
+    for (const option of propertyOptions) {
+      if ((option.label && option.label === entry) || (!option.label && option.value === entry)) {
+        return option.value;
+      }
 
-    if (typeof value === 'string' && value.toLowerCase() === (option.label ?? option.value ?? '').toLowerCase()) {
-      bestMatch.value = option.value;
+      if (typeof entry === 'string' && entry.toLowerCase() === (option.label ?? option.value ?? '').toLowerCase()) {
+        bestMatch = option.value;
+      }
     }
-  }
+    return bestMatch;
+  };
 
-  return bestMatch;
+  // Multi-value tokens ("Status in Active, Pending") match each value
+  return {
+    propertyKey: resolvedPropertyKey,
+    operator,
+    value: Array.isArray(value) ? value.map(matchValue) : matchValue(value),
+  };
 }
 
 // =============================================================================
@@ -202,11 +472,57 @@ export function trimStart(source) {
  * removeOperator('=active', '=')   // Returns 'active'
  */
 export function removeOperator(source, operator) {
-  const operatorLastIndex = source.indexOf(operator) + operator.length;
+  // Case-insensitive so word operators match as typed ("Between")
+  const operatorLastIndex = source.toLowerCase().indexOf(operator.toLowerCase()) + operator.length;
   const textWithoutOperator = source.slice(operatorLastIndex);
   return textWithoutOperator[0] === ' ' ? textWithoutOperator.slice(1) : textWithoutOperator;
 }
 
+/**
+ * Reads a value as typed: a value in double quotes ends at the closing quote,
+ * and a backslash escapes the next character, quoted or not. This lets
+ * values contain operators or start with a property label.
+ * 
+ * A quote that isn't closed yet (the user is still typing) runs to the end.
+ * 
+ * @param {string} source - Value text after the operator
+ * @returns {string} The value with quotes and escapes removed
+ * 
+ * @example
+ * unquoteValue('"Status = on hold"') // Returns 'Status = on hold'
+ * unquoteValue('say \\"hi\\"')      // Returns 'say "hi"'
+ */
+export function unquoteValue(source) {
+  const text = String(source ?? '');
+  const quoted = trimStart(text);
+  if (quoted[0] !== '"') return text.replace(/\\(.)/g, '$1');
+
+  let value = '';
+  for (let i = 1; i < quoted.length; i++) {
+    if (quoted[i] === '"') break;
+    if (quoted[i] === '\\' && i + 1 < quoted.length) i++;
+    value += quoted[i];
+  }
+  return value;
+}
+
+/**
+ * Quotes a value if unquoteValue() wouldn't read it back as is: values with
+ * quotes, backslashes, commas (list separators) or surrounding spaces.
+ * 
+ * @param {*} value - Value to quote
+ * @returns {string} The value, quoted and escaped if needed
+ * 
+ * @example
+ * quoteValue('active')   // Returns 'active'
+ * quoteValue('say "hi"') // Returns '"say \\"hi\\""'
+ */
+export function quoteValue(value) {
+  const text = String(value ?? '');
+  const needsQuotes = /["\\,]/.test(text) || (text.trim() !== '' && text.trim() !== text);
+  return needsQuotes ? `"${text.replace(/["\\]/g, '\\$&')}"` : text;
+}
+
 /**
  * Checks if source string starts with target string.
  * Internal helper function (not exported).
@@ -224,15 +540,28 @@ function startsWith(source, target) {
 // =============================================================================
 
 /**
- * Flattens nested token groups into a simple array of tokens.
- * 
- * Tokens can be organized in groups for complex queries (e.g., nested AND/OR).
- * This function extracts all individual tokens regardless of grouping.
+ * Checks whether an entry in a token list is a nested group rather than a token.
  * 
  * TOKEN STRUCTURE:
  * - Simple token: { operator: '=', value: 'x', propertyKey: 'field' }
  * - Token group: { tokens: [...], operation: 'and' }
  * 
+ * Groups can contain tokens and further groups, to any depth.
+ * 
+ * @param {Object} tokenOrGroup - Entry from a query's tokens array
+ * @returns {boolean} True if the entry is a token group
+ */
+export function isTokenGroup(tokenOrGroup) {
+  return !!tokenOrGroup && Array.isArray(tokenOrGroup.tokens) && !('operator' in tokenOrGroup);
+}
+
+/**
+ * Flattens nested token groups into a simple array of tokens.
+ * 
+ * The query itself keeps its groups (see queryToApiFormat), but some
+ * callers only care about the individual conditions - e.g. to count them
+ * or to list the properties in use. Groups are walked recursively.
+ * 
  * @param {Array} tokenGroups - Array of tokens or token groups
  * @returns {Array} Flat array of token objects
  */
@@ -242,103 +571,873 @@ export function tokenGroupToTokens(tokenGroups) {
     if ('operator' in tokenOrGroup) {
       tokens.push(tokenOrGroup);
     } else if (tokenOrGroup.tokens) {
-      for (const nestedTokenOrGroup of tokenOrGroup.tokens) {
-        if ('operator' in nestedTokenOrGroup) {
-          tokens.push(nestedTokenOrGroup);
-        }
+      tokens.push(...tokenGroupToTokens(tokenOrGroup.tokens));
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Gets the list of allowed operators for a property, in display order.
+ * 
+ * Combines the property's configured operators with its default operator,
+ * then returns them in a consistent order for the UI. Properties with a
+ * `type` but no `operators` use the type's default set (see getDefaultOperators).
+ * 
+ * OPERATOR ORDER: registration order in the operator registry
+ * (=, !=, in, not in, :, !:, ^, !^, >=, <=, <, >, between, then custom ones).
+ * This order is used in dropdown menus.
+ * 
+ * @param {Object} property - Property definition with operators array
+ * @param {Array} operators - Custom operator definitions (optional, see getOperator)
+ * @returns {Array} Ordered array of operator strings
+ * 
+ * @example
+ * getAllowedOperators({ operators: ['!=', ':'], defaultOperator: '=' })
+ * // Returns ['=', '!=', ':']
+ */
+export function getAllowedOperators(property, operators) {
+  const { defaultOperator = '=', type } = property;
+  // Typed properties without explicit operators get their type's defaults
+  const propertyOperators = property.operators || (type ? getDefaultOperators(type, operators) : []);
+  const operatorSet = new Set([defaultOperator, ...propertyOperators]);
+  return getRegisteredOperators(operators)
+    .map(operator => operator.symbol)
+    .filter(op => operatorSet.has(op));
+}
+
+// =============================================================================
+// PROPERTY TYPES
+// =============================================================================
+// A property can declare a data type: { key: 'age', type: 'number' }.
+// The type drives:
+// - Default operators (when the property doesn't list its own)
+// - Parsing typed input into real values before a token is added
+// - Formatting values for display in tokens
+//
+// SUPPORTED TYPES AND VALUES:
+// - 'string' (default): value kept as typed
+// - 'number':   "42", "-1.5"          → 42, -1.5
+// - 'date':     "2026-01-31"          → "2026-01-31" (ISO date)
+// - 'datetime': "2026-01-31 14:30"    → "2026-01-31T14:30:00.000Z" (ISO timestamp)
+// - 'boolean':  "true", "yes", "1"    → true / false
+// - 'enum':     must match one of the property's filteringOptions
+//
+// DATE EXPRESSIONS ('date' and 'datetime'):
+// Besides absolute dates, date properties accept relative expressions and
+// ranges (see parseDateExpression). Periods and ranges become { from, to }:
+// - "-7d", "+2w", "3 hours ago"         → a point in time
+// - "today", "yesterday", "this month"  → that calendar period
+// - "last 7 days", "next 2 weeks"       → from/until now
+// - "2026-01-01..2026-01-31", "X to Y"  → a range
+// On 'datetime' properties a plain "2026-01-31" also means the whole day.
+// The typed expression is kept on the token (token.expression) for display.
+//
+// TO ADD A NEW TYPE:
+// 1. List it in the appliesToTypes of its default operators (OPERATOR REGISTRY)
+// 2. Add a case in parsePropertyValue() and formatPropertyValue()
+
+/**
+ * Gets the default operators for a property type - the registered operators
+ * whose appliesToTypes include it.
+ * Untyped (or unknown) properties default to equals / does not equal.
+ * 
+ * @param {string} type - Property type ('number', 'date', ...)
+ * @param {Array} operators - Custom operator definitions (optional, see getOperator)
+ * @returns {Array} Operator strings
+ * 
+ * @example
+ * getDefaultOperators('number') // ['=', '!=', '>=', '<=', '<', '>', 'between']
+ */
+export function getDefaultOperators(type, operators) {
+  const typeOperators = getRegisteredOperators(operators)
+    .filter(operator => type && operator.appliesToTypes.includes(type))
+    .map(operator => operator.symbol);
+  return typeOperators.length > 0 ? typeOperators : ['=', '!='];
+}
+
+/**
+ * Pads a number to two digits. Internal helper (not exported).
+ */
+function pad2(number) {
+  return String(number).padStart(2, '0');
+}
+
+/**
+ * Parses a date string into a Date.
+ * "YYYY-MM-DD" is read as a local calendar date (not UTC midnight), so it
+ * formats back to the same day in every timezone.
+ * Internal helper (not exported).
+ * 
+ * @param {string|Date} value - Date input
+ * @returns {Date|null} Parsed date or null if invalid
+ */
+function parseDate(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+  const text = String(value ?? '').trim();
+  const dateOnly = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (dateOnly) {
+    const [, year, month, day] = dateOnly.map(Number);
+    const date = new Date(year, month - 1, day);
+    // Reject overflowed dates like 2026-02-31
+    return date.getMonth() === month - 1 ? date : null;
+  }
+  const timestamp = Date.parse(text);
+  return text && !isNaN(timestamp) ? new Date(timestamp) : null;
+}
+
+/**
+ * Formats a Date as a local "YYYY-MM-DD" string. Internal helper (not exported).
+ */
+function toIsoDate(date) {
+  return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+}
+
+/**
+ * Checks if a value is a range { from, to } (e.g. a resolved "this month").
+ * 
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects with from and to
+ */
+export function isRangeValue(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) &&
+    'from' in value && 'to' in value;
+}
+
+/**
+ * Unit names accepted in relative date expressions, by canonical unit.
+ */
+const dateUnitAliases = {
+  minute: ['min', 'mins', 'minute', 'minutes'],
+  hour: ['h', 'hr', 'hrs', 'hour', 'hours'],
+  day: ['d', 'day', 'days'],
+  week: ['w', 'wk', 'week', 'weeks'],
+  month: ['mo', 'mon', 'month', 'months'],
+  year: ['y', 'yr', 'year', 'years'],
+};
+
+/**
+ * Resolves a unit alias ("d", "days", "mo") to its canonical unit.
+ * Internal helper (not exported).
+ */
+function toDateUnit(alias) {
+  return Object.keys(dateUnitAliases).find(unit => dateUnitAliases[unit].includes(alias)) || null;
+}
+
+/**
+ * Returns a copy of date moved by amount units (amount may be negative).
+ * Internal helper (not exported).
+ */
+function addToDate(date, amount, unit) {
+  const result = new Date(date.getTime());
+  switch (unit) {
+    case 'minute': result.setMinutes(result.getMinutes() + amount); break;
+    case 'hour': result.setHours(result.getHours() + amount); break;
+    case 'day': result.setDate(result.getDate() + amount); break;
+    case 'week': result.setDate(result.getDate() + amount * 7); break;
+    case 'month': result.setMonth(result.getMonth() + amount); break;
+    case 'year': result.setFullYear(result.getFullYear() + amount); break;
+    default: break;
+  }
+  return result;
+}
+
+/**
+ * Returns the start of the calendar period containing date.
+ * Weeks start on Monday. Internal helper (not exported).
+ */
+function startOfPeriod(date, unit) {
+  const result = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  switch (unit) {
+    case 'week': result.setDate(result.getDate() - ((result.getDay() + 6) % 7)); break;
+    case 'month': result.setDate(1); break;
+    case 'year': result.setMonth(0, 1); break;
+    default: break;
+  }
+  return result;
+}
+
+/**
+ * Resolves a single (non-range) date expression to a span of time.
+ * Points in time have start === end. Internal helper (not exported).
+ * 
+ * @param {string} text - Lowercased, trimmed expression
+ * @param {Date} now - Reference time
+ * @returns {{ start: Date, end: Date, relative: boolean }|null}
+ */
+function resolveDateSpan(text, now) {
+  const point = (date, relative = true) => ({ start: date, end: date, relative });
+  const period = (start, unit) => ({
+    start,
+    // Last millisecond of the period
+    end: new Date(addToDate(start, 1, unit).getTime() - 1),
+    relative: true,
+  });
+
+  if (text === 'now') return point(now);
+  if (text === 'today') return period(startOfPeriod(now, 'day'), 'day');
+  if (text === 'yesterday') return period(startOfPeriod(addToDate(now, -1, 'day'), 'day'), 'day');
+  if (text === 'tomorrow') return period(startOfPeriod(addToDate(now, 1, 'day'), 'day'), 'day');
+
+  // "-7d", "+2 weeks"
+  const offset = text.match(/^([+-])\s*(\d+)\s*([a-z]+)$/);
+  if (offset && toDateUnit(offset[3])) {
+    const amount = Number(offset[2]) * (offset[1] === '-' ? -1 : 1);
+    return point(addToDate(now, amount, toDateUnit(offset[3])));
+  }
+
+  // "3 hours ago"
+  const ago = text.match(/^(\d+)\s*([a-z]+)\s+ago$/);
+  if (ago && toDateUnit(ago[2])) {
+    return point(addToDate(now, -Number(ago[1]), toDateUnit(ago[2])));
+  }
+
+  // "last 7 days", "past 2 weeks", "next 30 days" - rolling window from/until now
+  const rolling = text.match(/^(last|past|next)\s+(\d+)\s*([a-z]+)$/);
+  if (rolling && toDateUnit(rolling[3])) {
+    const unit = toDateUnit(rolling[3]);
+    const amount = Number(rolling[2]);
+    return rolling[1] === 'next'
+      ? { start: now, end: addToDate(now, amount, unit), relative: true }
+      : { start: addToDate(now, -amount, unit), end: now, relative: true };
+  }
+
+  // "this week", "last month", "next year" - calendar periods
+  const calendar = text.match(/^(this|last|previous|next)\s+(day|week|month|year)$/);
+  if (calendar) {
+    const unit = calendar[2];
+    const shift = { this: 0, last: -1, previous: -1, next: 1 }[calendar[1]];
+    return period(startOfPeriod(addToDate(startOfPeriod(now, unit), shift, unit), unit), unit);
+  }
+
+  // A plain "YYYY-MM-DD" covers the whole day; anything else is a point in time
+  const date = parseDate(text);
+  if (!date) return null;
+  return /^\d{4}-\d{2}-\d{2}$/.test(text)
+    ? { ...period(date, 'day'), relative: false }
+    : point(date, false);
+}
+
+/**
+ * Parses an absolute date, relative date expression or date range.
+ * 
+ * SUPPORTED EXPRESSIONS:
+ * - Absolute: "2026-01-31", "2026-01-31 14:30"
+ * - Offsets: "-7d", "+2w", "-3h", "30 min ago" (units: min, h, d, w, mo, y)
+ * - Days: "now", "today", "yesterday", "tomorrow"
+ * - Rolling windows: "last 7 days", "past 24 hours", "next 2 weeks"
+ * - Calendar periods: "this week", "last month", "next year" (weeks start Monday)
+ * - Ranges: "2026-01-01..2026-01-31", "-30d to today"
+ * 
+ * Points in time resolve to a single value; periods, windows and ranges to
+ * { from, to } (inclusive). 'date' properties get "YYYY-MM-DD" values (a
+ * single day collapses to one date), 'datetime' properties ISO timestamps -
+ * so "2026-01-31" on a datetime property covers that whole day.
+ * 
+ * @param {string} text - Expression as typed
+ * @param {Object} options - { type: 'date'|'datetime', now: Date }
+ * @returns {{ value: string|Object, expression: string|null }|null}
+ *   expression is the typed text unless the value is an absolute point in
+ *   time; null if the text isn't a date expression
+ * 
+ * @example
+ * parseDateExpression('-7d', { type: 'datetime' })
+ * // { value: '2026-10-12T09:00:00.000Z', expression: '-7d' }
+ * parseDateExpression('this month', { type: 'date' })
+ * // { value: { from: '2026-10-01', to: '2026-10-31' }, expression: 'this month' }
+ */
+export function parseDateExpression(text, { type = 'datetime', now = new Date() } = {}) {
+  const expression = String(text ?? '').trim().replace(/\s+/g, ' ');
+  const lower = expression.toLowerCase();
+  if (!lower) return null;
+
+  // Ranges: "A..B" or "A to B"
+  const rangeParts = lower.includes('..') ? lower.split('..') : lower.split(' to ');
+  const spans = rangeParts.length === 2
+    ? rangeParts.map(part => resolveDateSpan(part.trim(), now))
+    : [resolveDateSpan(lower, now)];
+  if (spans.some(span => !span)) return null;
+
+  const start = spans[0].start;
+  const end = spans[spans.length - 1].end;
+  if (start > end) return null;
+
+  const format = date => (type === 'date' ? toIsoDate(date) : date.toISOString());
+  const isPoint = format(start) === format(end);
+  const value = isPoint ? format(start) : { from: format(start), to: format(end) };
+  // Absolute points display fine from their value; keep the text for the rest
+  const isAbsolutePoint = isPoint && spans.every(span => !span.relative);
+
+  return { value, expression: isAbsolutePoint ? null : expression };
+}
+
+/**
+ * Parses a typed-in value according to the property's type.
+ * 
+ * Values that are already typed (e.g. a number for a number property)
+ * pass through unchanged, so this is safe to run more than once.
+ * Relative date expressions also return the typed expression.
+ * Ranges { from, to } have each bound parsed and must have from ≤ to.
+ * Arrays have each element parsed.
+ * 
+ * @param {*} value - Value as entered (usually a string)
+ * @param {Object} property - Property definition with optional type
+ * @param {Array} filteringOptions - Options (used to check enum values)
+ * @returns {{ valid: boolean, value?: *, expression?: string, error?: string }}
+ * 
+ * @example
+ * parsePropertyValue('42', { type: 'number' })      // { valid: true, value: 42 }
+ * parsePropertyValue('yes', { type: 'boolean' })    // { valid: true, value: true }
+ * parsePropertyValue('abc', { type: 'number' })     // { valid: false, error: 'Enter a number' }
+ * parsePropertyValue({ from: '20', to: '10' }, { type: 'number' }) // { valid: false, error: 'The start of...' }
+ */
+export function parsePropertyValue(value, property, filteringOptions = []) {
+  if (isRangeValue(value)) {
+    return parseRangeValue(value, property, filteringOptions);
+  }
+  // Lists ('in' / 'not in'): every element must parse
+  if (Array.isArray(value)) {
+    const parsedValues = [];
+    for (const element of value) {
+      const parsed = parsePropertyValue(element, property, filteringOptions);
+      if (!parsed.valid) return parsed;
+      parsedValues.push(parsed.value);
+    }
+    return { valid: true, value: parsedValues };
+  }
+
+  const text = typeof value === 'string' ? value.trim() : value;
+
+  switch (property?.type) {
+    case 'number': {
+      const number = typeof text === 'number' ? text : Number(text);
+      if (text === '' || text === null || !Number.isFinite(number)) {
+        return { valid: false, error: 'Enter a number' };
+      }
+      return { valid: true, value: number };
+    }
+
+    case 'date':
+    case 'datetime': {
+      const error = property.type === 'date'
+        ? 'Enter a date as YYYY-MM-DD, or e.g. -7d, yesterday, this month'
+        : 'Enter a date and time as YYYY-MM-DD HH:mm, or e.g. -7d, yesterday, this month';
+      const parsed = parseDateExpression(
+        text instanceof Date ? text.toISOString() : text,
+        { type: property.type }
+      );
+      if (!parsed) {
+        return { valid: false, error };
+      }
+      return parsed.expression
+        ? { valid: true, value: parsed.value, expression: parsed.expression }
+        : { valid: true, value: parsed.value };
+    }
+
+    case 'boolean': {
+      if (typeof text === 'boolean') {
+        return { valid: true, value: text };
       }
+      const lower = String(text ?? '').toLowerCase();
+      if (['true', 'yes', '1'].includes(lower)) return { valid: true, value: true };
+      if (['false', 'no', '0'].includes(lower)) return { valid: true, value: false };
+      return { valid: false, error: 'Enter true or false' };
     }
+
+    case 'enum': {
+      const propertyOptions = filteringOptions.filter(
+        option => (option.property?.key ?? option.propertyKey) === property.key
+      );
+      // Without known options there is nothing to check against
+      if (propertyOptions.length === 0) {
+        return { valid: true, value: text };
+      }
+      const lower = String(text ?? '').toLowerCase();
+      const option = propertyOptions.find(o =>
+        String(o.value).toLowerCase() === lower || String(o.label ?? '').toLowerCase() === lower
+      );
+      if (!option) {
+        const choices = propertyOptions.map(o => o.label || o.value).join(', ');
+        return { valid: false, error: `Choose one of: ${choices}` };
+      }
+      return { valid: true, value: option.value };
+    }
+
+    default:
+      return { valid: true, value };
+  }
+}
+
+/**
+ * Parses both bounds of a range { from, to } and checks from ≤ to.
+ * Bounds that resolve to periods ("this month") contribute their start
+ * (for from) or end (for to). Internal helper for parsePropertyValue.
+ * 
+ * @param {Object} range - { from, to } with raw or parsed bounds
+ * @param {Object} property - Property definition with optional type
+ * @param {Array} filteringOptions - Options (used to check enum values)
+ * @returns {{ valid: boolean, value?: Object, expression?: string, error?: string }}
+ */
+function parseRangeValue(range, property, filteringOptions) {
+  const from = parsePropertyValue(range.from, property, filteringOptions);
+  if (!from.valid) return from;
+  const to = parsePropertyValue(range.to, property, filteringOptions);
+  if (!to.valid) return to;
+
+  const value = {
+    from: isRangeValue(from.value) ? from.value.from : from.value,
+    to: isRangeValue(to.value) ? to.value.to : to.value,
+  };
+  if (compareValues(value.from, value.to) > 0) {
+    return { valid: false, error: 'The start of the range must not be after its end' };
+  }
+
+  // Keep relative bounds as typed: "-30d and today"
+  if (from.expression || to.expression) {
+    const expression = `${from.expression || String(range.from).trim()} and ${to.expression || String(range.to).trim()}`;
+    return { valid: true, value, expression };
+  }
+  return { valid: true, value };
+}
+
+/**
+ * Splits range text into its bounds.
+ * Accepts "10 and 20", "10..20" and "10 to 20".
+ * 
+ * @param {string} text - Range as typed
+ * @returns {{ from: string, to: string }|null} Bounds, or null if text isn't a range
+ * 
+ * @example
+ * splitRangeText('10 and 20')  // { from: '10', to: '20' }
+ * splitRangeText('-7d..today') // { from: '-7d', to: 'today' }
+ */
+export function splitRangeText(text) {
+  const match = String(text ?? '').match(/^\s*(.+?)\s*(?:\.\.|\s+and\s+|\s+to\s+)\s*(.+?)\s*$/i);
+  return match ? { from: unquoteValue(match[1]), to: unquoteValue(match[2]) } : null;
+}
+
+/**
+ * Splits comma-separated list text into its values.
+ * Empty entries (e.g. from a trailing comma) are dropped. Commas inside
+ * quotes don't split, and each entry is unquoted (see unquoteValue()).
+ * 
+ * @param {string} text - List as typed
+ * @returns {Array<string>} Trimmed values
+ * 
+ * @example
+ * splitListText('active, pending, ')    // ['active', 'pending']
+ * splitListText('"on hold, maybe", new') // ['on hold, maybe', 'new']
+ */
+export function splitListText(text) {
+  const source = String(text ?? '');
+  const entries = [];
+  let entry = '';
+  let inQuotes = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === ',' && !inQuotes) {
+      entries.push(entry);
+      entry = '';
+      continue;
+    }
+    if (char === '\\') {
+      // Escapes are kept for unquoteValue()
+      entry += source.slice(i, i + 2);
+      i++;
+      continue;
+    }
+    if (char === '"') inQuotes = !inQuotes;
+    entry += char;
+  }
+  entries.push(entry);
+
+  return entries
+    .map(value => unquoteValue(value.trim()))
+    .filter(Boolean);
+}
+
+/**
+ * Formats a typed value for display in a token.
+ * 
+ * @param {*} value - Token value
+ * @param {Object} property - Property definition with optional type
+ * @param {Array} filteringOptions - Options (used for enum labels)
+ * @returns {string} Display text
+ * 
+ * @example
+ * formatPropertyValue('2026-01-31T14:30:00.000Z', { type: 'datetime' }) // '2026-01-31 14:30' (local time)
+ * formatPropertyValue('active', { type: 'enum', key: 'status' }, options) // 'Active'
+ */
+export function formatPropertyValue(value, property, filteringOptions = []) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  // Ranges show both bounds: "2026-01-01..2026-01-31"
+  if (isRangeValue(value)) {
+    return `${formatPropertyValue(value.from, property)}..${formatPropertyValue(value.to, property)}`;
+  }
+
+  // Loaded values are usually ids - show their labels ("Alice Brown")
+  if (property?.loadOptions) {
+    const option = filteringOptions.find(
+      o => (o.property?.key ?? o.propertyKey) === property.key && o.value === value
+    );
+    if (option?.label) return option.label;
+  }
+
+  switch (property?.type) {
+    case 'date': {
+      const date = parseDate(value);
+      return date ? toIsoDate(date) : String(value);
+    }
+
+    case 'datetime': {
+      const date = parseDate(value);
+      return date
+        ? `${toIsoDate(date)} ${pad2(date.getHours())}:${pad2(date.getMinutes())}`
+        : String(value);
+    }
+
+    case 'enum': {
+      const option = filteringOptions.find(
+        o => (o.property?.key ?? o.propertyKey) === property.key && o.value === value
+      );
+      return option?.label || String(value);
+    }
+
+    default:
+      return String(value);
+  }
+}
+
+// =============================================================================
+// OPERATOR REGISTRY
+// =============================================================================
+// Internal operators use symbols (=, !=, :) for compact display.
+// API operators use descriptive names (equals, contains) for clarity.
+//
+// Every operator - built-in or custom - is a definition in one registry,
+// which parsing, suggestions, API conversion and evaluation all consult:
+// {
+//   symbol: '~',               // Typed in the input and stored on tokens
+//   apiName: 'matches',        // 'op' in the API format (defaults to symbol)
+//   description: 'Matches',    // Shown in the operator dropdown and editor
+//   label: 'matches',          // Chip text, when it differs from the symbol
+//   negationOf: null,          // Symbol of the positive form ('!=' → '=')
+//   valueArity: 1,             // 0 none, 1 value, 2 a range { from, to }, 'many' a list
+//   appliesToTypes: [],        // Property types that get it by default
+//   aliases: [],               // Extra spellings accepted in free text ('!')
+//   patternValue: false,       // Value is a pattern: kept as typed, not parsed
+//   validate: (value) => ({ valid, error }), // Checked before the token is added
+//   evaluate: (itemValue, filterValue, { caseSensitive }) => boolean, // Client-side matching
+// }
+//
+// TO ADD A NEW OPERATOR:
+// Call registerOperator() for every filter on the page, or pass definitions
+// in one PropertyFilter's `customOperators` prop (see getOperator).
+// Negations without an evaluate() use the negated evaluate() of negationOf.
+//
+// WORD OPERATORS:
+// 'between' is typed as a word ("Size between 10 and 20") and its value is a
+// range { from, to } (see splitRangeText and parsePropertyValue).
+// 'in' / 'not in' take a comma-separated list ("Status in active, pending")
+// and their value is an array (see splitListText and isMultiValueOperator).
+// 'like' takes a wildcard pattern ("Host like web-*-prod").
+// 'exists', 'not exists', 'is empty' and 'is not empty' take no value
+// ("Owner exists"); their tokens carry value null.
+//
+// PATTERN OPERATORS:
+// '~' / '!~' match a regular expression ("Host ~ /^api-\d+$/") and 'like' a
+// wildcard pattern. Their values skip type parsing and case folding; the
+// evaluator applies case-insensitivity as a RegExp flag instead.
+
+/**
+ * Registered operators by symbol, in display order (registration order).
+ */
+const operatorRegistry = new Map();
+
+/**
+ * Custom operators (a filter's customOperators) by definitions array, as
+ * normalized maps by symbol, so each array is only normalized once.
+ */
+const customOperatorMaps = new WeakMap();
+
+/**
+ * Applies the defaults to an operator definition.
+ * Internal helper (not exported).
+ */
+function normalizeOperator(definition, caller) {
+  const { symbol } = definition || {};
+  if (typeof symbol !== 'string' || !symbol.trim()) {
+    throw new Error(`${caller}: an operator needs a symbol`);
+  }
+  return {
+    apiName: symbol,
+    description: symbol,
+    label: symbol,
+    negationOf: null,
+    valueArity: 1,
+    appliesToTypes: [],
+    aliases: [],
+    patternValue: false,
+    validate: null,
+    evaluate: null,
+    ...definition,
+  };
+}
+
+/**
+ * Gets custom operator definitions as a normalized map by symbol.
+ * Internal helper (not exported).
+ * 
+ * @param {Array} operators - Operator definitions, or undefined
+ * @returns {Map|null} Normalized definitions, or null when there are none
+ */
+function getCustomOperatorMap(operators) {
+  if (!operators?.length) return null;
+  let operatorMap = customOperatorMaps.get(operators);
+  if (!operatorMap) {
+    operatorMap = new Map(operators.map(definition => {
+      const operator = normalizeOperator(definition, 'customOperators');
+      return [operator.symbol, operator];
+    }));
+    customOperatorMaps.set(operators, operatorMap);
   }
-  return tokens;
+  return operatorMap;
 }
 
 /**
- * Gets the list of allowed operators for a property, in display order.
+ * Adds an operator to the registry, or replaces the one with the same symbol
+ * (keeping its display position). Registered operators apply to every
+ * filter on the page; for one filter only, use the customOperators prop.
  * 
- * Combines the property's configured operators with its default operator,
- * then returns them in a consistent order for the UI.
+ * @param {Object} definition - { symbol, apiName, description, label, negationOf,
+ *   valueArity, appliesToTypes, aliases, evaluate }
+ * @returns {Object} The registered definition, with defaults applied
  * 
- * OPERATOR ORDER: =, !=, :, !:, ^, !^, >=, <=, <, >
- * This order is used in dropdown menus.
+ * @example
+ * registerOperator({
+ *   symbol: '~',
+ *   apiName: 'matches',
+ *   description: 'Matches pattern',
+ *   appliesToTypes: ['string'],
+ *   evaluate: (itemValue, filterValue) => new RegExp(filterValue).test(itemValue),
+ * });
+ */
+export function registerOperator(definition) {
+  const operator = normalizeOperator(definition, 'registerOperator');
+  operatorRegistry.set(operator.symbol, operator);
+  return operator;
+}
+
+/**
+ * Gets the definition for an operator symbol.
  * 
- * @param {Object} property - Property definition with operators array
- * @returns {Array} Ordered array of operator strings
+ * CUSTOM OPERATORS:
+ * This and every function that looks operators up take an optional
+ * `operators` argument: a filter's customOperators (definitions as for
+ * registerOperator()). They apply on top of the registry for that call
+ * only, an operator with an existing symbol replacing that one.
+ * 
+ * @param {string} symbol - Internal symbol (e.g., '!=')
+ * @param {Array} operators - Custom operator definitions (optional)
+ * @returns {Object|undefined} Operator definition
  * 
  * @example
- * getAllowedOperators({ operators: ['!=', ':'], defaultOperator: '=' })
- * // Returns ['=', '!=', ':']
+ * getOperator('near', [{ symbol: 'near', apiName: 'is-near' }]).apiName // 'is-near'
  */
-export function getAllowedOperators(property) {
-  const { operators = [], defaultOperator = '=' } = property;
-  const operatorOrder = ['=', '!=', ':', '!:', '^', '!^', '>=', '<=', '<', '>'];
-  const operatorSet = new Set([defaultOperator, ...operators]);
-  return operatorOrder.filter(op => operatorSet.has(op));
+export function getOperator(symbol, operators) {
+  return getCustomOperatorMap(operators)?.get(symbol) || operatorRegistry.get(symbol);
 }
 
-// =============================================================================
-// OPERATOR MAPPING
-// =============================================================================
-// Internal operators use symbols (=, !=, :) for compact display.
-// API operators use descriptive names (equals, contains) for clarity.
-//
-// TO ADD A NEW OPERATOR:
-// 1. Add to operatorToApiMap (internal → API)
-// 2. Add to apiToOperatorMap (API → internal)
-// 3. Add to operatorOrder in getAllowedOperators() for UI ordering
-// 4. Add description in controller.js operatorDescriptions
-
-/**
- * Maps internal operator symbols to human-readable API names.
- * Used when converting query to API format for backend/storage.
- */
-const operatorToApiMap = {
-  '=': 'equals',              // Exact match
-  '!=': 'does-not-equal',     // Not equal
-  ':': 'contains',            // Substring match
-  '!:': 'does-not-contain',   // Does not contain substring
-  '^': 'starts-with',         // Prefix match
-  '!^': 'does-not-start-with', // Does not start with
-  '>': 'greater-than',        // Numeric/date comparison
-  '<': 'less-than',
-  '>=': 'greater-than-or-equal',
-  '<=': 'less-than-or-equal',
-};
+/**
+ * Gets all operator definitions, in display order: the registered ones
+ * (replaced by custom ones with their symbol), then the other custom ones.
+ * 
+ * @param {Array} operators - Custom operator definitions (optional)
+ * @returns {Array} Operator definitions
+ */
+export function getRegisteredOperators(operators) {
+  const customOperators = getCustomOperatorMap(operators);
+  if (!customOperators) return [...operatorRegistry.values()];
+  return [
+    ...[...operatorRegistry.values()].map(operator => customOperators.get(operator.symbol) || operator),
+    ...[...customOperators.values()].filter(operator => !operatorRegistry.has(operator.symbol)),
+  ];
+}
 
 /**
- * Reverse mapping: API names back to internal symbols.
- * Used when loading query from API/storage.
- */
-const apiToOperatorMap = {
-  'equals': '=',
-  'does-not-equal': '!=',
-  'contains': ':',
-  'does-not-contain': '!:',
-  'starts-with': '^',
-  'does-not-start-with': '!^',
-  'greater-than': '>',
-  'less-than': '<',
-  'greater-than-or-equal': '>=',
-  'less-than-or-equal': '<=',
-};
+ * Finds the definition for an API operator name.
+ * Internal helper (not exported).
+ */
+function getOperatorByApiName(apiName, operators) {
+  return getRegisteredOperators(operators).find(operator => operator.apiName === apiName);
+}
+
+/**
+ * Checks if an operator takes a list of values ('in', 'not in').
+ * 
+ * @param {string} operator - Internal operator symbol
+ * @param {Array} operators - Custom operator definitions (optional)
+ * @returns {boolean} True for multi-value operators
+ */
+export function isMultiValueOperator(operator, operators) {
+  return getOperator(operator, operators)?.valueArity === 'many';
+}
+
+/**
+ * Checks if an operator takes no value ('exists', 'is empty', ...).
+ * 
+ * @param {string} operator - Internal operator symbol
+ * @param {Array} operators - Custom operator definitions (optional)
+ * @returns {boolean} True for valueless operators
+ */
+export function isValuelessOperator(operator, operators) {
+  return getOperator(operator, operators)?.valueArity === 0;
+}
+
+/**
+ * Checks if an operator takes a range { from, to } ('between').
+ * 
+ * @param {string} operator - Internal operator symbol
+ * @param {Array} operators - Custom operator definitions (optional)
+ * @returns {boolean} True for range operators
+ */
+export function isRangeOperator(operator, operators) {
+  return getOperator(operator, operators)?.valueArity === 2;
+}
 
 /**
  * Converts internal operator symbol to API name.
  * @param {string} operator - Internal symbol (e.g., '=')
+ * @param {Array} operators - Custom operator definitions (optional)
  * @returns {string} API name (e.g., 'equals')
  */
-export function operatorToApi(operator) {
-  return operatorToApiMap[operator] || operator;
+export function operatorToApi(operator, operators) {
+  return getOperator(operator, operators)?.apiName || operator;
 }
 
 /**
  * Converts API operator name to internal symbol.
  * @param {string} apiOp - API name (e.g., 'equals')
+ * @param {Array} operators - Custom operator definitions (optional)
  * @returns {string} Internal symbol (e.g., '=')
  */
-export function apiToOperator(apiOp) {
-  return apiToOperatorMap[apiOp] || apiOp;
+export function apiToOperator(apiOp, operators) {
+  return getOperatorByApiName(apiOp, operators)?.symbol || apiOp;
 }
 
+/**
+ * Built-in operators. Evaluators receive (itemValue, filterValue), already
+ * case-normalized (see createPredicate).
+ */
+const comparableTypes = ['number', 'date', 'datetime'];
+const equalityTypes = ['string', ...comparableTypes, 'boolean', 'enum'];
+const asText = (value) => String(value ?? '');
+const isEmptyValue = (value) =>
+  value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+[
+  {
+    symbol: '=', apiName: 'equals', description: 'Equals', appliesToTypes: equalityTypes,
+    evaluate: (itemValue, filterValue) => compareValues(itemValue, filterValue) === 0,
+  },
+  {
+    symbol: '!=', apiName: 'does-not-equal', description: 'Does not equal', negationOf: '=',
+    appliesToTypes: equalityTypes,
+  },
+  {
+    // Multi-value: "Status in active, pending"
+    symbol: 'in', apiName: 'in', description: 'Is one of', label: 'is one of', valueArity: 'many',
+    appliesToTypes: ['enum'],
+    evaluate: (itemValue, filterValue) =>
+      Array.isArray(filterValue) && filterValue.some(value => compareValues(itemValue, value) === 0),
+  },
+  {
+    symbol: 'not in', apiName: 'not-in', description: 'Is not one of', label: 'is not one of',
+    negationOf: 'in', valueArity: 'many', appliesToTypes: ['enum'],
+  },
+  {
+    symbol: ':', apiName: 'contains', description: 'Contains', appliesToTypes: ['string'],
+    evaluate: (itemValue, filterValue) => asText(itemValue).includes(asText(filterValue)),
+  },
+  {
+    // "!" is free-text shorthand for "does not contain"
+    symbol: '!:', apiName: 'does-not-contain', description: 'Does not contain', negationOf: ':',
+    appliesToTypes: ['string'], aliases: ['!'],
+  },
+  {
+    symbol: '^', apiName: 'starts-with', description: 'Starts with', appliesToTypes: ['string'],
+    evaluate: (itemValue, filterValue) => asText(itemValue).startsWith(asText(filterValue)),
+  },
+  {
+    symbol: '!^', apiName: 'does-not-start-with', description: 'Does not start with', negationOf: '^',
+    appliesToTypes: ['string'],
+  },
+  {
+    symbol: '>=', apiName: 'greater-than-or-equal', description: 'Greater than or equal',
+    appliesToTypes: comparableTypes,
+    evaluate: (itemValue, filterValue) => compareValues(itemValue, filterValue) >= 0,
+  },
+  {
+    symbol: '<=', apiName: 'less-than-or-equal', description: 'Less than or equal',
+    appliesToTypes: comparableTypes,
+    evaluate: (itemValue, filterValue) => compareValues(itemValue, filterValue) <= 0,
+  },
+  {
+    symbol: '<', apiName: 'less-than', description: 'Less than', appliesToTypes: comparableTypes,
+    evaluate: (itemValue, filterValue) => compareValues(itemValue, filterValue) < 0,
+  },
+  {
+    symbol: '>', apiName: 'greater-than', description: 'Greater than', appliesToTypes: comparableTypes,
+    evaluate: (itemValue, filterValue) => compareValues(itemValue, filterValue) > 0,
+  },
+  {
+    // Inclusive range: "Size between 10 and 20"
+    symbol: 'between', apiName: 'between', description: 'Between', valueArity: 2,
+    appliesToTypes: comparableTypes,
+    evaluate: (itemValue, filterValue) => isRangeValue(filterValue) && compareValues(itemValue, filterValue) === 0,
+  },
+  {
+    // Regular expression: "Host ~ /^api-\d+$/"
+    symbol: '~', apiName: 'matches', description: 'Matches regex', label: 'matches',
+    patternValue: true, validate: validateRegexPattern,
+    evaluate: (itemValue, filterValue, { caseSensitive } = {}) =>
+      !!compilePattern('regex', filterValue, caseSensitive)?.test(asText(itemValue)),
+  },
+  {
+    symbol: '!~', apiName: 'does-not-match', description: 'Does not match regex', label: 'does not match',
+    negationOf: '~', patternValue: true, validate: validateRegexPattern,
+  },
+  {
+    // Wildcards: "Host like web-*-prod"
+    symbol: 'like', apiName: 'like', description: 'Matches wildcards (* and ?)',
+    patternValue: true, validate: validateGlobPattern,
+    evaluate: (itemValue, filterValue, { caseSensitive } = {}) =>
+      !!compilePattern('glob', filterValue, caseSensitive)?.test(asText(itemValue)),
+  },
+  {
+    // Valueless: "Owner exists" - the item has the field (not null/undefined)
+    symbol: 'exists', apiName: 'exists', description: 'Is set', valueArity: 0,
+    evaluate: (itemValue) => itemValue !== null && itemValue !== undefined,
+  },
+  {
+    symbol: 'not exists', apiName: 'not-exists', description: 'Is not set', negationOf: 'exists', valueArity: 0,
+  },
+  {
+    // Empty: null, undefined, '' or []
+    symbol: 'is empty', apiName: 'is-empty', description: 'Is empty', valueArity: 0,
+    evaluate: (itemValue) => isEmptyValue(itemValue),
+  },
+  {
+    symbol: 'is not empty', apiName: 'is-not-empty', description: 'Is not empty', negationOf: 'is empty',
+    valueArity: 0,
+  },
+].forEach(registerOperator);
+
 // =============================================================================
 // FORMAT CONVERSION FUNCTIONS
 // =============================================================================
@@ -358,15 +1457,86 @@ export function apiToOperator(apiOp) {
 //   }
 // }
 //
+// NESTED GROUPS:
+// Internally a group is { tokens: [...], operation: 'or' } placed in the
+// tokens array. In the API format the same group becomes { or: [...] }.
+// So "Status = active AND (Role = admin OR Role = manager)" is:
+// {
+//   filter: {
+//     and: [
+//       { field: 'status', op: 'equals', value: 'active' },
+//       { or: [
+//         { field: 'role', op: 'equals', value: 'admin' },
+//         { field: 'role', op: 'equals', value: 'manager' },
+//       ] },
+//     ],
+//     or: []
+//   }
+// }
+//
 // WHY TWO FORMATS?
 // - Internal: Optimized for UI manipulation (compact operators, property refs)
 // - API: Optimized for serialization and backend compatibility
 
+/**
+ * Converts a single internal token or group to its API representation.
+ * Internal helper for queryToApiFormat (not exported).
+ * 
+ * @param {Object} tokenOrGroup - Token or token group
+ * @param {Array} operators - Custom operator definitions (optional)
+ * @returns {Object} { field, op, value, expression? } for tokens, { and: [...] } / { or: [...] } for groups
+ */
+function tokenToApiItem(tokenOrGroup, operators) {
+  if (isTokenGroup(tokenOrGroup)) {
+    const { operation = 'and', tokens } = tokenOrGroup;
+    return { [operation]: tokens.map(token => tokenToApiItem(token, operators)) };
+  }
+
+  const item = {
+    field: tokenOrGroup.propertyKey || null,  // null for free-text filters
+    op: operatorToApi(tokenOrGroup.operator, operators), // Convert symbol to name
+    // Valueless operators ("Owner exists") always carry null
+    value: isValuelessOperator(tokenOrGroup.operator, operators) ? null : tokenOrGroup.value,
+  };
+  // Relative date expressions ("-7d") travel with their resolved value
+  if (tokenOrGroup.expression) {
+    item.expression = tokenOrGroup.expression;
+  }
+  return item;
+}
+
+/**
+ * Converts a single API item back to an internal token or group.
+ * Internal helper for apiToQueryFormat (not exported).
+ * 
+ * @param {Object} item - { field, op, value, expression? } or { and: [...] } / { or: [...] }
+ * @param {Array} operators - Custom operator definitions (optional)
+ * @returns {Object} Internal token or token group
+ */
+function apiItemToToken(item, operators) {
+  if (Array.isArray(item.and) || Array.isArray(item.or)) {
+    const operation = Array.isArray(item.or) ? 'or' : 'and';
+    return { operation, tokens: item[operation].map(nested => apiItemToToken(nested, operators)) };
+  }
+
+  const token = {
+    propertyKey: item.field,
+    operator: apiToOperator(item.op, operators), // Convert name to symbol
+    value: item.value,
+  };
+  if (item.expression) {
+    token.expression = item.expression;
+  }
+  return token;
+}
+
 /**
  * Converts internal query format to API format.
  * Called when query changes to pass to onChange callback.
+ * Token groups are converted recursively into { and } / { or } nodes.
  * 
  * @param {Object} query - Internal format { tokens, operation }
+ * @param {Object} options - { operators } custom operator definitions (see getOperator)
  * @returns {Object} API format { filter: { and: [], or: [] } }
  * 
  * @example
@@ -376,15 +1546,11 @@ export function apiToOperator(apiOp) {
  * })
  * // Returns: { filter: { and: [{ field: 'status', op: 'equals', value: 'active' }], or: [] } }
  */
-export function queryToApiFormat(query) {
+export function queryToApiFormat(query, { operators } = {}) {
   const { tokens = [], operation = 'and' } = query;
   
-  // Convert each token to API format
-  const filterItems = tokens.map(token => ({
-    field: token.propertyKey || null,  // null for free-text filters
-    op: operatorToApi(token.operator), // Convert symbol to name
-    value: token.value,
-  }));
+  // Convert each token (or group) to API format
+  const filterItems = tokens.map(token => tokenToApiItem(token, operators));
 
   // Place items in appropriate array based on operation
   return {
@@ -398,8 +1564,10 @@ export function queryToApiFormat(query) {
 /**
  * Converts API format to internal query format.
  * Called when receiving query prop to prepare for internal use.
+ * Nested { and } / { or } nodes become token groups.
  * 
  * @param {Object} apiQuery - API format { filter: { and: [], or: [] } }
+ * @param {Object} options - { operators } custom operator definitions (see getOperator)
  * @returns {Object} Internal format { tokens, operation }
  * 
  * @example
@@ -408,7 +1576,7 @@ export function queryToApiFormat(query) {
  * })
  * // Returns: { tokens: [{ propertyKey: 'status', operator: '=', value: 'active' }], operation: 'and' }
  */
-export function apiToQueryFormat(apiQuery) {
+export function apiToQueryFormat(apiQuery, { operators } = {}) {
   const { filter = {} } = apiQuery;
   const { and = [], or = [] } = filter;
 
@@ -416,16 +1584,252 @@ export function apiToQueryFormat(apiQuery) {
   const operation = or.length > 0 ? 'or' : 'and';
   const filterItems = operation === 'or' ? or : and;
 
-  // Convert each filter item to internal token format
-  const tokens = filterItems.map(item => ({
-    propertyKey: item.field,
-    operator: apiToOperator(item.op), // Convert name to symbol
-    value: item.value,
-  }));
+  // Convert each filter item to internal token (or group) format
+  const tokens = filterItems.map(item => apiItemToToken(item, operators));
 
   return { tokens, operation };
 }
 
+// =============================================================================
+// QUERY EVALUATION
+// =============================================================================
+// Client-side matcher for API-format queries, so tables filtering in the
+// browser apply exactly the operators the component emits.
+//
+// VALUE RESOLUTION:
+// - Property with getValue(item): uses its return value
+// - Otherwise: item[property.key] (or item[field] if property is unknown)
+// - Free text (field null): matches if any property value contains the text
+//
+// COMPARISON:
+// - Both sides numeric (number or numeric string): compared as numbers
+// - Both sides dates (Date or ISO date string): compared as timestamps
+// - Range filter values { from, to }: "equal" when within the range,
+//   greater than it when after `to`, less than it when before `from`
+// - Otherwise: compared as strings (case-insensitive unless configured)
+// - Array item values match if any element matches (negations: no element)
+// - Valueless operators ('exists', 'is empty') test the whole item value
+//
+// TO ADD A NEW OPERATOR:
+// Give its registry definition an evaluate() (see OPERATOR REGISTRY).
+
+/**
+ * Converts a value to a number if it is numeric, otherwise null.
+ * Internal helper (not exported).
+ * 
+ * @param {*} value - Value to convert
+ * @returns {number|null} Numeric value or null
+ */
+function toNumber(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value === 'string' && /^\s*-?\d+(\.\d+)?\s*$/.test(value)) {
+    return Number(value);
+  }
+  return null;
+}
+
+/**
+ * Converts a value to a timestamp if it is a Date or ISO date string, otherwise null.
+ * Internal helper (not exported).
+ * 
+ * @param {*} value - Value to convert
+ * @returns {number|null} Milliseconds since epoch or null
+ */
+function toTimestamp(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value.getTime();
+  }
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+    const timestamp = Date.parse(value);
+    return isNaN(timestamp) ? null : timestamp;
+  }
+  return null;
+}
+
+/**
+ * Compares two values numerically, as dates, or as strings (in that order).
+ * A range b compares as 0 for values inside it.
+ * Internal helper (not exported).
+ * 
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+function compareValues(a, b) {
+  if (isRangeValue(b)) {
+    if (compareValues(a, b.from) < 0) return -1;
+    if (compareValues(a, b.to) > 0) return 1;
+    return 0;
+  }
+
+  const numberA = toNumber(a);
+  const numberB = toNumber(b);
+  if (numberA !== null && numberB !== null) {
+    return numberA - numberB;
+  }
+
+  const timestampA = toTimestamp(a);
+  const timestampB = toTimestamp(b);
+  if (timestampA !== null && timestampB !== null) {
+    return timestampA - timestampB;
+  }
+
+  const stringA = String(a ?? '');
+  const stringB = String(b ?? '');
+  return stringA < stringB ? -1 : stringA > stringB ? 1 : 0;
+}
+
+/**
+ * Gets the evaluator for an API operator name from the registry.
+ * Negations without their own evaluate() negate their positive form's.
+ * Internal helper (not exported).
+ * 
+ * @returns {Function|null} (itemValue, filterValue) => boolean
+ */
+function getApiOperatorEvaluator(apiOp, operators) {
+  const operator = getOperatorByApiName(apiOp, operators);
+  if (operator?.evaluate) return operator.evaluate;
+  const positive = operator?.negationOf ? getOperator(operator.negationOf, operators) : null;
+  if (positive?.evaluate) {
+    return (itemValue, filterValue, context) => !positive.evaluate(itemValue, filterValue, context);
+  }
+  return null;
+}
+
+/**
+ * Gets the API name of a negated operator's positive form, or undefined.
+ * For array item values a negation requires that NO element matches the
+ * positive form, rather than that SOME element matches.
+ * Internal helper (not exported).
+ */
+function getPositiveApiOperator(apiOp, operators) {
+  const negationOf = getOperatorByApiName(apiOp, operators)?.negationOf;
+  return negationOf ? operatorToApi(negationOf, operators) : undefined;
+}
+
+/**
+ * Creates a predicate function that tests a single item against an API query.
+ * 
+ * OPTIONS:
+ * - caseSensitive: Compare strings case-sensitively (default false).
+ *   Can also be set per property: { key: 'code', caseSensitive: true }
+ * - operators: The filter's customOperators, when the query uses them
+ *   (see getOperator)
+ * 
+ * PROPERTY OPTIONS (from filteringProperties):
+ * - getValue(item): Custom value getter (e.g. nested fields, computed values)
+ * - caseSensitive: Overrides the global option for this property
+ * 
+ * @param {Object} apiQuery - API format { filter: { and: [], or: [] } }
+ * @param {Array} filteringProperties - Property definitions (optional)
+ * @param {Object} options - { caseSensitive, operators }
+ * @returns {Function} (item) => boolean
+ * 
+ * @example
+ * const isMatch = createPredicate(query, FILTERING_PROPERTIES);
+ * const activeUsers = users.filter(isMatch);
+ */
+export function createPredicate(apiQuery, filteringProperties = [], options = {}) {
+  const { caseSensitive = false, operators } = options;
+  const { filter = {} } = apiQuery || {};
+  const { and = [], or = [] } = filter;
+
+  const propertiesByKey = new Map(filteringProperties.map(p => [p.key, p]));
+
+  const getItemValue = (item, field) => {
+    const property = propertiesByKey.get(field);
+    return property?.getValue ? property.getValue(item) : item?.[field];
+  };
+
+  const normalize = (value, property) => {
+    if (isRangeValue(value)) {
+      return { from: normalize(value.from, property), to: normalize(value.to, property) };
+    }
+    if (Array.isArray(value)) {
+      return value.map(element => normalize(element, property));
+    }
+    const isCaseSensitive = property?.caseSensitive ?? caseSensitive;
+    return typeof value === 'string' && !isCaseSensitive ? value.toLowerCase() : value;
+  };
+
+  // Compares one (possibly array) item value with the filter value
+  const matchValue = (itemValue, op, filterValue, property) => {
+    // Valueless operators ("exists", "is empty") look at the whole value
+    const operator = getOperatorByApiName(op, operators);
+    if (operator?.valueArity === 0) {
+      const evaluate = getApiOperatorEvaluator(op, operators);
+      return evaluate ? evaluate(itemValue, null, {}) : true;
+    }
+
+    const positiveOp = getPositiveApiOperator(op, operators);
+    if (Array.isArray(itemValue) && positiveOp) {
+      return !itemValue.some(element => matchValue(element, positiveOp, filterValue, property));
+    }
+    if (Array.isArray(itemValue)) {
+      return itemValue.some(element => matchValue(element, op, filterValue, property));
+    }
+
+    const evaluate = getApiOperatorEvaluator(op, operators);
+    // Unknown operators don't filter anything out
+    if (!evaluate) return true;
+    // Patterns keep their case ("\D" isn't "\d"); the evaluator folds case itself
+    const isCaseSensitive = property?.caseSensitive ?? caseSensitive;
+    const comparedFilterValue = operator?.patternValue
+      ? filterValue
+      : normalize(filterValue, property);
+    return evaluate(normalize(itemValue, property), comparedFilterValue, { caseSensitive: isCaseSensitive });
+  };
+
+  // Free text: contains-style operators across every property value
+  const matchFreeText = (item, op, value) => {
+    const fields = filteringProperties.length > 0
+      ? filteringProperties.map(p => p.key)
+      : Object.keys(item || {});
+    const positiveOp = getPositiveApiOperator(op, operators) || op;
+    const anyMatch = fields.some(field =>
+      matchValue(getItemValue(item, field), positiveOp, value, propertiesByKey.get(field))
+    );
+    return positiveOp === op ? anyMatch : !anyMatch;
+  };
+
+  const evaluateItem = (item, filterItem) => {
+    // Nested group: { and: [...] } or { or: [...] }
+    if (Array.isArray(filterItem.and)) {
+      return filterItem.and.every(nested => evaluateItem(item, nested));
+    }
+    if (Array.isArray(filterItem.or)) {
+      return filterItem.or.some(nested => evaluateItem(item, nested));
+    }
+
+    const { field, op, value } = filterItem;
+    if (!field) {
+      return matchFreeText(item, op, value);
+    }
+    return matchValue(getItemValue(item, field), op, value, propertiesByKey.get(field));
+  };
+
+  return (item) =>
+    and.every(filterItem => evaluateItem(item, filterItem)) &&
+    (or.length === 0 || or.some(filterItem => evaluateItem(item, filterItem)));
+}
+
+/**
+ * Filters an array of items with an API-format query.
+ * Convenience wrapper around createPredicate().
+ * 
+ * @param {Array} items - Items to filter
+ * @param {Object} apiQuery - API format { filter: { and: [], or: [] } }
+ * @param {Array} filteringProperties - Property definitions (optional)
+ * @param {Object} options - { caseSensitive, operators }
+ * @returns {Array} Items matching the query
+ * 
+ * @example
+ * const filteredUsers = evaluateQuery(USERS, query, FILTERING_PROPERTIES);
+ */
+export function evaluateQuery(items, apiQuery, filteringProperties = [], options = {}) {
+  return items.filter(createPredicate(apiQuery, filteringProperties, options));
+}
+
 // =============================================================================
 // VALIDATION FUNCTIONS
 // =============================================================================
@@ -581,6 +1985,320 @@ export function validatePortNumber(value) {
   return { valid: false, error: 'Invalid port format. Use: 80, 445-500, or 21, 22, 80, 443' };
 }
 
+/**
+ * Longest pattern accepted by the match operators.
+ */
+const MAX_PATTERN_LENGTH = 200;
+
+/**
+ * Splits "/source/flags" into its parts; other text is a bare source.
+ * Internal helper (not exported).
+ * 
+ * @param {string} value - Regex as typed: "/^api-\d+$/i" or "^api-\d+$"
+ * @returns {{ source: string, flags: string }}
+ */
+function splitRegexLiteral(value) {
+  const text = String(value ?? '').trim();
+  const literal = text.match(/^\/(.+)\/([a-z]*)$/s);
+  return literal ? { source: literal[1], flags: literal[2] } : { source: text, flags: '' };
+}
+
+/**
+ * Reads the quantifier starting at `index` of a regex source.
+ * Internal helper (not exported).
+ * 
+ * @param {string} source - Regex source
+ * @param {number} index - Position right after an atom or group
+ * @returns {{ length: number, repeats: boolean, unbounded: boolean, optional: boolean }}
+ */
+function readQuantifier(source, index) {
+  const match = source.slice(index).match(/^(?:[*+?]|\{(\d+)(,(\d*))?\})\??/);
+  if (!match) return { length: 0, repeats: false, unbounded: false, optional: false };
+  const symbol = match[0][0];
+  if (symbol !== '{') {
+    return { length: match[0].length, repeats: symbol !== '?', unbounded: symbol !== '?', optional: symbol !== '+' };
+  }
+  const min = Number(match[1]);
+  const max = match[2] ? (match[3] ? Number(match[3]) : Infinity) : min;
+  return { length: match[0].length, repeats: max > 1, unbounded: max === Infinity, optional: min === 0 };
+}
+
+/**
+ * Length of the escape sequence starting at `index` ("\d", "\x41",
+ * "\u{1F600}", "\p{L}", ...).
+ * Internal helper (not exported).
+ */
+function getEscapeLength(source, index) {
+  const rest = source.slice(index);
+  const match = rest.match(/^\\(?:x[0-9a-fA-F]{2}|u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|[pP]\{[^}]*\}|c[a-zA-Z]|\d+)/);
+  return match ? match[0].length : Math.min(2, rest.length);
+}
+
+// Characters tried when checking whether two single-character atoms can
+// match the same character: Latin-1, Latin Extended-A/B and a few beyond
+const OVERLAP_SAMPLE = [
+  ...Array.from({ length: 0x250 }, (_, code) => String.fromCharCode(code)),
+  'Α', 'Ж', '中', ' ', '　',
+];
+
+/**
+ * Checks if two single-character atoms (e.g. \d and \w) match a common
+ * character. Atoms that can't be tried on their own count as overlapping.
+ * Internal helper (not exported).
+ */
+function atomsOverlap(first, second, flags) {
+  try {
+    const a = new RegExp(`^(?:${first})$`, flags);
+    const b = new RegExp(`^(?:${second})$`, flags);
+    return OVERLAP_SAMPLE.some(char => a.test(char) && b.test(char));
+  } catch (e) {
+    return true;
+  }
+}
+
+/**
+ * Checks if alternatives of a group can start with the same character.
+ * Each alternative is given by its first atom: null when it is unknown
+ * (a group, a back-reference, an optional atom) or the alternative is empty.
+ * Internal helper (not exported).
+ */
+function alternativesOverlap(firstAtoms, flags) {
+  if (firstAtoms.some(atom => atom == null)) return true;
+  return firstAtoms.some((first, index) =>
+    firstAtoms.slice(index + 1).some(second => atomsOverlap(first, second, flags))
+  );
+}
+
+/**
+ * Looks for constructs that backtrack exponentially (or with a high
+ * polynomial degree) on near-misses:
+ * - 'nested': a repeated group that itself repeats, e.g. (a+)+ or (\w*)*
+ * - 'alternation': a repeated group whose alternatives can start with the
+ *   same character, e.g. (\w|\d)+ or (a|aa)+ - they can match the same
+ *   text many ways. (foo|bar)+ is fine.
+ * - 'adjacent': back-to-back unbounded repeats of overlapping characters,
+ *   e.g. \d+\d+ or \w*\d+. A required atom that can't overlap them
+ *   separates repeats, as \w+ does in ^\s*\w+\s*$.
+ * Internal helper (not exported).
+ * 
+ * @param {string} source - Regex source
+ * @param {string} flags - Regex flags
+ * @returns {string|null} The kind of risk found, or null
+ */
+function findBacktrackingRisk(source, flags = '') {
+  // One entry per open group: does it contain a quantifier / alternatives
+  // that overlap? firstAtoms holds the first atom of each finished
+  // alternative, first that of the current one (undefined until known).
+  const newGroup = (lookaround = false) => ({
+    quantified: false, ambiguous: false, lookaround, firstAtoms: [], first: undefined,
+  });
+  const groups = [newGroup()];
+  const current = () => groups[groups.length - 1];
+  const setFirst = (atom) => {
+    if (current().first === undefined) current().first = atom;
+  };
+  // Single-character atoms repeated without bound since the last atom that
+  // must match (optional atoms in between don't separate them)
+  let previousRepeats = [];
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    let atom = null;
+
+    if (char === '\\') {
+      const length = getEscapeLength(source, i);
+      const escape = source.slice(i, i + length);
+      i += length - 1;
+      // Assertions (\b, \B) and back-references aren't single characters
+      if (/^\\(?:[bB]|[1-9]\d*|k)/.test(escape)) {
+        if (!/^\\[bB]/.test(escape)) setFirst(null);
+        previousRepeats = [];
+        continue;
+      }
+      atom = escape;
+    } else if (char === '[') {
+      // Character class - quantifier characters inside are literal
+      const start = i;
+      for (i++; i < source.length && source[i] !== ']'; i++) {
+        if (source[i] === '\\') i++;
+      }
+      atom = source.slice(start, i + 1);
+    } else if (char === '(') {
+      // Skip the (?: / (?= / (?<name> prefix
+      const prefix = source.slice(i).match(/^\(\?(?:[:=!]|<[=!]|<[^>]*>)/);
+      if (prefix) i += prefix[0].length - 1;
+      groups.push(newGroup(Boolean(prefix && /[=!]$/.test(prefix[0]))));
+      previousRepeats = [];
+      continue;
+    } else if (char === ')') {
+      const group = groups.length > 1 ? groups.pop() : newGroup();
+      const firstAtoms = [...group.firstAtoms, group.first];
+      const quantifier = readQuantifier(source, i + 1);
+      i += quantifier.length;
+      const ambiguous = group.ambiguous || (firstAtoms.length > 1 && alternativesOverlap(firstAtoms, flags));
+      if (group.quantified && quantifier.repeats) return 'nested';
+      if (ambiguous && quantifier.repeats) return 'alternation';
+      if (group.quantified || quantifier.repeats) current().quantified = true;
+      if (ambiguous) current().ambiguous = true;
+      // A required group with one alternative starts with its first atom
+      if (!group.lookaround) {
+        setFirst(firstAtoms.length === 1 && !quantifier.optional ? firstAtoms[0] ?? null : null);
+      }
+      previousRepeats = [];
+      continue;
+    } else if (char === '|') {
+      current().firstAtoms.push(current().first ?? null);
+      current().first = undefined;
+      previousRepeats = [];
+      continue;
+    } else if (char === '^' || char === '$') {
+      previousRepeats = [];
+      continue;
+    } else if (char === '*' || char === '+' || char === '?' || char === '{') {
+      // Stray quantifier (e.g. a literal "{" that isn't a quantifier)
+      if (char !== '?') current().quantified = true;
+      continue;
+    } else {
+      atom = char;
+    }
+
+    const quantifier = readQuantifier(source, i + 1);
+    i += quantifier.length;
+    setFirst(quantifier.optional ? null : atom);
+    if (quantifier.repeats) current().quantified = true;
+    if (quantifier.unbounded) {
+      if (previousRepeats.some(previous => atomsOverlap(previous, atom, flags))) return 'adjacent';
+      // None of the earlier repeats can match this atom: if it is required,
+      // they can't reach past it
+      previousRepeats = quantifier.optional ? [...previousRepeats, atom] : [atom];
+    } else if (!quantifier.optional) {
+      previousRepeats = [];
+    }
+  }
+  return null;
+}
+
+// Error shown for each kind of backtracking risk
+const BACKTRACKING_ERRORS = {
+  nested: 'This pattern could take too long to match. Avoid repeating a repeated group like (a+)+',
+  alternation: 'This pattern could take too long to match. Avoid repeating a group whose alternatives can match the same text like (a|aa)+',
+  adjacent: 'This pattern could take too long to match. Avoid back-to-back repeats of the same characters like \\d+\\d+',
+};
+
+/**
+ * Validates a regular expression for the '~' / '!~' operators.
+ * 
+ * ACCEPTED FORMATS:
+ * - Bare pattern: "^api-\d+$"
+ * - Literal with flags: "/^api-\d+$/i" (flags i, m, s, u)
+ * 
+ * REJECTED:
+ * - Patterns that don't compile
+ * - Patterns that can hang the browser: nested repetition such as (a+)+,
+ *   repeated alternatives that overlap such as (a|aa)+, and back-to-back
+ *   repeats of the same characters such as \d+\d+
+ * - Patterns longer than 200 characters
+ * 
+ * @param {string} value - Pattern as typed
+ * @returns {{ valid: boolean, error?: string }}
+ * 
+ * @example
+ * validateRegexPattern('/^api-\\d+$/')  // { valid: true }
+ * validateRegexPattern('(a+)+$')        // { valid: false, error: 'This pattern...' }
+ */
+export function validateRegexPattern(value) {
+  const { source, flags } = splitRegexLiteral(value);
+  if (!source) {
+    return { valid: false, error: 'Enter a regular expression, e.g. ^api-\\d+$' };
+  }
+  if (source.length > MAX_PATTERN_LENGTH) {
+    return { valid: false, error: `Patterns can be at most ${MAX_PATTERN_LENGTH} characters` };
+  }
+  if (!/^[imsu]*$/.test(flags)) {
+    return { valid: false, error: 'Only the i, m, s and u flags are supported' };
+  }
+  try {
+    new RegExp(source, flags);
+  } catch (e) {
+    // "Invalid regular expression: /(/: Unterminated group" → "Unterminated group"
+    return { valid: false, error: `Invalid regular expression: ${e.message.split(': ').pop()}` };
+  }
+  const risk = findBacktrackingRisk(source, flags);
+  if (risk) {
+    return { valid: false, error: BACKTRACKING_ERRORS[risk] };
+  }
+  return { valid: true };
+}
+
+/**
+ * Validates a wildcard pattern for the 'like' operator.
+ * '*' matches any run of characters and '?' a single character.
+ * 
+ * @param {string} value - Pattern as typed, e.g. "web-*-prod"
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateGlobPattern(value) {
+  const text = String(value ?? '').trim();
+  if (!text) {
+    return { valid: false, error: 'Enter a pattern, e.g. web-*-prod' };
+  }
+  if (text.length > MAX_PATTERN_LENGTH) {
+    return { valid: false, error: `Patterns can be at most ${MAX_PATTERN_LENGTH} characters` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Converts a wildcard pattern to an anchored RegExp.
+ * Runs of '*' collapse into one so matching stays polynomial.
+ * 
+ * @param {string} glob - Pattern, e.g. "web-*-prod"
+ * @param {string} flags - RegExp flags (e.g. 'i')
+ * @returns {RegExp}
+ * 
+ * @example
+ * globToRegExp('web-*-prod').test('web-01-prod') // true
+ */
+export function globToRegExp(glob, flags = '') {
+  const source = String(glob ?? '').trim()
+    .replace(/\*+/g, '*')
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, flags);
+}
+
+/**
+ * Compiled patterns by "kind:flags:pattern", so evaluating a query over many
+ * items compiles each pattern once.
+ */
+const compiledPatterns = new Map();
+
+/**
+ * Compiles a '~' or 'like' pattern, or returns null if it isn't valid.
+ * Internal helper (not exported).
+ * 
+ * @param {'regex'|'glob'} kind - Pattern syntax
+ * @param {string} pattern - Pattern as stored on the token
+ * @param {boolean} caseSensitive - Adds the 'i' flag when false
+ * @returns {RegExp|null}
+ */
+function compilePattern(kind, pattern, caseSensitive) {
+  const key = `${kind}:${caseSensitive ? '' : 'i'}:${pattern}`;
+  if (!compiledPatterns.has(key)) {
+    let regex = null;
+    if (kind === 'glob') {
+      regex = validateGlobPattern(pattern).valid ? globToRegExp(pattern, caseSensitive ? '' : 'i') : null;
+    } else if (validateRegexPattern(pattern).valid) {
+      const { source, flags } = splitRegexLiteral(pattern);
+      regex = new RegExp(source, caseSensitive || flags.includes('i') ? flags : `${flags}i`);
+    }
+    if (compiledPatterns.size >= 500) compiledPatterns.clear();
+    compiledPatterns.set(key, regex);
+  }
+  return compiledPatterns.get(key);
+}
+
 /**
  * Main validation dispatcher - validates token value based on property type.
  * 
@@ -592,12 +2310,17 @@ export function validatePortNumber(value) {
  * - 'port' or 'portNumber': Port number, range, or list
  * - undefined/other: No validation (always valid)
  * 
+ * Operators with a validate() in the registry ('~', '!~', 'like') check
+ * their pattern instead, whatever the property's validationType.
+ * 
  * TO ADD NEW VALIDATION:
  * 1. Create validateXxx() function above
  * 2. Add case here: case 'xxx': return validateXxx(value);
  * 
  * @param {string} value - The value to validate
  * @param {Object} property - Property definition with validationType
+ * @param {string} operator - Token operator (optional)
+ * @param {Array} operators - Custom operator definitions (optional, see getOperator)
  * @returns {{ valid: boolean, error?: string, normalizedValue?: string }}
  * 
  * @example
@@ -605,7 +2328,13 @@ export function validatePortNumber(value) {
  * validateTokenValue('1.2.3.4', { validationType: 'ip' })
  * // Returns: { valid: true, normalizedValue: '1.2.3.4/32' }
  */
-export function validateTokenValue(value, property) {
+export function validateTokenValue(value, property, operator, operators) {
+  // Operators with their own value syntax (e.g. regex patterns) check it first
+  const validateOperatorValue = getOperator(operator, operators)?.validate;
+  if (validateOperatorValue) {
+    return validateOperatorValue(value);
+  }
+
   // No validation if property doesn't specify a type
   if (!property || !property.validationType) {
     return { valid: true };
@@ -0,0 +1,64 @@
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import DateCalendar from '../components/DateCalendar';
+
+describe('DateCalendar', () => {
+  it('should show the month of the selected date', () => {
+    render(<DateCalendar value="2026-02-10" />);
+
+    expect(screen.getByRole('button', { name: '2026-02-01' })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: '2026-02-28' })).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: '2026-03-01' })).not.toBeInTheDocument();
+  });
+
+  it('should mark the selected date', () => {
+    render(<DateCalendar value="2026-02-10" />);
+
+    expect(screen.getByRole('button', { name: '2026-02-10' })).toHaveAttribute('aria-pressed', 'true');
+    expect(screen.getByRole('button', { name: '2026-02-11' })).toHaveAttribute('aria-pressed', 'false');
+  });
+
+  it('should show the current month without a valid value', () => {
+    const now = new Date();
+    const firstOfMonth = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-01`;
+    render(<DateCalendar value="last 7 days" />);
+
+    expect(screen.getByRole('button', { name: firstOfMonth })).toBeInTheDocument();
+  });
+
+  it('should navigate between months', async () => {
+    const user = userEvent.setup();
+    render(<DateCalendar value="2026-01-10" />);
+
+    await user.click(screen.getByLabelText('Previous month'));
+    expect(screen.getByRole('button', { name: '2025-12-31' })).toBeInTheDocument();
+
+    await user.click(screen.getByLabelText('Next month'));
+    await user.click(screen.getByLabelText('Next month'));
+    expect(screen.getByRole('button', { name: '2026-02-01' })).toBeInTheDocument();
+  });
+
+  it('should call onSelect with the clicked day', async () => {
+    const user = userEvent.setup();
+    const onSelect = vi.fn();
+    render(<DateCalendar value="2026-01-10" onSelect={onSelect} />);
+
+    await user.click(screen.getByRole('button', { name: '2026-01-05' }));
+
+    expect(onSelect).toHaveBeenCalledWith('2026-01-05');
+  });
+
+  it('should use custom labels', () => {
+    render(
+      <DateCalendar
+        value="2026-01-10"
+        i18nStrings={{ calendarPreviousMonthAriaLabel: 'Vorheriger Monat', calendarWeekdays: ['M', 'D', 'M2', 'D2', 'F', 'S', 'S2'] }}
+      />
+    );
+
+    expect(screen.getByLabelText('Vorheriger Monat')).toBeInTheDocument();
+    expect(screen.getByText('M2')).toBeInTheDocument();
+  });
+});
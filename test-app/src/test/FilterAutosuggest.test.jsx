@@ -1,5 +1,5 @@
 import React from 'react';
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import FilterAutosuggest from '../components/FilterAutosuggest';
@@ -111,6 +111,120 @@ describe('FilterAutosuggest', () => {
     });
   });
 
+  describe('async loading', () => {
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should call onLoadItems once typing pauses', () => {
+      vi.useFakeTimers();
+      const onLoadItems = vi.fn();
+      render(<FilterAutosuggest {...defaultProps} onLoadItems={onLoadItems} debounceDelay={200} />);
+
+      const input = screen.getByRole('textbox');
+      fireEvent.change(input, { target: { value: 'St' } });
+      vi.advanceTimersByTime(100);
+      fireEvent.change(input, { target: { value: 'Sta' } });
+      vi.advanceTimersByTime(199);
+      expect(onLoadItems).not.toHaveBeenCalled();
+
+      vi.advanceTimersByTime(1);
+      expect(onLoadItems).toHaveBeenCalledTimes(1);
+      expect(onLoadItems).toHaveBeenCalledWith({ filteringText: 'Sta', firstPage: true, samePage: false });
+    });
+
+    it('should load the next page when scrolled to the end', async () => {
+      const user = userEvent.setup();
+      const onLoadItems = vi.fn();
+      const { rerender } = render(
+        <FilterAutosuggest {...defaultProps} onLoadItems={onLoadItems} statusType="pending" />
+      );
+      await user.click(screen.getByRole('textbox'));
+      onLoadItems.mockClear();
+
+      fireEvent.scroll(screen.getByRole('listbox'));
+      expect(onLoadItems).toHaveBeenCalledWith({ filteringText: '', firstPage: false, samePage: false });
+
+      onLoadItems.mockClear();
+      rerender(<FilterAutosuggest {...defaultProps} onLoadItems={onLoadItems} statusType="finished" />);
+      fireEvent.scroll(screen.getByRole('listbox'));
+      expect(onLoadItems).not.toHaveBeenCalled();
+    });
+
+    it('should not load pages without a pending status', async () => {
+      const user = userEvent.setup();
+      const onLoadItems = vi.fn();
+      render(<FilterAutosuggest {...defaultProps} onLoadItems={onLoadItems} />);
+      await user.click(screen.getByRole('textbox'));
+      onLoadItems.mockClear();
+
+      fireEvent.scroll(screen.getByRole('listbox'));
+      expect(onLoadItems).not.toHaveBeenCalled();
+    });
+
+    it('should ask for the next page once until the status changes', async () => {
+      const user = userEvent.setup();
+      const onLoadItems = vi.fn();
+      const { rerender } = render(
+        <FilterAutosuggest {...defaultProps} onLoadItems={onLoadItems} statusType="pending" />
+      );
+      await user.click(screen.getByRole('textbox'));
+      onLoadItems.mockClear();
+
+      fireEvent.scroll(screen.getByRole('listbox'));
+      fireEvent.scroll(screen.getByRole('listbox'));
+      fireEvent.scroll(screen.getByRole('listbox'));
+      expect(onLoadItems).toHaveBeenCalledTimes(1);
+
+      rerender(<FilterAutosuggest {...defaultProps} onLoadItems={onLoadItems} statusType="loading" />);
+      rerender(<FilterAutosuggest {...defaultProps} onLoadItems={onLoadItems} statusType="pending" />);
+      fireEvent.scroll(screen.getByRole('listbox'));
+      expect(onLoadItems).toHaveBeenCalledTimes(2);
+    });
+
+    it('should show a loading row under the loaded options', async () => {
+      const user = userEvent.setup();
+      render(<FilterAutosuggest {...defaultProps} statusType="loading" loadingText="Loading more..." />);
+      await user.click(screen.getByRole('textbox'));
+
+      expect(screen.getByText('Active')).toBeInTheDocument();
+      expect(screen.getByRole('status')).toHaveTextContent('Loading more...');
+    });
+
+    it('should show the error with a retry link', async () => {
+      const user = userEvent.setup();
+      const onLoadItems = vi.fn();
+      render(
+        <FilterAutosuggest
+          {...defaultProps}
+          value="Sta"
+          options={[]}
+          onLoadItems={onLoadItems}
+          statusType="error"
+          errorText="Could not load values."
+          recoveryText="Try again"
+        />
+      );
+      await user.click(screen.getByRole('textbox'));
+      onLoadItems.mockClear();
+
+      expect(screen.getByRole('alert')).toHaveTextContent('Could not load values.');
+      expect(screen.queryByText('No matches found')).not.toBeInTheDocument();
+
+      await user.click(screen.getByRole('button', { name: 'Try again' }));
+      expect(onLoadItems).toHaveBeenCalledTimes(1);
+      expect(onLoadItems).toHaveBeenCalledWith({ filteringText: 'Sta', firstPage: false, samePage: true });
+    });
+
+    it('should show the finished text after the last page', async () => {
+      const user = userEvent.setup();
+      render(<FilterAutosuggest {...defaultProps} statusType="finished" finishedText="End of results" />);
+      await user.click(screen.getByRole('textbox'));
+
+      expect(screen.getByText('End of results')).toBeInTheDocument();
+    });
+  });
+
   describe('keyboard navigation', () => {
     it('should navigate down with ArrowDown', async () => {
       const user = userEvent.setup();
@@ -338,6 +452,82 @@ describe('FilterAutosuggest', () => {
     });
   });
 
+  describe('custom rendering', () => {
+    const decoratedOptions = [
+      {
+        label: 'Values',
+        options: [
+          {
+            value: 'Status = active',
+            label: 'Active',
+            icon: <span data-testid="green-dot" />,
+            tags: ['default', 'common'],
+            description: 'Currently in use',
+          },
+          { value: 'Status = inactive', label: 'Inactive' },
+        ],
+      },
+    ];
+
+    it('should show option icons, tags and descriptions', async () => {
+      const user = userEvent.setup();
+      render(<FilterAutosuggest {...defaultProps} options={decoratedOptions} />);
+
+      await user.click(screen.getByRole('textbox'));
+
+      const option = screen.getByRole('option', { name: /Active/ });
+      expect(option).toContainElement(screen.getByTestId('green-dot'));
+      expect(option).toHaveTextContent('default');
+      expect(option).toHaveTextContent('common');
+      expect(option).toHaveTextContent('Currently in use');
+    });
+
+    it('should show value counts on the right', async () => {
+      const user = userEvent.setup();
+      const options = [{ label: 'Values', options: [{ value: 'Status = active', label: 'Active', count: 1240 }] }];
+      render(<FilterAutosuggest {...defaultProps} options={options} />);
+      await user.click(screen.getByRole('textbox'));
+
+      expect(screen.getByText('1,240')).toHaveClass('tabular-nums');
+    });
+
+    it('should render options and group headers with renderOption / renderGroupHeader', async () => {
+      const user = userEvent.setup();
+      const onOptionSelect = vi.fn();
+      render(
+        <FilterAutosuggest
+          {...defaultProps}
+          options={decoratedOptions}
+          onOptionSelect={onOptionSelect}
+          renderOption={(option, { highlighted }) =>
+            option.tags ? <span>{`${option.label} [${option.tags.join('/')}]${highlighted ? ' *' : ''}`}</span> : null
+          }
+          renderGroupHeader={group => <strong>{`${group.label} (${group.options.length})`}</strong>}
+        />
+      );
+
+      await user.click(screen.getByRole('textbox'));
+      await user.keyboard('{ArrowDown}');
+
+      expect(screen.getByText('Active [default/common] *')).toBeInTheDocument();
+      expect(screen.getByText('Values (2)')).toBeInTheDocument();
+      // null falls back to the default row
+      expect(screen.getByText('Inactive')).toBeInTheDocument();
+
+      await user.click(screen.getByText('Active [default/common] *'));
+      expect(onOptionSelect).toHaveBeenCalledWith(decoratedOptions[0].options[0]);
+    });
+
+    it('should render the empty state with renderEmpty', async () => {
+      const user = userEvent.setup();
+      render(<FilterAutosuggest {...defaultProps} options={[]} renderEmpty={() => <em>Nothing here yet</em>} />);
+
+      await user.click(screen.getByRole('textbox'));
+
+      expect(screen.getByText('Nothing here yet')).toBeInTheDocument();
+    });
+  });
+
   describe('filtering', () => {
     it('should filter options based on input', async () => {
       const user = userEvent.setup();
@@ -350,6 +540,79 @@ describe('FilterAutosuggest', () => {
       // Should show Active but filter out others
       expect(screen.getByText('Active')).toBeInTheDocument();
     });
+
+    it('should list the best matches first and highlight the matched characters', async () => {
+      const user = userEvent.setup();
+      const options = [{
+        label: 'Properties',
+        options: [
+          { value: 'Manager', label: 'Manager', keepOpenOnSelect: true },
+          { value: 'Engineering', label: 'Engineering', keepOpenOnSelect: true },
+        ],
+      }];
+      render(<FilterAutosuggest {...defaultProps} options={options} value="eng" filterText="eng" />);
+      await user.click(screen.getByRole('textbox'));
+
+      const names = screen.getAllByRole('option').map(option => option.textContent);
+      expect(names[0]).toContain('Engineering');
+      expect(screen.getByRole('option', { name: 'Engineering' }).querySelector('mark')).toHaveTextContent('Eng');
+    });
+  });
+
+  describe('large option sets', () => {
+    const hostGroup = (count) => [{
+      label: 'Values',
+      options: Array.from({ length: count }, (_, index) => ({
+        value: `Host = host-${index + 1}`,
+        label: `host-${index + 1}`,
+      })),
+    }];
+
+    it('should cap each group and show the rest on "Show N more"', async () => {
+      const user = userEvent.setup();
+      render(<FilterAutosuggest {...defaultProps} options={hostGroup(8)} groupLimit={5} />);
+      await user.click(screen.getByRole('textbox'));
+
+      expect(screen.getAllByRole('option')).toHaveLength(6);
+      await user.click(screen.getByRole('option', { name: 'Show 3 more' }));
+
+      expect(screen.getAllByRole('option')).toHaveLength(8);
+      expect(defaultProps.onOptionSelect).not.toHaveBeenCalled();
+      await waitFor(() => expect(screen.getByRole('textbox')).toHaveFocus());
+    });
+
+    it('should expand a group with Enter on "Show N more"', async () => {
+      const user = userEvent.setup();
+      render(<FilterAutosuggest {...defaultProps} options={hostGroup(3)} groupLimit={2} />);
+      await user.click(screen.getByRole('textbox'));
+
+      await user.keyboard('{ArrowUp}{Enter}');
+
+      expect(screen.getByRole('option', { name: 'host-3' })).toBeInTheDocument();
+      expect(screen.queryByRole('option', { name: /more/ })).not.toBeInTheDocument();
+    });
+
+    it('should only render the rows in view of a long list', async () => {
+      const user = userEvent.setup();
+      render(<FilterAutosuggest {...defaultProps} options={hostGroup(500)} groupLimit={0} />);
+      await user.click(screen.getByRole('textbox'));
+
+      const rendered = screen.getAllByRole('option');
+      expect(rendered.length).toBeLessThan(50);
+      expect(rendered[0]).toHaveAttribute('aria-setsize', '500');
+      expect(rendered[0]).toHaveAttribute('aria-posinset', '1');
+    });
+
+    it('should render the rows scrolled to', async () => {
+      const user = userEvent.setup();
+      render(<FilterAutosuggest {...defaultProps} options={hostGroup(500)} groupLimit={0} />);
+      await user.click(screen.getByRole('textbox'));
+
+      fireEvent.scroll(screen.getByRole('listbox'), { target: { scrollTop: 250 * 36 } });
+
+      expect(screen.getByRole('option', { name: 'host-250' })).toBeInTheDocument();
+      expect(screen.queryByRole('option', { name: 'host-1' })).not.toBeInTheDocument();
+    });
   });
 
   describe('click outside', () => {
@@ -211,4 +211,86 @@ describe('FilterToken', () => {
       expect(onRemove).toHaveBeenCalledWith(2);
     });
   });
+
+  describe('custom rendering', () => {
+    it('should show the icon of the value option', () => {
+      const token = { ...defaultToken, option: { value: 'active', icon: <span data-testid="green-dot" /> } };
+      render(<FilterToken {...defaultProps} token={token} />);
+
+      expect(screen.getByTestId('green-dot')).toBeInTheDocument();
+    });
+
+    it('should render chip content with renderToken and keep remove working', async () => {
+      const user = userEvent.setup();
+      const onRemove = vi.fn();
+      render(
+        <FilterToken
+          {...defaultProps}
+          onRemove={onRemove}
+          renderToken={token => <b>{`${token.propertyLabel}: ${token.value}`}</b>}
+        />
+      );
+
+      expect(screen.getByText('Status: active')).toBeInTheDocument();
+      expect(screen.queryByText('=')).not.toBeInTheDocument();
+
+      await user.click(screen.getByLabelText('dismiss'));
+      expect(onRemove).toHaveBeenCalledWith(0);
+    });
+
+    it('should fall back to the default content when renderToken returns null', () => {
+      render(<FilterToken {...defaultProps} renderToken={() => null} />);
+
+      expect(screen.getByText('active')).toBeInTheDocument();
+    });
+  });
+
+  describe('token editing', () => {
+    const editableProps = {
+      ...defaultProps,
+      token: { ...defaultToken, propertyKey: 'status', rawValue: 'active' },
+      filteringProperties: [
+        { key: 'status', propertyLabel: 'Status', operators: ['=', '!='], defaultOperator: '=' },
+      ],
+    };
+
+    it('should not be editable without onUpdate', () => {
+      render(<FilterToken {...defaultProps} />);
+
+      expect(screen.queryByLabelText('Edit filter: Status = active')).not.toBeInTheDocument();
+    });
+
+    it('should open the editor when clicking the token', async () => {
+      const user = userEvent.setup();
+      render(<FilterToken {...editableProps} onUpdate={vi.fn()} />);
+
+      await user.click(screen.getByLabelText('Edit filter: Status = active'));
+
+      expect(screen.getByRole('dialog')).toBeInTheDocument();
+      expect(screen.getByLabelText('Value')).toHaveValue('active');
+    });
+
+    it('should call onUpdate with index and edited token', async () => {
+      const user = userEvent.setup();
+      const onUpdate = vi.fn();
+      render(<FilterToken {...editableProps} index={[1, 0]} onUpdate={onUpdate} />);
+
+      await user.click(screen.getByLabelText('Edit filter: Status = active'));
+      await user.selectOptions(screen.getByLabelText('Operator'), '!=');
+      await user.click(screen.getByText('Apply'));
+
+      expect(onUpdate).toHaveBeenCalledWith([1, 0], expect.objectContaining({
+        propertyKey: 'status',
+        operator: '!=',
+        value: 'active',
+      }));
+      expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+    });
+
+    it('should not open the editor when disabled', async () => {
+      render(<FilterToken {...editableProps} onUpdate={vi.fn()} disabled />);
+
+      expect(screen.queryByLabelText('Edit filter: Status = active')).not.toBeInTheDocument();
+    });
+  });
 });
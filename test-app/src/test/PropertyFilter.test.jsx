@@ -1,8 +1,8 @@
 import React from 'react';
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, within, act } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
-import PropertyFilter from '../components';
+import PropertyFilter, { createMemoryStorageAdapter } from '../components';
 
 describe('PropertyFilter', () => {
   const defaultProps = {
@@ -174,6 +174,38 @@ describe('PropertyFilter', () => {
       });
     });
 
+    it('should create free text from quoted text that looks like a filter', async () => {
+      const user = userEvent.setup();
+      const onChange = vi.fn();
+
+      render(<PropertyFilter {...defaultProps} onChange={onChange} />);
+
+      await user.type(screen.getByRole('textbox'), '"Status = active"{Enter}');
+
+      expect(onChange).toHaveBeenCalledWith({
+        filter: {
+          and: [{ field: null, op: 'contains', value: 'Status = active' }],
+          or: [],
+        },
+      });
+    });
+
+    it('should show quoted values on chips as they can be typed', () => {
+      const query = {
+        filter: {
+          and: [
+            { field: null, op: 'contains', value: 'Status = active' },
+            { field: 'name', op: 'equals', value: 'say "hi"' },
+          ],
+          or: [],
+        },
+      };
+      render(<PropertyFilter {...defaultProps} query={query} />);
+
+      expect(screen.getByLabelText('Edit filter: "Status = active"')).toBeInTheDocument();
+      expect(screen.getByLabelText('Edit filter: Name = "say \\"hi\\""')).toBeInTheDocument();
+    });
+
     it('should clear input after token creation', async () => {
       const user = userEvent.setup();
       render(<PropertyFilter {...defaultProps} />);
@@ -245,6 +277,510 @@ describe('PropertyFilter', () => {
     });
   });
 
+  describe('typed properties', () => {
+    const typedProps = {
+      ...defaultProps,
+      filteringProperties: [
+        { key: 'age', propertyLabel: 'Age', type: 'number' },
+        { key: 'joined', propertyLabel: 'Joined', type: 'date' },
+      ],
+    };
+
+    it('should emit typed values', async () => {
+      const user = userEvent.setup();
+      const onChange = vi.fn();
+      render(<PropertyFilter {...typedProps} onChange={onChange} />);
+
+      await user.type(screen.getByRole('textbox'), 'Age >= 30{Enter}');
+
+      expect(onChange).toHaveBeenCalledWith({
+        filter: {
+          and: [{ field: 'age', op: 'greater-than-or-equal', value: 30 }],
+          or: [],
+        },
+      });
+    });
+
+    it('should show an error for values that do not match the type', async () => {
+      const user = userEvent.setup();
+      const onChange = vi.fn();
+      render(<PropertyFilter {...typedProps} onChange={onChange} />);
+
+      await user.type(screen.getByRole('textbox'), 'Joined > yesterday-ish{Enter}');
+
+      expect(onChange).not.toHaveBeenCalled();
+      expect(screen.getByText('Enter a date as YYYY-MM-DD, or e.g. -7d, yesterday, this month')).toBeInTheDocument();
+    });
+  });
+
+  describe('between operator', () => {
+    const rangeProps = {
+      ...defaultProps,
+      filteringProperties: [
+        { key: 'size', propertyLabel: 'Size', type: 'number' },
+        { key: 'created', propertyLabel: 'Created', type: 'date' },
+      ],
+    };
+
+    it('should create one range token from "between" text', async () => {
+      const user = userEvent.setup();
+      const onChange = vi.fn();
+      render(<PropertyFilter {...rangeProps} onChange={onChange} />);
+
+      await user.type(screen.getByRole('textbox'), 'Size between 10 and 20{Enter}');
+
+      expect(onChange).toHaveBeenCalledWith({
+        filter: { and: [{ field: 'size', op: 'between', value: { from: 10, to: 20 } }], or: [] },
+      });
+    });
+
+    it('should render a between token as one chip', () => {
+      const query = {
+        filter: { and: [{ field: 'size', op: 'between', value: { from: 10, to: 20 } }], or: [] },
+      };
+      render(<PropertyFilter {...rangeProps} query={query} />);
+
+      expect(screen.getByLabelText('Edit filter: Size between 10 and 20')).toBeInTheDocument();
+    });
+
+    it('should show an error for reversed ranges', async () => {
+      const user = userEvent.setup();
+      const onChange = vi.fn();
+      render(<PropertyFilter {...rangeProps} onChange={onChange} />);
+
+      await user.type(screen.getByRole('textbox'), 'Size = 20..10{Enter}');
+
+      expect(onChange).not.toHaveBeenCalled();
+      expect(screen.getByText('The start of the range must not be after its end')).toBeInTheDocument();
+    });
+
+    it('should pick a date range with two calendar clicks', async () => {
+      const user = userEvent.setup();
+      const onChange = vi.fn();
+      render(<PropertyFilter {...rangeProps} onChange={onChange} />);
+
+      await user.type(screen.getByRole('textbox'), 'Created between 2026-03-02');
+      await user.click(screen.getByRole('button', { name: '2026-03-02' }));
+      expect(screen.getByRole('textbox')).toHaveValue('Created between 2026-03-02 and ');
+      expect(onChange).not.toHaveBeenCalled();
+
+      await user.click(screen.getByRole('button', { name: '2026-03-09' }));
+
+      expect(onChange).toHaveBeenCalledWith({
+        filter: {
+          and: [{ field: 'created', op: 'between', value: { from: '2026-03-02', to: '2026-03-09' } }],
+          or: [],
+        },
+      });
+    });
+  });
+
+  describe('multi-value operators', () => {
+    const listProps = {
+      ...defaultProps,
+      filteringProperties: [{ key: 'status', propertyLabel: 'Status', type: 'enum' }],
+    };
+
+    it('should create one list token from comma-separated text', async () => {
+      const user = userEvent.setup();
+      const onChange = vi.fn();
+      render(<PropertyFilter {...listProps} onChange={onChange} />);
+
+      await user.type(screen.getByRole('textbox'), 'Status in Active, inactive{Enter}');
+
+      expect(onChange).toHaveBeenCalledWith({
+        filter: { and: [{ field: 'status', op: 'in', value: ['active', 'inactive'] }], or: [] },
+      });
+    });
+
+    it('should toggle values from checkbox options', async () => {
+      const user = userEvent.setup();
+      render(<PropertyFilter {...listProps} />);
+      const input = screen.getByRole('textbox');
+
+      await user.type(input, 'Status in ');
+      await user.click(screen.getByRole('option', { name: /Inactive/ }));
+      expect(input).toHaveValue('Status in inactive, ');
+      expect(screen.getByRole('option', { name: /Inactive/ })).toHaveAttribute('aria-checked', 'true');
+
+      await user.click(screen.getByRole('option', { name: /Inactive/ }));
+      expect(input).toHaveValue('Status in ');
+    });
+
+    it('should render a list token as one chip', () => {
+      const query = {
+        filter: { and: [{ field: 'status', op: 'not-in', value: ['active', 'inactive'] }], or: [] },
+      };
+      render(<PropertyFilter {...listProps} query={query} />);
+
+      expect(screen.getByLabelText('Edit filter: Status is not one of Active, Inactive')).toBeInTheDocument();
+    });
+  });
+
+  describe('custom operators', () => {
+    const customOperators = [{
+      symbol: 'near',
+      apiName: 'is-near',
+      description: 'Is near',
+      appliesToTypes: ['place'],
+    }];
+    const placeProps = {
+      ...defaultProps,
+      filteringProperties: [{ key: 'city', propertyLabel: 'City', type: 'place' }],
+      customOperators,
+    };
+
+    it('should offer and emit operators passed as a prop', async () => {
+      const user = userEvent.setup();
+      const onChange = vi.fn();
+      render(<PropertyFilter {...placeProps} onChange={onChange} />);
+
+      await user.type(screen.getByRole('textbox'), 'City ');
+      expect(screen.getByText('Is near')).toBeInTheDocument();
+
+      await user.type(screen.getByRole('textbox'), 'near Berlin{Enter}');
+      expect(onChange).toHaveBeenCalledWith({
+        filter: { and: [{ field: 'city', op: 'is-near', value: 'Berlin' }], or: [] },
+      });
+    });
+
+    it('should keep operators passed as a prop to their own filter', async () => {
+      const user = userEvent.setup();
+      const onChangeOther = vi.fn();
+      const withEquals = [...customOperators, { symbol: '=', apiName: 'is', description: 'Is' }];
+      const { unmount } = render(
+        <>
+          <PropertyFilter {...placeProps} customOperators={withEquals} />
+          <PropertyFilter {...placeProps} customOperators={undefined} onChange={onChangeOther} />
+        </>
+      );
+      const other = screen.getAllByRole('textbox')[1];
+
+      await user.type(other, 'City ');
+      expect(screen.queryByText('Is near')).not.toBeInTheDocument();
+      expect(screen.getByText('Equals')).toBeInTheDocument();
+
+      await user.type(other, '= Berlin{Enter}');
+      expect(onChangeOther).toHaveBeenCalledWith({
+        filter: { and: [{ field: 'city', op: 'equals', value: 'Berlin' }], or: [] },
+      });
+
+      unmount();
+      const onChange = vi.fn();
+      render(<PropertyFilter {...placeProps} customOperators={undefined} onChange={onChange} />);
+      await user.type(screen.getByRole('textbox'), 'City near Berlin{Enter}');
+      expect(onChange).toHaveBeenCalledWith({
+        filter: { and: [{ field: null, op: 'contains', value: 'City near Berlin' }], or: [] },
+      });
+    });
+
+    it('should apply saved filters that use operators passed as a prop', async () => {
+      const user = userEvent.setup();
+      const onChange = vi.fn();
+      const savedQuery = { filter: { and: [{ field: 'city', op: 'is-near', value: 'Berlin' }], or: [] } };
+      render(
+        <PropertyFilter
+          {...placeProps}
+          onChange={onChange}
+          savedFilters={[{ id: '1', name: 'Near Berlin', query: savedQuery }]}
+        />
+      );
+
+      await user.click(screen.getByRole('button', { name: 'Saved filters' }));
+      await user.click(screen.getByText('Near Berlin'));
+
+      expect(onChange).toHaveBeenCalledWith(savedQuery);
+      expect(screen.queryByText(/Unknown operator/)).not.toBeInTheDocument();
+    });
+  });
+
+  describe('pattern operators', () => {
+    const hostProps = {
+      ...defaultProps,
+      filteringProperties: [{ key: 'host', propertyLabel: 'Host', operators: ['=', '~', '!~', 'like'] }],
+    };
+
+    it('should create a wildcard token', async () => {
+      const user = userEvent.setup();
+      const onChange = vi.fn();
+      render(<PropertyFilter {...hostProps} onChange={onChange} />);
+
+      await user.type(screen.getByRole('textbox'), 'Host like web-*-prod{Enter}');
+
+      expect(onChange).toHaveBeenCalledWith({
+        filter: { and: [{ field: 'host', op: 'like', value: 'web-*-prod' }], or: [] },
+      });
+    });
+
+    it('should show an error for unsafe regular expressions', async () => {
+      const user = userEvent.setup();
+      const onChange = vi.fn();
+      render(<PropertyFilter {...hostProps} onChange={onChange} />);
+
+      await user.type(screen.getByRole('textbox'), 'Host ~ (a+)+$');
+      await user.keyboard('{Enter}');
+
+      expect(onChange).not.toHaveBeenCalled();
+      expect(screen.getByText(/could take too long to match/)).toBeInTheDocument();
+    });
+  });
+
+  describe('valueless operators', () => {
+    const ownerProps = {
+      ...defaultProps,
+      filteringProperties: [{ key: 'owner', propertyLabel: 'Owner', operators: ['=', 'exists', 'is empty'] }],
+    };
+
+    it('should create a token without a value', async () => {
+      const user = userEvent.setup();
+      const onChange = vi.fn();
+      render(<PropertyFilter {...ownerProps} onChange={onChange} />);
+
+      await user.type(screen.getByRole('textbox'), 'Owner is empty{Enter}');
+
+      expect(onChange).toHaveBeenCalledWith({
+        filter: { and: [{ field: 'owner', op: 'is-empty', value: null }], or: [] },
+      });
+    });
+
+    it('should create the token when the operator is picked', async () => {
+      const user = userEvent.setup();
+      const onChange = vi.fn();
+      render(<PropertyFilter {...ownerProps} onChange={onChange} />);
+
+      await user.type(screen.getByRole('textbox'), 'Owner ');
+      await user.click(screen.getByRole('option', { name: /Owner exists/ }));
+
+      expect(onChange).toHaveBeenCalledWith({
+        filter: { and: [{ field: 'owner', op: 'exists', value: null }], or: [] },
+      });
+    });
+
+    it('should render the chip without a value', () => {
+      const query = { filter: { and: [{ field: 'owner', op: 'exists', value: null }], or: [] } };
+      render(<PropertyFilter {...ownerProps} query={query} />);
+
+      expect(screen.getByLabelText('Edit filter: Owner exists')).toBeInTheDocument();
+    });
+  });
+
+  describe('pasted expressions', () => {
+    const expressionProps = {
+      ...defaultProps,
+      filteringProperties: [
+        ...defaultProps.filteringProperties,
+        { key: 'role', propertyLabel: 'Role', operators: ['=', '!='] },
+      ],
+    };
+
+    it('should turn an expression into several tokens', async () => {
+      const user = userEvent.setup();
+      const onChange = vi.fn();
+      render(<PropertyFilter {...expressionProps} onChange={onChange} />);
+
+      fireEvent.change(screen.getByRole('textbox'), {
+        target: { value: 'Status = active and (Role = admin or Name : "Jo")' },
+      });
+      await user.type(screen.getByRole('textbox'), '{Enter}');
+
+      expect(onChange).toHaveBeenCalledWith({
+        filter: {
+          and: [
+            { field: 'status', op: 'equals', value: 'active' },
+            {
+              or: [
+                { field: 'role', op: 'equals', value: 'admin' },
+                { field: 'name', op: 'contains', value: 'Jo' },
+              ],
+            },
+          ],
+          or: [],
+        },
+      });
+    });
+
+    it('should add an OR expression to an AND query as a group', async () => {
+      const user = userEvent.setup();
+      const onChange = vi.fn();
+      const query = { filter: { and: [{ field: 'name', op: 'contains', value: 'x' }], or: [] } };
+      render(<PropertyFilter {...expressionProps} query={query} onChange={onChange} />);
+
+      fireEvent.change(screen.getByRole('textbox'), { target: { value: 'Role = admin or Role = owner' } });
+      await user.type(screen.getByRole('textbox'), '{Enter}');
+
+      expect(onChange).toHaveBeenCalledWith({
+        filter: {
+          and: [
+            { field: 'name', op: 'contains', value: 'x' },
+            { or: [{ field: 'role', op: 'equals', value: 'admin' }, { field: 'role', op: 'equals', value: 'owner' }] },
+          ],
+          or: [],
+        },
+      });
+    });
+
+    it('should show syntax errors', async () => {
+      const user = userEvent.setup();
+      const onChange = vi.fn();
+      render(<PropertyFilter {...expressionProps} onChange={onChange} />);
+
+      fireEvent.change(screen.getByRole('textbox'), { target: { value: '(Status = active or Role = admin' } });
+      await user.type(screen.getByRole('textbox'), '{Enter}');
+
+      expect(onChange).not.toHaveBeenCalled();
+      expect(screen.getByText('Missing closing parenthesis')).toBeInTheDocument();
+    });
+
+    it('should keep free text containing "and" as one token', async () => {
+      const user = userEvent.setup();
+      const onChange = vi.fn();
+      render(<PropertyFilter {...expressionProps} onChange={onChange} />);
+
+      await user.type(screen.getByRole('textbox'), 'rock and roll{Enter}');
+
+      expect(onChange).toHaveBeenCalledWith({
+        filter: { and: [{ field: null, op: 'contains', value: 'rock and roll' }], or: [] },
+      });
+    });
+  });
+
+  describe('date values', () => {
+    const dateProps = {
+      ...defaultProps,
+      filteringProperties: [{ key: 'created', propertyLabel: 'Created', type: 'date' }],
+    };
+
+    it('should show a calendar at the value step and create a token from the clicked day', async () => {
+      const user = userEvent.setup();
+      const onChange = vi.fn();
+      render(<PropertyFilter {...dateProps} onChange={onChange} />);
+
+      // The calendar follows the typed date
+      await user.type(screen.getByRole('textbox'), 'Created > 2026-01-15');
+      expect(screen.getByRole('group', { name: 'Choose date' })).toBeInTheDocument();
+
+      await user.click(screen.getByRole('button', { name: '2026-01-20' }));
+
+      expect(onChange).toHaveBeenCalledWith({
+        filter: { and: [{ field: 'created', op: 'greater-than', value: '2026-01-20' }], or: [] },
+      });
+    });
+
+    it('should not show the calendar for other properties', async () => {
+      const user = userEvent.setup();
+      render(<PropertyFilter {...defaultProps} />);
+
+      await user.type(screen.getByRole('textbox'), 'Status = ');
+
+      expect(screen.queryByRole('group', { name: 'Choose date' })).not.toBeInTheDocument();
+    });
+
+    it('should keep relative expressions for display', async () => {
+      const user = userEvent.setup();
+      const onChange = vi.fn();
+      const { rerender } = render(<PropertyFilter {...dateProps} onChange={onChange} />);
+
+      await user.type(screen.getByRole('textbox'), 'Created = last 7 days{Enter}');
+
+      const apiQuery = onChange.mock.calls[0][0];
+      expect(apiQuery.filter.and[0]).toMatchObject({
+        field: 'created',
+        op: 'equals',
+        value: { from: expect.any(String), to: expect.any(String) },
+        expression: 'last 7 days',
+      });
+
+      rerender(<PropertyFilter {...dateProps} query={apiQuery} onChange={onChange} />);
+      expect(screen.getByLabelText('Edit filter: Created = last 7 days')).toBeInTheDocument();
+    });
+  });
+
+  describe('token editing', () => {
+    it('should update a token through the editor', async () => {
+      const user = userEvent.setup();
+      const onChange = vi.fn();
+      const query = {
+        filter: {
+          and: [
+            { field: 'name', op: 'contains', value: 'john' },
+            { field: 'status', op: 'equals', value: 'active' },
+          ],
+          or: [],
+        },
+      };
+      render(<PropertyFilter {...defaultProps} query={query} onChange={onChange} />);
+
+      await user.click(screen.getByLabelText('Edit filter: Status = active'));
+      const valueInput = screen.getByLabelText('Value');
+      await user.clear(valueInput);
+      await user.type(valueInput, 'Inactive');
+      await user.click(screen.getByText('Apply'));
+
+      expect(onChange).toHaveBeenCalledWith({
+        filter: {
+          and: [
+            { field: 'name', op: 'contains', value: 'john' },
+            // Label typed in the editor is matched to the option value
+            { field: 'status', op: 'equals', value: 'inactive' },
+          ],
+          or: [],
+        },
+      });
+    });
+  });
+
+  describe('nested groups', () => {
+    const groupedQuery = {
+      filter: {
+        and: [
+          { field: 'status', op: 'equals', value: 'active' },
+          {
+            or: [
+              { field: 'name', op: 'contains', value: 'john' },
+              { field: 'name', op: 'contains', value: 'jane' },
+            ],
+          },
+        ],
+        or: [],
+      },
+    };
+
+    it('should render token groups', () => {
+      render(<PropertyFilter {...defaultProps} query={groupedQuery} />);
+
+      const group = screen.getByRole('group', { name: 'Filter group' });
+      expect(group).toHaveTextContent('john');
+      expect(group).toHaveTextContent('jane');
+      expect(group).not.toHaveTextContent('active');
+    });
+
+    it('should change the operation inside a group', async () => {
+      const onChange = vi.fn();
+      const user = userEvent.setup();
+      render(<PropertyFilter {...defaultProps} query={groupedQuery} onChange={onChange} />);
+
+      const group = screen.getByRole('group', { name: 'Filter group' });
+      const [andItem] = within(group).getAllByText('AND');
+      await user.click(andItem);
+
+      const updatedGroup = onChange.mock.calls[0][0].filter.and[1];
+      expect(updatedGroup.and).toHaveLength(2);
+    });
+
+    it('should remove a token inside a group', async () => {
+      const onChange = vi.fn();
+      const user = userEvent.setup();
+      render(<PropertyFilter {...defaultProps} query={groupedQuery} onChange={onChange} />);
+
+      const group = screen.getByRole('group', { name: 'Filter group' });
+      await user.click(within(group).getAllByLabelText('dismiss')[0]);
+
+      expect(onChange.mock.calls[0][0].filter.and[1]).toEqual({
+        or: [{ field: 'name', op: 'contains', value: 'jane' }],
+      });
+    });
+  });
+
   describe('token limit', () => {
     it('should show "Show more" when tokens exceed limit', () => {
       const query = {
@@ -287,6 +823,188 @@ describe('PropertyFilter', () => {
     });
   });
 
+  describe('saved filters', () => {
+    const savedQuery = { filter: { and: [{ field: 'status', op: 'equals', value: 'inactive' }], or: [] } };
+    const currentQuery = { filter: { and: [{ field: 'name', op: 'contains', value: 'jo' }], or: [] } };
+
+    it('should apply a saved filter from the dropdown', async () => {
+      const user = userEvent.setup();
+      const onChange = vi.fn();
+      render(
+        <PropertyFilter
+          {...defaultProps}
+          onChange={onChange}
+          savedFilters={[{ id: '1', name: 'Inactive', query: savedQuery }]}
+        />
+      );
+
+      await user.click(screen.getByRole('button', { name: 'Saved filters' }));
+      await user.click(screen.getByText('Inactive'));
+
+      expect(onChange).toHaveBeenCalledWith(savedQuery);
+    });
+
+    it('should undo applying a saved filter', async () => {
+      const user = userEvent.setup();
+      const onChange = vi.fn();
+      function ControlledFilter() {
+        const [query, setQuery] = React.useState(currentQuery);
+        return (
+          <PropertyFilter
+            {...defaultProps}
+            query={query}
+            onChange={(newQuery) => {
+              setQuery(newQuery);
+              onChange(newQuery);
+            }}
+            savedFilters={[{ id: '1', name: 'Inactive', query: savedQuery }]}
+          />
+        );
+      }
+      render(<ControlledFilter />);
+
+      await user.click(screen.getByRole('button', { name: 'Saved filters' }));
+      await user.click(screen.getByText('Inactive'));
+      expect(onChange).toHaveBeenLastCalledWith(savedQuery);
+
+      await user.click(screen.getByRole('textbox'));
+      await user.keyboard('{Control>}z{/Control}');
+      expect(onChange).toHaveBeenLastCalledWith(currentQuery);
+      expect(screen.getByLabelText('Edit filter: Name : jo')).toBeInTheDocument();
+    });
+
+    it('should not apply saved filters that no longer fit the properties', async () => {
+      const user = userEvent.setup();
+      const onChange = vi.fn();
+      const staleQuery = {
+        filter: {
+          and: [
+            { field: 'status', op: 'equals', value: 'inactive' },
+            { field: 'team', op: 'equals', value: 'ops' },
+          ],
+          or: [],
+        },
+      };
+      render(
+        <PropertyFilter
+          {...defaultProps}
+          onChange={onChange}
+          savedFilters={[{ id: '1', name: 'Ops', query: staleQuery }]}
+        />
+      );
+
+      await user.click(screen.getByRole('button', { name: 'Saved filters' }));
+      await user.click(screen.getByText('Ops'));
+
+      expect(onChange).not.toHaveBeenCalled();
+      expect(screen.getByText('Unknown property "team"')).toBeInTheDocument();
+    });
+
+    it('should save the current query under a name', async () => {
+      const user = userEvent.setup();
+      const onSaveFilter = vi.fn();
+      render(<PropertyFilter {...defaultProps} query={currentQuery} onSaveFilter={onSaveFilter} />);
+
+      await user.click(screen.getByRole('button', { name: 'Save current filter' }));
+      await user.type(screen.getByLabelText('Filter name'), 'Jo{Enter}');
+
+      expect(onSaveFilter).toHaveBeenCalledWith({ name: 'Jo', query: currentQuery });
+    });
+
+    it('should only show what the props enable', () => {
+      render(<PropertyFilter {...defaultProps} query={currentQuery} />);
+
+      expect(screen.queryByRole('button', { name: 'Saved filters' })).not.toBeInTheDocument();
+      expect(screen.queryByRole('button', { name: 'Save current filter' })).not.toBeInTheDocument();
+    });
+  });
+
+  describe('used filters', () => {
+    it('should offer recent filters in the empty input and re-apply them', async () => {
+      const user = userEvent.setup();
+      const onChange = vi.fn();
+      const storage = createMemoryStorageAdapter([{ propertyKey: 'status', operator: '=', value: 'inactive', count: 1 }]);
+      render(<PropertyFilter {...defaultProps} onChange={onChange} filterUsageStorage={storage} />);
+
+      await user.click(screen.getByRole('textbox'));
+      expect(screen.getByText('Recent filters')).toBeInTheDocument();
+      await user.click(screen.getByRole('option', { name: 'Status = inactive' }));
+
+      expect(onChange).toHaveBeenCalledWith({ filter: { and: [{ field: 'status', op: 'equals', value: 'inactive' }], or: [] } });
+      expect(storage.load()[0]).toMatchObject({ propertyKey: 'status', count: 2 });
+    });
+  });
+
+  describe('value counts', () => {
+    it('should show counts next to values, most first', async () => {
+      const user = userEvent.setup();
+      render(
+        <PropertyFilter
+          {...defaultProps}
+          getValueCounts={() => ({ active: 17, inactive: 124 })}
+          sortValuesByCount
+        />
+      );
+
+      await user.type(screen.getByRole('textbox'), 'Status = ');
+
+      const [first, second] = screen.getAllByRole('option');
+      expect(first).toHaveTextContent('Inactive124');
+      expect(second).toHaveTextContent('Active17');
+    });
+  });
+
+  describe('custom rendering', () => {
+    const decoratedProps = {
+      ...defaultProps,
+      filteringOptions: [
+        { propertyKey: 'status', value: 'active', label: 'Active', icon: <span data-testid="green-dot" /> },
+        { propertyKey: 'status', value: 'inactive', label: 'Inactive', tags: ['archived'] },
+      ],
+    };
+
+    it('should show option icons in suggestions and chips', async () => {
+      const user = userEvent.setup();
+      const query = { filter: { and: [{ field: 'status', op: 'equals', value: 'active' }], or: [] } };
+      render(<PropertyFilter {...decoratedProps} query={query} />);
+
+      expect(screen.getByLabelText('Edit filter: Status = active')).toContainElement(screen.getByTestId('green-dot'));
+
+      await user.type(screen.getByRole('textbox'), 'Status = ');
+      expect(screen.getByRole('option', { name: /Inactive/ })).toHaveTextContent('archived');
+      expect(screen.getAllByTestId('green-dot')).toHaveLength(2);
+    });
+
+    it('should pass render props to tokens (inside groups too) and the dropdown', async () => {
+      const user = userEvent.setup();
+      const query = {
+        filter: {
+          and: [
+            { field: 'status', op: 'equals', value: 'active' },
+            { or: [{ field: 'name', op: 'contains', value: 'Jo' }] },
+          ],
+          or: [],
+        },
+      };
+      render(
+        <PropertyFilter
+          {...decoratedProps}
+          query={query}
+          renderToken={token => <span>{`<${token.formattedText}>`}</span>}
+          renderOption={option => <span>{`option ${option.label}`}</span>}
+          renderGroupHeader={group => <span>{`group ${group.label}`}</span>}
+        />
+      );
+
+      expect(screen.getByText('<Status = active>')).toBeInTheDocument();
+      expect(screen.getByText('<Name : Jo>')).toBeInTheDocument();
+
+      await user.type(screen.getByRole('textbox'), 'Status = ');
+      expect(screen.getByText('option Active')).toBeInTheDocument();
+      expect(screen.getByText('group Values')).toBeInTheDocument();
+    });
+  });
+
   describe('custom control', () => {
     it('should render custom control', () => {
       render(
@@ -417,6 +1135,76 @@ describe('PropertyFilter', () => {
         })
       );
     });
+
+    it('should load the property value being typed after a pause', async () => {
+      const user = userEvent.setup();
+      const onLoadItems = vi.fn();
+
+      render(<PropertyFilter {...defaultProps} onLoadItems={onLoadItems} filteringDebounceDelay={0} />);
+
+      await user.type(screen.getByRole('textbox'), 'Status = act');
+      await waitFor(() =>
+        expect(onLoadItems).toHaveBeenLastCalledWith(
+          expect.objectContaining({
+            filteringText: 'Status = act',
+            filteringValue: 'act',
+            filteringProperty: expect.objectContaining({ key: 'status' }),
+            firstPage: true,
+          })
+        )
+      );
+    });
+
+    it('should show the error and retry link of a failed load', async () => {
+      const user = userEvent.setup();
+      const onLoadItems = vi.fn();
+
+      render(
+        <PropertyFilter {...defaultProps} onLoadItems={onLoadItems} filteringStatusType="error" />
+      );
+      await user.click(screen.getByRole('textbox'));
+      await user.click(screen.getByRole('button', { name: 'Retry' }));
+
+      expect(screen.getByText('Error fetching results.')).toBeInTheDocument();
+      expect(onLoadItems).toHaveBeenLastCalledWith(expect.objectContaining({ firstPage: false, samePage: true }));
+    });
+  });
+
+  describe('property loadOptions', () => {
+    it('should suggest loaded values and show their labels on chips', async () => {
+      const user = userEvent.setup();
+      const onChange = vi.fn();
+      const properties = [
+        ...defaultProps.filteringProperties,
+        {
+          key: 'owner',
+          propertyLabel: 'Owner',
+          operators: ['='],
+          loadOptions: async () => [{ value: 'u1', label: 'Alice Brown' }],
+        },
+      ];
+      function Filter() {
+        const [query, setQuery] = React.useState({ filter: { and: [], or: [] } });
+        return (
+          <PropertyFilter
+            filteringProperties={properties}
+            query={query}
+            onChange={(newQuery) => {
+              setQuery(newQuery);
+              onChange(newQuery);
+            }}
+            filteringDebounceDelay={0}
+          />
+        );
+      }
+      render(<Filter />);
+
+      await user.type(screen.getByRole('textbox'), 'Owner = ali');
+      await user.click(await screen.findByText('Alice Brown'));
+
+      expect(onChange).toHaveBeenLastCalledWith({ filter: { and: [{ field: 'owner', op: 'equals', value: 'u1' }], or: [] } });
+      expect(screen.getByLabelText('Edit filter: Owner = Alice Brown')).toBeInTheDocument();
+    });
   });
 
   describe('custom filter actions', () => {
@@ -489,6 +1277,178 @@ describe('PropertyFilter', () => {
       expect(ref.current).toBeDefined();
       expect(typeof ref.current.focus).toBe('function');
     });
+
+    it('should add validated, normalised tokens from text or objects', () => {
+      const ref = React.createRef();
+      const onChange = vi.fn();
+      render(<PropertyFilter {...defaultProps} ref={ref} onChange={onChange} />);
+
+      let result;
+      act(() => {
+        result = ref.current.addToken({ propertyKey: 'status', value: 'Active' });
+      });
+      expect(result).toEqual({ valid: true });
+      expect(onChange).toHaveBeenLastCalledWith({
+        filter: { and: [{ field: 'status', op: 'equals', value: 'active' }], or: [] },
+      });
+
+      act(() => {
+        result = ref.current.addToken('Name != "Jo, Jr"');
+      });
+      expect(onChange.mock.lastCall[0].filter.and).toContainEqual(
+        { field: 'name', op: 'does-not-equal', value: 'Jo, Jr' }
+      );
+    });
+
+    it('should reject invalid tokens without changing the query', () => {
+      const ref = React.createRef();
+      const onChange = vi.fn();
+      render(<PropertyFilter {...defaultProps} ref={ref} onChange={onChange} disableFreeTextFiltering />);
+
+      expect(ref.current.addToken({ propertyKey: 'team', value: 'x' })).toEqual({
+        valid: false,
+        error: 'Unknown property "team"',
+      });
+      expect(ref.current.addToken({ propertyKey: 'status', operator: ':', value: 'x' }).error)
+        .toBe('Status: ":" isn\'t allowed');
+      expect(ref.current.addToken('timeout').error).toBe('Free text: ":" isn\'t allowed');
+      expect(ref.current.addTokens(['Status = active', 'Name ='])).toEqual({ valid: false, error: 'Enter a value' });
+      expect(onChange).not.toHaveBeenCalled();
+    });
+
+    it('should let consecutive calls build on each other', () => {
+      const ref = React.createRef();
+      const onChange = vi.fn();
+      const query = { filter: { and: [{ field: 'name', op: 'contains', value: 'x' }], or: [] } };
+      render(<PropertyFilter {...defaultProps} ref={ref} query={query} onChange={onChange} />);
+
+      act(() => {
+        ref.current.clear();
+        ref.current.addTokens(['Status = active', 'Status = inactive', 'Name : Jo']);
+        ref.current.removeToken(2);
+        ref.current.setOperation('or');
+      });
+
+      const expected = {
+        filter: {
+          and: [],
+          or: [
+            { field: 'status', op: 'equals', value: 'active' },
+            { field: 'status', op: 'equals', value: 'inactive' },
+          ],
+        },
+      };
+      expect(onChange).toHaveBeenLastCalledWith(expected);
+      expect(ref.current.getQuery()).toEqual(expected);
+    });
+
+    it('should set the input text and open or close the dropdown', () => {
+      const ref = React.createRef();
+      render(<PropertyFilter {...defaultProps} ref={ref} />);
+
+      act(() => ref.current.setInputText('Status = '));
+      expect(screen.getByRole('textbox')).toHaveValue('Status = ');
+      expect(ref.current.getParsedInput()).toMatchObject({ step: 'property', operator: '=', value: '' });
+
+      act(() => ref.current.openDropdown());
+      expect(screen.getByText('Active')).toBeInTheDocument();
+
+      act(() => ref.current.closeDropdown());
+      expect(screen.queryByText('Active')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('undo / redo', () => {
+    const initialQuery = { filter: { and: [{ field: 'status', op: 'equals', value: 'active' }], or: [] } };
+    const emptyQuery = { filter: { and: [], or: [] } };
+
+    // Undo goes through onChange, so the query needs to be held in state
+    function ControlledFilter({ filterRef, onChange, ...props }) {
+      const [query, setQuery] = React.useState(initialQuery);
+      return (
+        <PropertyFilter
+          {...defaultProps}
+          {...props}
+          ref={filterRef}
+          query={query}
+          onChange={(newQuery) => {
+            setQuery(newQuery);
+            onChange?.(newQuery);
+          }}
+        />
+      );
+    }
+
+    it('should offer to undo Clear filters', async () => {
+      const user = userEvent.setup();
+      const onChange = vi.fn();
+      render(<ControlledFilter onChange={onChange} />);
+
+      await user.click(screen.getByText('Clear filters'));
+      expect(onChange).toHaveBeenLastCalledWith(emptyQuery);
+      expect(screen.getByRole('status')).toHaveTextContent('Filters cleared');
+
+      await user.click(screen.getByRole('button', { name: 'Undo' }));
+      expect(onChange).toHaveBeenLastCalledWith(initialQuery);
+      expect(screen.getByLabelText('Edit filter: Status = active')).toBeInTheDocument();
+      expect(screen.queryByRole('status')).not.toBeInTheDocument();
+    });
+
+    it('should hide the notice after a few seconds', async () => {
+      vi.useFakeTimers();
+      try {
+        render(<ControlledFilter />);
+        fireEvent.click(screen.getByText('Clear filters'));
+        expect(screen.getByRole('status')).toBeInTheDocument();
+
+        act(() => vi.advanceTimersByTime(5000));
+        expect(screen.queryByRole('status')).not.toBeInTheDocument();
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it('should undo and redo with Ctrl+Z / Ctrl+Shift+Z in the empty input', async () => {
+      const user = userEvent.setup();
+      const onChange = vi.fn();
+      render(<ControlledFilter onChange={onChange} />);
+
+      await user.type(screen.getByRole('textbox'), 'Name = Jo{Enter}');
+      expect(screen.getByLabelText('Edit filter: Name = Jo')).toBeInTheDocument();
+
+      await user.keyboard('{Control>}z{/Control}');
+      expect(screen.queryByLabelText('Edit filter: Name = Jo')).not.toBeInTheDocument();
+
+      await user.keyboard('{Control>}{Shift>}z{/Shift}{/Control}');
+      expect(screen.getByLabelText('Edit filter: Name = Jo')).toBeInTheDocument();
+    });
+
+    it('should leave Ctrl+Z to the input while it has text', async () => {
+      const user = userEvent.setup();
+      const onChange = vi.fn();
+      render(<ControlledFilter onChange={onChange} />);
+
+      await user.type(screen.getByRole('textbox'), 'abc{Control>}z{/Control}');
+
+      expect(onChange).not.toHaveBeenCalled();
+    });
+
+    it('should expose undo and redo via ref', () => {
+      const filterRef = React.createRef();
+      const onChange = vi.fn();
+      render(<ControlledFilter filterRef={filterRef} onChange={onChange} />);
+
+      fireEvent.click(screen.getByText('Clear filters'));
+      act(() => {
+        expect(filterRef.current.undo()).toBe(true);
+      });
+      expect(onChange).toHaveBeenLastCalledWith(initialQuery);
+
+      act(() => {
+        expect(filterRef.current.redo()).toBe(true);
+      });
+      expect(onChange).toHaveBeenLastCalledWith(emptyQuery);
+    });
   });
 
   describe('nested token selection', () => {
@@ -0,0 +1,108 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { SavedFiltersMenu, SaveFilterButton } from '../components/SavedFilters';
+
+describe('SavedFilters', () => {
+  const savedFilters = [
+    { id: '1', name: 'Open incidents', query: { filter: { and: [{ field: 'status', op: 'equals', value: 'open' }], or: [] } } },
+    { id: '2', name: 'My team', query: { filter: { and: [{ field: 'team', op: 'equals', value: 'web' }], or: [] } } },
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('SavedFiltersMenu', () => {
+    it('should list saved filters when opened', async () => {
+      const user = userEvent.setup();
+      render(<SavedFiltersMenu savedFilters={savedFilters} />);
+
+      expect(screen.queryByText('Open incidents')).not.toBeInTheDocument();
+      await user.click(screen.getByRole('button', { name: 'Saved filters' }));
+
+      expect(screen.getByText('Open incidents')).toBeInTheDocument();
+      expect(screen.getByText('My team')).toBeInTheDocument();
+    });
+
+    it('should apply a saved filter and close', async () => {
+      const user = userEvent.setup();
+      const onApply = vi.fn();
+      render(<SavedFiltersMenu savedFilters={savedFilters} onApply={onApply} />);
+
+      await user.click(screen.getByRole('button', { name: 'Saved filters' }));
+      await user.click(screen.getByText('My team'));
+
+      expect(onApply).toHaveBeenCalledWith(savedFilters[1]);
+      expect(screen.queryByText('My team')).not.toBeInTheDocument();
+    });
+
+    it('should delete a saved filter', async () => {
+      const user = userEvent.setup();
+      const onDelete = vi.fn();
+      render(<SavedFiltersMenu savedFilters={savedFilters} onDelete={onDelete} />);
+
+      await user.click(screen.getByRole('button', { name: 'Saved filters' }));
+      await user.click(screen.getByLabelText('Delete saved filter: Open incidents'));
+
+      expect(onDelete).toHaveBeenCalledWith(savedFilters[0]);
+    });
+
+    it('should hide delete buttons without onDelete', async () => {
+      const user = userEvent.setup();
+      render(<SavedFiltersMenu savedFilters={savedFilters} />);
+
+      await user.click(screen.getByRole('button', { name: 'Saved filters' }));
+
+      expect(screen.queryByLabelText(/Delete saved filter/)).not.toBeInTheDocument();
+    });
+
+    it('should show an empty state', async () => {
+      const user = userEvent.setup();
+      render(<SavedFiltersMenu savedFilters={[]} i18nStrings={{ savedFiltersEmptyText: 'Nothing saved' }} />);
+
+      await user.click(screen.getByRole('button', { name: 'Saved filters' }));
+
+      expect(screen.getByText('Nothing saved')).toBeInTheDocument();
+    });
+  });
+
+  describe('SaveFilterButton', () => {
+    it('should save under the entered name', async () => {
+      const user = userEvent.setup();
+      const onSave = vi.fn();
+      render(<SaveFilterButton onSave={onSave} />);
+
+      await user.click(screen.getByRole('button', { name: 'Save current filter' }));
+      await user.type(screen.getByLabelText('Filter name'), '  Morning check {Enter}');
+
+      expect(onSave).toHaveBeenCalledWith('Morning check');
+      expect(screen.queryByLabelText('Filter name')).not.toBeInTheDocument();
+    });
+
+    it('should not save without a name', async () => {
+      const user = userEvent.setup();
+      const onSave = vi.fn();
+      render(<SaveFilterButton onSave={onSave} />);
+
+      await user.click(screen.getByRole('button', { name: 'Save current filter' }));
+
+      expect(screen.getByRole('button', { name: 'Save' })).toBeDisabled();
+      await user.type(screen.getByLabelText('Filter name'), '   {Enter}');
+      expect(onSave).not.toHaveBeenCalled();
+    });
+
+    it('should cancel and clear the name', async () => {
+      const user = userEvent.setup();
+      render(<SaveFilterButton onSave={vi.fn()} />);
+
+      await user.click(screen.getByRole('button', { name: 'Save current filter' }));
+      await user.type(screen.getByLabelText('Filter name'), 'Draft');
+      await user.click(screen.getByRole('button', { name: 'Cancel' }));
+      await user.click(screen.getByRole('button', { name: 'Save current filter' }));
+
+      expect(screen.getByLabelText('Filter name')).toHaveValue('');
+    });
+  });
+});
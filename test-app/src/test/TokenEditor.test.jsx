@@ -0,0 +1,198 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import TokenEditor from '../components/TokenEditor';
+
+describe('TokenEditor', () => {
+  const statusProperty = {
+    key: 'status',
+    propertyLabel: 'Status',
+    operators: ['=', '!='],
+    defaultOperator: '=',
+  };
+  const nameProperty = {
+    key: 'name',
+    propertyLabel: 'Name',
+    operators: ['=', ':', '^'],
+    defaultOperator: ':',
+  };
+  const ipProperty = {
+    key: 'ip',
+    propertyLabel: 'IP Address',
+    operators: ['='],
+    defaultOperator: '=',
+    validationType: 'ip',
+  };
+  const hiddenProperty = {
+    key: 'types-and-codes',
+    propertyLabel: 'Types & Codes',
+    operators: ['='],
+    defaultOperator: '=',
+    hidden: true,
+  };
+
+  const defaultProps = {
+    token: { propertyKey: 'status', propertyLabel: 'Status', operator: '=', value: 'active', rawValue: 'active' },
+    filteringProperties: [statusProperty, nameProperty, ipProperty, hiddenProperty],
+    filteringOptions: [
+      { property: statusProperty, value: 'active', label: 'Active' },
+      { property: statusProperty, value: 'inactive', label: 'Inactive' },
+    ],
+    onSubmit: vi.fn(),
+    onCancel: vi.fn(),
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('rendering', () => {
+    it('should prefill the token property, operator and value', () => {
+      render(<TokenEditor {...defaultProps} />);
+
+      expect(screen.getByLabelText('Property')).toHaveValue('status');
+      expect(screen.getByLabelText('Operator')).toHaveValue('=');
+      expect(screen.getByLabelText('Value')).toHaveValue('active');
+    });
+
+    it('should limit operators to those allowed for the property', () => {
+      render(<TokenEditor {...defaultProps} />);
+
+      const options = Array.from(screen.getByLabelText('Operator').querySelectorAll('option'));
+      expect(options.map(o => o.value)).toEqual(['=', '!=']);
+    });
+
+    it('should not offer hidden properties', () => {
+      render(<TokenEditor {...defaultProps} />);
+
+      expect(screen.queryByRole('option', { name: 'Types & Codes' })).not.toBeInTheDocument();
+    });
+
+    it('should offer free text when not disabled', () => {
+      render(<TokenEditor {...defaultProps} />);
+
+      expect(screen.getByRole('option', { name: 'All properties' })).toBeInTheDocument();
+    });
+
+    it('should not offer free text when disabled', () => {
+      render(<TokenEditor {...defaultProps} freeTextFiltering={{ disabled: true, operators: [':', '!:'] }} />);
+
+      expect(screen.queryByRole('option', { name: 'All properties' })).not.toBeInTheDocument();
+    });
+  });
+
+  describe('editing', () => {
+    it('should switch to the default operator when the property does not allow the current one', async () => {
+      const user = userEvent.setup();
+      render(<TokenEditor {...defaultProps} token={{ ...defaultProps.token, operator: '!=' }} />);
+
+      await user.selectOptions(screen.getByLabelText('Property'), 'name');
+
+      expect(screen.getByLabelText('Operator')).toHaveValue(':');
+    });
+
+    it('should keep the operator when the new property allows it', async () => {
+      const user = userEvent.setup();
+      render(<TokenEditor {...defaultProps} />);
+
+      await user.selectOptions(screen.getByLabelText('Property'), 'name');
+
+      expect(screen.getByLabelText('Operator')).toHaveValue('=');
+    });
+
+    it('should fill the value from a suggestion', async () => {
+      const user = userEvent.setup();
+      render(<TokenEditor {...defaultProps} />);
+
+      const valueInput = screen.getByLabelText('Value');
+      await user.clear(valueInput);
+      await user.type(valueInput, 'Inac');
+      await user.click(screen.getByText('Inactive'));
+
+      expect(valueInput).toHaveValue('inactive');
+    });
+  });
+
+  describe('submitting', () => {
+    it('should submit the edited token', async () => {
+      const user = userEvent.setup();
+      const onSubmit = vi.fn();
+      render(<TokenEditor {...defaultProps} onSubmit={onSubmit} />);
+
+      await user.selectOptions(screen.getByLabelText('Operator'), '!=');
+      await user.click(screen.getByText('Apply'));
+
+      expect(onSubmit).toHaveBeenCalledWith({
+        property: statusProperty,
+        propertyKey: 'status',
+        operator: '!=',
+        value: 'active',
+      });
+    });
+
+    it('should submit a free text token', async () => {
+      const user = userEvent.setup();
+      const onSubmit = vi.fn();
+      render(<TokenEditor {...defaultProps} onSubmit={onSubmit} />);
+
+      await user.selectOptions(screen.getByLabelText('Property'), '');
+      await user.click(screen.getByText('Apply'));
+
+      expect(onSubmit).toHaveBeenCalledWith({
+        property: null,
+        propertyKey: undefined,
+        operator: ':',
+        value: 'active',
+      });
+    });
+
+    it('should show a validation error and not submit invalid values', async () => {
+      const user = userEvent.setup();
+      const onSubmit = vi.fn();
+      const token = { propertyKey: 'ip', propertyLabel: 'IP Address', operator: '=', rawValue: '10.0.0.1/32' };
+      render(<TokenEditor {...defaultProps} token={token} onSubmit={onSubmit} />);
+
+      const valueInput = screen.getByLabelText('Value');
+      await user.clear(valueInput);
+      await user.type(valueInput, '999.1.1.1');
+      await user.click(screen.getByText('Apply'));
+
+      expect(onSubmit).not.toHaveBeenCalled();
+      expect(screen.getByText(/Each octet must be between 0 and 255/)).toBeInTheDocument();
+    });
+
+    it('should normalize values before submitting', async () => {
+      const user = userEvent.setup();
+      const onSubmit = vi.fn();
+      const token = { propertyKey: 'ip', propertyLabel: 'IP Address', operator: '=', rawValue: '10.0.0.1/32' };
+      render(<TokenEditor {...defaultProps} token={token} onSubmit={onSubmit} />);
+
+      const valueInput = screen.getByLabelText('Value');
+      await user.clear(valueInput);
+      await user.type(valueInput, '10.0.0.2');
+      await user.click(screen.getByText('Apply'));
+
+      expect(onSubmit.mock.calls[0][0].value).toBe('10.0.0.2/32');
+    });
+
+    it('should disable apply when the value is empty', async () => {
+      const user = userEvent.setup();
+      render(<TokenEditor {...defaultProps} />);
+
+      await user.clear(screen.getByLabelText('Value'));
+
+      expect(screen.getByText('Apply')).toBeDisabled();
+    });
+
+    it('should call onCancel', async () => {
+      const user = userEvent.setup();
+      const onCancel = vi.fn();
+      render(<TokenEditor {...defaultProps} onCancel={onCancel} />);
+
+      await user.click(screen.getByText('Cancel'));
+
+      expect(onCancel).toHaveBeenCalled();
+    });
+  });
+});
@@ -89,3 +89,19 @@ export const MenuItem = ({ children, onClick, className }) => (
 export const Card = ({ children, className, ...props }) => (
   <div className={`card ${className || ''}`} {...props}>{children}</div>
 );
+
+// Popover: PopoverHandler toggles via the controlled `handler`, content only renders when open
+export const PopoverHandler = ({ children, onToggle }) =>
+  React.cloneElement(children, { onClick: onToggle });
+export const PopoverContent = ({ children, className }) => (
+  <div className={className} role="dialog">{children}</div>
+);
+export const Popover = ({ open, handler, children }) => (
+  <div className="popover">
+    {React.Children.map(children, child =>
+      child?.type === PopoverHandler
+        ? React.cloneElement(child, { onToggle: () => handler?.(!open) })
+        : open ? child : null
+    )}
+  </div>
+);
@@ -0,0 +1,146 @@
+import { describe, it, expect, vi } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { createLruCache, useAsyncFilteringOptions } from '../components/asyncOptions';
+
+describe('asyncOptions', () => {
+  describe('createLruCache', () => {
+    it('should evict the least recently used entry', () => {
+      const cache = createLruCache(2);
+      cache.set('a', 1);
+      cache.set('b', 2);
+      expect(cache.get('a')).toBe(1);
+
+      cache.set('c', 3);
+
+      expect(cache.has('b')).toBe(false);
+      expect(cache.get('a')).toBe(1);
+      expect(cache.get('c')).toBe(3);
+      expect(cache.size).toBe(2);
+    });
+
+    it('should replace existing entries', () => {
+      const cache = createLruCache(2);
+      cache.set('a', 1);
+      cache.set('a', 2);
+      expect(cache.get('a')).toBe(2);
+      expect(cache.size).toBe(1);
+    });
+
+    it('should list values from least to most recent', () => {
+      const cache = createLruCache(2);
+      cache.set('a', 1);
+      cache.set('b', 2);
+      cache.get('a');
+      expect(cache.values()).toEqual([2, 1]);
+
+      cache.set('c', 3);
+      expect(cache.values()).toEqual([1, 3]);
+    });
+  });
+
+  describe('useAsyncFilteringOptions', () => {
+    const status = { key: 'status', propertyLabel: 'Status' };
+    const firstPage = (filteringValue, filteringProperty = status) => ({
+      filteringText: `Status = ${filteringValue}`,
+      filteringValue,
+      filteringProperty,
+      filteringOperator: '=',
+      firstPage: true,
+      samePage: false,
+    });
+    const nextPage = { filteringText: '', firstPage: false, samePage: false };
+    const retry = { filteringText: '', firstPage: false, samePage: true };
+    const option = value => ({ propertyKey: 'status', value });
+
+    // A fetchOptions whose requests are resolved or rejected by the test
+    function createDeferredFetch() {
+      const requests = [];
+      const fetchOptions = vi.fn(params => new Promise((resolve, reject) => {
+        requests.push({ params, resolve, reject });
+      }));
+      return { fetchOptions, requests };
+    }
+
+    it('should load pages and report the status', async () => {
+      const { fetchOptions, requests } = createDeferredFetch();
+      const { result } = renderHook(() => useAsyncFilteringOptions({ fetchOptions }));
+
+      act(() => result.current.onLoadItems(firstPage('a')));
+      expect(result.current.filteringStatusType).toBe('loading');
+      expect(requests[0].params).toMatchObject({ filteringValue: 'a', filteringProperty: status, page: 1 });
+
+      await act(async () => requests[0].resolve({ options: [option('a1')], hasMore: true }));
+      expect(result.current.filteringOptions).toEqual([option('a1')]);
+      expect(result.current.filteringStatusType).toBe('pending');
+
+      act(() => result.current.onLoadItems(nextPage));
+      expect(requests[1].params).toMatchObject({ filteringValue: 'a', page: 2 });
+      expect(result.current.filteringOptions).toEqual([option('a1')]);
+
+      await act(async () => requests[1].resolve([option('a2')]));
+      expect(result.current.filteringOptions).toEqual([option('a1'), option('a2')]);
+      expect(result.current.filteringStatusType).toBe('finished');
+
+      act(() => result.current.onLoadItems(nextPage));
+      expect(fetchOptions).toHaveBeenCalledTimes(2);
+    });
+
+    it('should abort a request when newer text is loaded', async () => {
+      const { fetchOptions, requests } = createDeferredFetch();
+      const { result } = renderHook(() => useAsyncFilteringOptions({ fetchOptions }));
+
+      act(() => result.current.onLoadItems(firstPage('a')));
+      act(() => result.current.onLoadItems(firstPage('ab')));
+      expect(requests[0].params.signal.aborted).toBe(true);
+      expect(requests[1].params.signal.aborted).toBe(false);
+
+      await act(async () => requests[0].resolve([option('stale')]));
+      await act(async () => requests[1].resolve([option('ab1')]));
+
+      expect(result.current.filteringOptions).toEqual([option('ab1')]);
+    });
+
+    it('should serve earlier text from the cache', async () => {
+      const { fetchOptions, requests } = createDeferredFetch();
+      const { result } = renderHook(() => useAsyncFilteringOptions({ fetchOptions }));
+
+      act(() => result.current.onLoadItems(firstPage('a')));
+      await act(async () => requests[0].resolve([option('a1')]));
+      act(() => result.current.onLoadItems(firstPage('b')));
+      await act(async () => requests[1].resolve([option('b1')]));
+
+      act(() => result.current.onLoadItems(firstPage('a')));
+
+      expect(fetchOptions).toHaveBeenCalledTimes(2);
+      expect(result.current.filteringOptions).toEqual([option('a1')]);
+      expect(result.current.filteringStatusType).toBe('finished');
+    });
+
+    it('should key the cache by property as well as text', async () => {
+      const { fetchOptions, requests } = createDeferredFetch();
+      const { result } = renderHook(() => useAsyncFilteringOptions({ fetchOptions }));
+
+      act(() => result.current.onLoadItems(firstPage('a')));
+      await act(async () => requests[0].resolve([option('a1')]));
+      act(() => result.current.onLoadItems(firstPage('a', { key: 'role', propertyLabel: 'Role' })));
+
+      expect(fetchOptions).toHaveBeenCalledTimes(2);
+    });
+
+    it('should report errors and retry the failed page', async () => {
+      const { fetchOptions, requests } = createDeferredFetch();
+      const { result } = renderHook(() => useAsyncFilteringOptions({ fetchOptions }));
+
+      act(() => result.current.onLoadItems(firstPage('a')));
+      await act(async () => requests[0].reject(new Error('Network error')));
+      expect(result.current.filteringStatusType).toBe('error');
+
+      act(() => result.current.onLoadItems(retry));
+      expect(requests[1].params).toMatchObject({ filteringValue: 'a', page: 1 });
+
+      await act(async () => requests[1].resolve([option('a1')]));
+      expect(result.current.filteringOptions).toEqual([option('a1')]);
+      expect(result.current.filteringStatusType).toBe('finished');
+    });
+  });
+});
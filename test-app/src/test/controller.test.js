@@ -1,10 +1,21 @@
 import { describe, it, expect, vi } from 'vitest';
 import {
   getQueryActions,
+  createQueryHistory,
+  createFilterUsage,
   parseText,
   getAutosuggestOptions,
   formatToken,
+  validateToken,
+  resolveToken,
+  getPropertyLoadRequest,
+  loadPropertyOptions,
+  mergeFilteringOptions,
+  getTokenValues,
+  filterOptionGroups,
+  applyValueCounts,
 } from '../components/controller';
+import { registerOperator } from '../components/utils';
 
 describe('controller', () => {
   describe('parseText', () => {
@@ -82,6 +93,32 @@ describe('controller', () => {
       expect(result.step).toBe('free-text');
       expect(result.value).toBe('Unknown = value');
     });
+
+    it('should read quoted text as free text', () => {
+      expect(parseText('"Status = active"', filteringProperties, freeTextFiltering)).toEqual({
+        step: 'free-text',
+        value: 'Status = active',
+      });
+      expect(parseText('!: "Name = x"', filteringProperties, freeTextFiltering)).toEqual({
+        step: 'free-text',
+        operator: '!:',
+        value: 'Name = x',
+      });
+    });
+
+    it('should read escaped operator characters as free text', () => {
+      expect(parseText('\\: not an operator', filteringProperties, freeTextFiltering)).toEqual({
+        step: 'free-text',
+        value: ': not an operator',
+      });
+    });
+
+    it('should unquote property values', () => {
+      expect(parseText('Name = "a = b"', filteringProperties, freeTextFiltering).value).toBe('a = b');
+      expect(parseText('Name != say \\"hi\\"', filteringProperties, freeTextFiltering).value).toBe('say "hi"');
+      // Still typing the quoted value
+      expect(parseText('Name = "on ho', filteringProperties, freeTextFiltering).value).toBe('on ho');
+    });
   });
 
   describe('getQueryActions', () => {
@@ -153,6 +190,154 @@ describe('controller', () => {
     });
   });
 
+  describe('getQueryActions - nested groups', () => {
+    const groupedQuery = {
+      tokens: [
+        { propertyKey: 'status', operator: '=', value: 'active' },
+        {
+          operation: 'or',
+          tokens: [
+            { propertyKey: 'role', operator: '=', value: 'admin' },
+            { propertyKey: 'role', operator: '=', value: 'manager' },
+          ],
+        },
+      ],
+      operation: 'and',
+    };
+
+    it('should keep groups instead of flattening them', () => {
+      const onChange = vi.fn();
+      const { addToken } = getQueryActions({ query: groupedQuery, onChange, filteringOptions: [] });
+
+      addToken({ propertyKey: 'name', operator: ':', value: 'jo' });
+
+      expect(onChange.mock.calls[0][0].filter.and).toEqual([
+        { field: 'status', op: 'equals', value: 'active' },
+        {
+          or: [
+            { field: 'role', op: 'equals', value: 'admin' },
+            { field: 'role', op: 'equals', value: 'manager' },
+          ],
+        },
+        { field: 'name', op: 'contains', value: 'jo' },
+      ]);
+    });
+
+    it('should add a token inside a group', () => {
+      const onChange = vi.fn();
+      const { addToken } = getQueryActions({ query: groupedQuery, onChange, filteringOptions: [] });
+
+      addToken({ propertyKey: 'role', operator: '=', value: 'user' }, [1]);
+
+      expect(onChange.mock.calls[0][0].filter.and[1].or).toHaveLength(3);
+      expect(onChange.mock.calls[0][0].filter.and[1].or[2].value).toBe('user');
+    });
+
+    it('should add a new group', () => {
+      const onChange = vi.fn();
+      const query = { tokens: [], operation: 'and' };
+      const { addGroup } = getQueryActions({ query, onChange, filteringOptions: [] });
+
+      addGroup([{ propertyKey: 'role', operator: '=', value: 'admin' }], 'or');
+
+      expect(onChange).toHaveBeenCalledWith({
+        filter: {
+          and: [{ or: [{ field: 'role', op: 'equals', value: 'admin' }] }],
+          or: [],
+        },
+      });
+    });
+
+    it('should remove a token inside a group by path', () => {
+      const onChange = vi.fn();
+      const { removeToken } = getQueryActions({ query: groupedQuery, onChange, filteringOptions: [] });
+
+      removeToken([1, 0]);
+
+      expect(onChange.mock.calls[0][0].filter.and[1]).toEqual({
+        or: [{ field: 'role', op: 'equals', value: 'manager' }],
+      });
+    });
+
+    it('should remove a group once its last token is removed', () => {
+      const onChange = vi.fn();
+      const query = {
+        tokens: [{ operation: 'or', tokens: [{ propertyKey: 'role', operator: '=', value: 'admin' }] }],
+        operation: 'and',
+      };
+      const { removeToken } = getQueryActions({ query, onChange, filteringOptions: [] });
+
+      removeToken([0, 0]);
+
+      expect(onChange).toHaveBeenCalledWith({ filter: { and: [], or: [] } });
+    });
+
+    it('should move a token into a group', () => {
+      const onChange = vi.fn();
+      const { moveToken } = getQueryActions({ query: groupedQuery, onChange, filteringOptions: [] });
+
+      moveToken(0, [1], 0);
+
+      expect(onChange.mock.calls[0][0].filter.and).toEqual([
+        {
+          or: [
+            { field: 'status', op: 'equals', value: 'active' },
+            { field: 'role', op: 'equals', value: 'admin' },
+            { field: 'role', op: 'equals', value: 'manager' },
+          ],
+        },
+      ]);
+    });
+
+    it('should move a token out of a group', () => {
+      const onChange = vi.fn();
+      const { moveToken } = getQueryActions({ query: groupedQuery, onChange, filteringOptions: [] });
+
+      moveToken([1, 1], []);
+
+      const { and } = onChange.mock.calls[0][0].filter;
+      expect(and).toHaveLength(3);
+      expect(and[1].or).toHaveLength(1);
+      expect(and[2]).toEqual({ field: 'role', op: 'equals', value: 'manager' });
+    });
+
+    it('should not move a group into itself', () => {
+      const onChange = vi.fn();
+      const nestedQuery = {
+        ...groupedQuery,
+        tokens: [...groupedQuery.tokens, { operation: 'and', tokens: [groupedQuery.tokens[1]] }],
+      };
+      const { moveToken } = getQueryActions({ query: nestedQuery, onChange, filteringOptions: [] });
+
+      moveToken(1, [1]);
+      moveToken([2], [2, 0]);
+
+      expect(onChange).not.toHaveBeenCalled();
+    });
+
+    it('should not move a token to a path that is not a group', () => {
+      const onChange = vi.fn();
+      const { moveToken } = getQueryActions({ query: groupedQuery, onChange, filteringOptions: [] });
+
+      moveToken(1, [5]);
+      moveToken([1, 0], [0]);
+      moveToken(0, [1, 0]);
+
+      expect(onChange).not.toHaveBeenCalled();
+    });
+
+    it('should update the operation of a group', () => {
+      const onChange = vi.fn();
+      const { updateGroupOperation } = getQueryActions({ query: groupedQuery, onChange, filteringOptions: [] });
+
+      updateGroupOperation([1], 'and');
+
+      const group = onChange.mock.calls[0][0].filter.and[1];
+      expect(group.and).toHaveLength(2);
+      expect(group.or).toBeUndefined();
+    });
+  });
+
   describe('getAutosuggestOptions', () => {
     const filteringProperties = [
       {
@@ -205,6 +390,22 @@ describe('controller', () => {
       expect(operatorGroup).toBeDefined();
       expect(operatorGroup.options.length).toBeGreaterThan(0);
     });
+
+    it('should pass icon, tags and description on to value suggestions', () => {
+      const icon = { type: 'dot' };
+      const options = [{ ...filteringOptions[0], icon, tags: ['default'], description: 'In use' }];
+      const expected = { icon, tags: ['default'], description: 'In use' };
+
+      const propertyStep = getAutosuggestOptions(
+        { step: 'property', property: filteringProperties[0], operator: '=', value: '' },
+        filteringProperties,
+        options
+      );
+      expect(propertyStep.options[0].options[0]).toMatchObject(expected);
+
+      const freeTextStep = getAutosuggestOptions({ step: 'free-text', value: 'act' }, filteringProperties, options);
+      expect(freeTextStep.options.find(g => g.label === 'Values').options[0]).toMatchObject(expected);
+    });
   });
 
   describe('formatToken', () => {
@@ -212,6 +413,14 @@ describe('controller', () => {
       { key: 'status', propertyLabel: 'Status' },
     ];
 
+    it('should attach the filtering option of the value', () => {
+      const option = { propertyKey: 'status', value: 'active', icon: 'dot' };
+      const token = { propertyKey: 'status', operator: '=', value: 'active' };
+
+      expect(formatToken(token, filteringProperties, [option]).option).toBe(option);
+      expect(formatToken({ ...token, value: 'x' }, filteringProperties, [option]).option).toBeUndefined();
+    });
+
     it('should format token with property', () => {
       const token = { propertyKey: 'status', operator: '=', value: 'active' };
       const result = formatToken(token, filteringProperties);
@@ -236,6 +445,207 @@ describe('controller', () => {
 
       expect(result.value).toBe('');
     });
+
+    it('should quote values so the chip text reads back as the same token', () => {
+      const properties = [{ key: 'status', propertyLabel: 'Status', operators: ['=', '!='] }];
+      const freeText = { disabled: false, operators: [':', '!:'], defaultOperator: ':' };
+      const tokens = [
+        { propertyKey: 'status', operator: '=', value: 'say "hi", a\\b' },
+        { propertyKey: undefined, operator: ':', value: 'Status = active' },
+        { propertyKey: undefined, operator: ':', value: ': x' },
+        { propertyKey: undefined, operator: '!:', value: 'Status != x' },
+      ];
+      expect(tokens.map(token => formatToken(token, properties).value)).toEqual([
+        '"say \\"hi\\", a\\\\b"',
+        '"Status = active"',
+        '": x"',
+        'Status != x',
+      ]);
+      tokens.forEach(token => {
+        const { propertyLabel, operator, value } = formatToken(token, properties);
+        // Free text "contains" chips show only the value
+        const chipText = propertyLabel ? `${propertyLabel} ${operator} ${value}` : operator === ':' ? value : `${operator} ${value}`;
+        const parsed = parseText(chipText, properties, freeText);
+        expect(parsed.value).toBe(token.value);
+        expect(parsed.operator || ':').toBe(token.operator);
+      });
+    });
+
+    it('should not quote free text that reads back as free text', () => {
+      const token = { propertyKey: undefined, operator: ':', value: 'Status report' };
+      expect(formatToken(token, filteringProperties).value).toBe('Status report');
+    });
+
+    it('should format token groups recursively', () => {
+      const group = {
+        operation: 'or',
+        tokens: [{ propertyKey: 'status', operator: '=', value: 'active' }],
+      };
+      const result = formatToken(group, filteringProperties);
+
+      expect(result.operation).toBe('or');
+      expect(result.tokens[0].formattedText).toBe('Status = active');
+    });
+  });
+
+  describe('createQueryHistory', () => {
+    it('should step back and forward', () => {
+      const history = createQueryHistory();
+      history.record('a');
+      history.record('b');
+
+      expect(history.undo('c')).toBe('b');
+      expect(history.undo('b')).toBe('a');
+      expect(history.undo('a')).toBeNull();
+      expect(history.redo('a')).toBe('b');
+      expect(history.redo('b')).toBe('c');
+      expect(history.redo('c')).toBeNull();
+    });
+
+    it('should drop redo entries when a new change is recorded', () => {
+      const history = createQueryHistory();
+      history.record('a');
+      history.undo('b');
+      history.record('a');
+
+      expect(history.canRedo()).toBe(false);
+    });
+
+    it('should keep only the last entries', () => {
+      const history = createQueryHistory(2);
+      ['a', 'b', 'c'].forEach(query => history.record(query));
+
+      expect(history.undo('d')).toBe('c');
+      expect(history.undo('c')).toBe('b');
+      expect(history.canUndo()).toBe(false);
+    });
+  });
+
+  describe('getQueryActions - undo / redo', () => {
+    const toApi = (...values) => ({
+      filter: { and: values.map(value => ({ field: null, op: 'contains', value })), or: [] },
+    });
+    const toInternal = (...values) => ({
+      tokens: values.map(value => ({ property: null, operator: ':', value })),
+      operation: 'and',
+    });
+
+    it('should undo and redo recorded changes', () => {
+      const onChange = vi.fn();
+      const history = createQueryHistory();
+
+      getQueryActions({ query: toInternal('a', 'b'), onChange, filteringOptions: [], history }).removeAllTokens();
+      expect(onChange).toHaveBeenLastCalledWith(toApi());
+
+      const afterClear = getQueryActions({ query: toInternal(), onChange, filteringOptions: [], history });
+      expect(afterClear.undo()).toBe(true);
+      expect(onChange).toHaveBeenLastCalledWith(toApi('a', 'b'));
+
+      const afterUndo = getQueryActions({ query: toInternal('a', 'b'), onChange, filteringOptions: [], history });
+      expect(afterUndo.redo()).toBe(true);
+      expect(onChange).toHaveBeenLastCalledWith(toApi());
+    });
+
+    it('should not record changes that leave the query as it was', () => {
+      const history = createQueryHistory();
+      getQueryActions({ query: toInternal(), onChange: vi.fn(), filteringOptions: [], history }).removeAllTokens();
+
+      expect(history.canUndo()).toBe(false);
+    });
+
+    it('should do nothing without a history', () => {
+      const onChange = vi.fn();
+      const { undo, redo } = getQueryActions({ query: toInternal('a'), onChange, filteringOptions: [] });
+
+      expect(undo()).toBe(false);
+      expect(redo()).toBe(false);
+      expect(onChange).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createFilterUsage', () => {
+    const token = (value, propertyKey = 'status') => ({ propertyKey, operator: '=', value });
+
+    it('should keep used filters most recent first and count repeats', () => {
+      const usage = createFilterUsage();
+      usage.record([token('active')]);
+      usage.record([token('inactive'), token('active')]);
+
+      expect(usage.entries()).toEqual([
+        { ...token('active'), count: 2 },
+        { ...token('inactive'), count: 1 },
+      ]);
+    });
+
+    it('should keep only the last entries', () => {
+      const usage = createFilterUsage({ limit: 2 });
+      usage.record([token('a'), token('b'), token('c')]);
+
+      expect(usage.entries().map(entry => entry.value)).toEqual(['c', 'b']);
+    });
+
+    it('should load from and save to the storage adapter', () => {
+      const storage = { load: vi.fn(() => [{ ...token('active'), count: 3 }, null]), save: vi.fn() };
+      const usage = createFilterUsage({ storage });
+      usage.record([{ property: { key: 'name' }, operator: '>', value: '2026-10-12', expression: '-7d' }]);
+
+      expect(storage.save).toHaveBeenCalledWith([
+        { propertyKey: 'name', operator: '>', value: '-7d', count: 1 },
+        { ...token('active'), count: 3 },
+      ]);
+    });
+
+    it('should be fed by addToken and addTokens', () => {
+      const status = { key: 'status', propertyLabel: 'Status' };
+      const usage = createFilterUsage();
+      const actions = getQueryActions({
+        query: { tokens: [], operation: 'and' },
+        onChange: vi.fn(),
+        filteringOptions: [{ property: status, value: 'active', label: 'Active' }],
+        usage,
+      });
+
+      actions.addToken({ property: status, operator: '=', value: 'Active' });
+      actions.addTokens([{ operation: 'or', tokens: [{ property: null, operator: ':', value: 'x' }] }]);
+
+      expect(usage.entries()).toEqual([
+        { propertyKey: undefined, operator: ':', value: 'x', count: 1 },
+        { propertyKey: 'status', operator: '=', value: 'active', count: 1 },
+      ]);
+    });
+  });
+
+  describe('getAutosuggestOptions - used filters', () => {
+    const properties = [
+      { key: 'status', propertyLabel: 'Status', operators: ['=', '!='] },
+      { key: 'name', propertyLabel: 'Name' },
+    ];
+    const options = [{ property: properties[0], value: 'active', label: 'Active' }];
+    const entries = [
+      { propertyKey: 'name', operator: ':', value: 'jo', count: 1 },
+      { propertyKey: 'removed', operator: '=', value: 'x', count: 9 },
+      ...['a', 'b', 'c', 'd', 'e'].map(value => ({ propertyKey: 'name', operator: '=', value, count: 1 })),
+      { propertyKey: 'status', operator: '=', value: 'active', count: 2 },
+      { propertyKey: undefined, operator: ':', value: 'timeout', count: 4 },
+    ];
+
+    it('should list recent and frequent filters first while the input is empty', () => {
+      const result = getAutosuggestOptions({ step: 'free-text', value: '' }, properties, options, {}, entries);
+      const [recent, frequent, propertyGroup] = result.options;
+
+      expect(recent.label).toBe('Recent filters');
+      expect(recent.options.map(option => option.label)).toEqual(['Name : jo', 'Name = a', 'Name = b', 'Name = c', 'Name = d']);
+      expect(frequent.label).toBe('Frequently used');
+      expect(frequent.options.map(option => option.label)).toEqual([': timeout', 'Status = active']);
+      expect(frequent.options[1].usageToken).toEqual({ propertyKey: 'status', operator: '=', value: 'active' });
+      expect(propertyGroup.label).toBe('Properties');
+    });
+
+    it('should not list used filters once something is typed', () => {
+      const result = getAutosuggestOptions({ step: 'free-text', value: 'jo' }, properties, options, {}, entries);
+
+      expect(result.options.map(group => group.label)).not.toContain('Recent filters');
+    });
   });
 
   describe('getQueryActions - addTokens', () => {
@@ -403,4 +813,622 @@ describe('controller', () => {
       expect(propertyGroup.options[0].label).toBe('Status');
     });
   });
+
+  describe('validateToken', () => {
+    const ipProperty = { key: 'ip', propertyLabel: 'IP', validationType: 'ip' };
+
+    it('should accept free text tokens as-is', () => {
+      const token = { property: null, operator: ':', value: 'anything' };
+      expect(validateToken(token)).toEqual({ valid: true, token });
+    });
+
+    it('should return the validation error', () => {
+      const result = validateToken({ property: ipProperty, operator: '=', value: 'not-an-ip' });
+      expect(result.valid).toBe(false);
+      expect(result.error).toMatch(/Invalid IP address format/);
+    });
+
+    it('should apply the normalized value', () => {
+      const result = validateToken({ property: ipProperty, propertyKey: 'ip', operator: '=', value: '10.0.0.1' });
+      expect(result.valid).toBe(true);
+      expect(result.token.value).toBe('10.0.0.1/32');
+    });
+  });
+
+  describe('resolveToken', () => {
+    const properties = [
+      { key: 'size', propertyLabel: 'Size', type: 'number' },
+      { key: 'role', propertyLabel: 'Role', operators: ['=', '!='], defaultOperator: '=' },
+    ];
+
+    it('should read filter text like the input does', () => {
+      const result = resolveToken('Size > 10', properties);
+      expect(result.valid).toBe(true);
+      expect(result.token).toMatchObject({ propertyKey: 'size', operator: '>', value: 10 });
+      expect(resolveToken('"Size > 10"', properties).token).toMatchObject({ property: null, operator: ':', value: 'Size > 10' });
+    });
+
+    it('should build tokens from objects with the default operator', () => {
+      expect(resolveToken({ propertyKey: 'role', value: 'admin' }, properties).token)
+        .toMatchObject({ propertyKey: 'role', operator: '=', value: 'admin' });
+      expect(resolveToken({ propertyKey: 'size', operator: 'between', value: { from: 1, to: 5 } }, properties).token.value)
+        .toEqual({ from: 1, to: 5 });
+      expect(resolveToken({ value: 'timeout' }, properties).token).toMatchObject({ property: null, operator: ':' });
+    });
+
+    it('should reject unknown properties, operators that are not allowed and missing values', () => {
+      expect(resolveToken({ propertyKey: 'team', value: 'x' }, properties))
+        .toEqual({ valid: false, error: 'Unknown property "team"' });
+      expect(resolveToken({ propertyKey: 'role', operator: '>', value: 'x' }, properties).error)
+        .toBe('Role: ">" isn\'t allowed');
+      expect(resolveToken({ propertyKey: 'role', value: '  ' }, properties).error).toBe('Enter a value');
+      expect(resolveToken('Size > lots', properties).error).toBe('Enter a number');
+      expect(resolveToken('timeout', properties, {
+        freeTextFiltering: { disabled: true, operators: [':'], defaultOperator: ':' },
+      }).error).toBe('Free text: ":" isn\'t allowed');
+    });
+  });
+
+  describe('typed properties', () => {
+    const ageProperty = { key: 'age', propertyLabel: 'Age', type: 'number' };
+    const activeProperty = { key: 'verified', propertyLabel: 'Verified', type: 'boolean' };
+    const statusProperty = { key: 'status', propertyLabel: 'Status', type: 'enum' };
+    const statusOptions = [{ property: statusProperty, value: 'active', label: 'Active' }];
+
+    it('should parse typed values in validateToken', () => {
+      const result = validateToken({ property: ageProperty, propertyKey: 'age', operator: '>', value: '30' });
+      expect(result).toEqual({
+        valid: true,
+        token: { property: ageProperty, propertyKey: 'age', operator: '>', value: 30 },
+      });
+    });
+
+    it('should reject values that do not match the type', () => {
+      const result = validateToken({ property: ageProperty, operator: '>', value: 'thirty' });
+      expect(result).toEqual({ valid: false, error: 'Enter a number' });
+    });
+
+    it('should check enum values against options', () => {
+      const result = validateToken({ property: statusProperty, operator: '=', value: 'gone' }, statusOptions);
+      expect(result.valid).toBe(false);
+    });
+
+    it('should emit typed values from query actions', () => {
+      const onChange = vi.fn();
+      const query = { tokens: [], operation: 'and' };
+      const { addTokens } = getQueryActions({ query, onChange, filteringOptions: [] });
+
+      addTokens([
+        { property: ageProperty, propertyKey: 'age', operator: '>=', value: '18' },
+        { property: activeProperty, propertyKey: 'verified', operator: '=', value: 'yes' },
+      ]);
+
+      expect(onChange).toHaveBeenCalledWith({
+        filter: {
+          and: [
+            { field: 'age', op: 'greater-than-or-equal', value: 18 },
+            { field: 'verified', op: 'equals', value: true },
+          ],
+          or: [],
+        },
+      });
+    });
+
+    it('should format enum tokens with option labels', () => {
+      const result = formatToken({ propertyKey: 'status', operator: '=', value: 'active' }, [statusProperty], statusOptions);
+      expect(result.formattedText).toBe('Status = Active');
+      expect(result.rawValue).toBe('active');
+    });
+
+    it('should suggest true and false for boolean properties', () => {
+      const parsedText = { step: 'property', property: activeProperty, operator: '=', value: '' };
+      const result = getAutosuggestOptions(parsedText, [activeProperty], []);
+      expect(result.options[0].options.map(o => o.label)).toEqual(['true', 'false']);
+    });
+  });
+
+  describe('date expressions', () => {
+    const createdProperty = { key: 'created', propertyLabel: 'Created', type: 'date' };
+
+    it('should keep the expression when validating relative dates', () => {
+      const result = validateToken({ property: createdProperty, propertyKey: 'created', operator: '=', value: 'last 7 days' });
+      expect(result.valid).toBe(true);
+      expect(result.token.expression).toBe('last 7 days');
+      expect(result.token.value).toEqual({ from: expect.any(String), to: expect.any(String) });
+    });
+
+    it('should not set an expression for absolute dates', () => {
+      const result = validateToken({ property: createdProperty, operator: '>', value: '2026-01-01' });
+      expect(result.token).not.toHaveProperty('expression');
+    });
+
+    it('should emit resolved values with the expression', () => {
+      const onChange = vi.fn();
+      const query = { tokens: [], operation: 'and' };
+      const { addToken } = getQueryActions({ query, onChange, filteringOptions: [] });
+
+      addToken({ property: createdProperty, propertyKey: 'created', operator: '>', value: '-7d' });
+
+      const [item] = onChange.mock.calls[0][0].filter.and;
+      expect(item).toMatchObject({ field: 'created', op: 'greater-than', expression: '-7d' });
+      expect(item.value).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+    });
+
+    it('should display the expression instead of the resolved value', () => {
+      const token = { propertyKey: 'created', operator: '>', value: '2026-10-12', expression: '-7d' };
+      const result = formatToken(token, [createdProperty]);
+      expect(result.formattedText).toBe('Created > -7d');
+      expect(result.rawValue).toBe('2026-10-12');
+    });
+
+    it('should suggest relative expressions for date properties', () => {
+      const parsedText = { step: 'property', property: createdProperty, operator: '>', value: '' };
+      const result = getAutosuggestOptions(parsedText, [createdProperty], []);
+      const labels = result.options[0].options.map(o => o.label);
+      expect(labels).toContain('last 7 days');
+      expect(labels).toContain('this month');
+      expect(result.options[0].options[0].value).toBe('Created > today');
+    });
+  });
+
+  describe('between operator', () => {
+    const sizeProperty = { key: 'size', propertyLabel: 'Size', type: 'number', operators: ['=', '>', '<', 'between'] };
+    const nameProperty = { key: 'name', propertyLabel: 'Name', operators: ['=', ':'] };
+    const freeText = { disabled: false, operators: [':', '!:'] };
+
+    it('should parse "between" as a word operator', () => {
+      expect(parseText('Size between 10 and 20', [sizeProperty], freeText)).toEqual({
+        step: 'property',
+        property: sizeProperty,
+        operator: 'between',
+        value: '10 and 20',
+      });
+      expect(parseText('Size BETWEEN 1 and 2', [sizeProperty], freeText).value).toBe('1 and 2');
+    });
+
+    it('should read "= a..b" as between', () => {
+      const result = parseText('Size = 10..20', [sizeProperty], freeText);
+      expect(result.operator).toBe('between');
+      expect(result.value).toBe('10..20');
+    });
+
+    it('should keep "=" for properties without between', () => {
+      expect(parseText('Name = a..b', [nameProperty], freeText).operator).toBe('=');
+    });
+
+    it('should validate between values into ranges', () => {
+      const token = { property: sizeProperty, propertyKey: 'size', operator: 'between' };
+      expect(validateToken({ ...token, value: '10 and 20' }).token.value).toEqual({ from: 10, to: 20 });
+      expect(validateToken({ ...token, value: '10..20' }).token.value).toEqual({ from: 10, to: 20 });
+      expect(validateToken({ ...token, value: '20 and 10' })).toEqual({
+        valid: false,
+        error: 'The start of the range must not be after its end',
+      });
+      expect(validateToken({ ...token, value: '10' })).toEqual({
+        valid: false,
+        error: 'Enter a range, e.g. 10 and 20',
+      });
+    });
+
+    it('should accept date periods as between values', () => {
+      const createdProperty = { key: 'created', propertyLabel: 'Created', type: 'date' };
+      const result = validateToken({ property: createdProperty, operator: 'between', value: 'last month' });
+      expect(result.valid).toBe(true);
+      expect(result.token.expression).toBe('last month');
+    });
+
+    it('should emit ranges from query actions', () => {
+      const onChange = vi.fn();
+      const { addToken } = getQueryActions({ query: { tokens: [], operation: 'and' }, onChange, filteringOptions: [] });
+
+      addToken({ property: sizeProperty, propertyKey: 'size', operator: 'between', value: '1 and 5' });
+
+      expect(onChange).toHaveBeenCalledWith({
+        filter: { and: [{ field: 'size', op: 'between', value: { from: 1, to: 5 } }], or: [] },
+      });
+    });
+
+    it('should format between tokens as one chip', () => {
+      const token = { propertyKey: 'size', operator: 'between', value: { from: 10, to: 20 } };
+      expect(formatToken(token, [sizeProperty]).formattedText).toBe('Size between 10 and 20');
+    });
+  });
+
+  describe('multi-value operators', () => {
+    const statusProperty = { key: 'status', propertyLabel: 'Status', type: 'enum' };
+    const ageProperty = { key: 'age', propertyLabel: 'Age', operators: ['in'], type: 'number' };
+    const freeText = { disabled: false, operators: [':', '!:'] };
+    const options = ['active', 'pending', 'closed', 'archived'].map(value => ({
+      property: statusProperty,
+      value,
+      label: value[0].toUpperCase() + value.slice(1),
+    }));
+
+    it('should parse "in" and "not in" as word operators', () => {
+      expect(parseText('Status in active, pending', [statusProperty], freeText)).toMatchObject({
+        step: 'property',
+        operator: 'in',
+        value: 'active, pending',
+      });
+      expect(parseText('Status not in active', [statusProperty], freeText).operator).toBe('not in');
+    });
+
+    it('should validate each entry of the list', () => {
+      const token = { property: statusProperty, propertyKey: 'status', operator: 'in' };
+      expect(validateToken({ ...token, value: 'Active, pending,' }, options).token.value)
+        .toEqual(['active', 'pending']);
+      expect(validateToken({ ...token, value: ' , ' }, options)).toEqual({
+        valid: false,
+        error: 'Enter one or more values, separated by commas',
+      });
+      expect(validateToken({ property: ageProperty, operator: 'in', value: '1, x' })).toEqual({
+        valid: false,
+        error: 'Enter a number',
+      });
+    });
+
+    it('should offer checkbox options that toggle entries', () => {
+      const result = getAutosuggestOptions(
+        parseText('Status in active, ', [statusProperty], freeText),
+        [statusProperty],
+        options,
+        {}
+      );
+      const [group] = result.options;
+      expect(result.filterText).toBe('');
+      expect(group.options.map(option => option.checked)).toEqual([true, false, false, false]);
+      expect(group.options[0].value).toBe('Status in ');
+      expect(group.options[1].value).toBe('Status in active, pending, ');
+      expect(group.options[1].keepOpenOnSelect).toBe(true);
+    });
+
+    it('should filter by the entry being typed', () => {
+      const result = getAutosuggestOptions(
+        parseText('Status in active, pen', [statusProperty], freeText),
+        [statusProperty],
+        options,
+        {}
+      );
+      expect(result.filterText).toBe('pen');
+      expect(result.options[0].options[1].value).toBe('Status in active, pending, ');
+    });
+
+    it('should format long lists with a count of the remaining values', () => {
+      const token = { propertyKey: 'status', operator: 'in', value: ['active', 'pending', 'closed', 'archived'] };
+      expect(formatToken(token, [statusProperty], options).formattedText)
+        .toBe('Status is one of Active, Pending (+2)');
+      expect(formatToken({ ...token, operator: 'not in', value: ['closed'] }, [statusProperty], options).formattedText)
+        .toBe('Status is not one of Closed');
+    });
+
+    it('should emit lists from query actions', () => {
+      const onChange = vi.fn();
+      const { addToken } = getQueryActions({ query: { tokens: [], operation: 'and' }, onChange, filteringOptions: options });
+
+      addToken({ property: statusProperty, propertyKey: 'status', operator: 'not in', value: 'Closed, archived' });
+
+      expect(onChange).toHaveBeenCalledWith({
+        filter: { and: [{ field: 'status', op: 'not-in', value: ['closed', 'archived'] }], or: [] },
+      });
+    });
+  });
+
+  describe('custom operators', () => {
+    registerOperator({
+      symbol: '~=',
+      apiName: 'resembles',
+      description: 'Resembles',
+      label: 'resembles',
+      aliases: ['?'],
+      appliesToTypes: ['pattern'],
+      evaluate: (itemValue, filterValue) => String(itemValue).includes(filterValue),
+    });
+    const codeProperty = { key: 'code', propertyLabel: 'Code', type: 'pattern' };
+    const freeText = { disabled: false, operators: [':', '!:', '~='] };
+
+    it('should parse registered operators', () => {
+      expect(parseText('Code ~= ab', [codeProperty], freeText)).toMatchObject({ operator: '~=', value: 'ab' });
+    });
+
+    it('should expand registered aliases in free text', () => {
+      expect(parseText('? ab', [codeProperty], freeText)).toEqual({ step: 'free-text', operator: '~=', value: 'ab' });
+      expect(parseText('! ab', [codeProperty], freeText)).toEqual({ step: 'free-text', operator: '!:', value: 'ab' });
+    });
+
+    it('should describe registered operators in suggestions', () => {
+      const result = getAutosuggestOptions(parseText('Code ', [codeProperty], freeText), [codeProperty], [], {});
+      const operatorGroup = result.options[result.options.length - 1];
+      expect(operatorGroup.options.map(option => option.description)).toContain('Resembles');
+    });
+
+    it('should use registered chip labels', () => {
+      const token = { propertyKey: 'code', operator: '~=', value: 'ab' };
+      expect(formatToken(token, [codeProperty]).formattedText).toBe('Code resembles ab');
+    });
+  });
+
+  describe('pattern operators', () => {
+    const hostProperty = { key: 'host', propertyLabel: 'Host', type: 'number', operators: ['=', '~', '!~', 'like'] };
+    const freeText = { disabled: false, operators: [':', '!:'] };
+
+    it('should parse ~, !~ and like', () => {
+      expect(parseText('Host ~ ^api', [hostProperty], freeText).operator).toBe('~');
+      expect(parseText('Host !~ ^api', [hostProperty], freeText).operator).toBe('!~');
+      expect(parseText('Host like web-*', [hostProperty], freeText).operator).toBe('like');
+      expect(parseText('Host likely', [hostProperty], freeText).step).toBe('free-text');
+    });
+
+    it('should keep patterns as typed instead of parsing them by type', () => {
+      const result = validateToken({ property: hostProperty, operator: 'like', value: 'web-*' });
+      expect(result).toEqual({ valid: true, token: { property: hostProperty, operator: 'like', value: 'web-*' } });
+    });
+
+    it('should reject unsafe regular expressions', () => {
+      expect(validateToken({ property: hostProperty, operator: '~', value: '(a*)*b' }).valid).toBe(false);
+      expect(validateToken({ operator: '~', value: '[' }).error).toMatch(/^Invalid regular expression/);
+    });
+
+    it('should emit patterns unchanged', () => {
+      const onChange = vi.fn();
+      const { addToken } = getQueryActions({ query: { tokens: [], operation: 'and' }, onChange, filteringOptions: [] });
+
+      addToken({ property: hostProperty, propertyKey: 'host', operator: '!~', value: '^API-\\D' });
+
+      expect(onChange).toHaveBeenCalledWith({
+        filter: { and: [{ field: 'host', op: 'does-not-match', value: '^API-\\D' }], or: [] },
+      });
+    });
+  });
+
+  describe('valueless operators', () => {
+    const ownerProperty = {
+      key: 'owner',
+      propertyLabel: 'Owner',
+      operators: ['=', 'exists', 'not exists', 'is empty', 'is not empty'],
+    };
+    const freeText = { disabled: false, operators: [':', '!:'] };
+
+    it('should parse valueless operators after a property', () => {
+      expect(parseText('Owner exists', [ownerProperty], freeText)).toEqual({
+        step: 'property',
+        property: ownerProperty,
+        operator: 'exists',
+        value: '',
+      });
+      expect(parseText('Owner is not empty', [ownerProperty], freeText).operator).toBe('is not empty');
+    });
+
+    it('should complete the filter from the operator step', () => {
+      const result = getAutosuggestOptions(parseText('Owner ', [ownerProperty], freeText), [ownerProperty], [], {});
+      const operatorOptions = result.options[result.options.length - 1].options;
+      expect(operatorOptions.find(option => option.label === 'Owner exists')).toMatchObject({
+        value: 'Owner exists',
+        keepOpenOnSelect: false,
+      });
+      expect(operatorOptions.find(option => option.label === 'Owner =')).toMatchObject({
+        value: 'Owner = ',
+        keepOpenOnSelect: true,
+      });
+    });
+
+    it('should skip the value step', () => {
+      const result = getAutosuggestOptions(parseText('Owner is empty', [ownerProperty], freeText), [ownerProperty], [], {});
+      expect(result.options).toEqual([
+        { label: 'Operators', options: [expect.objectContaining({ value: 'Owner is empty' })] },
+      ]);
+    });
+
+    it('should validate to a null value', () => {
+      expect(validateToken({ property: ownerProperty, operator: 'exists', value: '' })).toEqual({
+        valid: true,
+        token: { property: ownerProperty, operator: 'exists', value: null },
+      });
+    });
+
+    it('should format without a value', () => {
+      const token = { propertyKey: 'owner', operator: 'is empty', value: null };
+      expect(formatToken(token, [ownerProperty]).formattedText).toBe('Owner is empty');
+    });
+  });
+
+  describe('property option providers', () => {
+    const owner = { key: 'owner', propertyLabel: 'Owner', operators: ['=', 'in'], loadOptions: vi.fn() };
+
+    it('should ask the typed property to load the value being typed', () => {
+      expect(getPropertyLoadRequest({ step: 'property', property: owner, operator: '=', value: 'ali' }))
+        .toEqual({ property: owner, filterText: 'ali' });
+      expect(getPropertyLoadRequest({ step: 'property', property: owner, operator: 'in', value: 'u1, bo' }))
+        .toEqual({ property: owner, filterText: 'bo' });
+      expect(getPropertyLoadRequest({ step: 'property', property: owner, operator: 'in', value: 'u1, ' }))
+        .toEqual({ property: owner, filterText: '' });
+    });
+
+    it('should not load for other steps or properties without loadOptions', () => {
+      expect(getPropertyLoadRequest({ step: 'operator', property: owner, operatorPrefix: '' })).toBe(null);
+      expect(getPropertyLoadRequest({ step: 'free-text', value: 'ali' })).toBe(null);
+      expect(getPropertyLoadRequest({ step: 'property', property: { key: 'status' }, operator: '=', value: 'a' }))
+        .toBe(null);
+    });
+
+    it('should normalise loaded values to filtering options', async () => {
+      const signal = new AbortController().signal;
+      const property = {
+        key: 'owner',
+        loadOptions: vi.fn(async () => ['u1', { value: 'u2', label: 'Bob Stone' }]),
+      };
+
+      const options = await loadPropertyOptions(property, 'b', { signal });
+
+      expect(property.loadOptions).toHaveBeenCalledWith('b', { signal });
+      expect(options).toEqual([
+        { propertyKey: 'owner', value: 'u1' },
+        { propertyKey: 'owner', value: 'u2', label: 'Bob Stone' },
+      ]);
+    });
+
+    it('should merge options without duplicating values', () => {
+      const existing = [{ propertyKey: 'owner', value: 'u1', label: 'Alice Brown' }];
+      const merged = mergeFilteringOptions(existing, [
+        { propertyKey: 'owner', value: 'u1', label: 'Alice' },
+        { propertyKey: 'owner', value: 'u2', label: 'Bob Stone' },
+        { propertyKey: 'team', value: 'u1' },
+      ]);
+
+      expect(merged.map(option => option.label ?? option.value)).toEqual(['Alice Brown', 'Bob Stone', 'u1']);
+      expect(mergeFilteringOptions(existing, [{ propertyKey: 'owner', value: 'u1' }])).toBe(existing);
+    });
+
+    it('should list the values tokens use', () => {
+      const tokens = [
+        { propertyKey: 'owner', operator: '=', value: 'u1' },
+        { propertyKey: undefined, operator: ':', value: 'draft' },
+        {
+          operation: 'or',
+          tokens: [
+            { propertyKey: 'owner', operator: 'in', value: ['u2', 'u3'] },
+            { propertyKey: 'size', operator: 'between', value: { from: 1, to: 5 } },
+            { propertyKey: 'owner', operator: 'exists', value: null },
+          ],
+        },
+      ];
+
+      expect(getTokenValues(tokens)).toEqual([
+        { propertyKey: 'owner', value: 'u1' },
+        { propertyKey: 'owner', value: 'u2' },
+        { propertyKey: 'owner', value: 'u3' },
+      ]);
+    });
+
+    it('should suggest merged options at the value step', () => {
+      const options = mergeFilteringOptions([], [{ propertyKey: 'owner', value: 'u1', label: 'Alice Brown' }])
+        .map(option => ({ ...option, property: owner }));
+      const result = getAutosuggestOptions({ step: 'property', property: owner, operator: '=', value: 'ali' }, [owner], options);
+
+      expect(result.options[0].options[0]).toMatchObject({ value: 'Owner = u1', label: 'Alice Brown' });
+    });
+  });
+
+  describe('filterOptionGroups', () => {
+    const groups = [
+      {
+        label: 'Properties',
+        options: [
+          { value: 'Manager', label: 'Manager' },
+          { value: 'Team Lead', label: 'Team Lead' },
+          { value: 'Engineering', label: 'Engineering' },
+          { value: 'Department', label: 'Department' },
+        ],
+      },
+      { label: 'Values', options: [{ value: 'Status = open', label: 'open' }] },
+    ];
+
+    it('should rank options within each group and drop empty groups', () => {
+      const result = filterOptionGroups(groups, 'eng');
+      expect(result).toHaveLength(1);
+      expect(result[0].options.map(option => option.label)).toEqual(['Engineering']);
+
+      const ranked = filterOptionGroups(groups, 'e');
+      expect(ranked[0].options.map(option => option.label)).toEqual(['Engineering', 'Team Lead', 'Department', 'Manager']);
+    });
+
+    it('should match abbreviations and attach the label match ranges', () => {
+      const [group] = filterOptionGroups(groups, 'dept');
+      expect(group.options).toEqual([{ value: 'Department', label: 'Department', matchRanges: [[0, 3], [5, 6]] }]);
+    });
+
+    it('should match values by substring only', () => {
+      expect(filterOptionGroups(groups, 'status = op')[0].options[0]).toMatchObject({ label: 'open', matchRanges: [] });
+      expect(filterOptionGroups(groups, 'stsop')).toEqual([]);
+    });
+
+    it('should return the groups as they are without filter text', () => {
+      expect(filterOptionGroups(groups, '')).toBe(groups);
+    });
+
+    it('should use the precomputed lowercase search text', () => {
+      const indexed = [{ options: [{ value: 'web-01', label: 'WEB-01', searchLabel: 'web-01', searchValue: 'web-01' }] }];
+      expect(filterOptionGroups(indexed, 'web')[0].options[0]).toMatchObject({ label: 'WEB-01', matchRanges: [[0, 3]] });
+    });
+  });
+
+  describe('applyValueCounts', () => {
+    const status = { key: 'status', propertyLabel: 'Status', operators: ['=', 'in'] };
+    const options = [
+      { property: status, value: 'active', label: 'Active', count: 3 },
+      { property: status, value: 'pending', label: 'Pending', count: 0 },
+      { property: status, value: 'closed', label: 'Closed', count: 12 },
+    ];
+    const suggest = (operator, value = '') =>
+      getAutosuggestOptions({ step: 'property', property: status, operator, value }, [status], options);
+    const labels = result => result.options[0].options.map(option => `${option.label} ${option.count}`);
+
+    it('should pass the options\' counts on to their suggestions', () => {
+      expect(labels(suggest('='))).toEqual(['Active 3', 'Pending 0', 'Closed 12']);
+      expect(suggest('=').options[0].options[0].rawValue).toBe('active');
+    });
+
+    it('should sort by count and hide values without matches', () => {
+      expect(labels(applyValueCounts(suggest('='), { sortByCount: true, hideZeroCounts: true })))
+        .toEqual(['Closed 12', 'Active 3']);
+    });
+
+    it('should use counts by value, counting missing values as 0', () => {
+      const result = applyValueCounts(suggest('='), { counts: { active: 7, pending: 2 }, hideZeroCounts: true });
+      expect(labels(result)).toEqual(['Active 7', 'Pending 2']);
+    });
+
+    it('should keep checked list values', () => {
+      const result = applyValueCounts(suggest('in', 'pending, '), { hideZeroCounts: true });
+      expect(result.options[0].options.map(option => option.label)).toEqual(['Active', 'Pending', 'Closed']);
+    });
+
+    it('should return the suggestions as they are without counts or options', () => {
+      const suggestions = suggest('=');
+      expect(applyValueCounts(suggestions)).toBe(suggestions);
+    });
+  });
+
+  describe('getAutosuggestOptions - large option sets', () => {
+    const host = { key: 'host', propertyLabel: 'Host', operators: ['=', '!='] };
+    const hostOptions = ['web-01', 'web-02', 'db-01'].map(value => ({ property: host, value, label: value }));
+
+    it('should reuse the suggestions while the value is typed', () => {
+      const first = getAutosuggestOptions({ step: 'property', property: host, operator: '=', value: 'w' }, [host], hostOptions);
+      const second = getAutosuggestOptions({ step: 'property', property: host, operator: '=', value: 'web' }, [host], hostOptions);
+
+      expect(second.options[0].options).toBe(first.options[0].options);
+      expect(second.filterText).toBe('web');
+    });
+
+    it('should build new suggestions for another operator or options array', () => {
+      const equals = getAutosuggestOptions({ step: 'property', property: host, operator: '=', value: '' }, [host], hostOptions);
+      const notEquals = getAutosuggestOptions({ step: 'property', property: host, operator: '!=', value: '' }, [host], hostOptions);
+      const newOptions = getAutosuggestOptions({ step: 'property', property: host, operator: '=', value: '' }, [host], [...hostOptions]);
+
+      expect(notEquals.options[0].options[0].value).toBe('Host != web-01');
+      expect(newOptions.options[0].options).not.toBe(equals.options[0].options);
+    });
+
+    it('should index suggestions for searching', () => {
+      const result = getAutosuggestOptions({ step: 'free-text', value: 'web' }, [host], hostOptions);
+      const values = result.options.find(group => group.label !== 'Properties').options;
+
+      expect(values[0]).toMatchObject({ value: 'Host = web-01', searchLabel: 'web-01', searchValue: 'host = web-01' });
+    });
+  });
+
+  describe('parseText - abbreviated properties', () => {
+    it('should read the rest of the text after an abbreviated label', () => {
+      const properties = [{ key: 'department', propertyLabel: 'Department', operators: ['=', '!='] }];
+      const config = { disabled: false, operators: [':', '!:'], defaultOperator: ':' };
+
+      expect(parseText('dept = Sales', properties, config)).toMatchObject({
+        step: 'property',
+        property: properties[0],
+        operator: '=',
+        value: 'Sales',
+      });
+      expect(parseText('dept ', properties, config)).toMatchObject({ step: 'operator', property: properties[0] });
+    });
+  });
 });
@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { deriveFilteringConfig } from '../components/deriveFilteringConfig';
+import { resolveToken } from '../components/controller';
+import { evaluateQuery, getAllowedOperators, getDefaultOperators } from '../components/utils';
+
+describe('deriveFilteringConfig', () => {
+  const users = [
+    { id: 1, name: 'John Doe', status: 'active', department: 'Engineering', age: 31, admin: true, createdAt: '2026-01-05' },
+    { id: 2, name: 'Jane Smith', status: 'active', department: 'Marketing', age: 28, admin: false, createdAt: '2026-02-10' },
+    { id: 3, name: 'Bob Johnson', status: 'inactive', department: 'Engineering', age: 45, admin: false, createdAt: '2026-03-15' },
+    { id: 4, name: 'Alice Brown', status: 'pending', age: 39, admin: false, createdAt: '2026-04-20' },
+  ];
+  const byKey = (config) => Object.fromEntries(config.filteringProperties.map(property => [property.key, property]));
+
+  it('should infer keys, labels and types', () => {
+    const properties = byKey(deriveFilteringConfig(users));
+
+    expect(Object.keys(properties)).toEqual(['id', 'name', 'status', 'department', 'age', 'admin', 'createdAt']);
+    expect(properties.id).toMatchObject({ propertyLabel: 'ID', type: 'number' });
+    expect(properties.createdAt).toMatchObject({ propertyLabel: 'Created at', groupValuesLabel: 'Created at values', type: 'date' });
+    expect(properties.admin).toMatchObject({ type: 'boolean' });
+    expect(properties.name.type).toBeUndefined();
+  });
+
+  it('should list fields with few, repeated values and search the others', () => {
+    const config = deriveFilteringConfig(users);
+    const properties = byKey(config);
+
+    expect(properties.status).toMatchObject({ operators: ['=', '!=', 'in', 'not in'], defaultOperator: '=' });
+    expect(properties.name).toMatchObject({ operators: ['=', '!=', ':', '!:', '^', '!^'], defaultOperator: ':' });
+    expect(config.filteringOptions.filter(option => option.propertyKey === 'status')).toEqual([
+      { propertyKey: 'status', value: 'active', label: 'active' },
+      { propertyKey: 'status', value: 'inactive', label: 'inactive' },
+      { propertyKey: 'status', value: 'pending', label: 'pending' },
+    ]);
+    expect(config.filteringOptions.some(option => option.propertyKey === 'name')).toBe(false);
+    expect(config.filteringOptions.some(option => option.propertyKey === 'admin')).toBe(false);
+  });
+
+  it('should add existence operators to fields some items lack', () => {
+    const properties = byKey(deriveFilteringConfig(users));
+
+    expect(properties.department.operators).toEqual(['=', '!=', 'in', 'not in', 'exists', 'not exists']);
+    expect(properties.age.operators).toBeUndefined();
+    expect(getAllowedOperators(properties.age)).toEqual(getAllowedOperators({ type: 'number' }));
+
+    const withMissingAge = byKey(deriveFilteringConfig([...users, { id: 5 }]));
+    expect(withMissingAge.age.operators).toEqual([...getDefaultOperators('number'), 'exists', 'not exists']);
+  });
+
+  it('should follow include, exclude and maxDistinctValues', () => {
+    const config = deriveFilteringConfig(users, { include: ['status', 'name', 'id'], exclude: ['id'], maxDistinctValues: 2 });
+
+    expect(config.filteringProperties.map(property => property.key)).toEqual(['status', 'name']);
+    expect(config.filteringOptions).toEqual([]);
+    expect(byKey(config).status.defaultOperator).toBe(':');
+  });
+
+  it('should read lists, timestamps and mixed values, and skip objects', () => {
+    const items = [
+      { tags: ['vip', 'beta'], seenAt: '2026-01-05T10:00:00Z', code: 7, meta: { a: 1 } },
+      { tags: ['beta'], seenAt: new Date('2026-01-06T10:00:00Z'), code: 'x7', meta: { a: 2 } },
+    ];
+    const config = deriveFilteringConfig(items);
+    const properties = byKey(config);
+
+    expect(Object.keys(properties)).toEqual(['tags', 'seenAt', 'code']);
+    expect(properties.seenAt.type).toBe('datetime');
+    expect(properties.code.type).toBeUndefined();
+    expect(config.filteringOptions.map(option => option.value)).toEqual(['beta', 'vip']);
+  });
+
+  it('should be usable to create tokens and filter the items', () => {
+    const { filteringProperties, filteringOptions } = deriveFilteringConfig(users, { exclude: ['id'] });
+    const resolved = resolveToken('Status in active, pending', filteringProperties, { filteringOptions });
+    expect(resolved.valid).toBe(true);
+
+    const query = {
+      filter: {
+        and: [
+          { field: 'status', op: 'in', value: ['active', 'pending'] },
+          { field: 'age', op: 'greater-than', value: 30 },
+        ],
+        or: [],
+      },
+    };
+    expect(evaluateQuery(users, query, filteringProperties).map(user => user.id)).toEqual([1, 4]);
+  });
+});
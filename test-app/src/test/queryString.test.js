@@ -0,0 +1,247 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseQueryString,
+  parseQueryTokens,
+  queryToString,
+  quoteQueryValue,
+} from '../components/queryString';
+
+describe('queryString', () => {
+  const properties = [
+    { key: 'status', propertyLabel: 'Status', operators: ['=', '!=', 'in', 'not in'] },
+    { key: 'role', propertyLabel: 'Role', operators: ['=', '!='] },
+    { key: 'name', propertyLabel: 'Name', operators: ['=', ':', '^', '!^'] },
+    { key: 'size', propertyLabel: 'Size', type: 'number' },
+    { key: 'created', propertyLabel: 'Created', type: 'date' },
+    { key: 'owner', propertyLabel: 'Owner', operators: ['=', 'exists', 'not exists'] },
+    { key: 'statusCode', propertyLabel: 'Status Code', type: 'number' },
+  ];
+  const parse = (text) => parseQueryString(text, properties);
+
+  describe('parseQueryString', () => {
+    it('should parse a single filter', () => {
+      expect(parse('Status = active')).toEqual({
+        valid: true,
+        query: { filter: { and: [{ field: 'status', op: 'equals', value: 'active' }], or: [] } },
+      });
+    });
+
+    it('should parse and/or with and binding tighter', () => {
+      expect(parse('Status = active or Role = admin and Name ^ Jo').query).toEqual({
+        filter: {
+          and: [],
+          or: [
+            { field: 'status', op: 'equals', value: 'active' },
+            {
+              and: [
+                { field: 'role', op: 'equals', value: 'admin' },
+                { field: 'name', op: 'starts-with', value: 'Jo' },
+              ],
+            },
+          ],
+        },
+      });
+    });
+
+    it('should parse parentheses and quoted values', () => {
+      expect(parse('status = active AND (role = admin OR name ^ "Jo")').query).toEqual({
+        filter: {
+          and: [
+            { field: 'status', op: 'equals', value: 'active' },
+            {
+              or: [
+                { field: 'role', op: 'equals', value: 'admin' },
+                { field: 'name', op: 'starts-with', value: 'Jo' },
+              ],
+            },
+          ],
+          or: [],
+        },
+      });
+    });
+
+    it('should flatten nested groups with the same operation', () => {
+      expect(parse('Status = a and (Role = b and (Name = c))').query.filter.and).toHaveLength(3);
+    });
+
+    it('should read unquoted values up to a keyword', () => {
+      expect(parse('Name : john doe and Role = sales team').query.filter.and).toEqual([
+        { field: 'name', op: 'contains', value: 'john doe' },
+        { field: 'role', op: 'equals', value: 'sales team' },
+      ]);
+    });
+
+    it('should unescape quoted and unquoted values', () => {
+      expect(parse('Name = "say \\"hi\\" and \\\\ go"').query.filter.and[0].value).toBe('say "hi" and \\ go');
+      expect(parse('Name = f\\(x\\)').query.filter.and[0].value).toBe('f(x)');
+    });
+
+    it('should parse ranges, lists and valueless operators', () => {
+      expect(parse('Size between 10 and 20 and Status in active, "on hold" and Owner exists').query.filter.and).toEqual([
+        { field: 'size', op: 'between', value: { from: 10, to: 20 } },
+        { field: 'status', op: 'in', value: ['active', 'on hold'] },
+        { field: 'owner', op: 'exists', value: null },
+      ]);
+    });
+
+    it('should parse typed values', () => {
+      expect(parse('Size > 42').query.filter.and[0].value).toBe(42);
+    });
+
+    it('should match the longest property label', () => {
+      expect(parse('Status Code = 404').query.filter.and[0]).toEqual({ field: 'statusCode', op: 'equals', value: 404 });
+    });
+
+    it('should parse free text', () => {
+      expect(parse('"Status report" or !: draft or timeout').query.filter.or).toEqual([
+        { field: null, op: 'contains', value: 'Status report' },
+        { field: null, op: 'does-not-contain', value: 'draft' },
+        { field: null, op: 'contains', value: 'timeout' },
+      ]);
+    });
+
+    it('should apply not by negating operators', () => {
+      expect(parse('not Status = active').query.filter.and).toEqual([
+        { field: 'status', op: 'does-not-equal', value: 'active' },
+      ]);
+      expect(parse('not (Status != active or Owner not exists)').query.filter.and).toEqual([
+        { field: 'status', op: 'equals', value: 'active' },
+        { field: 'owner', op: 'exists', value: null },
+      ]);
+      expect(parse('not not Name ^ Jo').query.filter.and[0].op).toBe('starts-with');
+    });
+
+    it('should report syntax errors', () => {
+      expect(parse('')).toEqual({ valid: false, error: 'Enter a filter' });
+      expect(parse('Name = "Jo')).toEqual({ valid: false, error: 'Missing closing quote' });
+      expect(parse('(Status = active')).toEqual({ valid: false, error: 'Missing closing parenthesis' });
+      expect(parse('Status = active)')).toEqual({ valid: false, error: 'Unexpected ")"' });
+      expect(parse('Status = active and')).toEqual({ valid: false, error: 'Expected a filter at the end' });
+      expect(parse('and Status = active')).toEqual({ valid: false, error: 'Expected a filter before "and"' });
+      expect(parse('not Size > 3')).toEqual({ valid: false, error: '"not" can\'t be used with the ">" operator' });
+    });
+
+    it('should report invalid values with their property', () => {
+      expect(parse('Status = a and Size > lots')).toEqual({ valid: false, error: 'Size: Enter a number' });
+    });
+
+    it('should require properties when free text is disabled', () => {
+      const result = parseQueryString('timeout', properties, {
+        freeTextFiltering: { disabled: true, operators: [':'], defaultOperator: ':' },
+      });
+      expect(result).toEqual({ valid: false, error: 'Start each filter with a property, e.g. Status = value' });
+    });
+  });
+
+  describe('parseQueryTokens', () => {
+    it('should return validated tokens with property references', () => {
+      const result = parseQueryTokens('Size = 3 or Size = 4', properties);
+      expect(result.valid).toBe(true);
+      expect(result.operation).toBe('or');
+      expect(result.tokens.map(token => token.value)).toEqual([3, 4]);
+      expect(result.tokens[0].property.key).toBe('size');
+    });
+
+    it('should only flag clear expressions', () => {
+      expect(parseQueryTokens('Status = active and Role = admin', properties).isExpression).toBe(true);
+      expect(parseQueryTokens('not Status = active', properties).isExpression).toBe(true);
+      expect(parseQueryTokens('Status = active', properties).isExpression).toBe(false);
+      expect(parseQueryTokens('Size between 1 and 2', properties).isExpression).toBe(false);
+      // Unquoted free text: a value that happens to contain "and"
+      expect(parseQueryTokens('rock and roll', properties).isExpression).toBe(false);
+      expect(parseQueryTokens('Name : Tom and Jerry', properties).isExpression).toBe(false);
+      expect(parseQueryTokens('"rock" and Status = active', properties).isExpression).toBe(true);
+    });
+  });
+
+  describe('custom operators', () => {
+    const operators = [
+      { symbol: 'near', apiName: 'is-near' },
+      { symbol: '!near', apiName: 'is-not-near', negationOf: 'near' },
+    ];
+    const placeProperties = [{ key: 'place', propertyLabel: 'Place', operators: ['near', '!near'] }];
+
+    it('should parse and print the operators passed as an option', () => {
+      const result = parseQueryString('not Place near Oslo or Place !near Bergen', placeProperties, { operators });
+      const query = {
+        filter: {
+          and: [],
+          or: [
+            { field: 'place', op: 'is-not-near', value: 'Oslo' },
+            { field: 'place', op: 'is-not-near', value: 'Bergen' },
+          ],
+        },
+      };
+      expect(result).toEqual({ valid: true, query });
+      expect(queryToString(query, placeProperties, { operators })).toBe('Place !near Oslo or Place !near Bergen');
+    });
+
+    it('should not know them without the option', () => {
+      // Read as free text, since "near" isn't an operator of Place
+      expect(parseQueryString('Place near Oslo', placeProperties).query.filter.and).toEqual([
+        { field: null, op: 'contains', value: 'Place near Oslo' },
+      ]);
+    });
+  });
+
+  describe('quoteQueryValue', () => {
+    it('should quote values that would not read back', () => {
+      expect(quoteQueryValue('active')).toBe('active');
+      expect(quoteQueryValue(42)).toBe('42');
+      expect(quoteQueryValue('rock and roll')).toBe('"rock and roll"');
+      expect(quoteQueryValue('a, b')).toBe('"a, b"');
+      expect(quoteQueryValue('say "hi"')).toBe('"say \\"hi\\""');
+      expect(quoteQueryValue('')).toBe('""');
+    });
+  });
+
+  describe('queryToString', () => {
+    it('should print nested queries', () => {
+      const apiQuery = {
+        filter: {
+          and: [
+            { field: 'status', op: 'equals', value: 'active' },
+            {
+              or: [
+                { field: 'role', op: 'equals', value: 'admin' },
+                { field: 'name', op: 'starts-with', value: 'Jo' },
+              ],
+            },
+          ],
+          or: [],
+        },
+      };
+      expect(queryToString(apiQuery, properties)).toBe('Status = active and (Role = admin or Name ^ Jo)');
+    });
+
+    it('should print ranges, lists, valueless operators, expressions and free text', () => {
+      const apiQuery = {
+        filter: {
+          and: [],
+          or: [
+            { field: 'size', op: 'between', value: { from: 1, to: 5 } },
+            { field: 'status', op: 'not-in', value: ['active', 'on hold, maybe'] },
+            { field: 'owner', op: 'not-exists', value: null },
+            { field: 'created', op: 'greater-than', value: '2026-10-12', expression: '-7d' },
+            { field: null, op: 'contains', value: 'rock and roll' },
+            { field: null, op: 'does-not-contain', value: 'draft' },
+          ],
+        },
+      };
+      expect(queryToString(apiQuery, properties)).toBe(
+        'Size between 1 and 5 or Status not in active, "on hold, maybe" or Owner not exists or ' +
+        'Created > -7d or "rock and roll" or !: "draft"'
+      );
+    });
+
+    it('should print an empty query as empty text', () => {
+      expect(queryToString({ filter: { and: [], or: [] } }, properties)).toBe('');
+    });
+
+    it('should round-trip through parseQueryString', () => {
+      const text = 'Status = "a (b)" and (Role != admin or Name ^ Jo) and Size between 1 and 5 and Status in x, y';
+      const { query } = parse(text);
+      expect(parse(queryToString(query, properties)).query).toEqual(query);
+    });
+  });
+});
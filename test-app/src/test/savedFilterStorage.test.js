@@ -0,0 +1,84 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { createLocalStorageAdapter, createMemoryStorageAdapter, useSavedFilters } from '../components/savedFilterStorage';
+
+describe('savedFilterStorage', () => {
+  const query = { filter: { and: [{ field: 'status', op: 'equals', value: 'open' }], or: [] } };
+
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  describe('createLocalStorageAdapter', () => {
+    it('should save and load entries', () => {
+      const storage = createLocalStorageAdapter('filters');
+      storage.save([{ id: '1', name: 'Open', query }]);
+
+      expect(JSON.parse(window.localStorage.getItem('filters'))).toEqual([{ id: '1', name: 'Open', query }]);
+      expect(createLocalStorageAdapter('filters').load()).toEqual([{ id: '1', name: 'Open', query }]);
+    });
+
+    it('should load nothing stored, or unreadable entries, as an empty array', () => {
+      expect(createLocalStorageAdapter('filters').load()).toEqual([]);
+      window.localStorage.setItem('filters', '{not json');
+      expect(createLocalStorageAdapter('filters').load()).toEqual([]);
+      window.localStorage.setItem('filters', '{"a":1}');
+      expect(createLocalStorageAdapter('filters').load()).toEqual([]);
+    });
+
+    it('should ignore failed writes', () => {
+      const fullStorage = {
+        getItem: () => null,
+        setItem: () => { throw new Error('QuotaExceededError'); },
+      };
+      expect(() => createLocalStorageAdapter('filters', fullStorage).save([])).not.toThrow();
+    });
+  });
+
+  describe('createMemoryStorageAdapter', () => {
+    it('should load what was saved last', () => {
+      const storage = createMemoryStorageAdapter([{ id: '1', name: 'Open', query }]);
+      expect(storage.load()).toEqual([{ id: '1', name: 'Open', query }]);
+
+      storage.save([]);
+      expect(storage.load()).toEqual([]);
+    });
+  });
+
+  describe('useSavedFilters', () => {
+    it('should start from the stored presets', () => {
+      const storage = createLocalStorageAdapter('filters');
+      storage.save([{ id: '1', name: 'Open', query }]);
+
+      const { result } = renderHook(() => useSavedFilters({ storage }));
+
+      expect(result.current.savedFilters).toEqual([{ id: '1', name: 'Open', query }]);
+    });
+
+    it('should save and delete presets through the storage', () => {
+      const storage = createLocalStorageAdapter('filters');
+      const { result } = renderHook(() => useSavedFilters({ storage }));
+
+      act(() => result.current.onSaveFilter({ name: 'Open', query }));
+      const [saved] = result.current.savedFilters;
+      expect(saved).toMatchObject({ name: 'Open', query });
+      expect(saved.id).toEqual(expect.any(String));
+      expect(storage.load()).toEqual([saved]);
+
+      act(() => result.current.onDeleteFilter(saved));
+      expect(result.current.savedFilters).toEqual([]);
+      expect(storage.load()).toEqual([]);
+    });
+
+    it('should replace a preset saved under the same name', () => {
+      const { result } = renderHook(() => useSavedFilters());
+      const otherQuery = { filter: { and: [], or: [{ field: null, op: 'contains', value: 'x' }] } };
+
+      act(() => result.current.onSaveFilter({ name: 'Open', query }));
+      const { id } = result.current.savedFilters[0];
+      act(() => result.current.onSaveFilter({ name: 'Open', query: otherQuery }));
+
+      expect(result.current.savedFilters).toEqual([{ id, name: 'Open', query: otherQuery }]);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import {
+  queryToSearchParams,
+  searchParamsToQuery,
+  searchParamsToString,
+  usePropertyFilterUrlState,
+} from '../components/urlState';
+
+describe('urlState', () => {
+  const properties = [
+    { key: 'status', propertyLabel: 'Status', operators: ['=', '!=', 'in', 'not in'] },
+    { key: 'role', propertyLabel: 'Role', operators: ['=', '!='] },
+    { key: 'size', propertyLabel: 'Size', type: 'number' },
+    { key: 'created', propertyLabel: 'Created', type: 'date' },
+    { key: 'owner', propertyLabel: 'Owner', operators: ['=', { operator: 'exists' }] },
+  ];
+  const toQuery = (and, or = []) => ({ filter: { and, or } });
+
+  describe('queryToSearchParams', () => {
+    it('should write filters and the operation', () => {
+      const params = queryToSearchParams(toQuery([
+        { field: 'status', op: 'equals', value: 'active' },
+        { field: 'role', op: 'does-not-equal', value: 'user' },
+      ]));
+      expect(searchParamsToString(params)).toBe('f=status:eq:active,role:ne:user&op=and');
+    });
+
+    it('should write lists, ranges, expressions, valueless operators and free text', () => {
+      const params = queryToSearchParams(toQuery([], [
+        { field: 'status', op: 'in', value: ['active', 'on hold'] },
+        { field: 'size', op: 'between', value: { from: 1, to: 5 } },
+        { field: 'created', op: 'greater-than', value: '2026-10-12', expression: '-7d' },
+        { field: 'owner', op: 'exists', value: null },
+        { field: null, op: 'contains', value: 'timeout' },
+      ]));
+      expect(params.get('f')).toBe('status:in:active|on hold,size:bt:1|5,created:gt:-7d,owner:ex,:co:timeout');
+      expect(params.get('op')).toBe('or');
+    });
+
+    it('should write nested groups and escape special characters', () => {
+      const params = queryToSearchParams(toQuery([
+        { or: [{ field: 'role', op: 'equals', value: 'a,b' }, { field: 'role', op: 'equals', value: 'x:(y)' }] },
+      ]));
+      expect(params.get('f')).toBe('or(role:eq:a\\,b,role:eq:x\\:\\(y\\))');
+    });
+
+    it('should keep other params and remove the filter params for an empty query', () => {
+      const params = queryToSearchParams(toQuery([]), { searchParams: '?page=2&f=status:eq:x&op=and' });
+      expect(params.toString()).toBe('page=2');
+    });
+
+    it('should use the given param names', () => {
+      const params = queryToSearchParams(toQuery([{ field: 'role', op: 'equals', value: 'admin' }]), {
+        paramName: 'users',
+        operationParamName: 'usersOp',
+      });
+      expect(params.toString()).toBe('users=role%3Aeq%3Aadmin&usersOp=and');
+    });
+  });
+
+  describe('searchParamsToQuery', () => {
+    it('should read filters with typed values', () => {
+      const { query, errors } = searchParamsToQuery('?f=status:eq:active,size:bt:1|5,status:in:a|b&op=or', properties);
+      expect(errors).toEqual([]);
+      expect(query).toEqual(toQuery([], [
+        { field: 'status', op: 'equals', value: 'active' },
+        { field: 'size', op: 'between', value: { from: 1, to: 5 } },
+        { field: 'status', op: 'in', value: ['a', 'b'] },
+      ]));
+    });
+
+    it('should accept API names as well as short codes', () => {
+      const { query } = searchParamsToQuery('f=role:does-not-equal:guest', properties);
+      expect(query.filter.and).toEqual([{ field: 'role', op: 'does-not-equal', value: 'guest' }]);
+    });
+
+    it('should read relative dates, valueless operators and free text', () => {
+      const { query, errors } = searchParamsToQuery('f=created:gt:-7d,owner:ex,:nco:draft', properties);
+      expect(errors).toEqual([]);
+      expect(query.filter.and[0]).toMatchObject({ field: 'created', op: 'greater-than', expression: '-7d' });
+      expect(query.filter.and.slice(1)).toEqual([
+        { field: 'owner', op: 'exists', value: null },
+        { field: null, op: 'does-not-contain', value: 'draft' },
+      ]);
+    });
+
+    it('should drop invalid filters and report why', () => {
+      const { query, errors } = searchParamsToQuery(
+        'f=status:eq:active,team:eq:x,role:zz:x,role:gt:x,size:eq:lots,role:eq',
+        properties
+      );
+      expect(query.filter.and).toEqual([{ field: 'status', op: 'equals', value: 'active' }]);
+      expect(errors).toEqual([
+        'Unknown property "team"',
+        'Unknown operator "zz"',
+        'Role: ">" isn\'t allowed',
+        'Size: Enter a number',
+        'Role: Missing value',
+      ]);
+    });
+
+    it('should check free text against the free-text settings', () => {
+      const { errors } = searchParamsToQuery('f=:co:x', properties, {
+        freeTextFiltering: { disabled: true, operators: [':'] },
+      });
+      expect(errors).toEqual(['Free text: ":" isn\'t allowed']);
+    });
+
+    it('should report malformed params with an empty query', () => {
+      expect(searchParamsToQuery('f=or(role:eq:a', properties)).toEqual({
+        query: toQuery([]),
+        errors: ['Missing closing parenthesis'],
+      });
+      expect(searchParamsToQuery('f=status', properties).errors).toEqual(['Missing operator after "status"']);
+    });
+
+    it('should drop groups left empty', () => {
+      const { query } = searchParamsToQuery('f=status:eq:a,or(team:eq:x)', properties);
+      expect(query.filter.and).toEqual([{ field: 'status', op: 'equals', value: 'a' }]);
+    });
+
+    it('should round-trip through queryToSearchParams', () => {
+      const query = toQuery([
+        { field: 'status', op: 'not-in', value: ['a|b', 'c'] },
+        { or: [{ field: 'role', op: 'equals', value: 'x,(y)' }, { field: null, op: 'contains', value: 'a\\b' }] },
+      ]);
+      const text = searchParamsToString(queryToSearchParams(query));
+      expect(searchParamsToQuery(text, properties)).toEqual({ query, errors: [] });
+    });
+
+    it('should read and write custom operators passed as an option', () => {
+      const operators = [
+        { symbol: 'near', apiName: 'is-near' },
+        { symbol: 'pinned', apiName: 'is-pinned', valueArity: 0 },
+      ];
+      const placeProperties = [{ key: 'place', propertyLabel: 'Place', operators: ['near', 'pinned'] }];
+      const query = toQuery([
+        { field: 'place', op: 'is-near', value: 'Oslo' },
+        { field: 'place', op: 'is-pinned', value: null },
+      ]);
+      const text = searchParamsToString(queryToSearchParams(query, { operators }));
+
+      expect(text).toBe('f=place:is-near:Oslo,place:is-pinned&op=and');
+      expect(searchParamsToQuery(text, placeProperties, { operators })).toEqual({ query, errors: [] });
+      expect(searchParamsToQuery(text, placeProperties).errors).toEqual([
+        'Unknown operator "is-near"',
+        'Unknown operator "is-pinned"',
+      ]);
+    });
+  });
+
+  describe('usePropertyFilterUrlState', () => {
+    beforeEach(() => {
+      window.history.replaceState(null, '', '/users?page=2#top');
+    });
+
+    it('should read the query from the URL', () => {
+      window.history.replaceState(null, '', '/users?f=role:eq:admin,team:eq:x&op=and');
+      const { result } = renderHook(() => usePropertyFilterUrlState({ filteringProperties: properties }));
+
+      expect(result.current.query).toEqual(toQuery([{ field: 'role', op: 'equals', value: 'admin' }]));
+      expect(result.current.errors).toEqual(['Unknown property "team"']);
+    });
+
+    it('should write the query to the URL', () => {
+      const { result } = renderHook(() => usePropertyFilterUrlState({ filteringProperties: properties }));
+      const query = toQuery([{ field: 'role', op: 'equals', value: 'admin' }]);
+
+      act(() => result.current.setQuery(query));
+
+      expect(result.current.query).toEqual(query);
+      expect(window.location.search).toBe('?page=2&f=role:eq:admin&op=and');
+      expect(window.location.hash).toBe('#top');
+    });
+
+    it('should follow back/forward navigation', () => {
+      const { result } = renderHook(() => usePropertyFilterUrlState({ filteringProperties: properties }));
+
+      act(() => {
+        window.history.replaceState(null, '', '/users?f=status:ne:closed');
+        window.dispatchEvent(new PopStateEvent('popstate'));
+      });
+
+      expect(result.current.query.filter.and).toEqual([{ field: 'status', op: 'does-not-equal', value: 'closed' }]);
+    });
+  });
+});
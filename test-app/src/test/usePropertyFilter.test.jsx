@@ -0,0 +1,349 @@
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, renderHook, act, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { usePropertyFilter } from '../components/usePropertyFilter';
+
+describe('usePropertyFilter', () => {
+  const filteringProperties = [
+    { key: 'name', propertyLabel: 'Name', operators: ['=', '!=', ':', '!:'], defaultOperator: ':' },
+    { key: 'status', propertyLabel: 'Status', operators: ['=', '!='] },
+    { key: 'size', propertyLabel: 'Size', type: 'number' },
+  ];
+  const filteringOptions = [
+    { propertyKey: 'status', value: 'active', label: 'Active' },
+    { propertyKey: 'status', value: 'inactive', label: 'Inactive' },
+  ];
+  const emptyQuery = { filter: { and: [], or: [] } };
+
+  // A design-system-free UI built only from the prop-getters
+  function CustomFilter({ onChange }) {
+    const [query, setQuery] = React.useState(emptyQuery);
+    const filter = usePropertyFilter({
+      filteringProperties,
+      filteringOptions,
+      query,
+      onChange: (newQuery) => {
+        setQuery(newQuery);
+        onChange?.(newQuery);
+      },
+    });
+
+    return (
+      <div>
+        <input {...filter.getInputProps()} />
+        {filter.validationError && <p>{filter.validationError}</p>}
+        {filter.isOpen && (
+          <ul {...filter.getListboxProps()}>
+            {filter.suggestionGroups.flatMap(group => group.options).map(option => (
+              <li key={option.value} {...filter.getOptionProps({ option })}>{option.label}</li>
+            ))}
+          </ul>
+        )}
+        {filter.tokens.map((token, index) => (
+          <span key={index} {...filter.getTokenProps({ token })}>
+            {token.formattedText}
+            <button {...filter.getRemoveTokenProps({ token, path: index })}>×</button>
+          </span>
+        ))}
+      </div>
+    );
+  }
+
+  it('should parse the input text and narrow suggestions', () => {
+    const { result } = renderHook(() => usePropertyFilter({ filteringProperties, filteringOptions, query: emptyQuery }));
+
+    act(() => result.current.actions.setInputText('Status = act'));
+
+    expect(result.current.parsedText).toMatchObject({ step: 'property', operator: '=', value: 'act' });
+    expect(result.current.suggestionGroups[0].options.map(option => option.label)).toEqual(['Active', 'Inactive']);
+    expect(result.current.enteredTextOption).toMatchObject({ value: 'Status = act', isEnteredText: true });
+  });
+
+  it('should create validated tokens and report errors', () => {
+    const onChange = vi.fn();
+    const { result } = renderHook(() =>
+      usePropertyFilter({ filteringProperties, filteringOptions, query: emptyQuery, onChange })
+    );
+
+    act(() => result.current.actions.createToken('Size > lots'));
+    expect(result.current.validationError).toBe('Enter a number');
+    expect(onChange).not.toHaveBeenCalled();
+
+    act(() => result.current.actions.createToken('Size > 10'));
+    expect(result.current.validationError).toBe(null);
+    expect(onChange).toHaveBeenCalledWith({ filter: { and: [{ field: 'size', op: 'greater-than', value: 10 }], or: [] } });
+  });
+
+  it('should replace the whole query, checked against the properties', () => {
+    const onChange = vi.fn();
+    const { result } = renderHook(() => usePropertyFilter({ filteringProperties, filteringOptions, query: emptyQuery, onChange }));
+
+    let outcome;
+    act(() => {
+      outcome = result.current.actions.replaceQuery({ filter: { and: [{ field: 'size', op: 'greater-than', value: 'lots' }], or: [] } });
+    });
+    expect(outcome).toEqual({ valid: false, error: 'Enter a number' });
+    expect(result.current.validationError).toBe('Enter a number');
+    expect(onChange).not.toHaveBeenCalled();
+
+    act(() => {
+      outcome = result.current.actions.replaceQuery({ filter: { and: [], or: [{ field: 'status', op: 'equals', value: 'Active' }] } });
+    });
+    expect(outcome).toEqual({ valid: true });
+    expect(onChange).toHaveBeenCalledWith({ filter: { and: [], or: [{ field: 'status', op: 'equals', value: 'active' }] } });
+  });
+
+  it('should format tokens from the query', () => {
+    const query = { filter: { and: [{ field: 'status', op: 'equals', value: 'active' }], or: [] } };
+    const { result } = renderHook(() => usePropertyFilter({ filteringProperties, filteringOptions, query }));
+
+    expect(result.current.tokens).toHaveLength(1);
+    expect(result.current.tokens[0].formattedText).toBe('Status = active');
+    expect(result.current.query.tokens[0].property.key).toBe('status');
+  });
+
+  it('should drive a custom UI through the prop-getters', async () => {
+    const user = userEvent.setup();
+    const onChange = vi.fn();
+    render(<CustomFilter onChange={onChange} />);
+
+    const input = screen.getByRole('combobox', { name: 'Filter' });
+    await user.type(input, 'Status = ');
+    expect(input).toHaveAttribute('aria-expanded', 'true');
+    expect(screen.getByRole('listbox')).toBeInTheDocument();
+
+    await user.keyboard('{ArrowDown}{ArrowDown}');
+    expect(screen.getByRole('option', { name: 'Inactive' })).toHaveAttribute('aria-selected', 'true');
+    expect(input).toHaveAttribute('aria-activedescendant', screen.getByRole('option', { name: 'Inactive' }).id);
+
+    await user.keyboard('{Enter}');
+    expect(onChange).toHaveBeenLastCalledWith({
+      filter: { and: [{ field: 'status', op: 'equals', value: 'inactive' }], or: [] },
+    });
+    expect(input).toHaveValue('');
+    expect(screen.getByRole('group', { name: 'Status = inactive' })).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Remove filter: Status = inactive' }));
+    expect(onChange).toHaveBeenLastCalledWith(emptyQuery);
+  });
+
+  it('should select options by click without losing the input', async () => {
+    const user = userEvent.setup();
+    render(<CustomFilter />);
+
+    const input = screen.getByRole('combobox');
+    await user.type(input, 'Status = ');
+    await user.click(screen.getByRole('option', { name: 'Active' }));
+
+    expect(screen.getByRole('group', { name: 'Status = active' })).toBeInTheDocument();
+    expect(input).toHaveFocus();
+  });
+
+  it('should let the caller handle keys first', async () => {
+    const user = userEvent.setup();
+    const onChange = vi.fn();
+    function Filter() {
+      const filter = usePropertyFilter({ filteringProperties, query: emptyQuery, onChange });
+      return <input {...filter.getInputProps({ onKeyDown: e => e.key === 'Enter' && e.preventDefault() })} />;
+    }
+    render(<Filter />);
+
+    await user.type(screen.getByRole('combobox'), 'timeout{Enter}');
+
+    expect(onChange).not.toHaveBeenCalled();
+  });
+
+  it('should suggest and re-apply recently used filters', () => {
+    const storage = { load: () => [{ propertyKey: 'status', operator: '=', value: 'inactive', count: 1 }], save: vi.fn() };
+    const onChange = vi.fn();
+    const { result } = renderHook(() =>
+      usePropertyFilter({ filteringProperties, filteringOptions, query: emptyQuery, onChange, filterUsageStorage: storage })
+    );
+    const [recent] = result.current.suggestionGroups;
+    expect(recent).toMatchObject({ label: 'Recent filters', options: [{ label: 'Status = inactive' }] });
+
+    act(() => result.current.actions.selectOption(recent.options[0]));
+    expect(onChange).toHaveBeenCalledWith({ filter: { and: [{ field: 'status', op: 'equals', value: 'inactive' }], or: [] } });
+    expect(storage.save).toHaveBeenCalledWith([{ propertyKey: 'status', operator: '=', value: 'inactive', count: 2 }]);
+
+    act(() => result.current.actions.createToken('Size > 10'));
+    expect(result.current.suggestionGroups.map(group => group.label)).toEqual(['Recent filters', 'Properties']);
+    expect(result.current.suggestionGroups[0].options.map(option => option.label)).toEqual(['Size > 10', 'Status = inactive']);
+  });
+
+  it('should not track used filters without a storage adapter', () => {
+    const { result } = renderHook(() => usePropertyFilter({ filteringProperties, query: emptyQuery, onChange: vi.fn() }));
+
+    act(() => result.current.actions.createToken('Size > 10'));
+    expect(result.current.suggestionGroups.map(group => group.label)).toEqual(['Properties']);
+  });
+
+  it('should count values given the current query', () => {
+    const query = { filter: { and: [{ field: 'size', op: 'greater-than', value: 10 }], or: [] } };
+    const getValueCounts = vi.fn(() => ({ inactive: 17 }));
+    const { result } = renderHook(() =>
+      usePropertyFilter({
+        filteringProperties,
+        filteringOptions,
+        query,
+        getValueCounts,
+        sortValuesByCount: true,
+        hideZeroCountValues: true,
+      })
+    );
+
+    act(() => result.current.actions.setInputText('Status = '));
+    expect(getValueCounts).toHaveBeenCalledWith('status', query);
+    expect(result.current.suggestionGroups[0].options).toMatchObject([{ label: 'Inactive', count: 17 }]);
+
+    act(() => result.current.actions.setInputText('Status = in'));
+    expect(getValueCounts).toHaveBeenCalledTimes(1);
+  });
+
+  describe('property loadOptions', () => {
+    const users = [
+      { value: 'u1', label: 'Alice Brown' },
+      { value: 'u2', label: 'Bob Stone' },
+    ];
+    const withOwner = (loadOptions) => [
+      ...filteringProperties,
+      { key: 'owner', propertyLabel: 'Owner', operators: ['=', '!='], loadOptions },
+    ];
+
+    it('should load values while typing and resolve their labels', async () => {
+      const loadOptions = vi.fn(async text => users.filter(user => user.label.toLowerCase().includes(text)));
+      const onChange = vi.fn();
+      const properties = withOwner(loadOptions);
+      const { result } = renderHook(() =>
+        usePropertyFilter({
+          filteringProperties: properties,
+          query: emptyQuery,
+          onChange,
+          filteringDebounceDelay: 0,
+        })
+      );
+
+      act(() => result.current.actions.setInputText('Owner = ali'));
+      expect(result.current.optionsStatusType).toBe('loading');
+      await waitFor(() => expect(result.current.optionsStatusType).toBe('finished'));
+
+      expect(loadOptions).toHaveBeenCalledWith('ali', { signal: expect.any(AbortSignal) });
+      expect(result.current.suggestionGroups[0].options.map(option => option.label)).toEqual(['Alice Brown']);
+
+      act(() => result.current.actions.createToken('Owner = Alice Brown'));
+      expect(onChange).toHaveBeenCalledWith({ filter: { and: [{ field: 'owner', op: 'equals', value: 'u1' }], or: [] } });
+    });
+
+    it('should look up labels of token values restored from elsewhere', async () => {
+      const loadOptions = vi.fn(async text => users.filter(user => user.value === text));
+      const query = { filter: { and: [{ field: 'owner', op: 'equals', value: 'u2' }], or: [] } };
+      const properties = withOwner(loadOptions);
+      const { result } = renderHook(() =>
+        usePropertyFilter({ filteringProperties: properties, query, filteringDebounceDelay: 0 })
+      );
+      expect(result.current.tokens[0].formattedText).toBe('Owner = u2');
+
+      await waitFor(() => expect(result.current.tokens[0].formattedText).toBe('Owner = Bob Stone'));
+      expect(loadOptions).toHaveBeenCalledTimes(1);
+      expect(loadOptions).toHaveBeenCalledWith('u2', { signal: expect.any(AbortSignal) });
+    });
+
+    it('should keep the labels of tokens after their search is evicted', async () => {
+      const loadOptions = vi.fn(async text => [{ value: `id-${text}`, label: `User ${text}` }]);
+      const properties = withOwner(loadOptions);
+      let query = emptyQuery;
+      const { result, rerender } = renderHook(() =>
+        usePropertyFilter({
+          filteringProperties: properties,
+          query,
+          onChange: (newQuery) => { query = newQuery; },
+          filteringDebounceDelay: 0,
+        })
+      );
+      const loadedValues = () => result.current.filteringOptions.map(option => option.value);
+
+      act(() => result.current.actions.setInputText('Owner = t0'));
+      await waitFor(() => expect(loadedValues()).toContain('id-t0'));
+      act(() => result.current.actions.createToken('Owner = User t0'));
+      rerender();
+      expect(query.filter.and).toEqual([{ field: 'owner', op: 'equals', value: 'id-t0' }]);
+
+      // One more search than the cache holds (50) evicts the first one
+      for (let index = 1; index <= 50; index++) {
+        act(() => result.current.actions.setInputText(`Owner = t${index}`));
+        await waitFor(() => expect(loadedValues()).toContain(`id-t${index}`));
+      }
+
+      expect(result.current.tokens[0].formattedText).toBe('Owner = User t0');
+      expect(loadOptions).toHaveBeenCalledTimes(51);
+    });
+
+    it('should abort requests for older text and reuse earlier results', async () => {
+      const signals = {};
+      const loadOptions = vi.fn((text, { signal }) => {
+        signals[text] = signal;
+        // 'al' never answers - newer text has to abort it
+        return text === 'al' ? new Promise(() => {}) : Promise.resolve(users);
+      });
+      const properties = withOwner(loadOptions);
+      const { result } = renderHook(() =>
+        usePropertyFilter({ filteringProperties: properties, query: emptyQuery, filteringDebounceDelay: 0 })
+      );
+
+      act(() => result.current.actions.setInputText('Owner = a'));
+      await waitFor(() => expect(result.current.optionsStatusType).toBe('finished'));
+      act(() => result.current.actions.setInputText('Owner = al'));
+      await waitFor(() => expect(signals.al).toBeDefined());
+      act(() => result.current.actions.setInputText('Owner = ali'));
+      expect(signals.al.aborted).toBe(true);
+      await waitFor(() => expect(result.current.optionsStatusType).toBe('finished'));
+
+      act(() => result.current.actions.setInputText('Owner = a'));
+      expect(result.current.optionsStatusType).toBe('finished');
+      expect(loadOptions.mock.calls.map(call => call[0])).toEqual(['a', 'al', 'ali']);
+    });
+
+    it('should drop the options of searches evicted from the cache', async () => {
+      const loadOptions = vi.fn(async text => [{ value: `id-${text}`, label: `User ${text}` }]);
+      const properties = withOwner(loadOptions);
+      const { result } = renderHook(() =>
+        usePropertyFilter({ filteringProperties: properties, query: emptyQuery, filteringDebounceDelay: 0 })
+      );
+      const loadedValues = () => result.current.filteringOptions
+        .filter(option => option.propertyKey === 'owner')
+        .map(option => option.value);
+
+      // One more search than the cache holds (50) evicts the first one
+      for (let index = 0; index <= 50; index++) {
+        act(() => result.current.actions.setInputText(`Owner = t${index}`));
+        await waitFor(() => expect(loadedValues()).toContain(`id-t${index}`));
+      }
+
+      expect(loadedValues()).toHaveLength(50);
+      expect(loadedValues()).not.toContain('id-t0');
+
+      act(() => result.current.actions.setInputText('Owner = t0'));
+      await waitFor(() => expect(loadedValues()).toContain('id-t0'));
+      expect(loadOptions).toHaveBeenCalledTimes(52);
+      expect(loadedValues()).not.toContain('id-t1');
+    });
+
+    it('should report failed loads and retry them', async () => {
+      const loadOptions = vi.fn()
+        .mockRejectedValueOnce(new Error('Network error'))
+        .mockResolvedValueOnce(users);
+      const properties = withOwner(loadOptions);
+      const { result } = renderHook(() =>
+        usePropertyFilter({ filteringProperties: properties, query: emptyQuery, filteringDebounceDelay: 0 })
+      );
+
+      act(() => result.current.actions.setInputText('Owner = '));
+      await waitFor(() => expect(result.current.optionsStatusType).toBe('error'));
+
+      act(() => result.current.actions.loadItems({ filteringText: 'Owner = ', firstPage: false, samePage: true }));
+      await waitFor(() => expect(result.current.optionsStatusType).toBe('finished'));
+      expect(result.current.suggestionGroups[0].options).toHaveLength(2);
+    });
+  });
+});
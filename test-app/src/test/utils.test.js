@@ -1,12 +1,18 @@
 import { describe, it, expect } from 'vitest';
 import {
   matchFilteringProperty,
+  matchFilteringPropertyText,
+  fuzzyMatch,
+  splitHighlightedText,
   matchOperator,
   matchOperatorPrefix,
   matchTokenValue,
   trimStart,
   removeOperator,
+  unquoteValue,
+  quoteValue,
   tokenGroupToTokens,
+  isTokenGroup,
   getAllowedOperators,
   validateIPAddress,
   validatePortNumber,
@@ -15,6 +21,24 @@ import {
   apiToOperator,
   queryToApiFormat,
   apiToQueryFormat,
+  createPredicate,
+  evaluateQuery,
+  getDefaultOperators,
+  parsePropertyValue,
+  formatPropertyValue,
+  parseDateExpression,
+  isRangeValue,
+  splitRangeText,
+  splitListText,
+  isMultiValueOperator,
+  isRangeOperator,
+  registerOperator,
+  getOperator,
+  getRegisteredOperators,
+  validateRegexPattern,
+  validateGlobPattern,
+  globToRegExp,
+  isValuelessOperator,
 } from '../components/utils';
 
 describe('utils', () => {
@@ -49,6 +73,73 @@ describe('utils', () => {
       const result = matchFilteringProperty(properties, '');
       expect(result).toBeNull();
     });
+
+    it('should match abbreviated labels once the word is finished', () => {
+      const withDepartment = [...properties, { key: 'department', propertyLabel: 'Department' }];
+      expect(matchFilteringProperty(withDepartment, 'dept = Sales')).toEqual(withDepartment[3]);
+      expect(matchFilteringProperty(withDepartment, 'dept ')).toEqual(withDepartment[3]);
+      expect(matchFilteringProperty(withDepartment, 'dept')).toBeNull();
+      expect(matchFilteringPropertyText(withDepartment, 'dept=Sales')).toEqual({ property: withDepartment[3], text: 'dept' });
+    });
+
+    it('should not match abbreviations with typos or other words', () => {
+      expect(matchFilteringProperty(properties, 'Stauts = active')).toBeNull();
+      expect(matchFilteringProperty(properties, 'timeout error')).toBeNull();
+    });
+  });
+
+  describe('fuzzyMatch', () => {
+    const tierOf = (text, search) => fuzzyMatch(text, search)?.tier;
+
+    it('should rank prefix over word start over substring over subsequence over typo', () => {
+      expect(tierOf('Engineering', 'eng')).toBe('prefix');
+      expect(tierOf('Cloud Ops', 'ops')).toBe('wordStart');
+      expect(tierOf('Engineering', 'gin')).toBe('substring');
+      expect(tierOf('Department', 'dept')).toBe('subsequence');
+      expect(tierOf('Status', 'stauts')).toBe('typo');
+
+      const scores = [['Engineering', 'eng'], ['Cloud Ops', 'ops'], ['Engineering', 'gin'],
+        ['Department', 'dept'], ['Status', 'stauts']].map(([text, search]) => fuzzyMatch(text, search).score);
+      expect([...scores].sort((a, b) => b - a)).toEqual(scores);
+    });
+
+    it('should prefer shorter texts and earlier matches within a tier', () => {
+      expect(fuzzyMatch('Eng', 'en').score).toBeGreaterThan(fuzzyMatch('Engineering', 'en').score);
+      expect(fuzzyMatch('a test', 'es').score).toBeGreaterThan(fuzzyMatch('a long test', 'es').score);
+    });
+
+    it('should return the matched character ranges', () => {
+      expect(fuzzyMatch('Department', 'dept').ranges).toEqual([[0, 3], [5, 6]]);
+      expect(fuzzyMatch('Cloud Ops', 'OPS').ranges).toEqual([[6, 9]]);
+    });
+
+    it('should only tolerate typos in longer searches', () => {
+      expect(fuzzyMatch('Status', 'stat')).not.toBeNull();
+      expect(fuzzyMatch('Name', 'nmae')).toMatchObject({ tier: 'typo' });
+      expect(fuzzyMatch('Name', 'nxe')).toBeNull();
+      expect(fuzzyMatch('Active', 'xyz')).toBeNull();
+    });
+
+    it('should stop at substrings when fuzzy is off', () => {
+      expect(fuzzyMatch('Department', 'dept', { fuzzy: false })).toBeNull();
+      expect(fuzzyMatch('Department', 'part', { fuzzy: false })).toMatchObject({ tier: 'substring' });
+    });
+
+    it('should search the precomputed lowercase text when given', () => {
+      expect(fuzzyMatch('Web-01', 'web', { lowerText: 'web-01' })).toEqual(fuzzyMatch('Web-01', 'web'));
+    });
+  });
+
+  describe('splitHighlightedText', () => {
+    it('should split text at the match ranges', () => {
+      expect(splitHighlightedText('Department', [[0, 3], [5, 6]])).toEqual([
+        { text: 'Dep', highlighted: true },
+        { text: 'ar', highlighted: false },
+        { text: 't', highlighted: true },
+        { text: 'ment', highlighted: false },
+      ]);
+      expect(splitHighlightedText('Active', [])).toEqual([{ text: 'Active', highlighted: false }]);
+    });
   });
 
   describe('matchOperator', () => {
@@ -73,6 +164,14 @@ describe('utils', () => {
     it('should return null for no match', () => {
       expect(matchOperator(operators, 'value')).toBeNull();
     });
+
+    it('should only match word operators that end the word', () => {
+      expect(matchOperator(['=', 'in', 'not in'], 'in active')).toBe('in');
+      expect(matchOperator(['=', 'in', 'not in'], 'not in active')).toBe('not in');
+      expect(matchOperator(['=', 'in'], 'in')).toBe('in');
+      expect(matchOperator(['=', 'in'], 'inactive')).toBeNull();
+      expect(matchOperator(['=', 'in'], 'in)')).toBe('in');
+    });
   });
 
   describe('matchOperatorPrefix', () => {
@@ -130,6 +229,22 @@ describe('utils', () => {
       );
       expect(result.value).toBe('unknown');
     });
+
+    it('should match each value of a list', () => {
+      const property = { key: 'status' };
+      const options = [
+        { property, value: 'active', label: 'Active' },
+        { property, value: 'pending', label: 'Pending' },
+      ];
+      const result = matchTokenValue({ property, operator: 'in', value: ['Active', 'PENDING', 'other'] }, options);
+      expect(result.value).toEqual(['active', 'pending', 'other']);
+    });
+
+    it('should match options that only carry a propertyKey', () => {
+      const loaded = [{ propertyKey: 'owner', value: 'u1', label: 'Alice Brown' }];
+      const result = matchTokenValue({ property: { key: 'owner' }, operator: '=', value: 'alice brown' }, loaded);
+      expect(result).toEqual({ propertyKey: 'owner', operator: '=', value: 'u1' });
+    });
   });
 
   describe('trimStart', () => {
@@ -162,6 +277,46 @@ describe('utils', () => {
     it('should preserve additional spaces', () => {
       expect(removeOperator('=  value', '=')).toBe(' value');
     });
+
+    it('should remove word operators regardless of case', () => {
+      expect(removeOperator(' Between 10 and 20', 'between')).toBe('10 and 20');
+    });
+  });
+
+  describe('unquoteValue', () => {
+    it('should read a quoted value up to the closing quote', () => {
+      expect(unquoteValue('"Status = on hold"')).toBe('Status = on hold');
+      expect(unquoteValue(' "a, b" ')).toBe('a, b');
+    });
+
+    it('should unescape backslashes, quoted or not', () => {
+      expect(unquoteValue('"say \\"hi\\""')).toBe('say "hi"');
+      expect(unquoteValue('C:\\\\temp \\= x')).toBe('C:\\temp = x');
+    });
+
+    it('should read an unclosed quote to the end', () => {
+      expect(unquoteValue('"still typ')).toBe('still typ');
+    });
+
+    it('should leave plain values alone', () => {
+      expect(unquoteValue('active')).toBe('active');
+    });
+  });
+
+  describe('quoteValue', () => {
+    it('should quote values that unquoteValue would change', () => {
+      expect(quoteValue('active')).toBe('active');
+      expect(quoteValue('say "hi"')).toBe('"say \\"hi\\""');
+      expect(quoteValue('C:\\temp')).toBe('"C:\\\\temp"');
+      expect(quoteValue('a, b')).toBe('"a, b"');
+      expect(quoteValue(' padded ')).toBe('" padded "');
+    });
+
+    it('should round-trip through unquoteValue', () => {
+      ['plain', 'say "hi"', 'a\\b', 'x, y', ' z '].forEach(value => {
+        expect(unquoteValue(quoteValue(value))).toBe(value);
+      });
+    });
   });
 
   describe('tokenGroupToTokens', () => {
@@ -194,6 +349,30 @@ describe('utils', () => {
     it('should handle empty array', () => {
       expect(tokenGroupToTokens([])).toEqual([]);
     });
+
+    it('should flatten deeply nested token groups', () => {
+      const tokens = [
+        {
+          operation: 'and',
+          tokens: [
+            { operator: '=', value: 'a' },
+            { operation: 'or', tokens: [{ operator: '=', value: 'b' }] },
+          ],
+        },
+      ];
+      expect(tokenGroupToTokens(tokens).map(t => t.value)).toEqual(['a', 'b']);
+    });
+  });
+
+  describe('isTokenGroup', () => {
+    it('should detect token groups', () => {
+      expect(isTokenGroup({ operation: 'or', tokens: [] })).toBe(true);
+    });
+
+    it('should not treat tokens as groups', () => {
+      expect(isTokenGroup({ propertyKey: 'status', operator: '=', value: 'a' })).toBe(false);
+      expect(isTokenGroup(null)).toBe(false);
+    });
   });
 
   describe('getAllowedOperators', () => {
@@ -220,6 +399,310 @@ describe('utils', () => {
       const result = getAllowedOperators(property);
       expect(result).toEqual(['=']);
     });
+
+    it('should use type default operators when none are given', () => {
+      const result = getAllowedOperators({ type: 'number', defaultOperator: '=' });
+      expect(result).toEqual(['=', '!=', '>=', '<=', '<', '>', 'between']);
+    });
+
+    it('should prefer explicit operators over type defaults', () => {
+      const result = getAllowedOperators({ type: 'number', operators: ['>'], defaultOperator: '>' });
+      expect(result).toEqual(['>']);
+    });
+  });
+
+  describe('getDefaultOperators', () => {
+    it('should return comparison operators for numbers and dates', () => {
+      expect(getDefaultOperators('number')).toContain('>=');
+      expect(getDefaultOperators('date')).toContain('<');
+      expect(getDefaultOperators('datetime')).toContain('>');
+    });
+
+    it('should return equality operators for booleans and enums', () => {
+      expect(getDefaultOperators('boolean')).toEqual(['=', '!=']);
+      expect(getDefaultOperators('enum')).toEqual(['=', '!=', 'in', 'not in']);
+    });
+
+    it('should fall back to equality operators for untyped properties', () => {
+      expect(getDefaultOperators(undefined)).toEqual(['=', '!=']);
+    });
+  });
+
+  describe('parsePropertyValue', () => {
+    it('should keep untyped values as-is', () => {
+      expect(parsePropertyValue(' abc ', { key: 'name' })).toEqual({ valid: true, value: ' abc ' });
+    });
+
+    it('should parse numbers', () => {
+      expect(parsePropertyValue('42', { type: 'number' })).toEqual({ valid: true, value: 42 });
+      expect(parsePropertyValue('-1.5', { type: 'number' })).toEqual({ valid: true, value: -1.5 });
+      expect(parsePropertyValue(7, { type: 'number' })).toEqual({ valid: true, value: 7 });
+    });
+
+    it('should reject invalid numbers', () => {
+      expect(parsePropertyValue('abc', { type: 'number' })).toEqual({ valid: false, error: 'Enter a number' });
+      expect(parsePropertyValue('', { type: 'number' }).valid).toBe(false);
+    });
+
+    it('should parse dates to ISO dates', () => {
+      expect(parsePropertyValue('2026-01-31', { type: 'date' })).toEqual({ valid: true, value: '2026-01-31' });
+      expect(parsePropertyValue('2026-02-31', { type: 'date' }).valid).toBe(false);
+      expect(parsePropertyValue('not a date', { type: 'date' }).valid).toBe(false);
+    });
+
+    it('should parse datetimes to ISO timestamps', () => {
+      const result = parsePropertyValue('2026-01-31 14:30', { type: 'datetime' });
+      expect(result.valid).toBe(true);
+      expect(result.value).toBe(new Date(2026, 0, 31, 14, 30).toISOString());
+    });
+
+    it('should parse booleans', () => {
+      expect(parsePropertyValue('Yes', { type: 'boolean' })).toEqual({ valid: true, value: true });
+      expect(parsePropertyValue('false', { type: 'boolean' })).toEqual({ valid: true, value: false });
+      expect(parsePropertyValue(true, { type: 'boolean' })).toEqual({ valid: true, value: true });
+      expect(parsePropertyValue('maybe', { type: 'boolean' }).valid).toBe(false);
+    });
+
+    it('should keep relative date expressions', () => {
+      const result = parsePropertyValue('this year', { type: 'date' });
+      const year = new Date().getFullYear();
+      expect(result).toEqual({
+        valid: true,
+        value: { from: `${year}-01-01`, to: `${year}-12-31` },
+        expression: 'this year',
+      });
+    });
+
+    it('should parse both bounds of a range', () => {
+      expect(parsePropertyValue({ from: '10', to: '20' }, { type: 'number' })).toEqual({
+        valid: true,
+        value: { from: 10, to: 20 },
+      });
+      expect(parsePropertyValue({ from: '10', to: 'x' }, { type: 'number' })).toEqual({
+        valid: false,
+        error: 'Enter a number',
+      });
+    });
+
+    it('should reject ranges whose start is after their end', () => {
+      expect(parsePropertyValue({ from: '20', to: '10' }, { type: 'number' })).toEqual({
+        valid: false,
+        error: 'The start of the range must not be after its end',
+      });
+      expect(parsePropertyValue({ from: '2026-02-01', to: '2026-01-01' }, { type: 'date' }).valid).toBe(false);
+    });
+
+    it('should use the outer bounds of periods in a range', () => {
+      const year = new Date().getFullYear();
+      expect(parsePropertyValue({ from: '2020-06-15', to: 'this year' }, { type: 'date' })).toEqual({
+        valid: true,
+        value: { from: '2020-06-15', to: `${year}-12-31` },
+        expression: '2020-06-15 and this year',
+      });
+    });
+
+    it('should parse each element of a list', () => {
+      expect(parsePropertyValue(['1', '2'], { type: 'number' })).toEqual({ valid: true, value: [1, 2] });
+      expect(parsePropertyValue(['1', 'x'], { type: 'number' })).toEqual({ valid: false, error: 'Enter a number' });
+    });
+
+    it('should pass resolved date ranges through', () => {
+      const range = { from: '2026-01-01', to: '2026-01-31' };
+      expect(parsePropertyValue(range, { type: 'date' })).toEqual({ valid: true, value: range });
+    });
+
+    it('should check enum values against options', () => {
+      const property = { key: 'status', type: 'enum' };
+      const options = [
+        { propertyKey: 'status', value: 'active', label: 'Active' },
+        { propertyKey: 'status', value: 'inactive', label: 'Inactive' },
+      ];
+      expect(parsePropertyValue('ACTIVE', property, options)).toEqual({ valid: true, value: 'active' });
+      expect(parsePropertyValue('Inactive', property, options)).toEqual({ valid: true, value: 'inactive' });
+      expect(parsePropertyValue('deleted', property, options)).toEqual({
+        valid: false,
+        error: 'Choose one of: Active, Inactive',
+      });
+    });
+  });
+
+  describe('parseDateExpression', () => {
+    // Monday, 19 October 2026, 12:00 local time
+    const now = new Date(2026, 9, 19, 12, 0);
+    const iso = (...args) => new Date(...args).toISOString();
+
+    it('should keep absolute dates without an expression', () => {
+      expect(parseDateExpression('2026-01-31', { type: 'date', now })).toEqual({
+        value: '2026-01-31',
+        expression: null,
+      });
+      expect(parseDateExpression('2026-01-31 14:30', { type: 'datetime', now })).toEqual({
+        value: iso(2026, 0, 31, 14, 30),
+        expression: null,
+      });
+    });
+
+    it('should treat a plain date on datetime properties as the whole day', () => {
+      expect(parseDateExpression('2026-01-31', { type: 'datetime', now })).toEqual({
+        value: { from: iso(2026, 0, 31), to: iso(2026, 0, 31, 23, 59, 59, 999) },
+        expression: '2026-01-31',
+      });
+    });
+
+    it('should resolve offsets to points in time', () => {
+      expect(parseDateExpression('-7d', { type: 'datetime', now })).toEqual({
+        value: iso(2026, 9, 12, 12, 0),
+        expression: '-7d',
+      });
+      expect(parseDateExpression('+2 weeks', { type: 'date', now }).value).toBe('2026-11-02');
+      expect(parseDateExpression('3 hours ago', { type: 'datetime', now }).value).toBe(iso(2026, 9, 19, 9, 0));
+      expect(parseDateExpression('-1mo', { type: 'date', now }).value).toBe('2026-09-19');
+    });
+
+    it('should resolve days', () => {
+      expect(parseDateExpression('yesterday', { type: 'date', now })).toEqual({
+        value: '2026-10-18',
+        expression: 'yesterday',
+      });
+      expect(parseDateExpression('Today', { type: 'datetime', now }).value).toEqual({
+        from: iso(2026, 9, 19),
+        to: iso(2026, 9, 19, 23, 59, 59, 999),
+      });
+    });
+
+    it('should resolve rolling windows', () => {
+      expect(parseDateExpression('last 7 days', { type: 'date', now }).value).toEqual({
+        from: '2026-10-12',
+        to: '2026-10-19',
+      });
+      expect(parseDateExpression('next 2 h', { type: 'datetime', now }).value).toEqual({
+        from: iso(2026, 9, 19, 12, 0),
+        to: iso(2026, 9, 19, 14, 0),
+      });
+    });
+
+    it('should resolve calendar periods', () => {
+      expect(parseDateExpression('this month', { type: 'date', now }).value).toEqual({
+        from: '2026-10-01',
+        to: '2026-10-31',
+      });
+      expect(parseDateExpression('last week', { type: 'date', now }).value).toEqual({
+        from: '2026-10-12',
+        to: '2026-10-18',
+      });
+      expect(parseDateExpression('next year', { type: 'date', now }).value).toEqual({
+        from: '2027-01-01',
+        to: '2027-12-31',
+      });
+    });
+
+    it('should resolve ranges', () => {
+      expect(parseDateExpression('2026-01-01..2026-01-31', { type: 'date', now })).toEqual({
+        value: { from: '2026-01-01', to: '2026-01-31' },
+        expression: '2026-01-01..2026-01-31',
+      });
+      expect(parseDateExpression('-30d to today', { type: 'date', now }).value).toEqual({
+        from: '2026-09-19',
+        to: '2026-10-19',
+      });
+    });
+
+    it('should return null for invalid expressions', () => {
+      expect(parseDateExpression('soon', { type: 'date', now })).toBeNull();
+      expect(parseDateExpression('-7 parsecs', { type: 'date', now })).toBeNull();
+      expect(parseDateExpression('2026-02-01..2026-01-01', { type: 'date', now })).toBeNull();
+      expect(parseDateExpression('', { type: 'date', now })).toBeNull();
+    });
+  });
+
+  describe('splitListText', () => {
+    it('should split on commas and drop empty entries', () => {
+      expect(splitListText('active, pending ,closed, ')).toEqual(['active', 'pending', 'closed']);
+      expect(splitListText('')).toEqual([]);
+    });
+
+    it('should keep quoted commas and unquote entries', () => {
+      expect(splitListText('"on hold, maybe", new, "say \\"hi\\""')).toEqual(['on hold, maybe', 'new', 'say "hi"']);
+    });
+  });
+
+  describe('isValuelessOperator', () => {
+    it('should detect operators that take no value', () => {
+      expect(['exists', 'not exists', 'is empty', 'is not empty'].every(isValuelessOperator)).toBe(true);
+      expect(isValuelessOperator('=')).toBe(false);
+    });
+  });
+
+  describe('isMultiValueOperator', () => {
+    it('should detect in and not in', () => {
+      expect(isMultiValueOperator('in')).toBe(true);
+      expect(isMultiValueOperator('not in')).toBe(true);
+      expect(isMultiValueOperator('=')).toBe(false);
+    });
+  });
+
+  describe('splitRangeText', () => {
+    it('should split on "and", ".." and "to"', () => {
+      expect(splitRangeText('10 and 20')).toEqual({ from: '10', to: '20' });
+      expect(splitRangeText('10..20')).toEqual({ from: '10', to: '20' });
+      expect(splitRangeText(' -5 .. 5 ')).toEqual({ from: '-5', to: '5' });
+      expect(splitRangeText('-30d to today')).toEqual({ from: '-30d', to: 'today' });
+      expect(splitRangeText('2026-01-01 10:00 AND 2026-01-02')).toEqual({ from: '2026-01-01 10:00', to: '2026-01-02' });
+    });
+
+    it('should return null for single values', () => {
+      expect(splitRangeText('10')).toBeNull();
+      expect(splitRangeText('10 and')).toBeNull();
+      expect(splitRangeText('')).toBeNull();
+    });
+  });
+
+  describe('isRangeValue', () => {
+    it('should detect { from, to } objects', () => {
+      expect(isRangeValue({ from: 1, to: 2 })).toBe(true);
+      expect(isRangeValue({ from: 1 })).toBe(false);
+      expect(isRangeValue('2026-01-01')).toBe(false);
+      expect(isRangeValue(null)).toBe(false);
+    });
+  });
+
+  describe('formatPropertyValue', () => {
+    it('should format numbers and booleans', () => {
+      expect(formatPropertyValue(42, { type: 'number' })).toBe('42');
+      expect(formatPropertyValue(false, { type: 'boolean' })).toBe('false');
+    });
+
+    it('should format dates', () => {
+      expect(formatPropertyValue('2026-01-31', { type: 'date' })).toBe('2026-01-31');
+    });
+
+    it('should format datetimes in local time so they parse back', () => {
+      const iso = new Date(2026, 0, 31, 14, 30).toISOString();
+      const formatted = formatPropertyValue(iso, { type: 'datetime' });
+      expect(formatted).toBe('2026-01-31 14:30');
+      expect(parsePropertyValue(formatted, { type: 'datetime' }).value).toBe(iso);
+    });
+
+    it('should format ranges with both bounds', () => {
+      expect(formatPropertyValue({ from: '2026-01-01', to: '2026-01-31' }, { type: 'date' }))
+        .toBe('2026-01-01..2026-01-31');
+    });
+
+    it('should show enum labels', () => {
+      const options = [{ propertyKey: 'status', value: 'active', label: 'Active' }];
+      expect(formatPropertyValue('active', { key: 'status', type: 'enum' }, options)).toBe('Active');
+    });
+
+    it('should show labels of values loaded by loadOptions', () => {
+      const options = [{ propertyKey: 'owner', value: 'u1', label: 'Alice Brown' }];
+      const owner = { key: 'owner', loadOptions: () => [] };
+      expect(formatPropertyValue('u1', owner, options)).toBe('Alice Brown');
+      expect(formatPropertyValue('u2', owner, options)).toBe('u2');
+    });
+
+    it('should return empty string for null', () => {
+      expect(formatPropertyValue(null, { type: 'number' })).toBe('');
+    });
   });
 
   describe('validateIPAddress', () => {
@@ -311,12 +794,87 @@ describe('utils', () => {
     });
   });
 
+  describe('validateRegexPattern', () => {
+    it('should accept bare patterns and /literals/ with flags', () => {
+      expect(validateRegexPattern('^api-\\d+$')).toEqual({ valid: true });
+      expect(validateRegexPattern('/^api-\\d+$/i')).toEqual({ valid: true });
+      expect(validateRegexPattern('(ab)+|[(+)]+')).toEqual({ valid: true });
+    });
+
+    it('should reject patterns that do not compile', () => {
+      expect(validateRegexPattern('api-(')).toEqual({
+        valid: false,
+        error: 'Invalid regular expression: Unterminated group',
+      });
+      expect(validateRegexPattern('/a/g').error).toBe('Only the i, m, s and u flags are supported');
+      expect(validateRegexPattern(' ').valid).toBe(false);
+    });
+
+    it('should reject nested repetition', () => {
+      for (const pattern of ['(a+)+$', '(\\w*)*', '((ab)*c)+', '(x+){2,}']) {
+        expect(validateRegexPattern(pattern).error).toMatch(/could take too long/);
+      }
+      expect(validateRegexPattern('\\(a+\\)+').valid).toBe(true);
+    });
+
+    it('should reject repeated alternation', () => {
+      for (const pattern of ['(\\w|\\d)+$', '(a|a)*$', '(a|aa)+$', '((a|ab)c)+', '(a?b|a)+', '(x|)+']) {
+        expect(validateRegexPattern(pattern).error).toMatch(/could take too long.*alternatives/);
+      }
+      expect(validateRegexPattern('(?:foo|bar)-\\d+').valid).toBe(true);
+      expect(validateRegexPattern('(foo|bar)?x').valid).toBe(true);
+    });
+
+    it('should accept repeated alternatives that cannot match the same text', () => {
+      for (const pattern of ['(foo|bar)+', '(?:a|b)*c', '((a|b)c)+', '/(foo|BAR)+$/', '(\\d|[a-f])+$']) {
+        expect(validateRegexPattern(pattern)).toEqual({ valid: true });
+      }
+      expect(validateRegexPattern('/(foo|FOO)+$/i').valid).toBe(false);
+    });
+
+    it('should reject back-to-back repeats of overlapping characters', () => {
+      for (const pattern of ['\\d+\\d+\\d+\\d+$', '\\w+\\d*$', '\\w+\\s*\\d+', '/a+A+/i', '.*.*x']) {
+        expect(validateRegexPattern(pattern).error).toMatch(/could take too long.*back-to-back/);
+      }
+      for (const pattern of ['a+b+', '\\d+-\\d+', '[a-z]+\\d*$', '.*foo.*', 'a+A+', '^\\s*\\w+\\s*$', '\\d*-+\\d*']) {
+        expect(validateRegexPattern(pattern)).toEqual({ valid: true });
+      }
+    });
+
+    it('should reject overly long patterns', () => {
+      expect(validateRegexPattern('a'.repeat(201)).error).toBe('Patterns can be at most 200 characters');
+    });
+  });
+
+  describe('validateGlobPattern', () => {
+    it('should require a pattern', () => {
+      expect(validateGlobPattern('web-*')).toEqual({ valid: true });
+      expect(validateGlobPattern('')).toEqual({ valid: false, error: 'Enter a pattern, e.g. web-*-prod' });
+    });
+  });
+
+  describe('globToRegExp', () => {
+    it('should match * and ? wildcards against the whole value', () => {
+      const regex = globToRegExp('web-*-prod');
+      expect(regex.test('web-01-prod')).toBe(true);
+      expect(regex.test('web-01-prod-2')).toBe(false);
+      expect(globToRegExp('v1.?').test('v1.2')).toBe(true);
+      expect(globToRegExp('v1.?').test('v122')).toBe(false);
+    });
+  });
+
   describe('validateTokenValue', () => {
     it('should return valid for no validation type', () => {
       expect(validateTokenValue('anything', {})).toEqual({ valid: true });
       expect(validateTokenValue('anything', null)).toEqual({ valid: true });
     });
 
+    it('should validate patterns for pattern operators', () => {
+      expect(validateTokenValue('(a+)+', {}, '~').valid).toBe(false);
+      expect(validateTokenValue('(a+)+', {}, '=')).toEqual({ valid: true });
+      expect(validateTokenValue('', { validationType: 'ip' }, 'like').valid).toBe(false);
+    });
+
     it('should validate IP address type', () => {
       const property = { validationType: 'ip' };
       expect(validateTokenValue('192.168.1.1', property).valid).toBe(true);
@@ -353,6 +911,12 @@ describe('utils', () => {
       expect(operatorToApi('<')).toBe('less-than');
       expect(operatorToApi('>=')).toBe('greater-than-or-equal');
       expect(operatorToApi('<=')).toBe('less-than-or-equal');
+      expect(operatorToApi('between')).toBe('between');
+      expect(operatorToApi('in')).toBe('in');
+      expect(operatorToApi('not in')).toBe('not-in');
+      expect(operatorToApi('~')).toBe('matches');
+      expect(operatorToApi('!~')).toBe('does-not-match');
+      expect(operatorToApi('like')).toBe('like');
     });
 
     it('should return original value for unknown operators', () => {
@@ -379,6 +943,98 @@ describe('utils', () => {
     });
   });
 
+  describe('operator registry', () => {
+    // Custom type so the registered operators don't change other defaults
+    registerOperator({
+      symbol: 'near',
+      apiName: 'is-near',
+      description: 'Is near',
+      label: 'is near',
+      appliesToTypes: ['geo'],
+      evaluate: (itemValue, filterValue) => Math.abs(itemValue - filterValue) <= 1,
+    });
+    registerOperator({ symbol: 'far', apiName: 'is-far', negationOf: 'near', appliesToTypes: ['geo'] });
+
+    it('should list built-in operators with their definitions', () => {
+      expect(getRegisteredOperators().slice(0, 13).map(op => op.symbol)).toEqual(
+        ['=', '!=', 'in', 'not in', ':', '!:', '^', '!^', '>=', '<=', '<', '>', 'between']
+      );
+      expect(getOperator('!=')).toMatchObject({ apiName: 'does-not-equal', negationOf: '=', valueArity: 1 });
+      expect(getOperator('!:').aliases).toEqual(['!']);
+      expect(isRangeOperator('between')).toBe(true);
+      expect(isRangeOperator('=')).toBe(false);
+    });
+
+    it('should apply defaults to registered operators', () => {
+      expect(getOperator('far')).toMatchObject({
+        description: 'far',
+        label: 'far',
+        valueArity: 1,
+        aliases: [],
+      });
+    });
+
+    it('should reject operators without a symbol', () => {
+      expect(() => registerOperator({ apiName: 'nothing' })).toThrow('an operator needs a symbol');
+    });
+
+    it('should map custom operators to and from the API', () => {
+      expect(operatorToApi('near')).toBe('is-near');
+      expect(apiToOperator('is-far')).toBe('far');
+    });
+
+    it('should use custom operators for allowed and default operators', () => {
+      expect(getDefaultOperators('geo')).toEqual(['near', 'far']);
+      expect(getAllowedOperators({ operators: ['far', '='], defaultOperator: 'near' })).toEqual(['=', 'near', 'far']);
+    });
+
+    it('should evaluate custom operators and derive their negations', () => {
+      const items = [{ id: 1, km: 3 }, { id: 2, km: 10 }];
+      const query = (op) => ({ filter: { and: [{ field: 'km', op, value: 4 }], or: [] } });
+      expect(evaluateQuery(items, query('is-near')).map(item => item.id)).toEqual([1]);
+      expect(evaluateQuery(items, query('is-far')).map(item => item.id)).toEqual([2]);
+    });
+
+    it('should keep the display position when an operator is replaced', () => {
+      const position = getRegisteredOperators().findIndex(op => op.symbol === 'near');
+      registerOperator({ ...getOperator('near'), description: 'Within 1 km' });
+      expect(getRegisteredOperators().findIndex(op => op.symbol === 'near')).toBe(position);
+      expect(getOperator('near').description).toBe('Within 1 km');
+    });
+  });
+
+  describe('custom operators', () => {
+    const custom = [
+      { symbol: 'around', apiName: 'is-around', appliesToTypes: ['place'] },
+      { symbol: '=', apiName: 'is', description: 'Is' },
+    ];
+
+    it('should apply only to the lookups they are passed to', () => {
+      expect(getOperator('around', custom)?.apiName).toBe('is-around');
+      expect(operatorToApi('=', custom)).toBe('is');
+      expect(getDefaultOperators('place', custom)).toEqual(['around']);
+      expect(getRegisteredOperators(custom).findIndex(op => op.symbol === '=')).toBe(0);
+
+      expect(getOperator('around')).toBeUndefined();
+      expect(operatorToApi('=')).toBe('equals');
+      expect(getDefaultOperators('place')).toEqual(['=', '!=']);
+    });
+
+    it('should convert queries with the operators passed as an option', () => {
+      const internalQuery = { tokens: [{ propertyKey: 'spot', operator: 'around', value: 'Oslo' }], operation: 'and' };
+      const apiQuery = queryToApiFormat(internalQuery, { operators: custom });
+      expect(apiQuery.filter.and).toEqual([{ field: 'spot', op: 'is-around', value: 'Oslo' }]);
+      expect(apiToQueryFormat(apiQuery, { operators: custom }).tokens[0].operator).toBe('around');
+    });
+
+    it('should evaluate queries with the operators passed as an option', () => {
+      const items = [{ id: 1, km: 3 }, { id: 2, km: 10 }];
+      const around = [{ symbol: 'around', apiName: 'is-around', evaluate: (itemValue, value) => Math.abs(itemValue - value) <= 1 }];
+      const query = { filter: { and: [{ field: 'km', op: 'is-around', value: 4 }], or: [] } };
+      expect(evaluateQuery(items, query, [], { operators: around }).map(item => item.id)).toEqual([1]);
+    });
+  });
+
   describe('queryToApiFormat', () => {
     it('should convert internal query to API format with AND', () => {
       const internalQuery = {
@@ -437,6 +1093,39 @@ describe('utils', () => {
 
       expect(result.filter.and[0].field).toBeNull();
     });
+
+    it('should convert nested token groups to and/or nodes', () => {
+      const internalQuery = {
+        tokens: [
+          { propertyKey: 'status', operator: '=', value: 'active' },
+          {
+            operation: 'or',
+            tokens: [
+              { propertyKey: 'role', operator: '=', value: 'admin' },
+              { propertyKey: 'role', operator: '=', value: 'manager' },
+            ],
+          },
+        ],
+        operation: 'and',
+      };
+
+      const result = queryToApiFormat(internalQuery);
+
+      expect(result).toEqual({
+        filter: {
+          and: [
+            { field: 'status', op: 'equals', value: 'active' },
+            {
+              or: [
+                { field: 'role', op: 'equals', value: 'admin' },
+                { field: 'role', op: 'equals', value: 'manager' },
+              ],
+            },
+          ],
+          or: [],
+        },
+      });
+    });
   });
 
   describe('apiToQueryFormat', () => {
@@ -491,5 +1180,272 @@ describe('utils', () => {
       const result = apiToQueryFormat({});
       expect(result).toEqual({ tokens: [], operation: 'and' });
     });
+
+    it('should convert nested and/or nodes to token groups', () => {
+      const apiQuery = {
+        filter: {
+          and: [],
+          or: [
+            { field: 'status', op: 'equals', value: 'active' },
+            {
+              and: [
+                { field: 'role', op: 'equals', value: 'admin' },
+                { or: [{ field: 'name', op: 'starts-with', value: 'Jo' }] },
+              ],
+            },
+          ],
+        },
+      };
+
+      const result = apiToQueryFormat(apiQuery);
+
+      expect(result).toEqual({
+        tokens: [
+          { propertyKey: 'status', operator: '=', value: 'active' },
+          {
+            operation: 'and',
+            tokens: [
+              { propertyKey: 'role', operator: '=', value: 'admin' },
+              { operation: 'or', tokens: [{ propertyKey: 'name', operator: '^', value: 'Jo' }] },
+            ],
+          },
+        ],
+        operation: 'or',
+      });
+    });
+
+    it('should round-trip nested groups through queryToApiFormat', () => {
+      const apiQuery = {
+        filter: {
+          and: [
+            { field: 'status', op: 'equals', value: 'active' },
+            { or: [{ field: 'role', op: 'equals', value: 'admin' }] },
+          ],
+          or: [],
+        },
+      };
+
+      expect(queryToApiFormat(apiToQueryFormat(apiQuery))).toEqual(apiQuery);
+    });
+
+    it('should serialise valueless tokens with a null value', () => {
+      const apiQuery = queryToApiFormat({
+        tokens: [{ propertyKey: 'owner', operator: 'not exists', value: '' }],
+        operation: 'and',
+      });
+      expect(apiQuery.filter.and[0]).toEqual({ field: 'owner', op: 'not-exists', value: null });
+      expect(apiToQueryFormat(apiQuery).tokens[0]).toEqual({ propertyKey: 'owner', operator: 'not exists', value: null });
+    });
+
+    it('should round-trip multi-value tokens', () => {
+      const token = { propertyKey: 'status', operator: 'not in', value: ['active', 'pending'] };
+      const apiQuery = queryToApiFormat({ tokens: [token], operation: 'and' });
+      expect(apiQuery.filter.and[0]).toEqual({ field: 'status', op: 'not-in', value: ['active', 'pending'] });
+      expect(apiToQueryFormat(apiQuery).tokens[0]).toEqual(token);
+    });
+
+    it('should round-trip between tokens', () => {
+      const token = { propertyKey: 'size', operator: 'between', value: { from: 10, to: 20 } };
+      const apiQuery = queryToApiFormat({ tokens: [token], operation: 'or' });
+      expect(apiQuery.filter.or[0]).toEqual({ field: 'size', op: 'between', value: { from: 10, to: 20 } });
+      expect(apiToQueryFormat(apiQuery)).toEqual({ tokens: [token], operation: 'or' });
+    });
+
+    it('should keep relative date expressions in both directions', () => {
+      const token = { propertyKey: 'joined', operator: '>', value: '2026-10-12', expression: '-7d' };
+      const apiQuery = queryToApiFormat({ tokens: [token], operation: 'and' });
+      expect(apiQuery.filter.and[0]).toEqual({
+        field: 'joined',
+        op: 'greater-than',
+        value: '2026-10-12',
+        expression: '-7d',
+      });
+      expect(apiToQueryFormat(apiQuery).tokens[0]).toEqual(token);
+    });
+  });
+
+  describe('evaluateQuery', () => {
+    const items = [
+      { id: 1, name: 'John Doe', status: 'active', age: 34, joined: '2024-03-01', tags: ['admin', 'ops'] },
+      { id: 2, name: 'Jane Smith', status: 'inactive', age: 28, joined: '2025-07-15', tags: ['user'] },
+      { id: 3, name: 'Bob Johnson', status: 'Active', age: 9, joined: '2023-11-30', tags: [] },
+    ];
+    const properties = [
+      { key: 'name' },
+      { key: 'status' },
+      { key: 'age' },
+      { key: 'joined' },
+      { key: 'tags' },
+    ];
+    const query = (and, or = []) => ({ filter: { and, or } });
+    const ids = (result) => result.map(item => item.id);
+
+    it('should return all items for an empty query', () => {
+      expect(evaluateQuery(items, query([]))).toHaveLength(3);
+    });
+
+    it('should match equals case-insensitively by default', () => {
+      const result = evaluateQuery(items, query([{ field: 'status', op: 'equals', value: 'active' }]), properties);
+      expect(ids(result)).toEqual([1, 3]);
+    });
+
+    it('should match regex and wildcard patterns', () => {
+      const byOp = (op, value, options) =>
+        ids(evaluateQuery(items, query([{ field: 'name', op, value }]), properties, options));
+      expect(byOp('matches', '^J\\w+ (Doe|Smith)$')).toEqual([1, 2]);
+      expect(byOp('matches', '/^bob/')).toEqual([3]);
+      expect(byOp('does-not-match', 'smith')).toEqual([1, 3]);
+      expect(byOp('like', 'j* *')).toEqual([1, 2]);
+      expect(byOp('like', '?ob *')).toEqual([3]);
+      expect(byOp('like', 'j*', { caseSensitive: true })).toEqual([]);
+      expect(byOp('matches', '(a+)+')).toEqual([]);
+      expect(byOp('matches', '(\\w|\\d)+$')).toEqual([]);
+    });
+
+    it('should match valueless operators against the whole value', () => {
+      const byOp = (field, op) => ids(evaluateQuery(items, query([{ field, op, value: null }]), properties));
+      expect(byOp('tags', 'is-empty')).toEqual([3]);
+      expect(byOp('tags', 'is-not-empty')).toEqual([1, 2]);
+      expect(byOp('tags', 'exists')).toEqual([1, 2, 3]);
+      expect(byOp('nickname', 'exists')).toEqual([]);
+      expect(byOp('nickname', 'not-exists')).toEqual([1, 2, 3]);
+      expect(byOp('nickname', 'is-empty')).toEqual([1, 2, 3]);
+    });
+
+    it('should respect caseSensitive option', () => {
+      const result = evaluateQuery(
+        items,
+        query([{ field: 'status', op: 'equals', value: 'active' }]),
+        properties,
+        { caseSensitive: true }
+      );
+      expect(ids(result)).toEqual([1]);
+    });
+
+    it('should respect caseSensitive on a property', () => {
+      const result = evaluateQuery(
+        items,
+        query([{ field: 'status', op: 'equals', value: 'Active' }]),
+        [{ key: 'status', caseSensitive: true }]
+      );
+      expect(ids(result)).toEqual([3]);
+    });
+
+    it('should evaluate string operators', () => {
+      expect(ids(evaluateQuery(items, query([{ field: 'name', op: 'contains', value: 'john' }]), properties))).toEqual([1, 3]);
+      expect(ids(evaluateQuery(items, query([{ field: 'name', op: 'does-not-contain', value: 'john' }]), properties))).toEqual([2]);
+      expect(ids(evaluateQuery(items, query([{ field: 'name', op: 'starts-with', value: 'ja' }]), properties))).toEqual([2]);
+      expect(ids(evaluateQuery(items, query([{ field: 'name', op: 'does-not-start-with', value: 'ja' }]), properties))).toEqual([1, 3]);
+      expect(ids(evaluateQuery(items, query([{ field: 'status', op: 'does-not-equal', value: 'active' }]), properties))).toEqual([2]);
+    });
+
+    it('should compare numbers numerically', () => {
+      // As strings "9" > "28"; numerically it is not
+      const result = evaluateQuery(items, query([{ field: 'age', op: 'greater-than', value: '20' }]), properties);
+      expect(ids(result)).toEqual([1, 2]);
+      expect(ids(evaluateQuery(items, query([{ field: 'age', op: 'less-than-or-equal', value: '28' }]), properties))).toEqual([2, 3]);
+    });
+
+    it('should compare dates by timestamp', () => {
+      const result = evaluateQuery(items, query([{ field: 'joined', op: 'greater-than-or-equal', value: '2024-03-01T00:00:00Z' }]), properties);
+      expect(ids(result)).toEqual([1, 2]);
+      expect(ids(evaluateQuery(items, query([{ field: 'joined', op: 'less-than', value: '2024-01-01' }]), properties))).toEqual([3]);
+    });
+
+    it('should match in / not-in against a list of values', () => {
+      const byOp = (op, value) => ids(evaluateQuery(items, query([{ field: 'status', op, value }]), properties));
+      expect(byOp('in', ['inactive', 'pending'])).toEqual([2]);
+      expect(byOp('in', ['Active'])).toEqual([1, 3]);
+      expect(byOp('not-in', ['active'])).toEqual([2]);
+      const tags = (op, value) => ids(evaluateQuery(items, query([{ field: 'tags', op, value }]), properties));
+      expect(tags('in', ['ops', 'user'])).toEqual([1, 2]);
+      expect(tags('not-in', ['admin'])).toEqual([2, 3]);
+    });
+
+    it('should match values between inclusive bounds', () => {
+      const between = (from, to) => ids(evaluateQuery(
+        items, query([{ field: 'age', op: 'between', value: { from, to } }]), properties
+      ));
+      expect(between(9, 28)).toEqual([2, 3]);
+      expect(between(29, 33)).toEqual([]);
+      const joined = evaluateQuery(
+        items,
+        query([{ field: 'joined', op: 'between', value: { from: '2024-01-01', to: '2025-12-31' } }]),
+        properties
+      );
+      expect(ids(joined)).toEqual([1, 2]);
+    });
+
+    it('should compare against date ranges', () => {
+      const range = { from: '2024-01-01', to: '2024-12-31' };
+      const byOp = (op) => ids(evaluateQuery(items, query([{ field: 'joined', op, value: range }]), properties));
+      expect(byOp('equals')).toEqual([1]);
+      expect(byOp('does-not-equal')).toEqual([2, 3]);
+      expect(byOp('greater-than')).toEqual([2]);
+      expect(byOp('less-than')).toEqual([3]);
+      expect(byOp('greater-than-or-equal')).toEqual([1, 2]);
+      expect(byOp('less-than-or-equal')).toEqual([1, 3]);
+    });
+
+    it('should match free text across property values', () => {
+      expect(ids(evaluateQuery(items, query([{ field: null, op: 'contains', value: 'smith' }]), properties))).toEqual([2]);
+      expect(ids(evaluateQuery(items, query([{ field: null, op: 'does-not-contain', value: 'john' }]), properties))).toEqual([2]);
+    });
+
+    it('should search all item values for free text without properties', () => {
+      expect(ids(evaluateQuery(items, query([{ field: null, op: 'contains', value: 'bob' }])))).toEqual([3]);
+    });
+
+    it('should use property value getters', () => {
+      const nested = [{ id: 1, owner: { name: 'Alice' } }, { id: 2, owner: { name: 'Bob' } }];
+      const result = evaluateQuery(
+        nested,
+        query([{ field: 'owner', op: 'equals', value: 'bob' }]),
+        [{ key: 'owner', getValue: (item) => item.owner.name }]
+      );
+      expect(ids(result)).toEqual([2]);
+    });
+
+    it('should match array values by any element', () => {
+      expect(ids(evaluateQuery(items, query([{ field: 'tags', op: 'equals', value: 'ops' }]), properties))).toEqual([1]);
+      expect(ids(evaluateQuery(items, query([{ field: 'tags', op: 'does-not-equal', value: 'admin' }]), properties))).toEqual([2, 3]);
+    });
+
+    it('should apply OR operation', () => {
+      const result = evaluateQuery(items, query([], [
+        { field: 'status', op: 'equals', value: 'inactive' },
+        { field: 'age', op: 'less-than', value: '10' },
+      ]), properties);
+      expect(ids(result)).toEqual([2, 3]);
+    });
+
+    it('should evaluate nested groups', () => {
+      const result = evaluateQuery(items, query([
+        { field: 'status', op: 'equals', value: 'active' },
+        {
+          or: [
+            { field: 'age', op: 'less-than', value: '10' },
+            { field: 'tags', op: 'equals', value: 'admin' },
+          ],
+        },
+      ]), properties);
+      expect(ids(result)).toEqual([1, 3]);
+    });
+
+    it('should ignore unknown operators', () => {
+      expect(evaluateQuery(items, query([{ field: 'name', op: 'unknown', value: 'x' }]), properties)).toHaveLength(3);
+    });
+  });
+
+  describe('createPredicate', () => {
+    it('should return a reusable predicate', () => {
+      const isActive = createPredicate({ filter: { and: [{ field: 'status', op: 'equals', value: 'active' }], or: [] } });
+      expect(isActive({ status: 'active' })).toBe(true);
+      expect(isActive({ status: 'inactive' })).toBe(false);
+    });
+
+    it('should match everything for a missing query', () => {
+      expect(createPredicate(undefined)({ status: 'active' })).toBe(true);
+    });
   });
 });